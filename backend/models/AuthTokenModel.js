@@ -0,0 +1,40 @@
+// backend/models/AuthTokenModel.js
+
+const mongoose = require('mongoose');
+
+// Para qué sirve el token: verificar el email de la cuenta o restablecer la contraseña
+const AUTH_TOKEN_PURPOSES = ['verify-email', 'reset-password'];
+
+const authTokenSchema = new mongoose.Schema({
+  // Usuario al que pertenece el token
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User_data',
+    required: true,
+    index: true,
+  },
+  purpose: {
+    type: String,
+    enum: AUTH_TOKEN_PURPOSES,
+    required: true,
+  },
+  // Igual que los refresh tokens: nunca guardamos el token en claro, solo su hash SHA-256
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // TTL Index: MongoDB borra el documento apenas se alcanza 'expiresAt'.
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+}, {
+  timestamps: true
+});
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+module.exports = AuthToken;
+module.exports.AUTH_TOKEN_PURPOSES = AUTH_TOKEN_PURPOSES;
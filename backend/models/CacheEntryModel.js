@@ -15,16 +15,20 @@ const cacheEntrySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed, // Permite guardar cualquier tipo de objeto
     required: true,
   },
-  // Fecha de creación (Mongoose la gestionará automáticamente)
+  // Fecha de creación (o de la última vez que se renovó la entrada)
   createdAt: {
     type: Date,
-    // ¡IMPORTANTE! TTL Index: MongoDB borrará automáticamente el documento
-    // después de x desde su creación.
-    expires: '23h',
     default: Date.now, // Establece la fecha actual al crear
   },
+  // ¡IMPORTANTE! TTL Index: MongoDB borrará automáticamente el documento al llegar a esta
+  // fecha. La calcula cacheService según el TTL del espacio de nombres de la clave.
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
 });
 
 const CacheEntry = mongoose.model('CacheEntry', cacheEntrySchema);
 
-module.exports = CacheEntry;
\ No newline at end of file
+module.exports = CacheEntry;
@@ -0,0 +1,75 @@
+// backend/models/CatalogRecipeModel.js
+
+const mongoose = require('mongoose');
+
+// Ingrediente de una receta del catálogo (mismo formato que 'extendedIngredients' de Spoonacular)
+const catalogIngredientSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    amount: {
+        type: Number,
+        min: 0
+    },
+    // Unidad corta en inglés (ej: "g", "ml", "" para unidades)
+    unit: {
+        type: String,
+        default: ''
+    },
+    original: {
+        type: String
+    },
+}, { _id: false });
+
+// Receta del catálogo local (en inglés, igual que las de Spoonacular, para reutilizar la traducción).
+const catalogRecipeSchema = new mongoose.Schema({
+    // ID público con prefijo 'local-' para no chocar con los IDs numéricos de Spoonacular
+    recipeId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    image: {
+        type: String,
+        default: null
+    },
+    servings: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    readyInMinutes: {
+        type: Number
+    },
+    summary: {
+        type: String
+    },
+    instructions: {
+        type: String
+    },
+    diets: [String],
+    cuisines: [String],
+    dishTypes: [String],
+    // Valores nutricionales por porción
+    nutrition: {
+        calories: Number,
+        carbs: Number,
+        protein: Number,
+        sugar: Number
+    },
+    extendedIngredients: [catalogIngredientSchema],
+}, {
+    timestamps: true
+});
+
+const CatalogRecipe = mongoose.model('CatalogRecipe', catalogRecipeSchema);
+
+module.exports = CatalogRecipe;
@@ -0,0 +1,52 @@
+// backend/models/CookingLogModel.js
+
+const mongoose = require('mongoose');
+
+// Registro de cada receta cocinada (y de lo que se descontó del inventario).
+const cookingLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data',
+        required: true,
+        index: true
+    },
+    // Hogar en el que se cocinó (null = despensa personal), para las estadísticas del hogar
+    household: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Household',
+        default: null,
+        index: true
+    },
+    recipeId: {
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        trim: true
+    },
+    servings: {
+        type: Number,
+        min: 1
+    },
+    // Lo que efectivamente se descontó de cada alimento
+    deductions: [{
+        alimentoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' },
+        article_name: String,
+        quantity: Number,
+        unit: String,
+        _id: false
+    }],
+    // Ingredientes de la receta que no estaban (o no alcanzaban) en el inventario
+    missing: [{
+        name: String,
+        original: String,
+        _id: false
+    }],
+}, {
+    timestamps: true
+});
+
+const CookingLog = mongoose.model('CookingLog', cookingLogSchema);
+
+module.exports = CookingLog;
@@ -0,0 +1,37 @@
+// backend/models/GlossaryTermModel.js
+
+const mongoose = require('mongoose');
+
+// Tipos de término del glosario
+const GLOSSARY_CATEGORIES = ['ingrediente', 'unidad', 'titulo'];
+
+// Término del glosario de cocina ES <-> EN. Tiene prioridad sobre la traducción del modelo,
+// así un mismo alimento siempre se traduce igual (ej: "palta" -> "avocado").
+const glossaryTermSchema = new mongoose.Schema({
+    es: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    en: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        index: true
+    },
+    category: {
+        type: String,
+        enum: GLOSSARY_CATEGORIES,
+        default: 'ingrediente'
+    },
+}, {
+    timestamps: true
+});
+
+const GlossaryTerm = mongoose.model('GlossaryTerm', glossaryTermSchema);
+
+module.exports = GlossaryTerm;
+module.exports.GLOSSARY_CATEGORIES = GLOSSARY_CATEGORIES;
@@ -0,0 +1,77 @@
+// backend/models/HouseholdModel.js
+
+const mongoose = require('mongoose');
+
+// Rol de un miembro del hogar: los 'owner' administran miembros e invitaciones
+const HOUSEHOLD_ROLES = ['owner', 'member'];
+
+const memberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: HOUSEHOLD_ROLES,
+        default: 'member'
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    },
+}, { _id: false });
+
+// Invitación pendiente por email (la ve el usuario con ese email al iniciar sesión)
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data',
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+});
+
+// Hogar: varios usuarios que comparten una despensa (inventario y lista de compras).
+const householdSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60
+    },
+    members: {
+        type: [memberSchema],
+        default: []
+    },
+    invitations: {
+        type: [invitationSchema],
+        default: []
+    },
+    // Código para unirse sin invitación por email (lo pueden regenerar los 'owner')
+    inviteCode: {
+        type: String,
+        required: true,
+        unique: true
+    },
+}, {
+    timestamps: true
+});
+
+// Un usuario pertenece a un solo hogar (el índice único abarca todos los documentos)
+householdSchema.index({ 'members.user': 1 }, { unique: true });
+householdSchema.index({ 'invitations.email': 1 });
+
+const Household = mongoose.model('Household', householdSchema);
+
+module.exports = Household;
+module.exports.HOUSEHOLD_ROLES = HOUSEHOLD_ROLES;
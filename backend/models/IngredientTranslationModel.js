@@ -0,0 +1,43 @@
+// backend/models/IngredientTranslationModel.js
+
+const mongoose = require('mongoose');
+
+// Origen de un par del diccionario
+const DICTIONARY_SOURCES = ['modelo', 'admin'];
+
+// Par nombre en español <-> nombre en inglés de un ingrediente. A diferencia de la caché de
+// traducciones no vence: se aprende de las traducciones del modelo y los administradores lo
+// pueden corregir. Se consulta antes de llamar al modelo.
+const ingredientTranslationSchema = new mongoose.Schema({
+    es: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    en: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        index: true
+    },
+    source: {
+        type: String,
+        enum: DICTIONARY_SOURCES,
+        default: 'modelo'
+    },
+    // Si un administrador ya revisó el par (los corregidos por un admin quedan revisados)
+    reviewed: {
+        type: Boolean,
+        default: false
+    },
+}, {
+    timestamps: true
+});
+
+const IngredientTranslation = mongoose.model('IngredientTranslation', ingredientTranslationSchema);
+
+module.exports = IngredientTranslation;
+module.exports.DICTIONARY_SOURCES = DICTIONARY_SOURCES;
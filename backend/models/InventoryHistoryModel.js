@@ -0,0 +1,68 @@
+// backend/models/InventoryHistoryModel.js
+
+const mongoose = require('mongoose');
+
+// Tipo de cambio: 'consume' es lo descontado al cocinar una receta; 'move' y 'merge', el paso
+// entre la despensa personal y la del hogar (el alimento cambia de despensa o se combina con otro);
+// 'undo', deshacer un cambio anterior
+const HISTORY_ACTIONS = ['create', 'sum', 'update', 'staple', 'delete', 'consume', 'move', 'merge', 'undo'];
+
+// Registro de cada cambio del inventario (quién, cuándo, y el alimento antes y después).
+const inventoryHistorySchema = new mongoose.Schema({
+    // Quién hizo el cambio
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data',
+        required: true
+    },
+    // Despensa del cambio (null = despensa personal de 'user'), igual que en InventoryModel
+    household: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Household',
+        default: null
+    },
+    alimentoId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory',
+        required: true
+    },
+    article_name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    action: {
+        type: String,
+        enum: HISTORY_ACTIONS,
+        required: true
+    },
+    // Copia del alimento antes y después del cambio (null = no existía / se eliminó)
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // Si el cambio se deshizo, quién y cuándo
+    undoneAt: {
+        type: Date,
+        default: null
+    },
+    undoneBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data',
+        default: null
+    },
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryHistorySchema.index({ household: 1, user: 1, createdAt: -1 });
+inventoryHistorySchema.index({ alimentoId: 1, createdAt: -1 });
+
+const InventoryHistory = mongoose.model('InventoryHistory', inventoryHistorySchema);
+
+module.exports = InventoryHistory;
+module.exports.HISTORY_ACTIONS = HISTORY_ACTIONS;
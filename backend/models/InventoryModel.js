@@ -1,6 +1,24 @@
 // backend/models/InventoryModel.js
 
 const mongoose = require('mongoose');
+const { FOOD_CATEGORIES } = require('./StorageLocationModel');
+
+// Un lote es cada ingreso del mismo artículo (ej: dos paquetes de leche comprados en fechas distintas).
+const lotSchema = new mongoose.Schema({
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    purchaseDate: {
+        type: Date,
+        default: Date.now
+    },
+    expiryDate: {
+        type: Date,
+        default: null
+    },
+});
 
 const inventorySchema = new mongoose.Schema({
     user: {
@@ -8,11 +26,27 @@ const inventorySchema = new mongoose.Schema({
         ref: 'User_data', 
         required: true
     },
+    // Hogar cuya despensa comparte el alimento (null = despensa personal de 'user'). Dentro de
+    // un hogar, 'user' es quien lo cargó.
+    household: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Household',
+        default: null,
+        index: true
+    },
     article_name: {
         type: String, 
         required: true,
         trim: true
     },
+    // Nombre canónico en inglés (del diccionario de ingredientes), para buscar recetas sin
+    // volver a traducir. Se completa la primera vez que se necesita y se borra si cambia el nombre.
+    englishName: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null
+    },
     quantity: {
         type: Number,
         required: true,
@@ -23,10 +57,87 @@ const inventorySchema = new mongoose.Schema({
         required: true,
         enum: ['gramos', 'kilogramos', 'unidades', 'litros', 'mililitros'] 
     },
+    // Propiedades opcionales del ingrediente para convertir entre masa, volumen y unidades.
+    // Si no se cargan se usan los valores por defecto de unitService.
+    density: {
+        type: Number, // gramos por mililitro
+        min: 0,
+        default: null
+    },
+    unitWeight: {
+        type: Number, // gramos por unidad (ej: un huevo ≈ 50 g)
+        min: 0,
+        default: null
+    },
+    // Alimento básico (sal, aceite, agua): al buscar recetas se da por disponible, pero no se
+    // envía como ingrediente a buscar.
+    staple: {
+        type: Boolean,
+        default: false
+    },
+    // Dónde se guarda: una de las ubicaciones por defecto (heladera, freezer, alacena) o una
+    // creada por el usuario (ver StorageLocationModel). null = sin ubicación.
+    location: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null
+    },
+    category: {
+        type: String,
+        enum: [...FOOD_CATEGORIES, null],
+        default: null
+    },
+    // Cantidad mínima deseada ("queda poco arroz"). Se guarda con su propia unidad y se compara
+    // convirtiendo, porque la unidad del alimento cambia sola (ej: 1500 gramos -> 1.5 kilogramos).
+    minQuantity: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    minUnit: {
+        type: String,
+        enum: ['gramos', 'kilogramos', 'unidades', 'litros', 'mililitros', null],
+        default: null
+    },
+    // Si al bajar del mínimo (al sumar, editar o cocinar) se agrega solo a la lista de compras
+    autoRestock: {
+        type: Boolean,
+        default: false
+    },
+    // Lotes que componen 'quantity'. Los artículos antiguos pueden no tener lotes.
+    lots: {
+        type: [lotSchema],
+        default: []
+    },
+    // Fecha de compra del lote más reciente y vencimiento más próximo entre los lotes.
+    // Se recalculan en cada guardado (ver hook 'pre save') para poder consultar y ordenar por ellas.
+    purchaseDate: {
+        type: Date,
+        default: null
+    },
+    expiryDate: {
+        type: Date,
+        default: null,
+        index: true
+    },
 }, {
     timestamps: true 
 });
 
+/**
+ * @brief Mantiene 'purchaseDate' y 'expiryDate' sincronizados con los lotes.
+ */
+inventorySchema.pre('save', function (next) {
+    if (this.lots.length > 0) {
+        const purchaseDates = this.lots.map(lot => lot.purchaseDate).filter(Boolean);
+        const expiryDates = this.lots.map(lot => lot.expiryDate).filter(Boolean);
+        this.purchaseDate = purchaseDates.length ? new Date(Math.max(...purchaseDates)) : null;
+        this.expiryDate = expiryDates.length ? new Date(Math.min(...expiryDates)) : null;
+    }
+    next();
+});
+
 const Inventory = mongoose.model('Inventory', inventorySchema);
 
-module.exports = Inventory;
\ No newline at end of file
+module.exports = Inventory;
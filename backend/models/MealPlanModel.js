@@ -0,0 +1,51 @@
+// backend/models/MealPlanModel.js
+
+const mongoose = require('mongoose');
+
+// Comidas del día en las que se puede planificar una receta
+const MEAL_SLOTS = ['desayuno', 'almuerzo', 'merienda', 'cena'];
+
+// Cada documento es una receta planificada para un día y una comida.
+const mealPlanSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data',
+        required: true
+    },
+    // Día planificado (se guarda a las 00:00 UTC)
+    date: {
+        type: Date,
+        required: true
+    },
+    slot: {
+        type: String,
+        enum: MEAL_SLOTS,
+        required: true
+    },
+    recipeId: {
+        type: String,
+        required: true
+    },
+    // Título e imagen se guardan para dibujar la semana sin pedir los detalles de cada receta
+    title: {
+        type: String,
+        trim: true
+    },
+    image: {
+        type: String
+    },
+    servings: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+}, {
+    timestamps: true
+});
+
+mealPlanSchema.index({ user: 1, date: 1 });
+
+const MealPlan = mongoose.model('MealPlan', mealPlanSchema);
+
+module.exports = MealPlan;
+module.exports.MEAL_SLOTS = MEAL_SLOTS;
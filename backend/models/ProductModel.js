@@ -0,0 +1,58 @@
+// backend/models/ProductModel.js
+
+const mongoose = require('mongoose');
+const { FOOD_CATEGORIES } = require('./StorageLocationModel');
+
+// Producto del catálogo de códigos de barras (EAN/UPC): al escanear un código se completa el
+// alimento a agregar con estos datos.
+const productSchema = new mongoose.Schema({
+    // Código EAN-8, UPC-A (12), EAN-13 o GTIN-14, solo dígitos
+    barcode: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        match: /^\d{8,14}$/
+    },
+    // Nombre con el que se carga en el inventario (en español, como los alimentos)
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    unit: {
+        type: String,
+        required: true,
+        enum: ['gramos', 'kilogramos', 'unidades', 'litros', 'mililitros']
+    },
+    // Contenido de un envase, en 'unit' (ej: 1 litro de leche, 500 gramos de arroz)
+    packageSize: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    category: {
+        type: String,
+        enum: [...FOOD_CATEGORIES, null],
+        default: null
+    },
+    // Días que suele durar desde la compra (para sugerir el vencimiento). null = no se sabe.
+    shelfLifeDays: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Usuario que lo creó al escanear un código desconocido (null = importado)
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data',
+        default: null
+    },
+}, {
+    timestamps: true
+});
+
+const Product = mongoose.model('Product', productSchema);
+
+module.exports = Product;
@@ -0,0 +1,98 @@
+// backend/models/RecipeModel.js
+
+const mongoose = require('mongoose');
+
+// Visibilidad de una receta propia
+const RECIPE_VISIBILITY = ['privada', 'compartida', 'publica'];
+
+// Ingrediente de una receta propia (en español, con las unidades del inventario)
+const recipeIngredientSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    // Cantidad y unidad son opcionales (ej: "sal a gusto")
+    quantity: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    unit: {
+        type: String,
+        enum: ['gramos', 'kilogramos', 'unidades', 'litros', 'mililitros', null],
+        default: null
+    },
+    // Aclaración libre (ej: "picada", "a gusto")
+    note: {
+        type: String,
+        trim: true
+    },
+}, { _id: false });
+
+// Receta escrita por un usuario (ej: recetas familiares que no están en Spoonacular).
+const recipeSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data',
+        required: true,
+        index: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    image: {
+        type: String,
+        default: null
+    },
+    servings: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    readyInMinutes: {
+        type: Number,
+        min: 0
+    },
+    ingredients: {
+        type: [recipeIngredientSchema],
+        validate: [list => list.length > 0, 'La receta debe tener al menos un ingrediente.']
+    },
+    steps: [String],
+    tags: [String],
+    // Mismos valores que la preferencia de dieta del perfil
+    diets: [{
+        type: String,
+        enum: ['vegetarian', 'vegan', 'gluten free']
+    }],
+    // Valores nutricionales por porción (opcionales)
+    nutrition: {
+        calories: { type: Number, min: 0 },
+        carbs: { type: Number, min: 0 },
+        protein: { type: Number, min: 0 },
+        sugar: { type: Number, min: 0 }
+    },
+    visibility: {
+        type: String,
+        enum: RECIPE_VISIBILITY,
+        default: 'privada'
+    },
+    // Usuarios con los que se comparte (solo si visibility es 'compartida')
+    sharedWith: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data'
+    }],
+}, {
+    timestamps: true
+});
+
+recipeSchema.index({ visibility: 1 });
+recipeSchema.index({ sharedWith: 1 });
+
+const Recipe = mongoose.model('Recipe', recipeSchema);
+
+module.exports = Recipe;
+module.exports.RECIPE_VISIBILITY = RECIPE_VISIBILITY;
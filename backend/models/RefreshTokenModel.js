@@ -0,0 +1,32 @@
+// backend/models/RefreshTokenModel.js
+
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  // Usuario dueño de la sesión
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User_data',
+    required: true,
+    index: true,
+  },
+  // Nunca guardamos el token en claro, solo su hash SHA-256
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Fecha de vencimiento del refresh token
+  expiresAt: {
+    type: Date,
+    required: true,
+    // TTL Index: MongoDB borra el documento apenas se alcanza 'expiresAt'.
+    expires: 0,
+  },
+}, {
+  timestamps: true
+});
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
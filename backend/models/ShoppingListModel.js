@@ -0,0 +1,58 @@
+// backend/models/ShoppingListModel.js
+
+const mongoose = require('mongoose');
+
+// Cada documento es un artículo de la lista de compras de un usuario.
+const shoppingItemSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data',
+        required: true
+    },
+    // Hogar que comparte la lista (null = lista personal de 'user'). Dentro de un hogar,
+    // 'user' es quien agregó el artículo.
+    household: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Household',
+        default: null
+    },
+    article_name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Cantidad y unidad son opcionales: hay ingredientes de recetas sin medida convertible (ej: "una pizca")
+    quantity: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    unit: {
+        type: String,
+        enum: ['gramos', 'kilogramos', 'unidades', 'litros', 'mililitros', null],
+        default: null
+    },
+    checked: {
+        type: Boolean,
+        default: false
+    },
+    // Líneas originales de las recetas que no se pudieron sumar a la cantidad (ej: "1 pizca de sal")
+    details: [String],
+    // Recetas de las que salió el artículo
+    recipes: [{
+        recipeId: String,
+        title: String,
+        _id: false
+    }],
+}, {
+    timestamps: true
+});
+
+// Un mismo artículo aparece una sola vez por lista (las cantidades repetidas se suman). Incluye
+// 'household' para que quien sale de un hogar pueda volver a cargar en su lista personal un
+// artículo que agregó en la del hogar.
+shoppingItemSchema.index({ household: 1, user: 1, article_name: 1 }, { unique: true });
+
+const ShoppingItem = mongoose.model('ShoppingItem', shoppingItemSchema);
+
+module.exports = ShoppingItem;
@@ -0,0 +1,46 @@
+// backend/models/StorageLocationModel.js
+
+const mongoose = require('mongoose');
+
+// Ubicaciones que existen siempre (no se guardan: las agrega storageService)
+const DEFAULT_LOCATIONS = ['heladera', 'freezer', 'alacena'];
+
+// Categorías de los alimentos (fijas)
+const FOOD_CATEGORIES = ['lácteos', 'verduras', 'frutas', 'carnes', 'pescados', 'panadería', 'cereales y legumbres', 'condimentos', 'bebidas', 'congelados', 'otros'];
+
+// Ubicación creada por el usuario (ej: "despensa del sótano"), además de las de DEFAULT_LOCATIONS.
+const storageLocationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User_data',
+        required: true
+    },
+    // Hogar que comparte la ubicación (null = ubicación personal de 'user'), igual que en InventoryModel
+    household: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Household',
+        default: null
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        maxlength: 40
+    },
+    // Si congela (como el freezer): al mover un alimento acá se puede extender su vencimiento
+    freezes: {
+        type: Boolean,
+        default: false
+    },
+}, {
+    timestamps: true
+});
+
+storageLocationSchema.index({ household: 1, user: 1, name: 1 });
+
+const StorageLocation = mongoose.model('StorageLocation', storageLocationSchema);
+
+module.exports = StorageLocation;
+module.exports.DEFAULT_LOCATIONS = DEFAULT_LOCATIONS;
+module.exports.FOOD_CATEGORIES = FOOD_CATEGORIES;
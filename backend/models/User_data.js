@@ -2,6 +2,23 @@
 
 const mongoose = require('mongoose');
 
+// Alergias e intolerancias (los mismos valores que acepta Spoonacular en 'intolerances')
+const INTOLERANCES = ['dairy', 'egg', 'gluten', 'grain', 'peanut', 'seafood', 'sesame', 'shellfish', 'soy', 'sulfite', 'tree nut', 'wheat'];
+
+// Cocinas (valores de 'cuisine' / 'excludeCuisine' de Spoonacular, en minúsculas)
+const CUISINES = [
+    'african', 'asian', 'american', 'british', 'cajun', 'caribbean', 'chinese', 'eastern european',
+    'european', 'french', 'german', 'greek', 'indian', 'irish', 'italian', 'japanese', 'jewish',
+    'korean', 'latin american', 'mediterranean', 'mexican', 'middle eastern', 'nordic', 'southern',
+    'spanish', 'thai', 'vietnamese'
+];
+
+// Tipos de comida (valores de 'type' de Spoonacular)
+const MEAL_TYPES = [
+    'main course', 'side dish', 'dessert', 'appetizer', 'salad', 'bread', 'breakfast', 'soup',
+    'beverage', 'sauce', 'marinade', 'fingerfood', 'snack', 'drink'
+];
+
 const UserDataSchema = new mongoose.Schema({
     username: { 
         type: String,
@@ -25,6 +42,17 @@ const UserDataSchema = new mongoose.Schema({
         enum: ['Admin', 'User'],
         default: 'User',
     },
+    // Cuentas deshabilitadas por un administrador no pueden iniciar sesión
+    disabled: {
+        type: Boolean,
+        default: false,
+    },
+    // Si el usuario confirmó su email con el link que se le envía al registrarse.
+    // null = cuenta creada antes de existir la verificación (no se le exige).
+    emailVerified: {
+        type: Boolean,
+        default: null,
+    },
     diet_preference: {
     type: String,
     enum: ['vegetarian', 'vegan', 'gluten free','none'], // Opciones
@@ -49,6 +77,36 @@ const UserDataSchema = new mongoose.Schema({
     type: Number,
     min: 0,
     default: 50 // Un valor por defecto
+    },
+    // Alergias e intolerancias: se envían a la búsqueda y además se revisan los ingredientes
+    // de cada receta antes de mostrarla (ver allergenService)
+    intolerances: {
+        type: [{ type: String, enum: INTOLERANCES }],
+        default: []
+    },
+    // Ingredientes que el usuario no quiere en sus recetas (en español, ej: "cilantro")
+    excludedIngredients: {
+        type: [{ type: String, trim: true, lowercase: true }],
+        default: []
+    },
+    preferredCuisines: {
+        type: [{ type: String, enum: CUISINES }],
+        default: []
+    },
+    avoidedCuisines: {
+        type: [{ type: String, enum: CUISINES }],
+        default: []
+    },
+    mealType: {
+        type: String,
+        enum: [...MEAL_TYPES, null],
+        default: null
+    },
+    // Tiempo máximo de preparación en minutos (null = sin límite)
+    maxReadyTime: {
+        type: Number,
+        min: 1,
+        default: null
     }
 }, {
     timestamps: true 
@@ -56,4 +114,7 @@ const UserDataSchema = new mongoose.Schema({
 
 const User_data = mongoose.model('User_data', UserDataSchema);
 
-module.exports = User_data;
\ No newline at end of file
+module.exports = User_data;
+module.exports.INTOLERANCES = INTOLERANCES;
+module.exports.CUISINES = CUISINES;
+module.exports.MEAL_TYPES = MEAL_TYPES;
\ No newline at end of file
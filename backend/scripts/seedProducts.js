@@ -0,0 +1,42 @@
+// seedProducts.js
+
+/**herramienta de utilidad para importar el catálogo de productos por código de barras
+  desde un volcado CSV o JSON. Los códigos que ya existen se actualizan.
+  Uso: npm run seed:products -- ruta/al/volcado.csv (o .json) */
+
+require('dotenv').config({ path: '../.env' });
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const productService = require('../services/productService');
+
+async function run() {
+  if (!process.argv[2]) {
+    console.error('❌ Falta la ruta del volcado (CSV o JSON).');
+    process.exitCode = 1;
+    return;
+  }
+  const file = path.resolve(process.argv[2]);
+  const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+
+  try {
+    const products = productService.parseCatalogDump(fs.readFileSync(file, 'utf8'), format);
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Conectado a MongoDB para seed.');
+
+    const { imported, errors } = await productService.importProducts(products);
+
+    errors.forEach(({ row, barcode, error }) => console.warn(`⚠️ Fila ${row} (${barcode || 'sin código'}): ${error}`));
+    console.log(`✅ Seed completado: ${imported} productos cargados desde ${file} (${errors.length} descartados).`);
+  } catch (err) {
+    console.error('❌ Error en seedProducts:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Desconectado de MongoDB.');
+  }
+}
+
+run();
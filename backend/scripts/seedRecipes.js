@@ -0,0 +1,32 @@
+// seedRecipes.js
+
+/**herramienta de utilidad para cargar el catálogo local de recetas (data/recipes.json)
+  en la base de datos. Las recetas que ya existen (mismo recipeId) se actualizan.
+  Uso: npm run seed:recipes [-- ruta/a/otro.json] */
+
+require('dotenv').config({ path: '../.env' });
+
+const path = require('path');
+const mongoose = require('mongoose');
+const { seedCatalog, CATALOG_FILE } = require('../services/recipeProviders/localProvider');
+
+async function run() {
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : CATALOG_FILE;
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ Conectado a MongoDB para seed.');
+
+    const count = await seedCatalog(require(file));
+
+    console.log(`✅ Seed completado: ${count} recetas cargadas desde ${file}.`);
+  } catch (err) {
+    console.error('❌ Error en seedRecipes:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Desconectado de MongoDB.');
+  }
+}
+
+run();
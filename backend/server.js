@@ -32,17 +32,51 @@ const express = require('express');
 const userService = require('./services/userService'); 
 // Importamos el nuevo servicio de traducción
 const translationService = require('./services/translationService');
+// Servicio de emisión/verificación de tokens de sesión
+const tokenService = require('./services/tokenService');
+// Servicio de la consola de administración
+const adminService = require('./services/adminService');
+// Motor de conversión de unidades (gramos/kilogramos, litros/mililitros, unidades)
+const unitService = require('./services/unitService');
+// Cálculo y aplicación del descuento de ingredientes al cocinar una receta
+const cookingService = require('./services/cookingService');
+// Lista de compras (con combinación de artículos repetidos)
+const shoppingListService = require('./services/shoppingListService');
+// Plan semanal de comidas
+const mealPlanService = require('./services/mealPlanService');
+// Proveedores de recetas intercambiables (Spoonacular o catálogo local)
+const recipeProviders = require('./services/recipeProviders');
+// Importamos el servicio de recetas escritas por los usuarios
+const userRecipeService = require('./services/userRecipeService');
+// Importa la caché con TTL por espacio de nombres (estadísticas para la consola)
+const cacheService = require('./services/cacheService');
+// Importa el diccionario persistente de nombres de ingredientes
+const ingredientDictionaryService = require('./services/ingredientDictionaryService');
+// Revisión de ingredientes contra las intolerancias y exclusiones del perfil
+const allergenService = require('./services/allergenService');
+// Hogares: despensa compartida entre varios usuarios
+const householdService = require('./services/householdService');
+// Historial de cambios del inventario (y deshacer)
+const inventoryHistoryService = require('./services/inventoryHistoryService');
+// Ubicaciones (heladera, freezer, alacena o propias) y categorías de los alimentos
+const storageService = require('./services/storageService');
+// Catálogo de productos por código de barras
+const productService = require('./services/productService');
+// Estadísticas de consumo, vencimientos y recetas cocinadas
+const analyticsService = require('./services/analyticsService');
+// Intérprete de texto libre en español ("dos kilos de papas y medio litro de leche")
+const itemParserService = require('./services/itemParserService');
+// Exportación e importación del inventario en CSV o JSON
+const inventoryTransferService = require('./services/inventoryTransferService');
+// Verificación del email y recuperación de la contraseña
+const accountService = require('./services/accountService');
 const mongoose = require('mongoose');
-const CacheEntry = require('./models/CacheEntryModel'); 
 
 const DB_URI = process.env.MONGO_URI;
 const PORT = process.env.PORT || 3000;
 const app = express();
 // (DE TU BRANCH) Deshabilitamos etag para evitar caching 304 en desarrollo
 app.disable('etag'); 
-const SPOONACULAR_API_KEY = process.env.SPOONACULAR_API_KEY;
-
-const User_data = require('./models/User_data'); 
 
 // -----------------------------------------------------
 // MIDDLEWARE DE SEGURIDAD. 
@@ -50,33 +84,355 @@ const User_data = require('./models/User_data');
 /**
  * @brief Middleware de seguridad para verificar la identidad del usuario.
  * * Esta función actúa como un portero de seguridad para todas las rutas protegidas.
- * Asegura que solo los usuarios registrados puedan acceder a los datos de inventario.
+ * Lee el access token de la cabecera 'Authorization: Bearer <token>' y verifica su firma
+ * y vencimiento. No consulta la DB: el token ya trae el ID y el 'grupo' del usuario.
  */
-async function checkAuth(req, res, next) { 
-    const userId = req.query.userId; 
+function checkAuth(req, res, next) { 
+    const authHeader = req.headers.authorization || '';
+    const [scheme, token] = authHeader.split(' ');
     
-    if (!userId) {
-        return res.status(401).json({ error: 'Falta el ID del usuario.' });
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Falta el token de acceso.' });
     }
     
     try {
-        // BUSCA el usuario REAL en la DB con Mongoose.
-        const user = await User_data.findById(userId);
+        const payload = tokenService.verifyAccessToken(token);
 
-        if (!user) {
-            return res.status(401).json({ error: 'ID de usuario inválido.' });
-        }
-        
-        // Guarda el ID REAL de Mongo para que lo usen las rutas (el CRUD).
-        req.userId = userId; 
+        // Guarda el ID y el rol del usuario para que lo usen las rutas (el CRUD).
+        req.userId = payload.sub; 
+        req.userGrupo = payload.grupo;
         next(); 
 
     } catch (error) {
-        // Captura errores si el ID no tiene el formato correcto de Mongo ObjectId
+        // 'TokenExpiredError' le indica al frontend que debe usar el refresh token.
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Token expirado.', code: 'TOKEN_EXPIRED' });
+        }
+        return res.status(401).json({ error: 'Token inválido.' });
+    }
+}
+
+/**
+ * @brief Fábrica de middleware que restringe una ruta a ciertos roles ('grupo').
+ * * Debe usarse DESPUÉS de checkAuth, ya que lee el rol desde 'req.userGrupo' (viene en el token).
+ * @param {...string} roles Roles autorizados (ej: 'Admin').
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!roles.includes(req.userGrupo)) {
+            return res.status(403).json({ error: 'No tienes permisos para realizar esta acción.' });
+        }
+        next();
+    };
+}
+
+/**
+ * @brief Middleware que valida que el parámetro ':userId' sea un ObjectId de Mongo.
+ */
+function checkUserIdParam(req, res, next) {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
         return res.status(400).json({ error: 'Formato de ID inválido.' });
     }
+    next();
+}
+
+
+/**
+ * @brief Lee las fechas opcionales de un lote (compra y vencimiento) desde el body.
+ * * Un campo ausente queda 'undefined' (no se modifica) y uno vacío queda 'null' (se borra).
+ * @returns {object|null} { purchaseDate, expiryDate } o null si alguna fecha es inválida.
+ */
+function parseLotDates(body) {
+    const dates = {};
+    for (const field of ['purchaseDate', 'expiryDate']) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null || body[field] === '') {
+            dates[field] = null;
+            continue;
+        }
+        const date = new Date(body[field]);
+        if (isNaN(date.getTime())) {
+            return null;
+        }
+        dates[field] = date;
+    }
+    return dates;
+}
+
+
+/**
+ * @brief Lee y valida la cantidad (admite decimales) y la unidad recibidas en el body.
+ * @param {boolean} required Si es true, ambas son obligatorias.
+ * @returns {string|null} Mensaje de error, o null si los datos son válidos.
+ */
+function validateQuantityAndUnit(body, required) {
+    const { quantity, unit } = body;
+
+    if ((quantity !== undefined && quantity !== '') || required) {
+        const parsed = parseFloat(quantity);
+        if (isNaN(parsed) || parsed <= 0) {
+            return 'La cantidad debe ser un número mayor a 0.';
+        }
+    }
+    if ((unit || required) && !unitService.isValidUnit(unit)) {
+        return `Unidad inválida. Opciones: ${Object.keys(unitService.UNITS).join(', ')}.`;
+    }
+    return null;
+}
+
+/**
+ * @brief Lee la densidad (g/ml) y el peso por unidad (g) opcionales de un ingrediente.
+ * @returns {object|null} { density, unitWeight } (solo los enviados) o null si alguno es inválido.
+ */
+function parseIngredientProperties(body) {
+    const properties = {};
+    for (const field of ['density', 'unitWeight']) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null || body[field] === '') {
+            properties[field] = null;
+            continue;
+        }
+        const value = parseFloat(body[field]);
+        if (isNaN(value) || value <= 0) {
+            return null;
+        }
+        properties[field] = value;
+    }
+    return properties;
+}
+
+/**
+ * @brief Reordena recetas para que primero aparezcan las que usan ingredientes próximos a vencer.
+ * * Cruza los 'usedIngredients' de cada receta (en inglés) con el inventario traducido y agrega
+ * a cada receta el campo 'expiringIngredients' con los alimentos por vencer que utiliza.
+ * @param {Array} recipes Recetas del proveedor (con usedIngredients).
+ * @param {Array} inventory Alimentos del inventario con el campo extra 'englishName'.
+ * @returns {Array} Las recetas ordenadas por el vencimiento más próximo que aprovechan.
+ */
+function prioritizeRecipesByExpiry(recipes, inventory) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const expiringItems = inventory
+        .filter(item => item.expiryDate && item.englishName)
+        .map(item => ({
+            article_name: item.article_name,
+            englishName: item.englishName.toLowerCase(),
+            spanishName: item.article_name.toLowerCase(),
+            expiryDate: item.expiryDate,
+            daysLeft: Math.floor((new Date(item.expiryDate) - today) / (24 * 60 * 60 * 1000))
+        }));
+
+    const annotated = recipes.map((recipe, originalIndex) => {
+        const usedNames = (recipe.usedIngredients || []).map(ing => ing.name || '');
+        // Las recetas de usuarios están en español: se comparan con el nombre original del alimento
+        // (por palabras completas, con el mismo criterio que el resto de la aplicación)
+        const nameField = recipe.language === 'es' ? 'spanishName' : 'englishName';
+        const expiringIngredients = expiringItems
+            .filter(item => usedNames.some(name => cookingService.ingredientNamesMatch(name, item[nameField])))
+            .sort((a, b) => a.daysLeft - b.daysLeft)
+            .map(({ article_name, expiryDate, daysLeft }) => ({ article_name, expiryDate, daysLeft }));
+        return { recipe: { ...recipe, expiringIngredients }, originalIndex };
+    });
+
+    annotated.sort((a, b) => {
+        const aItems = a.recipe.expiringIngredients;
+        const bItems = b.recipe.expiringIngredients;
+        if (aItems.length === 0 || bItems.length === 0) {
+            // Las recetas que no aprovechan nada por vencer van al final
+            return (bItems.length - aItems.length) || (a.originalIndex - b.originalIndex);
+        }
+        return (aItems[0].daysLeft - bItems[0].daysLeft)
+            || (bItems.length - aItems.length)
+            || (a.originalIndex - b.originalIndex);
+    });
+
+    return annotated.map(entry => entry.recipe);
+}
+
+/**
+ * @brief Lee una lista separada por comas de un query parameter (ej: "a,b , c").
+ * @returns {Array<string>|null} Los valores sin espacios ni vacíos, o null si no se envió.
+ */
+function parseListParam(value) {
+    if (value === undefined || value === '') return null;
+    return String(value).split(',').map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * @brief Indica si una receta usa un alimento del inventario.
+ * * Las recetas de usuarios están en español: se comparan con el nombre original del alimento.
+ */
+function recipeUsesItem(recipe, item) {
+    const itemName = recipe.language === 'es' ? item.article_name : item.englishName;
+    return (recipe.usedIngredients || []).some(ing => cookingService.ingredientNamesMatch(ing.name, itemName));
+}
+
+/**
+ * @brief Da por disponibles los alimentos básicos (sal, aceite...) que no se enviaron a la búsqueda.
+ * * Los ingredientes faltantes que coinciden con un básico dejan de contar como faltantes, y
+ * los básicos que usa la receta se agregan en 'stapleIngredients' (nombres en español).
+ * @param {Array} recipes Recetas con usedIngredients/missedIngredients.
+ * @param {Array} staples Alimentos básicos con 'englishName'.
+ */
+function applyStaples(recipes, staples) {
+    if (staples.length === 0) return recipes;
+
+    return recipes.map(recipe => {
+        const matchingStaple = ing => cookingService.findMatchingItem(ing.name, staples,
+            item => recipe.language === 'es' ? item.article_name : item.englishName);
+        const missedIngredients = (recipe.missedIngredients || []).filter(ing => !matchingStaple(ing));
+        if (missedIngredients.length === (recipe.missedIngredients || []).length) return recipe;
+
+        const stapleIngredients = [...new Set(recipe.missedIngredients
+            .map(matchingStaple)
+            .filter(Boolean)
+            .map(item => item.article_name))];
+        return { ...recipe, missedIngredients, missedIngredientCount: missedIngredients.length, stapleIngredients };
+    });
+}
+
+/**
+ * @brief Traduce una lista de nombres de ingredientes (glosario, diccionario y, si falta, el modelo).
+ * @param {Array<string>} names Nombres a traducir.
+ * @param {string} sourceLang Idioma de origen ('es' o 'en').
+ * @param {string} targetLang Idioma de destino ('es' o 'en').
+ * @returns {Promise<Array<string>>} Las traducciones, en el mismo orden.
+ */
+async function translateIngredientList(names, sourceLang, targetLang) {
+    const translations = await ingredientDictionaryService.translateNames(names, sourceLang, targetLang);
+
+    if (translations.some(translation => translation === null)) {
+        throw new Error(`La traducción de ingredientes (${sourceLang.toUpperCase()}->${targetLang.toUpperCase()}) falló.`);
+    }
+
+    return translations;
+}
+
+/**
+ * @brief Completa el nombre en inglés de los alimentos del inventario.
+ * * Usa el 'englishName' guardado en cada alimento; solo se traducen los que no lo tienen.
+ * @param {Array} inventario Alimentos del usuario (en español).
+ * @returns {Promise<Array>} Los mismos alimentos con el campo 'englishName', en el mismo orden.
+ */
+async function translateInventoryNames(inventario) {
+    return await ingredientDictionaryService.withEnglishNames(inventario);
+}
+
+/**
+ * @brief Obtiene las restricciones alimentarias guardadas en el perfil del usuario.
+ * * Los ingredientes excluidos se devuelven en los dos idiomas (las recetas de los proveedores
+ * están en inglés y las de usuarios en español).
+ * @param {Array<string>} extraExcluded Exclusiones adicionales de la búsqueda (en español).
+ * @returns {Promise<object>} { intolerances, excludedEs, excludedEn, excludedIngredients, spanishByName }
+ */
+async function getDietaryRestrictions(userId, extraExcluded = []) {
+    const profile = await userService.getUserProfile(userId) || {};
+    const excludedEs = [...new Set([...(profile.excludedIngredients || []), ...extraExcluded])];
+    const excludedEn = excludedEs.length > 0 ? await translateIngredientList(excludedEs, 'es', 'en') : [];
+
+    // nombre (en cualquier idioma) -> nombre en español, para mostrar los avisos
+    const spanishByName = new Map(excludedEs.map(name => [name, name]));
+    excludedEn.forEach((name, index) => { if (!spanishByName.has(name)) spanishByName.set(name, excludedEs[index]); });
+
+    return {
+        intolerances: profile.intolerances || [],
+        excludedEs,
+        excludedEn,
+        excludedIngredients: [...spanishByName.keys()],
+        spanishByName,
+    };
+}
+
+/**
+ * @brief Revisa los ingredientes de una receta contra las restricciones del perfil.
+ * * Los proveedores ya filtran por intolerancias y exclusiones, pero no siempre reconocen
+ * todos los ingredientes; lo que se cuele se marca en 'allergenWarnings' para avisar al usuario.
+ * @param {Array<string>} ingredientNames Nombres de los ingredientes (en inglés o en español).
+ * @param {object} restrictions Resultado de getDietaryRestrictions.
+ * @returns {Array<object>} [{ ingredient, type: 'intolerance'|'excluded', reason }]
+ */
+function findAllergenWarnings(ingredientNames, restrictions) {
+    if (!allergenService.hasRestrictions(restrictions)) return [];
+    return allergenService.findAllergens(ingredientNames, restrictions).map(warning => (
+        warning.type === 'excluded'
+            ? { ...warning, reason: restrictions.spanishByName.get(warning.reason) || warning.reason }
+            : warning
+    ));
+}
+
+/**
+ * @brief Marca en cada receta de la búsqueda los ingredientes que no cumplen las restricciones.
+ * * Se revisan los ingredientes usados, los faltantes y los básicos de la receta.
+ */
+function flagAllergens(recipes, restrictions) {
+    return recipes.map(recipe => {
+        const names = [
+            ...(recipe.usedIngredients || []).map(ing => ing.name),
+            ...(recipe.missedIngredients || []).map(ing => ing.name),
+            ...(recipe.stapleIngredients || []),
+        ];
+        const allergenWarnings = findAllergenWarnings(names, restrictions);
+        return allergenWarnings.length > 0 ? { ...recipe, allergenWarnings } : recipe;
+    });
+}
+
+/**
+ * @brief Lee y valida los filtros de cocina, tipo de plato y tiempo de una búsqueda.
+ * @returns {object} { filters } o { error } con el mensaje para responder 400.
+ */
+function parseRecipeProfileFilters(query) {
+    const cuisines = (parseListParam(query.cuisine) || []).map(name => name.toLowerCase());
+    const excludeCuisines = (parseListParam(query.excludeCuisine) || []).map(name => name.toLowerCase());
+    const type = query.type ? String(query.type).toLowerCase() : undefined;
+    const maxReadyTime = query.maxReadyTime === undefined || query.maxReadyTime === '' ? undefined : Number(query.maxReadyTime);
+
+    if ([...cuisines, ...excludeCuisines].some(name => !userService.CUISINES.includes(name))) {
+        return { error: 'Cocina inválida.', validValues: userService.CUISINES };
+    }
+    if (type && !userService.MEAL_TYPES.includes(type)) {
+        return { error: 'Tipo de comida inválido.', validValues: userService.MEAL_TYPES };
+    }
+    if (maxReadyTime !== undefined && (!Number.isInteger(maxReadyTime) || maxReadyTime < 1)) {
+        return { error: "El parámetro 'maxReadyTime' debe ser un entero de minutos mayor a 0." };
+    }
+    return { filters: { cuisines, excludeCuisines, type, maxReadyTime } };
+}
+
+/**
+ * @brief Obtiene los detalles de una receta, sea de un proveedor o escrita por un usuario.
+ * * Las recetas de usuarios ('user-<id>') solo se devuelven si el usuario puede verlas.
+ * @returns {Promise<object>} Los detalles con formato de Spoonacular ('language: es' en las de usuarios).
+ * @throws {RecipeProviderError} 404 si la receta no existe o no es visible para el usuario.
+ */
+async function getRecipeDetailsForUser(recipeId, userId) {
+    if (!userRecipeService.ownsRecipeId(recipeId)) {
+        return await recipeProviders.getRecipeDetails(recipeId);
+    }
+
+    const details = await userRecipeService.getRecipeDetails(recipeId, userId);
+    if (!details) {
+        throw new recipeProviders.RecipeProviderError('Receta no encontrada.', 404);
+    }
+    return details;
 }
 
+/**
+ * @brief Obtiene el inventario del usuario listo para cruzarlo con los ingredientes de una receta.
+ * * Para las recetas en español (de usuarios) no hace falta traducir: 'englishName' es el
+ * mismo nombre del alimento.
+ * @returns {Promise<Array>} Los alimentos con el campo extra 'englishName'.
+ */
+async function getInventoryForRecipe(userId, recipe) {
+    const inventario = await userService.getAlimentosByUsuario(userId);
+    if (inventario.length === 0) {
+        return [];
+    }
+    if (recipe.language === 'es') {
+        return inventario.map(item => ({ ...item, englishName: item.article_name }));
+    }
+    return await translateInventoryNames(inventario);
+}
 
 // 2. MIDDLEWARES (Configuraciones para Express)
 /**
@@ -117,21 +473,32 @@ app.post('/api/register', async (req, res) => {
     if (!username || !email || !password) {
         return res.status(400).json({ error: 'Todos los campos son obligatorios.' });
     }
+    if (!accountService.isValidEmail(email)) {
+        return res.status(400).json({ error: 'El email no tiene un formato válido.' });
+    }
 
     // 💡 DELEGACIÓN: El controlador llama al servicio, sin saber dónde se almacenan los datos.
-    const nuevoUsuario = await userService.registerUser(username, email, password);
+    const nuevoUsuario = await userService.registerUser(username, email.trim(), password);
 
     if (nuevoUsuario === null) {
         // 409: Conflicto - Email/username duplicado
         return res.status(409).json({ error: 'Este email o nombre de usuario ya está registrado.' });
     }
 
+    // Si el email no se puede enviar, la cuenta igual queda creada: el usuario puede pedirlo de nuevo
+    try {
+        await accountService.sendVerificationEmail(nuevoUsuario);
+    } catch (error) {
+        console.error('Error al enviar el email de verificación:', error.message);
+    }
+
     // 201: Creado
     return res.status(201).json({ 
         id: nuevoUsuario._id,
         username: nuevoUsuario.username,
         email: nuevoUsuario.email,
-        message: 'Usuario registrado exitosamente.' 
+        emailVerificationRequired: accountService.REQUIRE_EMAIL_VERIFICATION,
+        message: 'Usuario registrado exitosamente. Te enviamos un email para confirmar tu cuenta.' 
     });
 });
 
@@ -154,13 +521,184 @@ app.post('/api/login', async (req, res) => {
         return res.status(401).json({ error: 'Credenciales inválidas.' });
     }
 
-    // 200: OK - Login exitoso
-    return res.status(200).json({ 
-        id: usuario._id, 
-        username: usuario.username, 
-        email: usuario.email,
-        message: 'Inicio de sesión exitoso.' 
-    });
+    if (usuario.disabled) {
+        // 403: Prohibido - La cuenta fue deshabilitada por un administrador
+        return res.status(403).json({ error: 'Tu cuenta está deshabilitada. Contacta a soporte.' });
+    }
+
+    if (accountService.isBlockedByVerification(usuario)) {
+        // 403: Prohibido - Falta confirmar el email (el frontend ofrece reenviar el link)
+        return res.status(403).json({ error: 'Confirma tu email con el link que te enviamos para iniciar sesión.', emailNotVerified: true });
+    }
+
+    try {
+        // Emitimos el par de tokens de la sesión
+        const tokens = await tokenService.issueTokens(usuario);
+
+        // 200: OK - Login exitoso
+        return res.status(200).json({ 
+            id: usuario._id, 
+            username: usuario.username, 
+            email: usuario.email,
+            grupo: usuario.grupo,
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresAt: tokens.expiresAt,
+            message: 'Inicio de sesión exitoso.' 
+        });
+    } catch (error) {
+        console.error('Error al emitir tokens de sesión:', error.message);
+        return res.status(500).json({ error: 'Error interno al iniciar sesión.' });
+    }
+});
+
+/**
+ * @brief Endpoint para renovar el access token usando un refresh token.
+ * * El refresh token usado se invalida y se entrega uno nuevo (rotación).
+ * @route POST /api/token/refresh
+ */
+app.post('/api/token/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Falta el refresh token.' });
+    }
+
+    try {
+        const userId = await tokenService.consumeRefreshToken(refreshToken);
+        if (!userId) {
+            return res.status(401).json({ error: 'Refresh token inválido o expirado.' });
+        }
+
+        // Releemos el usuario para firmar el token con su 'grupo' actual
+        const usuario = await userService.findUserById(userId);
+        if (!usuario) {
+            return res.status(401).json({ error: 'Usuario inexistente.' });
+        }
+        if (usuario.disabled) {
+            return res.status(403).json({ error: 'Tu cuenta está deshabilitada. Contacta a soporte.' });
+        }
+        if (accountService.isBlockedByVerification(usuario)) {
+            return res.status(403).json({ error: 'Confirma tu email con el link que te enviamos para iniciar sesión.', emailNotVerified: true });
+        }
+
+        const tokens = await tokenService.issueTokens(usuario);
+        return res.status(200).json({
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            expiresAt: tokens.expiresAt
+        });
+    } catch (error) {
+        console.error('Error al renovar tokens:', error.message);
+        return res.status(500).json({ error: 'Error interno al renovar la sesión.' });
+    }
+});
+
+/**
+ * @brief Endpoint para cerrar sesión (revoca el refresh token).
+ * * No requiere access token válido: el usuario puede cerrar sesión aunque haya expirado.
+ * @route POST /api/logout
+ */
+app.post('/api/logout', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Falta el refresh token.' });
+    }
+
+    try {
+        await tokenService.revokeRefreshToken(refreshToken);
+        return res.status(200).json({ message: 'Sesión cerrada.' });
+    } catch (error) {
+        return res.status(500).json({ error: 'Error interno al cerrar sesión.' });
+    }
+});
+
+/**
+ * @brief Endpoint para confirmar el email con el token del link enviado al registrarse.
+ * * El token sirve una sola vez.
+ * @route POST /api/email/verify
+ */
+app.post('/api/email/verify', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ error: 'Falta el token de verificación.' });
+    }
+
+    try {
+        const verified = await accountService.verifyEmail(token);
+        if (!verified) {
+            return res.status(400).json({ error: 'El link de verificación es inválido o venció. Pide uno nuevo.' });
+        }
+        return res.status(200).json({ message: '¡Email confirmado! Ya puedes iniciar sesión.' });
+    } catch (error) {
+        console.error('Error al verificar el email:', error.message);
+        return res.status(500).json({ error: 'Error interno al verificar el email.' });
+    }
+});
+
+/**
+ * @brief Endpoint para volver a enviar el email de verificación.
+ * * Responde lo mismo exista o no la cuenta, para no revelar qué emails están registrados.
+ * @route POST /api/email/resend
+ */
+app.post('/api/email/resend', async (req, res) => {
+    const { email } = req.body;
+
+    if (!accountService.isValidEmail(email)) {
+        return res.status(400).json({ error: 'El email no tiene un formato válido.' });
+    }
+
+    // El email se envía sin esperarlo: la respuesta (y su demora) no cambia según exista la cuenta
+    accountService.resendVerificationEmail(email)
+        .catch(error => console.error('Error al reenviar el email de verificación:', error.message));
+    res.status(200).json({ message: 'Si la cuenta existe y falta confirmarla, te enviamos un nuevo link.' });
+});
+
+/**
+ * @brief Endpoint para pedir el link de recuperación de contraseña.
+ * * Responde lo mismo (y sin esperar el envío) exista o no la cuenta, para no revelar qué
+ * emails están registrados.
+ * @route POST /api/password/forgot
+ */
+app.post('/api/password/forgot', async (req, res) => {
+    const { email } = req.body;
+
+    if (!accountService.isValidEmail(email)) {
+        return res.status(400).json({ error: 'El email no tiene un formato válido.' });
+    }
+
+    // El email se envía sin esperarlo: si el envío falla o tarda, la respuesta es la misma que
+    // para un email no registrado
+    accountService.requestPasswordReset(email)
+        .catch(error => console.error('Error al enviar el email de recuperación:', error.message));
+    res.status(200).json({ message: 'Si el email está registrado, te enviamos un link para restablecer la contraseña.' });
+});
+
+/**
+ * @brief Endpoint para elegir una contraseña nueva con el token del link de recuperación.
+ * * El token sirve una sola vez y se cierran todas las sesiones abiertas de la cuenta.
+ * @route POST /api/password/reset
+ */
+app.post('/api/password/reset', async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({ error: 'El token y la contraseña nueva son obligatorios.' });
+    }
+
+    try {
+        const reset = await accountService.resetPassword(token, password);
+        if (!reset) {
+            return res.status(400).json({ error: 'El link de recuperación es inválido o venció. Pide uno nuevo.' });
+        }
+        console.log('Contraseña restablecida con un link de recuperación.');
+        return res.status(200).json({ message: 'Contraseña actualizada. Ya puedes iniciar sesión.' });
+    } catch (error) {
+        console.error('Error al restablecer la contraseña:', error.message);
+        return res.status(500).json({ error: 'Error interno al restablecer la contraseña.' });
+    }
 });
 
 // -----------------------------------------------------
@@ -207,16 +745,57 @@ app.put('/api/profile', checkAuth, async (req, res) => {
 // RUTAS DE INVENTARIO (CRUD)
 // -----------------------------------------------------
 
+// Agrupaciones posibles del inventario (?groupBy=...)
+const INVENTORY_GROUP_FIELDS = ['location', 'category'];
+
+/**
+ * @brief Lee la ubicación y la categoría opcionales de un alimento (al crearlo o moverlo).
+ * * Enviarlas como null (o vacías) las quita.
+ * @returns {Promise<object>} { placement } con los campos enviados, o { error } si alguno es inválido.
+ */
+async function parsePlacement(body, userId) {
+    const placement = {};
+    if (body.location !== undefined) {
+        if (body.location === null || body.location === '') {
+            placement.location = null;
+        } else if (typeof body.location !== 'string' || !(await storageService.findLocation(userId, body.location))) {
+            return { error: `La ubicación "${body.location}" no existe.` };
+        } else {
+            placement.location = body.location.toLowerCase().trim();
+        }
+    }
+    if (body.category !== undefined) {
+        if (body.category === null || body.category === '') {
+            placement.category = null;
+        } else if (!storageService.FOOD_CATEGORIES.includes(body.category)) {
+            return { error: `Categoría inválida. Opciones: ${storageService.FOOD_CATEGORIES.join(', ')}.` };
+        } else {
+            placement.category = body.category;
+        }
+    }
+    return { placement };
+}
+
 // LISTAR INVENTARIO (READ)
 /**
  * @brief Endpoint para listar inventario.
- * * @route GET /api/inventario
+ * * Con 'location' y/o 'category' filtra ('none' = los que no tienen). Con 'groupBy' devuelve
+ * los alimentos agrupados por ubicación o categoría.
+ * @route GET /api/inventario?location=heladera&category=lácteos&groupBy=location
  */
 app.get('/api/inventario', checkAuth, async (req, res) => {
-    try {
+    const { location, category, groupBy } = req.query;
+
+    if (groupBy && !INVENTORY_GROUP_FIELDS.includes(groupBy)) {
+        return res.status(400).json({ error: 'Agrupación inválida.', validValues: INVENTORY_GROUP_FIELDS });
+    }
+    const filters = {};
+    if (location) filters.location = location === 'none' ? null : location.toLowerCase().trim();
+    if (category) filters.category = category === 'none' ? null : category;
 
-        const inventario = await userService.getAlimentosByUsuario(req.userId); 
-        res.status(200).json(inventario); 
+    try {
+        const inventario = await userService.getAlimentosByUsuario(req.userId, filters); 
+        res.status(200).json(groupBy ? userService.groupAlimentos(inventario, groupBy) : inventario); 
     } catch (error) {
         res.status(500).json({ error: 'Error interno al listar inventario.', details: error.message }); 
     }
@@ -234,388 +813,2213 @@ app.post('/api/inventario', checkAuth, async (req, res) => {
         return res.status(400).json({ error: 'Todos los campos son obligatorios.' });
     }
 
+    const quantityError = validateQuantityAndUnit(req.body, true);
+    if (quantityError) {
+        return res.status(400).json({ error: quantityError });
+    }
+
+    // Fechas opcionales del lote (compra y vencimiento)
+    const dates = parseLotDates(req.body);
+    if (!dates) {
+        return res.status(400).json({ error: 'Formato de fecha inválido.' });
+    }
+
+    // Densidad / peso por unidad opcionales (para convertir entre masa, volumen y unidades)
+    const properties = parseIngredientProperties(req.body);
+    if (!properties) {
+        return res.status(400).json({ error: 'La densidad y el peso por unidad deben ser números mayores a 0.' });
+    }
+
     try {
+        // Ubicación y categoría opcionales
+        const { placement, error: placementError } = await parsePlacement(req.body, req.userId);
+        if (placementError) {
+            return res.status(400).json({ error: placementError });
+        }
+
         // ¡SIN TRADUCCIÓN! Guardamos el nombre en español y minúsculas.
         const nuevoAlimento = await userService.createOrUpdateAlimento(
             req.userId, 
             article_name.toLowerCase(), 
             quantity, 
-            unit
+            unit,
+            dates,
+            properties,
+            placement
         );
 
         res.status(201).json(nuevoAlimento); 
     } catch (error) {
+        if (error.name === 'UnitConversionError') {
+            // 409: Conflicto - La unidad no es compatible con la del alimento existente
+            return res.status(409).json({ error: error.message });
+        }
         console.error('Error interno al agregar alimento:', error.message);
         res.status(500).json({ error: 'Error interno al agregar alimento.' }); 
     }
 });
 
 /**
- * @brief Endpoint para chequear si un alimento ya existe en el inventario.
- * * @route GET /api/inventario/check?name=pan&userId=...
+ * @brief Endpoint para listar los alimentos que vencen pronto ("usar pronto").
+ * * Incluye los alimentos ya vencidos. Por defecto considera los próximos 3 días.
+ * @route GET /api/inventario/por-vencer?days=3
  */
-app.get('/api/inventario/check', checkAuth, async (req, res) => {
-    // Leemos el nombre del alimento desde el query parameter 'name'
-    const article_name = req.query.name; 
+app.get('/api/inventario/por-vencer', checkAuth, async (req, res) => {
+    const days = req.query.days === undefined ? 3 : parseInt(req.query.days);
 
-    if (!article_name) {
-        return res.status(400).json({ error: 'Falta el nombre del alimento para chequear.' });
+    if (isNaN(days) || days < 0) {
+        return res.status(400).json({ error: 'El parámetro "days" debe ser un número positivo.' });
     }
 
     try {
-        // Llama al servicio para buscar el alimento por nombre
-        const existingItem = await userService.findAlimentoByName(req.userId, article_name);
+        const porVencer = await userService.getAlimentosPorVencer(req.userId, days);
+        res.status(200).json(porVencer);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al listar alimentos por vencer.', details: error.message });
+    }
+});
 
-        if (existingItem) {
-            // Si el alimento existe, devolvemos 'exists: true' junto con el ID y cantidad.
-            return res.status(200).json({ 
-                exists: true, 
-                id: existingItem._id, // ID del alimento existente
-                quantity: existingItem.quantity,
-                unit: existingItem.unit
-            });
-        } else {
-            // Si no existe, devolvemos 'exists: false'
-            return res.status(200).json({ exists: false });
-        }
+/**
+ * @brief Endpoint para listar los alimentos que están por debajo de su cantidad mínima.
+ * * Cada alimento incluye 'missing' ({ quantity, unit }): lo que falta para llegar al mínimo.
+ * @route GET /api/inventario/bajo-stock
+ */
+app.get('/api/inventario/bajo-stock', checkAuth, async (req, res) => {
+    try {
+        const bajoStock = await userService.getAlimentosBajoStock(req.userId);
+        res.status(200).json(bajoStock);
     } catch (error) {
-        console.error('ERROR al chequear duplicado:', error);
-        res.status(500).json({ error: 'Error interno al chequear duplicado.' });
+        res.status(500).json({ error: 'Error interno al listar alimentos con poco stock.', details: error.message });
     }
 });
 
 /**
- * @brief Endpoint para sumar cantidad a un alimento existente.
- * @route PATCH /api/inventario/:alimentoId/sumar
+ * @brief Agrega a la lista de compras los alimentos que quedaron por debajo de su mínimo.
+ * * Se llama después de guardar el cambio del inventario: si falla, solo se registra el error
+ * (responder 500 haría que el cliente reintente y se descuente o sume dos veces).
+ * @param {Array} restock [{ article_name, quantity, unit }] (ver userService.getRestockItem).
+ * @returns {Promise<Array>} Los nombres de los artículos agregados.
  */
-app.patch('/api/inventario/:alimentoId/sumar', checkAuth, async (req, res) => {
-    const alimentoId = req.params.alimentoId;
-    const { quantity } = req.body; 
+async function addRestockToShoppingList(userId, restock = []) {
+    const added = [];
+    for (const item of restock) {
+        try {
+            await shoppingListService.addShoppingItem(userId, item.article_name, item.quantity, item.unit);
+            added.push(item.article_name);
+        } catch (error) {
+            console.error(`❌ No se pudo agregar "${item.article_name}" a la lista de compras:`, error);
+        }
+    }
+    return added;
+}
 
-    if (!quantity || isNaN(parseInt(quantity))) {
-        return res.status(400).json({ error: 'Falta la cantidad a sumar.' });
+/**
+ * @brief Endpoint para descargar el inventario como archivo CSV o JSON (para abrirlo en una planilla).
+ * @route GET /api/inventario/export?format=csv
+ */
+app.get('/api/inventario/export', checkAuth, async (req, res) => {
+    const { format = 'csv' } = req.query;
+
+    if (!inventoryTransferService.TRANSFER_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'Formato inválido.', validValues: inventoryTransferService.TRANSFER_FORMATS });
     }
 
     try {
-        const updated = await userService.sumarCantidadAlimento(alimentoId, req.userId, parseInt(quantity));
-
-        if (updated) {
-            return res.status(200).json({ message: 'Cantidad sumada con éxito.' });
-        } else {
-            return res.status(404).json({ error: 'Alimento no encontrado o no pertenece al usuario.' });
-        }
+        const content = await inventoryTransferService.exportInventory(req.userId, format);
+        const fileName = `inventario-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.status(200)
+            .type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8')
+            .attachment(fileName)
+            .send(content);
     } catch (error) {
-        res.status(500).json({ error: 'Error interno al sumar cantidad.' });
+        res.status(500).json({ error: 'Error interno al exportar el inventario.', details: error.message });
     }
 });
 
-// ACTUALIZAR ALIMENTO (UPDATE)
 /**
- * @brief Endpoint para actualizar alimento.
- * * @route PUT /api/inventario/:alimentoId
+ * @brief Endpoint para importar alimentos desde un archivo CSV o JSON (con las columnas de la exportación).
+ * * Con 'dryRun: true' no guarda nada: devuelve qué filas se crearían, se sumarían a un alimento
+ * existente o se rechazarían (con sus errores), para mostrar la vista previa.
+ * @route POST /api/inventario/import
+ * @body { format: 'csv' | 'json', data: "<contenido del archivo>", dryRun: true }
  */
-app.put('/api/inventario/:alimentoId', checkAuth, async (req, res) => {
-    // 1. Extraemos los tres campos del body
-    const { article_name, quantity, unit } = req.body; 
-    const alimentoId = req.params.alimentoId;
+app.post('/api/inventario/import', checkAuth, async (req, res) => {
+    const { format = 'csv', data, dryRun = false } = req.body;
+
+    if (!inventoryTransferService.TRANSFER_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'Formato inválido.', validValues: inventoryTransferService.TRANSFER_FORMATS });
+    }
+    if (!data) {
+        return res.status(400).json({ error: 'Falta el contenido del archivo.' });
+    }
+
+    try {
+        const rows = inventoryTransferService.parseImportData(data, format);
+        const result = await inventoryTransferService.importInventory(req.userId, rows, dryRun === true);
+        if (!result.dryRun) {
+            console.log(`Inventario importado por ${req.userId}: ${result.summary.create} creados, ${result.summary.merge} sumados, ${result.summary.reject} rechazados.`);
+        }
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.name === 'InventoryTransferError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al importar el inventario.', details: error.message });
+    }
+});
+
+// Largo máximo del texto que se interpreta en /api/inventario/parse
+const MAX_PARSE_TEXT_LENGTH = 2000;
+
+/**
+ * @brief Endpoint para interpretar texto libre (voz o una lista pegada) como alimentos.
+ * * No guarda nada: devuelve los candidatos con su confianza para que el usuario los confirme.
+ * Si un candidato coincide con un alimento de la despensa (singular/plural) trae su 'alimentoId'.
+ * @route POST /api/inventario/parse
+ * @body { text: "dos kilos de papas y medio litro de leche" }
+ */
+app.post('/api/inventario/parse', checkAuth, async (req, res) => {
+    const { text } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ error: 'Falta el texto a interpretar.' });
+    }
+    if (text.length > MAX_PARSE_TEXT_LENGTH) {
+        return res.status(400).json({ error: `El texto no puede superar los ${MAX_PARSE_TEXT_LENGTH} caracteres.` });
+    }
+
+    try {
+        const { items, unparsed } = itemParserService.parseItems(text);
+        const inventory = await userService.getAlimentosByUsuario(req.userId);
+        itemParserService.matchInventoryNames(items, inventory);
+
+        console.log(`Texto interpretado para ${req.userId}: ${items.length} alimento(s), ${unparsed.length} sin interpretar.`);
+        res.status(200).json({ items, unparsed });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al interpretar el texto.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para chequear si un alimento ya existe en el inventario.
+ * * @route GET /api/inventario/check?name=pan
+ */
+app.get('/api/inventario/check', checkAuth, async (req, res) => {
+    // Leemos el nombre del alimento desde el query parameter 'name'
+    const article_name = req.query.name; 
+
+    if (!article_name) {
+        return res.status(400).json({ error: 'Falta el nombre del alimento para chequear.' });
+    }
+
+    try {
+        // Llama al servicio para buscar el alimento por nombre
+        const existingItem = await userService.findAlimentoByName(req.userId, article_name);
+
+        if (existingItem) {
+            // Si el alimento existe, devolvemos 'exists: true' junto con el ID y cantidad.
+            return res.status(200).json({ 
+                exists: true, 
+                id: existingItem._id, // ID del alimento existente
+                quantity: existingItem.quantity,
+                unit: existingItem.unit
+            });
+        } else {
+            // Si no existe, devolvemos 'exists: false'
+            return res.status(200).json({ exists: false });
+        }
+    } catch (error) {
+        console.error('ERROR al chequear duplicado:', error);
+        res.status(500).json({ error: 'Error interno al chequear duplicado.' });
+    }
+});
+
+/**
+ * @brief Endpoint para sumar cantidad a un alimento existente.
+ * @route PATCH /api/inventario/:alimentoId/sumar
+ */
+app.patch('/api/inventario/:alimentoId/sumar', checkAuth, async (req, res) => {
+    const alimentoId = req.params.alimentoId;
+    const { quantity, unit } = req.body; 
+
+    if (!quantity || isNaN(parseFloat(quantity))) {
+        return res.status(400).json({ error: 'Falta la cantidad a sumar.' });
+    }
+
+    // La unidad es opcional: si se envía, la cantidad se convierte a la unidad del alimento
+    const quantityError = validateQuantityAndUnit(req.body, false);
+    if (quantityError) {
+        return res.status(400).json({ error: quantityError });
+    }
+
+    const properties = parseIngredientProperties(req.body);
+    if (!properties) {
+        return res.status(400).json({ error: 'La densidad y el peso por unidad deben ser números mayores a 0.' });
+    }
+
+    // La cantidad sumada se registra como un lote nuevo, con sus propias fechas
+    const dates = parseLotDates(req.body);
+    if (!dates) {
+        return res.status(400).json({ error: 'Formato de fecha inválido.' });
+    }
+
+    try {
+        const updated = await userService.sumarCantidadAlimento(alimentoId, req.userId, parseFloat(quantity), dates, unit, properties);
+
+        if (updated) {
+            const restocked = await addRestockToShoppingList(req.userId, updated.restock);
+            return res.status(200).json({ message: 'Cantidad sumada con éxito.', restocked });
+        } else {
+            return res.status(404).json({ error: 'Alimento no encontrado o no pertenece al usuario.' });
+        }
+    } catch (error) {
+        if (error.name === 'UnitConversionError') {
+            return res.status(409).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al sumar cantidad.' });
+    }
+});
+
+// ACTUALIZAR ALIMENTO (UPDATE)
+/**
+ * @brief Endpoint para actualizar alimento.
+ * * @route PUT /api/inventario/:alimentoId
+ */
+app.put('/api/inventario/:alimentoId', checkAuth, async (req, res) => {
+    // 1. Extraemos los campos del body (las fechas son opcionales)
+    const { article_name, quantity, unit } = req.body; 
+    const alimentoId = req.params.alimentoId;
+    const dates = parseLotDates(req.body);
+    const properties = parseIngredientProperties(req.body);
+
+    if (!dates) {
+        return res.status(400).json({ error: 'Formato de fecha inválido.' });
+    }
+    if (!properties) {
+        return res.status(400).json({ error: 'La densidad y el peso por unidad deben ser números mayores a 0.' });
+    }
 
     // 2. Validación más flexible: al menos un campo debe estar presente
-    if (!article_name && !quantity && !unit) {
+    if (!article_name && !quantity && !unit && Object.keys(dates).length === 0 && Object.keys(properties).length === 0) {
+        return res.status(400).json({ error: 'No se proporcionaron campos para actualizar.' });
+    }
+
+    const quantityError = validateQuantityAndUnit(req.body, false);
+    if (quantityError) {
+        return res.status(400).json({ error: quantityError });
+    }
+
+    try {
+        // Al actualizar, también guardamos en minúsculas y español
+        const clean_article_name = article_name ? article_name.toLowerCase() : undefined;
+        const updated = await userService.updateAlimento(alimentoId, req.userId, clean_article_name, quantity, unit, dates, properties);
+
+        if (!updated) {
+            return res.status(404).json({ error: 'Alimento no encontrado, no autorizado o sin cambios.' }); 
+        }
+
+        // Si quedó por debajo de su mínimo (y tiene reposición automática) se agrega a la lista de compras
+        const restocked = await addRestockToShoppingList(req.userId, updated.restock);
+        res.status(200).json({ message: 'Alimento actualizado con éxito.', restocked });
+    } catch (error) {
+        if (error.name === 'UnitConversionError') {
+            return res.status(409).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al actualizar alimento.' });
+    }
+});
+
+// MARCAR ALIMENTO BÁSICO
+/**
+ * @brief Endpoint para marcar o desmarcar un alimento como básico (sal, aceite, agua...).
+ * * Los básicos no se envían al buscar recetas, pero se dan por disponibles.
+ * @route PATCH /api/inventario/:alimentoId/basico
+ */
+app.patch('/api/inventario/:alimentoId/basico', checkAuth, async (req, res) => {
+    const { staple } = req.body;
+
+    if (typeof staple !== 'boolean') {
+        return res.status(400).json({ error: "El campo 'staple' debe ser true o false." });
+    }
+    if (!mongoose.isValidObjectId(req.params.alimentoId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
+
+    try {
+        const alimento = await userService.setAlimentoStaple(req.params.alimentoId, req.userId, staple);
+        if (!alimento) {
+            return res.status(404).json({ error: 'Alimento no encontrado o no pertenece al usuario.' });
+        }
+        res.status(200).json(alimento);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al actualizar alimento.' });
+    }
+});
+
+// UBICACIÓN Y CATEGORÍA DE UN ALIMENTO
+/**
+ * @brief Endpoint para mover un alimento a otra ubicación y/o cambiar su categoría.
+ * * Con 'extendExpiry' (true o una cantidad de días), al pasarlo a una ubicación que congela
+ * (ej: el freezer) se extiende el vencimiento de sus lotes.
+ * @route PATCH /api/inventario/:alimentoId/ubicacion
+ */
+app.patch('/api/inventario/:alimentoId/ubicacion', checkAuth, async (req, res) => {
+    const { extendExpiry } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.alimentoId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
+    if (req.body.location === undefined && req.body.category === undefined) {
+        return res.status(400).json({ error: 'No se proporcionaron campos para actualizar.' });
+    }
+    if (extendExpiry !== undefined && typeof extendExpiry !== 'boolean' && !(Number.isInteger(extendExpiry) && extendExpiry > 0)) {
+        return res.status(400).json({ error: "El campo 'extendExpiry' debe ser true, false o una cantidad de días mayor a 0." });
+    }
+
+    try {
+        const { placement, error: placementError } = await parsePlacement(req.body, req.userId);
+        if (placementError) {
+            return res.status(400).json({ error: placementError });
+        }
+
+        const result = await userService.setAlimentoUbicacion(req.params.alimentoId, req.userId, { ...placement, extendExpiry });
+        if (!result) {
+            return res.status(404).json({ error: 'Alimento no encontrado o no pertenece al usuario.' });
+        }
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.name === 'StorageError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al actualizar alimento.' });
+    }
+});
+
+// CANTIDAD MÍNIMA DE UN ALIMENTO
+/**
+ * @brief Endpoint para definir la cantidad mínima de un alimento (o quitarla con minQuantity: null).
+ * * 'minUnit' es opcional (por defecto, la unidad del alimento) y puede ser otra unidad
+ * convertible (ej: mínimo en gramos de un alimento en kilogramos). Con 'autoRestock: true',
+ * cuando el alimento baja del mínimo se agrega solo a la lista de compras.
+ * @route PATCH /api/inventario/:alimentoId/minimo
+ */
+app.patch('/api/inventario/:alimentoId/minimo', checkAuth, async (req, res) => {
+    const { minQuantity, minUnit, autoRestock } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.alimentoId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
+    if (minQuantity === undefined && autoRestock === undefined) {
+        return res.status(400).json({ error: 'No se proporcionaron campos para actualizar.' });
+    }
+    if (minQuantity !== undefined && minQuantity !== null && (typeof minQuantity !== 'number' || !Number.isFinite(minQuantity) || minQuantity < 0)) {
+        return res.status(400).json({ error: 'La cantidad mínima debe ser un número mayor o igual a 0 (o null para quitarla).' });
+    }
+    if (minUnit && !unitService.isValidUnit(minUnit)) {
+        return res.status(400).json({ error: `Unidad inválida. Opciones: ${Object.keys(unitService.UNITS).join(', ')}.` });
+    }
+    if (autoRestock !== undefined && typeof autoRestock !== 'boolean') {
+        return res.status(400).json({ error: "El campo 'autoRestock' debe ser true o false." });
+    }
+
+    try {
+        const alimento = await userService.setAlimentoMinimo(req.params.alimentoId, req.userId, { minQuantity, minUnit, autoRestock });
+        if (!alimento) {
+            return res.status(404).json({ error: 'Alimento no encontrado o no pertenece al usuario.' });
+        }
+        res.status(200).json(alimento);
+    } catch (error) {
+        if (error.name === 'UnitConversionError') {
+            return res.status(409).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al actualizar alimento.' });
+    }
+});
+
+// ELIMINAR ALIMENTO (DELETE)
+/**
+ * @brief Endpoint para eliminar alimento.
+ * * @route DELETE /api/inventario
+ */
+app.delete('/api/inventario/:alimentoId', checkAuth, async (req, res) => {
+    const alimentoId = req.params.alimentoId;
+    
+    try {
+        const deleted = await userService.deleteAlimento(alimentoId, req.userId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Alimento no encontrado o no autorizado.' });
+        }
+
+        res.status(200).json({ message: 'Alimento eliminado con éxito.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al eliminar alimento.' });
+    }
+});
+
+// -----------------------------------------------------
+// UBICACIONES Y CATEGORÍAS
+// -----------------------------------------------------
+
+/**
+ * @brief Endpoint para listar las ubicaciones de la despensa (las por defecto y las creadas).
+ * @route GET /api/ubicaciones
+ */
+app.get('/api/ubicaciones', checkAuth, async (req, res) => {
+    try {
+        const locations = await storageService.getLocations(req.userId);
+        res.status(200).json(locations);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al listar las ubicaciones.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para listar las categorías de alimentos.
+ * @route GET /api/categorias
+ */
+app.get('/api/categorias', checkAuth, (req, res) => {
+    res.status(200).json(storageService.FOOD_CATEGORIES);
+});
+
+/**
+ * @brief Valida el nombre y 'freezes' de una ubicación (al crearla o editarla).
+ * @returns {string|null} El mensaje de error o null si son válidos.
+ */
+function validateLocationBody(body, required) {
+    const { name, freezes } = body;
+    if (name !== undefined || required) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > 40) {
+            return 'El nombre de la ubicación es obligatorio (hasta 40 caracteres).';
+        }
+    }
+    if (freezes !== undefined && typeof freezes !== 'boolean') {
+        return "El campo 'freezes' debe ser true o false.";
+    }
+    return null;
+}
+
+/**
+ * @brief Endpoint para crear una ubicación (ej: "despensa del sótano").
+ * * Con 'freezes: true' se comporta como el freezer (al mover alimentos se puede extender el vencimiento).
+ * @route POST /api/ubicaciones
+ */
+app.post('/api/ubicaciones', checkAuth, async (req, res) => {
+    const validationError = validateLocationBody(req.body, true);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const location = await storageService.createLocation(req.userId, req.body.name, req.body.freezes);
+        res.status(201).json(location);
+    } catch (error) {
+        if (error.name === 'StorageError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al crear la ubicación.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para renombrar una ubicación creada (los alimentos la siguen) o cambiar si congela.
+ * * Las ubicaciones por defecto no se pueden modificar.
+ * @route PUT /api/ubicaciones/:locationId
+ */
+app.put('/api/ubicaciones/:locationId', checkAuth, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.locationId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
+    if (req.body.name === undefined && req.body.freezes === undefined) {
         return res.status(400).json({ error: 'No se proporcionaron campos para actualizar.' });
     }
+    const validationError = validateLocationBody(req.body, false);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const location = await storageService.updateLocation(req.userId, req.params.locationId, req.body);
+        if (!location) {
+            return res.status(404).json({ error: 'Ubicación no encontrada.' });
+        }
+        res.status(200).json(location);
+    } catch (error) {
+        if (error.name === 'StorageError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al actualizar la ubicación.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para eliminar una ubicación creada. Sus alimentos quedan sin ubicación.
+ * @route DELETE /api/ubicaciones/:locationId
+ */
+app.delete('/api/ubicaciones/:locationId', checkAuth, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.locationId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
+
+    try {
+        const unassigned = await storageService.deleteLocation(req.userId, req.params.locationId);
+        if (unassigned === null) {
+            return res.status(404).json({ error: 'Ubicación no encontrada.' });
+        }
+        res.status(200).json({ message: 'Ubicación eliminada.', unassigned });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al eliminar la ubicación.', details: error.message });
+    }
+});
+
+// -----------------------------------------------------
+// CATÁLOGO DE PRODUCTOS (CÓDIGOS DE BARRAS)
+// -----------------------------------------------------
+
+/**
+ * @brief Endpoint para buscar un producto por su código de barras (EAN/UPC).
+ * @route GET /api/productos/:barcode
+ */
+app.get('/api/productos/:barcode', checkAuth, async (req, res) => {
+    if (!productService.isValidBarcode(req.params.barcode)) {
+        return res.status(400).json({ error: 'El código de barras debe tener entre 8 y 14 dígitos.' });
+    }
+
+    try {
+        const product = await productService.findProduct(req.params.barcode);
+        if (!product) {
+            return res.status(404).json({ error: 'El código no está en el catálogo.' });
+        }
+        res.status(200).json(product);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al buscar el producto.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para agregar al catálogo un código desconocido (así el próximo escaneo lo encuentra).
+ * @route POST /api/productos
+ */
+app.post('/api/productos', checkAuth, async (req, res) => {
+    try {
+        const product = await productService.createProduct(req.userId, req.body);
+        res.status(201).json(product);
+    } catch (error) {
+        if (error.name === 'ProductError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al crear el producto.', details: error.message });
+    }
+});
+
+// -----------------------------------------------------
+// HISTORIAL DEL INVENTARIO
+// -----------------------------------------------------
+
+/**
+ * @brief Lee el rango de fechas 'from'/'to' de la query (historial y estadísticas).
+ * * Aceptan fecha ('YYYY-MM-DD', 'to' incluye todo ese día) o fecha y hora.
+ * @returns {object|null} { from, to } (los ausentes quedan undefined) o null si alguna fecha es inválida.
+ */
+function parseDateRange(query) {
+    const range = {};
+    for (const field of ['from', 'to']) {
+        if (!query[field]) continue;
+        const date = new Date(query[field]);
+        if (isNaN(date.getTime())) {
+            return null;
+        }
+        if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[field])) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCMilliseconds(-1);
+        }
+        range[field] = date;
+    }
+    if (range.from && range.to && range.from > range.to) {
+        return null;
+    }
+    return range;
+}
+
+/**
+ * @brief Lee los filtros del historial desde la query.
+ * @returns {object} { filters } o { error } si algún filtro es inválido.
+ */
+function parseHistoryFilters(query) {
+    const { alimentoId, action, memberId, page, limit } = query;
+    if (alimentoId && !mongoose.isValidObjectId(alimentoId)) {
+        return { error: 'Formato de ID inválido.' };
+    }
+    if (memberId && !mongoose.isValidObjectId(memberId)) {
+        return { error: 'Formato de ID inválido.' };
+    }
+    if (action && !inventoryHistoryService.HISTORY_ACTIONS.includes(action)) {
+        return { error: 'Acción inválida.', validValues: inventoryHistoryService.HISTORY_ACTIONS };
+    }
+
+    const range = parseDateRange(query);
+    if (!range) {
+        return { error: 'Formato de fecha inválido.' };
+    }
+    return { filters: { alimentoId, action, memberId, page, limit, ...range } };
+}
+
+/**
+ * @brief Endpoint para listar el historial de cambios de la despensa (la del hogar, si el usuario tiene).
+ * @route GET /api/inventario/historial?alimentoId=...&action=update&memberId=...&from=2025-05-01&to=2025-05-31&page=1&limit=20
+ */
+app.get('/api/inventario/historial', checkAuth, async (req, res) => {
+    const { filters, error, validValues } = parseHistoryFilters(req.query);
+    if (error) {
+        return res.status(400).json({ error, validValues });
+    }
+
+    try {
+        const history = await inventoryHistoryService.getHistory(req.userId, filters);
+        res.status(200).json(history);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al listar el historial.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para deshacer el último cambio del usuario en el inventario.
+ * @route POST /api/inventario/historial/deshacer
+ */
+app.post('/api/inventario/historial/deshacer', checkAuth, async (req, res) => {
+    try {
+        const result = await inventoryHistoryService.undoLastChange(req.userId);
+        if (!result) {
+            return res.status(404).json({ error: 'No hay cambios para deshacer.' });
+        }
+        res.status(200).json({ message: `Se deshizo el último cambio de "${result.entry.article_name}".`, ...result });
+    } catch (error) {
+        if (error.name === 'InventoryHistoryError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al deshacer el cambio.', details: error.message });
+    }
+});
+
+// -----------------------------------------------------
+// ESTADÍSTICAS DE LA DESPENSA
+// -----------------------------------------------------
+// Todas aceptan el rango de fechas 'from'/'to' (ver parseDateRange) y, si el usuario
+// pertenece a un hogar, son las del hogar.
+
+/**
+ * @brief Endpoint para ver el consumo y las compras por alimento a lo largo del tiempo.
+ * @route GET /api/estadisticas/consumo?from=2025-03-01&to=2025-05-31&groupBy=week
+ */
+app.get('/api/estadisticas/consumo', checkAuth, async (req, res) => {
+    const range = parseDateRange(req.query);
+    if (!range) {
+        return res.status(400).json({ error: 'Rango de fechas inválido.' });
+    }
+    const groupBy = req.query.groupBy || 'week';
+    if (!analyticsService.CONSUMPTION_GROUPS.includes(groupBy)) {
+        return res.status(400).json({ error: 'Agrupación inválida.', validValues: analyticsService.CONSUMPTION_GROUPS });
+    }
+
+    try {
+        const consumption = await analyticsService.getConsumption(req.userId, { ...range, groupBy });
+        res.status(200).json(consumption);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al calcular el consumo.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para ver las recetas más cocinadas.
+ * @route GET /api/estadisticas/recetas?limit=10
+ */
+app.get('/api/estadisticas/recetas', checkAuth, async (req, res) => {
+    const range = parseDateRange(req.query);
+    if (!range) {
+        return res.status(400).json({ error: 'Rango de fechas inválido.' });
+    }
+    const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit);
+    if (isNaN(limit) || limit < 1 || limit > 50) {
+        return res.status(400).json({ error: 'El parámetro "limit" debe ser un número entre 1 y 50.' });
+    }
+
+    try {
+        const recipes = await analyticsService.getMostCookedRecipes(req.userId, { ...range, limit });
+        res.status(200).json(recipes);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al calcular las recetas más cocinadas.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para ver los alimentos que vencieron sin usarse (eliminados y aún en la despensa).
+ * @route GET /api/estadisticas/vencidos
+ */
+app.get('/api/estadisticas/vencidos', checkAuth, async (req, res) => {
+    const range = parseDateRange(req.query);
+    if (!range) {
+        return res.status(400).json({ error: 'Rango de fechas inválido.' });
+    }
+
+    try {
+        const expired = await analyticsService.getExpiredUnused(req.userId, range);
+        res.status(200).json(expired);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al calcular los vencidos.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para ver cuánto tiempo permanecen los alimentos en la despensa.
+ * @route GET /api/estadisticas/permanencia
+ */
+app.get('/api/estadisticas/permanencia', checkAuth, async (req, res) => {
+    const range = parseDateRange(req.query);
+    if (!range) {
+        return res.status(400).json({ error: 'Rango de fechas inválido.' });
+    }
+
+    try {
+        const duration = await analyticsService.getPantryDuration(req.userId, range);
+        res.status(200).json(duration);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al calcular la permanencia.', details: error.message });
+    }
+});
+
+
+// -----------------------------------------------------
+// RUTA DE RECETAS (v3 - CON SORTING MEJORADO)
+// -----------------------------------------------------
+
+// Paginación de la búsqueda de recetas
+const DEFAULT_RECIPES_PAGE_SIZE = 5;
+const MAX_RECIPES_PAGE_SIZE = 20;
+// Spoonacular devuelve como máximo 100 recetas por búsqueda
+const MAX_RECIPES_RESULTS = 100;
+// Semilla máxima del orden aleatorio (ver recipeSorts.sortRecipes)
+const MAX_RECIPES_SEED = 2 ** 31 - 1;
+
+function isValidRecipeSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_RECIPES_SEED;
+}
+
+/**
+ * @brief Endpoint para buscar receta con inventario.
+ * * Por defecto se busca con todos los alimentos que no son básicos. 'include' limita la
+ * búsqueda a algunos alimentos (por ID), 'mustUse' exige que las recetas usen ciertos
+ * alimentos y 'exclude' descarta recetas con ciertos ingredientes (nombres en español).
+ * Los alimentos básicos no se envían, pero se dan por disponibles (ver applyStaples).
+ * * Las intolerancias y los ingredientes excluidos del perfil se aplican siempre; cocinas,
+ * tipo de plato y tiempo máximo llegan como filtros, igual que la dieta. Las recetas que
+ * igual traen algún ingrediente restringido se marcan con 'allergenWarnings'.
+ * * Con los criterios de orden fijos cada página se arma pidiendo a cada origen (proveedor y
+ * recetas de usuarios) las primeras page*pageSize recetas y mezclándolas con el mismo criterio,
+ * así las páginas no se solapan aunque los orígenes se intercalen. Con 'random' o al priorizar
+ * vencimientos el orden depende de todas las recetas, así que siempre se piden las
+ * MAX_RECIPES_RESULTS de cada origen y se pagina sobre esa misma lista: el orden aleatorio
+ * sale de 'seed' (la primera página la elige y la devuelve; las siguientes deben repetirla).
+ * * 'hasMore' se calcula con las recetas ya filtradas por 'mustUse'; 'total' es el de los
+ * orígenes antes de filtrar, así que es una cota superior.
+ * * @route GET /api/recetas/inventario?page=1&pageSize=5&sort=min-missing-ingredients&seed=123&include=id1,id2&mustUse=id1&exclude=cilantro&cuisine=italian&excludeCuisine=indian&type=main%20course&maxReadyTime=30
+ */
+app.get('/api/recetas/inventario', checkAuth, async (req, res) => {
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const pageSize = req.query.pageSize === undefined ? DEFAULT_RECIPES_PAGE_SIZE : Number(req.query.pageSize);
+    const sort = req.query.sort || recipeProviders.DEFAULT_SORT;
+
+    if (!Number.isInteger(page) || page < 1) {
+        return res.status(400).json({ error: "El parámetro 'page' debe ser un entero mayor o igual a 1." });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_RECIPES_PAGE_SIZE) {
+        return res.status(400).json({ error: `El parámetro 'pageSize' debe ser un entero entre 1 y ${MAX_RECIPES_PAGE_SIZE}.` });
+    }
+    if (!recipeProviders.isValidSort(sort)) {
+        return res.status(400).json({ error: 'Criterio de orden inválido.', validSorts: Object.keys(recipeProviders.RECIPE_SORTS) });
+    }
+    if (page * pageSize > MAX_RECIPES_RESULTS) {
+        return res.status(400).json({ error: `Solo se pueden ver las primeras ${MAX_RECIPES_RESULTS} recetas.` });
+    }
+    if (req.query.seed !== undefined && !isValidRecipeSeed(Number(req.query.seed))) {
+        return res.status(400).json({ error: `El parámetro 'seed' debe ser un entero entre 0 y ${MAX_RECIPES_SEED}.` });
+    }
+    // Semilla del orden aleatorio: la elige la primera página y las siguientes la repiten
+    const seed = sort !== 'random' ? null
+        : req.query.seed !== undefined ? Number(req.query.seed) : Math.floor(Math.random() * (MAX_RECIPES_SEED + 1));
+
+    const includeIds = parseListParam(req.query.include);
+    const mustUseIds = parseListParam(req.query.mustUse) || [];
+    const excludeNames = (parseListParam(req.query.exclude) || []).map(name => name.toLowerCase());
+    if ([...(includeIds || []), ...mustUseIds].some(id => !mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ error: 'Formato de ID de alimento inválido.' });
+    }
+    const profileFilters = parseRecipeProfileFilters(req.query);
+    if (profileFilters.error) {
+        return res.status(400).json({ error: profileFilters.error, validValues: profileFilters.validValues });
+    }
+
+    const emptyPage = { page, pageSize, total: 0, hasMore: false, sort, seed, results: [] };
+
+    try {
+        // --- 1. TRADUCCIÓN DE INVENTARIO (ES -> EN) ---
+
+        // a. Obtener inventario (en español, desde la DB)
+        const inventario = await userService.getAlimentosByUsuario(req.userId);
+
+        if (inventario.length === 0) {
+            return res.status(200).json(emptyPage); // Página vacía si no hay ingredientes
+        }
+
+        // b. Elegir los alimentos a buscar: los seleccionados (o todos) menos los básicos,
+        //    más los obligatorios aunque sean básicos
+        const inventoryIds = new Set(inventario.map(item => String(item._id)));
+        if (mustUseIds.some(id => !inventoryIds.has(id)) || (includeIds || []).some(id => !inventoryIds.has(id))) {
+            return res.status(404).json({ error: 'Algún alimento seleccionado no existe o no pertenece al usuario.' });
+        }
+        const isMustUse = item => mustUseIds.includes(String(item._id));
+        const isSelected = item => isMustUse(item) || (!item.staple && (!includeIds || includeIds.includes(String(item._id))));
+        if (!inventario.some(isSelected)) {
+            return res.status(400).json({ error: 'Selecciona al menos un alimento que no sea básico.' });
+        }
+
+        // c. Traducirlos (junto con los básicos y los excluidos, los de la búsqueda y los del
+        //    perfil). Guardamos la relación inglés -> alimento (se usa para priorizar vencimientos)
+        const [inventoryWithEnglishNames, restrictions] = await Promise.all([
+            translateInventoryNames(inventario.filter(item => isSelected(item) || item.staple)),
+            getDietaryRestrictions(req.userId, excludeNames)
+        ]);
+        const searchItems = inventoryWithEnglishNames.filter(isSelected);
+        const stapleItems = inventoryWithEnglishNames.filter(item => item.staple && !isSelected(item));
+        const mustUseItems = searchItems.filter(isMustUse);
+
+        const englishIngredients = searchItems.map(item => item.englishName);
+
+        // --- 2. OBTENER FILTROS ---
+        const { diet, maxCalories, maxCarbs, maxProtein, maxSugar } = req.query;
+        const filters = { diet, maxCalories, maxCarbs, maxProtein, maxSugar, ...profileFilters.filters, intolerances: restrictions.intolerances };
+        // Los ingredientes excluidos van en inglés al proveedor y en español a las recetas de usuarios
+        const providerFilters = { ...filters, excludeIngredients: restrictions.excludedEn };
+        const userFilters = { ...filters, excludeIngredients: restrictions.excludedEs };
+
+        // Con orden aleatorio o priorizando vencimientos el orden depende de todas las recetas:
+        // se pide siempre la misma cantidad (la máxima), así cada página sale de la misma lista
+        const prioritizeExpiring = req.query.prioritizeExpiring === 'true';
+        // Se pide una receta de más para saber, ya filtradas, si queda otra página
+        const resultsNumber = sort === 'random' || prioritizeExpiring ? MAX_RECIPES_RESULTS : Math.min(page * pageSize + 1, MAX_RECIPES_RESULTS);
+
+        // --- 3. BÚSQUEDA EN EL PROVEEDOR DE RECETAS (Spoonacular con caché, o catálogo local) ---
+        // y entre las recetas de usuarios visibles (en español, se comparan con el inventario original)
+        const [providerSearch, userSearch] = await Promise.all([
+            recipeProviders.searchRecipes(englishIngredients, providerFilters, { number: resultsNumber, sort, seed }),
+            userRecipeService.searchUserRecipes(req.userId, searchItems, userFilters, { number: resultsNumber, sort, seed })
+        ]);
+
+        // Mezclamos ambos orígenes con el criterio de orden pedido (con los básicos ya descontados
+        // de los faltantes) y dejamos solo las que usan todos los alimentos obligatorios
+        // Se revisan también contra las restricciones del perfil, por si el proveedor dejó pasar alguna
+        let recipes = flagAllergens(recipeProviders.sortRecipes(
+            applyStaples([...((providerSearch && providerSearch.results) || []), ...userSearch.results], stapleItems),
+            sort,
+            seed
+        ).filter(recipe => mustUseItems.every(item => recipeUsesItem(recipe, item))), restrictions);
+        const total = ((providerSearch && providerSearch.totalResults) || 0) + userSearch.totalResults;
+
+        // Priorizamos las recetas que usan los ingredientes más próximos a vencer
+        if (prioritizeExpiring) {
+            recipes = prioritizeRecipesByExpiry(recipes, searchItems);
+        }
+        // 'total' no descuenta las que no usan los obligatorios (es una cota superior): si hay
+        // más páginas se decide con las recetas ya filtradas
+        const hasMore = page * pageSize < MAX_RECIPES_RESULTS && recipes.length > page * pageSize;
+        recipes = recipes.slice((page - 1) * pageSize, page * pageSize);
+
+        const pageInfo = {
+            page,
+            pageSize,
+            total,
+            hasMore,
+            sort,
+            seed
+        };
+        if (recipes.length === 0) {
+            return res.status(200).json({ ...pageInfo, results: [] });
+        }
+
+        // Solo se traducen las recetas del proveedor (las de usuarios ya están en español)
+        const data = recipes.filter(recipe => recipe.language !== 'es');
+        if (data.length === 0) {
+            return res.status(200).json({ ...pageInfo, results: recipes });
+        }
+
+        // --- 4. TRADUCCIÓN DE RECETAS (EN -> ES) ---
+        // a. Títulos y TODOS los ingredientes faltantes en un solo lote, cada uno con un id estable
+        //    (así un texto que no vuelve traducido no corre a los demás de lugar)
+        const items = [];
+        data.forEach(recipe => {
+            items.push({ id: `title:${recipe.id}`, text: recipe.title });
+            (recipe.missedIngredients || []).forEach((ing, index) => {
+                items.push({ id: `missed:${recipe.id}:${index}`, text: ing.original });
+            });
+        });
+
+        const translations = await translationService.translateBatch(items, 'en', 'es');
+
+        // b. Crear el array final (si algún texto no se pudo traducir queda el original)
+        const translatedById = new Map(data.map(recipe => [recipe.id, {
+            ...recipe,
+            title: translations[`title:${recipe.id}`] || recipe.title,
+            missedIngredients: (recipe.missedIngredients || []).map((ing, index) => ({
+                ...ing,
+                original: translations[`missed:${recipe.id}:${index}`] || ing.original
+            }))
+        }]));
+        const translatedData = recipes.map(recipe => translatedById.get(recipe.id) || recipe);
+
+        // 5. Enviar los datos TRADUCIDOS al frontend, con los datos de la página
+        res.status(200).json({ ...pageInfo, results: translatedData });
+
+    } catch (error) {
+        if (error.name === 'RecipeProviderError') {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        console.error("❌ ERROR DETALLADO EN GET /api/recetas/inventario:", error);
+        res.status(500).json({ error: 'Error interno al buscar recetas.', details: error.message });
+    }
+});
+
+
+// BUSCAR DETALLES DE RECETA (PROXY SEGURO)
+/**
+ * @brief Endpoint para obtener los detalles de una receta específica usando el Backend como proxy seguro.
+ * @route GET /api/recetas/detalles/:recipeId
+ */
+app.get('/api/recetas/detalles/:recipeId', checkAuth, async (req, res) => {
+    const recipeId = req.params.recipeId;
+    
+    try {
+        // a. Detalles en inglés (desde el proveedor de recetas) o en español (recetas de usuarios)
+        const [details, restrictions] = await Promise.all([
+            getRecipeDetailsForUser(recipeId, req.userId),
+            getDietaryRestrictions(req.userId)
+        ]);
+
+        // b. Revisamos los ingredientes contra las restricciones del perfil
+        const allergenWarnings = findAllergenWarnings((details.extendedIngredients || []).map(ing => ing.name), restrictions);
+        const data = allergenWarnings.length > 0 ? { ...details, allergenWarnings } : details;
+
+        // Las recetas de usuarios ya están en español
+        if (data.language === 'es') {
+            return res.status(200).json(data);
+        }
+
+        // 1. Traducciones individuales para campos grandes y un lote con todos los ingredientes
+        const ingredientItems = data.extendedIngredients.map((ing, index) => ({ id: `ingredient:${index}`, text: ing.original }));
+
+        const [
+            translatedTitle,
+            translatedSummary,
+            translatedInstructions,
+            translatedIngredients
+        ] = await Promise.all([
+            translationService.translateText(data.title, 'en', 'es'),
+            translationService.translateText(data.summary, 'en', 'es'),
+            translationService.translateText(data.instructions, 'en', 'es'),
+            translationService.translateBatch(ingredientItems, 'en', 'es')
+        ]);
+
+        // 2. Construimos el objeto de receta traducido final
+        const translatedData = {
+            ...data, // Copiamos datos originales (id, image, etc.)
+            title: translatedTitle || data.title, // Usamos traducido o el original
+            summary: translatedSummary || data.summary,
+            instructions: translatedInstructions || data.instructions,
+            // Re-mapeamos los ingredientes para asignar la traducción correcta
+            extendedIngredients: data.extendedIngredients.map((ing, index) => {
+                return {
+                    ...ing, // Copiamos datos del ingrediente original (amount, unit, etc.)
+                    // Asignamos la traducción del array o el original si algo falló
+                    original: translatedIngredients[`ingredient:${index}`] || ing.original,
+                };
+            })
+        };
+
+        // 3. Enviamos los datos TRADUCIDOS al frontend
+        res.status(200).json(translatedData);
+
+    } catch (error) {
+        // Reenviar el error si el proveedor de recetas falla
+        if (error.name === 'RecipeProviderError') {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        // Manejo de errores de red o internos del servidor
+        res.status(500).json({ error: 'Error interno del servidor al buscar detalles de receta.', details: error.message });
+    }
+});
+
+// COCINAR UNA RECETA
+/**
+ * @brief Endpoint para descontar del inventario los ingredientes de una receta cocinada.
+ * * Sin 'confirm' devuelve solo la vista previa (qué se descuenta y qué falta).
+ * Con 'confirm: true' aplica los descuentos en una transacción: los alimentos que quedan
+ * en cero se eliminan del inventario.
+ * @route POST /api/recetas/:recipeId/cocinar
+ */
+app.post('/api/recetas/:recipeId/cocinar', checkAuth, async (req, res) => {
+    const recipeId = req.params.recipeId;
+    const { servings, confirm } = req.body;
+
+    const parsedServings = servings !== undefined && servings !== null && servings !== '' ? Number(servings) : null;
+    if (parsedServings !== null && (!Number.isFinite(parsedServings) || parsedServings <= 0)) {
+        return res.status(400).json({ error: 'Las porciones deben ser un número mayor a cero.' });
+    }
+
+    try {
+        const recipe = await getRecipeDetailsForUser(recipeId, req.userId);
+        const inventoryWithEnglishNames = await getInventoryForRecipe(req.userId, recipe);
+
+        // El plan se recalcula siempre con el inventario actual (la vista previa pudo quedar vieja)
+        const plan = cookingService.buildCookingPlan(recipe, inventoryWithEnglishNames, parsedServings);
+
+        if (confirm !== true) {
+            return res.status(200).json({ recipeId: recipe.id, title: recipe.title, ...plan });
+        }
+
+        if (plan.deductions.length === 0) {
+            return res.status(400).json({ error: 'Ningún ingrediente de la receta está en tu inventario.' });
+        }
+
+        const { restock, ...result } = await cookingService.cookRecipe(req.userId, recipe, plan);
+        const restocked = await addRestockToShoppingList(req.userId, restock);
+        res.status(200).json({ message: 'Inventario actualizado con los ingredientes de la receta.', ...plan, ...result, restocked });
+
+    } catch (error) {
+        if (error.name === 'RecipeProviderError') {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        if (error.name === 'UnitConversionError') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error("❌ ERROR EN POST /api/recetas/:recipeId/cocinar:", error);
+        res.status(500).json({ error: 'Error interno al cocinar la receta.', details: error.message });
+    }
+});
+
+// -----------------------------------------------------
+// RUTAS DE RECETAS PROPIAS
+// -----------------------------------------------------
+
+/**
+ * @brief Convierte la lista 'sharedWith' del body (usernames) en IDs de usuarios.
+ * @returns {Promise<object>} { ids } o { error } si el formato es inválido o algún usuario no existe.
+ *   Si el body no trae 'sharedWith' devuelve { ids: undefined }.
+ */
+async function parseSharedWith(sharedWith) {
+    if (sharedWith === undefined) {
+        return { ids: undefined };
+    }
+    if (!Array.isArray(sharedWith)) {
+        return { error: 'sharedWith debe ser una lista de usernames.' };
+    }
+
+    const { ids, notFound } = await userRecipeService.resolveUsers(sharedWith);
+    if (notFound.length > 0) {
+        return { error: `Usuarios no encontrados: ${notFound.join(', ')}.` };
+    }
+    return { ids };
+}
+
+/**
+ * @brief Endpoint para listar las recetas propias (o todas las visibles) del usuario.
+ * @route GET /api/mis-recetas?alcance=propias|visibles
+ */
+app.get('/api/mis-recetas', checkAuth, async (req, res) => {
+    const scope = req.query.alcance || 'propias';
+    if (!['propias', 'visibles'].includes(scope)) {
+        return res.status(400).json({ error: "El alcance debe ser 'propias' o 'visibles'." });
+    }
+
+    try {
+        const recipes = await userRecipeService.getRecipes(req.userId, scope);
+        res.status(200).json(recipes);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al listar las recetas.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para obtener una receta propia, compartida con el usuario o pública.
+ * @route GET /api/mis-recetas/:recipeId
+ */
+app.get('/api/mis-recetas/:recipeId', checkAuth, async (req, res) => {
+    try {
+        const recipe = await userRecipeService.getRecipe(req.params.recipeId, req.userId);
+        if (!recipe) {
+            return res.status(404).json({ error: 'Receta no encontrada.' });
+        }
+        res.status(200).json(recipe);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al obtener la receta.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para crear una receta propia.
+ * @route POST /api/mis-recetas
+ */
+app.post('/api/mis-recetas', checkAuth, async (req, res) => {
+    try {
+        const shared = await parseSharedWith(req.body.sharedWith);
+        if (shared.error) {
+            return res.status(400).json({ error: shared.error });
+        }
+
+        const recipe = await userRecipeService.createRecipe(req.userId, req.body, shared.ids);
+        res.status(201).json(recipe);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al crear la receta.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para editar una receta propia (solo su autor).
+ * @route PUT /api/mis-recetas/:recipeId
+ */
+app.put('/api/mis-recetas/:recipeId', checkAuth, async (req, res) => {
+    try {
+        const shared = await parseSharedWith(req.body.sharedWith);
+        if (shared.error) {
+            return res.status(400).json({ error: shared.error });
+        }
+
+        const recipe = await userRecipeService.updateRecipe(req.params.recipeId, req.userId, req.body, shared.ids);
+        if (!recipe) {
+            return res.status(404).json({ error: 'Receta no encontrada o no eres su autor.' });
+        }
+        res.status(200).json(recipe);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al actualizar la receta.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para eliminar una receta propia (solo su autor).
+ * @route DELETE /api/mis-recetas/:recipeId
+ */
+app.delete('/api/mis-recetas/:recipeId', checkAuth, async (req, res) => {
+    try {
+        const deleted = await userRecipeService.deleteRecipe(req.params.recipeId, req.userId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Receta no encontrada o no eres su autor.' });
+        }
+        res.status(200).json({ message: 'Receta eliminada.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al eliminar la receta.', details: error.message });
+    }
+});
+
+// -----------------------------------------------------
+// RUTAS DE LISTA DE COMPRAS
+// -----------------------------------------------------
+
+/**
+ * @brief Endpoint para listar la lista de compras del usuario.
+ * @route GET /api/lista-compras
+ */
+app.get('/api/lista-compras', checkAuth, async (req, res) => {
+    try {
+        const items = await shoppingListService.getShoppingList(req.userId);
+        res.status(200).json(items);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al listar la lista de compras.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para exportar la lista de compras como texto plano (para compartir).
+ * @route GET /api/lista-compras/exportar
+ */
+app.get('/api/lista-compras/exportar', checkAuth, async (req, res) => {
+    try {
+        const text = await shoppingListService.exportShoppingListText(req.userId);
+        res.status(200).type('text/plain').send(text);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al exportar la lista de compras.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para agregar un artículo a la lista (si ya existe, se suma la cantidad).
+ * @route POST /api/lista-compras
+ */
+app.post('/api/lista-compras', checkAuth, async (req, res) => {
+    const { article_name, quantity, unit } = req.body;
+
+    if (!article_name || !article_name.trim()) {
+        return res.status(400).json({ error: 'El nombre del artículo es obligatorio.' });
+    }
+    if (Boolean(quantity) !== Boolean(unit)) {
+        return res.status(400).json({ error: 'La cantidad y la unidad deben enviarse juntas.' });
+    }
+
+    const quantityError = validateQuantityAndUnit(req.body, false);
+    if (quantityError) {
+        return res.status(400).json({ error: quantityError });
+    }
+
+    try {
+        const item = await shoppingListService.addShoppingItem(req.userId, article_name, quantity, unit);
+        res.status(201).json(item);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al agregar a la lista de compras.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para agregar a la lista los ingredientes que faltan para una receta.
+ * * Incluye los que no están en el inventario y los que no alcanzan (solo la diferencia).
+ * @route POST /api/lista-compras/receta/:recipeId
+ */
+app.post('/api/lista-compras/receta/:recipeId', checkAuth, async (req, res) => {
+    const { servings } = req.body || {};
+
+    const parsedServings = servings !== undefined && servings !== null && servings !== '' ? Number(servings) : null;
+    if (parsedServings !== null && (!Number.isFinite(parsedServings) || parsedServings <= 0)) {
+        return res.status(400).json({ error: 'Las porciones deben ser un número mayor a cero.' });
+    }
+
+    try {
+        const recipe = await getRecipeDetailsForUser(req.params.recipeId, req.userId);
+        const inventoryWithEnglishNames = await getInventoryForRecipe(req.userId, recipe);
+
+        const plan = cookingService.buildCookingPlan(recipe, inventoryWithEnglishNames, parsedServings);
+        const missing = cookingService.getMissingIngredients(recipe, plan);
+
+        if (missing.length === 0) {
+            return res.status(200).json({ message: 'Tienes todos los ingredientes de la receta.', items: [] });
+        }
+
+        // Los ingredientes que no están en el inventario vienen en inglés: traducimos sus nombres
+        // (salvo en las recetas de usuarios, que ya están en español)
+        const untranslated = missing.filter(item => !item.article_name);
+        if (recipe.language === 'es') {
+            untranslated.forEach(item => {
+                item.article_name = item.name;
+            });
+        } else if (untranslated.length > 0) {
+            const spanishNames = await translateIngredientList(untranslated.map(item => item.name), 'en', 'es');
+            untranslated.forEach((item, index) => {
+                item.article_name = spanishNames[index] || item.name;
+            });
+        }
+
+        const items = await shoppingListService.addShoppingItems(req.userId, missing, { recipeId: recipe.id, title: recipe.title });
+        res.status(200).json({ message: `Se agregaron ${items.length} ingredientes a la lista de compras.`, items });
+
+    } catch (error) {
+        if (error.name === 'RecipeProviderError') {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        console.error("❌ ERROR EN POST /api/lista-compras/receta/:recipeId:", error);
+        res.status(500).json({ error: 'Error interno al agregar los faltantes de la receta.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para pasar al inventario los artículos marcados como comprados.
+ * @route POST /api/lista-compras/mover-al-inventario
+ */
+app.post('/api/lista-compras/mover-al-inventario', checkAuth, async (req, res) => {
+    try {
+        const result = await shoppingListService.moveCheckedToInventory(req.userId);
+        res.status(200).json({ message: `Se agregaron ${result.moved.length} artículos al inventario.`, ...result });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al pasar los artículos al inventario.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para actualizar un artículo de la lista (incluye marcar/desmarcar como comprado).
+ * @route PUT /api/lista-compras/:itemId
+ */
+app.put('/api/lista-compras/:itemId', checkAuth, async (req, res) => {
+    const { article_name, quantity, unit, checked } = req.body;
+
+    if (article_name === undefined && quantity === undefined && unit === undefined && checked === undefined) {
+        return res.status(400).json({ error: 'Debe proporcionar al menos un campo para actualizar.' });
+    }
+
+    const quantityError = validateQuantityAndUnit(req.body, false);
+    if (quantityError) {
+        return res.status(400).json({ error: quantityError });
+    }
+
+    try {
+        const item = await shoppingListService.updateShoppingItem(req.params.itemId, req.userId, { article_name, quantity, unit, checked });
+
+        if (!item) {
+            return res.status(404).json({ error: 'Artículo no encontrado o no autorizado.' });
+        }
+
+        res.status(200).json(item);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'Ya existe un artículo con ese nombre en la lista.' });
+        }
+        res.status(500).json({ error: 'Error interno al actualizar el artículo.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para eliminar un artículo de la lista.
+ * @route DELETE /api/lista-compras/:itemId
+ */
+app.delete('/api/lista-compras/:itemId', checkAuth, async (req, res) => {
+    try {
+        const deleted = await shoppingListService.deleteShoppingItem(req.params.itemId, req.userId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Artículo no encontrado o no autorizado.' });
+        }
+
+        res.status(200).json({ message: 'Artículo eliminado de la lista.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al eliminar el artículo.' });
+    }
+});
+
+// -----------------------------------------------------
+// RUTAS DEL PLAN SEMANAL
+// -----------------------------------------------------
+
+/**
+ * @brief Lee el parámetro 'semana' (cualquier día 'YYYY-MM-DD' de la semana; por defecto hoy).
+ * @returns {object|null} { start, end } de la semana, o null si la fecha es inválida.
+ */
+function parseWeekParam(semana) {
+    const date = semana
+        ? mealPlanService.parsePlanDate(semana)
+        : mealPlanService.parsePlanDate(new Date().toISOString().slice(0, 10));
+    return date ? mealPlanService.getWeekRange(date) : null;
+}
+
+/**
+ * @brief Valida las porciones opcionales de una receta planificada.
+ * @returns {number|null|undefined} Las porciones, undefined si no se enviaron o null si son inválidas.
+ */
+function parsePlanServings(servings) {
+    if (servings === undefined || servings === null || servings === '') return undefined;
+    const parsed = Number(servings);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * @brief Endpoint para obtener las recetas planificadas de una semana.
+ * @route GET /api/plan-semanal?semana=YYYY-MM-DD
+ */
+app.get('/api/plan-semanal', checkAuth, async (req, res) => {
+    const week = parseWeekParam(req.query.semana);
+    if (!week) {
+        return res.status(400).json({ error: 'Formato de fecha inválido. Use YYYY-MM-DD.' });
+    }
+
+    try {
+        const entries = await mealPlanService.getMealPlan(req.userId, week.start, week.end);
+        res.status(200).json({
+            weekStart: mealPlanService.formatPlanDate(week.start),
+            weekEnd: mealPlanService.formatPlanDate(new Date(week.end.getTime() - 1)),
+            slots: mealPlanService.MEAL_SLOTS,
+            entries
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al obtener el plan semanal.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para comparar los ingredientes que pide la semana con el inventario.
+ * * Los detalles de cada receta se obtienen por el mismo camino cacheado que /api/recetas/detalles.
+ * @route GET /api/plan-semanal/ingredientes?semana=YYYY-MM-DD
+ */
+app.get('/api/plan-semanal/ingredientes', checkAuth, async (req, res) => {
+    const week = parseWeekParam(req.query.semana);
+    if (!week) {
+        return res.status(400).json({ error: 'Formato de fecha inválido. Use YYYY-MM-DD.' });
+    }
+
+    try {
+        const entries = await mealPlanService.getMealPlan(req.userId, week.start, week.end);
+        const weekInfo = {
+            weekStart: mealPlanService.formatPlanDate(week.start),
+            weekEnd: mealPlanService.formatPlanDate(new Date(week.end.getTime() - 1)),
+        };
+
+        if (entries.length === 0) {
+            return res.status(200).json({ ...weekInfo, recipes: 0, ingredients: [] });
+        }
+
+        // Detalles de cada receta distinta (desde el proveedor de recetas o de las recetas de usuarios)
+        const recipeIds = [...new Set(entries.map(entry => entry.recipeId))];
+        // (una receta de usuario borrada o que dejó de estar compartida no suma ingredientes)
+        const recipes = await Promise.all(recipeIds.map(recipeId => getRecipeDetailsForUser(recipeId, req.userId)
+            .catch(error => {
+                if (error.name === 'RecipeProviderError' && error.status === 404) return null;
+                throw error;
+            })));
+
+        // Las recetas de usuarios están en español: pasamos sus ingredientes al inglés para sumarlos con el resto
+        const spanishIngredients = recipes
+            .filter(recipe => recipe && recipe.language === 'es')
+            .flatMap(recipe => recipe.extendedIngredients);
+        if (spanishIngredients.length > 0) {
+            const englishNames = await translateIngredientList(spanishIngredients.map(ingredient => ingredient.name), 'es', 'en');
+            spanishIngredients.forEach((ingredient, index) => {
+                ingredient.name = (englishNames[index] || ingredient.name).toLowerCase();
+            });
+        }
+        const recipesById = new Map(recipeIds.map((recipeId, index) => [recipeId, recipes[index]]));
+
+        const inventario = await userService.getAlimentosByUsuario(req.userId);
+        const inventoryWithEnglishNames = inventario.length > 0 ? await translateInventoryNames(inventario) : [];
+
+        const ingredients = mealPlanService.buildWeeklyReport(entries, recipesById, inventoryWithEnglishNames);
+
+        // Los ingredientes que no están en el inventario vienen en inglés: traducimos sus nombres
+        const untranslated = ingredients.filter(item => !item.article_name);
+        if (untranslated.length > 0) {
+            const spanishNames = await translateIngredientList(untranslated.map(item => item.name), 'en', 'es');
+            untranslated.forEach((item, index) => {
+                item.article_name = spanishNames[index] || item.name;
+            });
+        }
+
+        res.status(200).json({ ...weekInfo, recipes: recipeIds.length, ingredients });
+    } catch (error) {
+        if (error.name === 'RecipeProviderError') {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        console.error("❌ ERROR EN GET /api/plan-semanal/ingredientes:", error);
+        res.status(500).json({ error: 'Error interno al calcular los ingredientes de la semana.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para planificar una receta en un día y una comida.
+ * @route POST /api/plan-semanal
+ */
+app.post('/api/plan-semanal', checkAuth, async (req, res) => {
+    const { date, slot, recipeId, title, image } = req.body;
+
+    if (!date || !slot || !recipeId) {
+        return res.status(400).json({ error: 'La fecha, la comida y la receta son obligatorias.' });
+    }
+
+    const parsedDate = mealPlanService.parsePlanDate(date);
+    if (!parsedDate) {
+        return res.status(400).json({ error: 'Formato de fecha inválido. Use YYYY-MM-DD.' });
+    }
+    if (!mealPlanService.isValidSlot(slot)) {
+        return res.status(400).json({ error: `Comida inválida. Opciones: ${mealPlanService.MEAL_SLOTS.join(', ')}.` });
+    }
+    const servings = parsePlanServings(req.body.servings);
+    if (servings === null) {
+        return res.status(400).json({ error: 'Las porciones deben ser un número entero mayor a cero.' });
+    }
+
+    try {
+        const entry = await mealPlanService.createMealPlanEntry(req.userId, {
+            date: parsedDate,
+            slot,
+            recipeId,
+            title,
+            image,
+            servings
+        });
+        res.status(201).json(entry);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al planificar la receta.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para mover una receta planificada a otro día/comida (o cambiar sus porciones).
+ * @route PATCH /api/plan-semanal/:entryId
+ */
+app.patch('/api/plan-semanal/:entryId', checkAuth, async (req, res) => {
+    const { date, slot } = req.body;
+    const servings = parsePlanServings(req.body.servings);
+
+    if (!date && !slot && servings === undefined) {
+        return res.status(400).json({ error: 'Debe proporcionar al menos un campo para actualizar.' });
+    }
+
+    const parsedDate = date ? mealPlanService.parsePlanDate(date) : undefined;
+    if (parsedDate === null) {
+        return res.status(400).json({ error: 'Formato de fecha inválido. Use YYYY-MM-DD.' });
+    }
+    if (slot && !mealPlanService.isValidSlot(slot)) {
+        return res.status(400).json({ error: `Comida inválida. Opciones: ${mealPlanService.MEAL_SLOTS.join(', ')}.` });
+    }
+    if (servings === null) {
+        return res.status(400).json({ error: 'Las porciones deben ser un número entero mayor a cero.' });
+    }
+
+    try {
+        const entry = await mealPlanService.moveMealPlanEntry(req.params.entryId, req.userId, { date: parsedDate, slot, servings });
+
+        if (!entry) {
+            return res.status(404).json({ error: 'Receta planificada no encontrada o no autorizada.' });
+        }
+
+        res.status(200).json(entry);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al mover la receta planificada.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para quitar una receta del plan.
+ * @route DELETE /api/plan-semanal/:entryId
+ */
+app.delete('/api/plan-semanal/:entryId', checkAuth, async (req, res) => {
+    try {
+        const deleted = await mealPlanService.deleteMealPlanEntry(req.params.entryId, req.userId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Receta planificada no encontrada o no autorizada.' });
+        }
+
+        res.status(200).json({ message: 'Receta quitada del plan.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al quitar la receta del plan.' });
+    }
+});
+
+// -----------------------------------------------------
+// RUTAS DEL HOGAR (DESPENSA COMPARTIDA)
+// -----------------------------------------------------
+
+/**
+ * @brief Pasa la despensa, la lista de compras y las ubicaciones personales al hogar al que se unió el usuario.
+ * @returns {Promise<object>} { inventory, shoppingList, locations }, cada uno con { moved, merged }.
+ */
+async function movePersonalPantryToHousehold(userId, householdId) {
+    const inventory = await userService.movePantryToHousehold(userId, householdId);
+    const shoppingList = await shoppingListService.moveListToHousehold(userId, householdId);
+    const locations = await storageService.moveLocationsToHousehold(userId, householdId);
+    return { inventory, shoppingList, locations };
+}
+
+/**
+ * @brief Endpoint para obtener el hogar del usuario (miembros, y para los 'owner' el código e invitaciones).
+ * @route GET /api/hogar
+ */
+app.get('/api/hogar', checkAuth, async (req, res) => {
+    try {
+        const household = await householdService.getHousehold(req.userId);
+        if (!household) {
+            return res.status(404).json({ error: 'No perteneces a ningún hogar.' });
+        }
+        res.status(200).json(household);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al obtener el hogar.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para crear un hogar. El usuario queda como 'owner' y su despensa pasa a ser la del hogar.
+ * @route POST /api/hogar
+ */
+app.post('/api/hogar', checkAuth, async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 60) {
+        return res.status(400).json({ error: 'El nombre del hogar es obligatorio (hasta 60 caracteres).' });
+    }
+
+    try {
+        const household = await householdService.createHousehold(req.userId, name);
+        await movePersonalPantryToHousehold(req.userId, household._id);
+        res.status(201).json(household);
+    } catch (error) {
+        if (error.name === 'HouseholdError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al crear el hogar.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para salir del hogar. Si era el último miembro, el hogar se elimina y su
+ * despensa vuelve a ser personal.
+ * @route POST /api/hogar/salir
+ */
+app.post('/api/hogar/salir', checkAuth, async (req, res) => {
+    try {
+        const { householdId, deleted } = await householdService.leaveHousehold(req.userId);
+        if (deleted) {
+            await userService.releaseHouseholdPantry(householdId, req.userId);
+            await shoppingListService.releaseHouseholdList(householdId, req.userId);
+            await storageService.releaseHouseholdLocations(householdId, req.userId);
+        }
+        res.status(200).json({ message: deleted ? 'Saliste del hogar y se eliminó (eras el último miembro).' : 'Saliste del hogar.', deleted });
+    } catch (error) {
+        if (error.name === 'HouseholdError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al salir del hogar.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para unirse a un hogar con su código de invitación.
+ * @route POST /api/hogar/unirse
+ */
+app.post('/api/hogar/unirse', checkAuth, async (req, res) => {
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+        return res.status(400).json({ error: 'El código de invitación es obligatorio.' });
+    }
+
+    try {
+        const household = await householdService.joinByCode(req.userId, code);
+        if (!household) {
+            return res.status(404).json({ error: 'Código de invitación inválido.' });
+        }
+        const moved = await movePersonalPantryToHousehold(req.userId, household._id);
+        res.status(200).json({ household, moved });
+    } catch (error) {
+        if (error.name === 'HouseholdError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al unirse al hogar.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para generar un código de invitación nuevo (el anterior deja de servir). Solo 'owner'.
+ * @route POST /api/hogar/codigo
+ */
+app.post('/api/hogar/codigo', checkAuth, async (req, res) => {
+    try {
+        const inviteCode = await householdService.regenerateInviteCode(req.userId);
+        res.status(200).json({ inviteCode });
+    } catch (error) {
+        if (error.name === 'HouseholdError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al generar el código.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para invitar a alguien por email. Solo 'owner'.
+ * @route POST /api/hogar/invitaciones
+ */
+app.post('/api/hogar/invitaciones', checkAuth, async (req, res) => {
+    try {
+        const household = await householdService.inviteByEmail(req.userId, req.body.email);
+        res.status(201).json(household);
+    } catch (error) {
+        if (error.name === 'HouseholdError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al invitar.', details: error.message });
+    }
+});
 
+/**
+ * @brief Endpoint para listar las invitaciones recibidas (por el email del usuario).
+ * @route GET /api/hogar/invitaciones/recibidas
+ */
+app.get('/api/hogar/invitaciones/recibidas', checkAuth, async (req, res) => {
     try {
-        // Al actualizar, también guardamos en minúsculas y español
-        const clean_article_name = article_name ? article_name.toLowerCase() : undefined;
-        const updated = await userService.updateAlimento(alimentoId, req.userId, clean_article_name, quantity, unit);
+        const invitations = await householdService.getReceivedInvitations(req.userId);
+        res.status(200).json(invitations);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al listar las invitaciones.', details: error.message });
+    }
+});
 
-        if (!updated) {
-            return res.status(404).json({ error: 'Alimento no encontrado, no autorizado o sin cambios.' }); 
-        }
+/**
+ * @brief Endpoint para aceptar una invitación recibida y unirse al hogar.
+ * @route POST /api/hogar/invitaciones/recibidas/:householdId
+ */
+app.post('/api/hogar/invitaciones/recibidas/:householdId', checkAuth, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.householdId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
 
-        res.status(200).json({ message: 'Alimento actualizado con éxito.' });
+    try {
+        const household = await householdService.acceptInvitation(req.userId, req.params.householdId);
+        if (!household) {
+            return res.status(404).json({ error: 'Invitación no encontrada.' });
+        }
+        const moved = await movePersonalPantryToHousehold(req.userId, household._id);
+        res.status(200).json({ household, moved });
     } catch (error) {
-        res.status(500).json({ error: 'Error interno al actualizar alimento.' });
+        if (error.name === 'HouseholdError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al aceptar la invitación.', details: error.message });
     }
 });
 
-// ELIMINAR ALIMENTO (DELETE)
 /**
- * @brief Endpoint para eliminar alimento.
- * * @route DELETE /api/inventario
+ * @brief Endpoint para rechazar una invitación recibida.
+ * @route DELETE /api/hogar/invitaciones/recibidas/:householdId
  */
-app.delete('/api/inventario/:alimentoId', checkAuth, async (req, res) => {
-    const alimentoId = req.params.alimentoId;
-    
+app.delete('/api/hogar/invitaciones/recibidas/:householdId', checkAuth, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.householdId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
+
     try {
-        const deleted = await userService.deleteAlimento(alimentoId, req.userId);
+        const declined = await householdService.declineInvitation(req.userId, req.params.householdId);
+        if (!declined) {
+            return res.status(404).json({ error: 'Invitación no encontrada.' });
+        }
+        res.status(200).json({ message: 'Invitación rechazada.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al rechazar la invitación.', details: error.message });
+    }
+});
 
-        if (!deleted) {
-            return res.status(404).json({ error: 'Alimento no encontrado o no autorizado.' });
+/**
+ * @brief Endpoint para cancelar una invitación enviada. Solo 'owner'.
+ * @route DELETE /api/hogar/invitaciones/:invitationId
+ */
+app.delete('/api/hogar/invitaciones/:invitationId', checkAuth, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.invitationId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
+
+    try {
+        const cancelled = await householdService.cancelInvitation(req.userId, req.params.invitationId);
+        if (!cancelled) {
+            return res.status(404).json({ error: 'Invitación no encontrada.' });
+        }
+        res.status(200).json({ message: 'Invitación cancelada.' });
+    } catch (error) {
+        if (error.name === 'HouseholdError') {
+            return res.status(error.status).json({ error: error.message });
         }
+        res.status(500).json({ error: 'Error interno al cancelar la invitación.', details: error.message });
+    }
+});
 
-        res.status(200).json({ message: 'Alimento eliminado con éxito.' });
+/**
+ * @brief Endpoint para cambiar el rol de un miembro ('owner' o 'member'). Solo 'owner'.
+ * @route PATCH /api/hogar/miembros/:userId
+ */
+app.patch('/api/hogar/miembros/:userId', checkAuth, checkUserIdParam, async (req, res) => {
+    const { role } = req.body;
+    if (!householdService.HOUSEHOLD_ROLES.includes(role)) {
+        return res.status(400).json({ error: 'Rol inválido.', validRoles: householdService.HOUSEHOLD_ROLES });
+    }
+
+    try {
+        const household = await householdService.setMemberRole(req.userId, req.params.userId, role);
+        if (!household) {
+            return res.status(404).json({ error: 'El usuario no es miembro del hogar.' });
+        }
+        res.status(200).json(household);
     } catch (error) {
-        res.status(500).json({ error: 'Error interno al eliminar alimento.' });
+        if (error.name === 'HouseholdError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al cambiar el rol.', details: error.message });
     }
 });
 
+/**
+ * @brief Endpoint para quitar a un miembro del hogar (sus alimentos quedan en el hogar). Solo 'owner'.
+ * @route DELETE /api/hogar/miembros/:userId
+ */
+app.delete('/api/hogar/miembros/:userId', checkAuth, checkUserIdParam, async (req, res) => {
+    try {
+        const removed = await householdService.removeMember(req.userId, req.params.userId);
+        if (!removed) {
+            return res.status(404).json({ error: 'El usuario no es miembro del hogar.' });
+        }
+        res.status(200).json({ message: 'Miembro quitado del hogar.' });
+    } catch (error) {
+        if (error.name === 'HouseholdError') {
+            return res.status(error.status).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al quitar al miembro.', details: error.message });
+    }
+});
 
 // -----------------------------------------------------
-// RUTA DE RECETAS (v3 - CON SORTING MEJORADO)
+// RUTAS DE ADMINISTRACIÓN (solo grupo 'Admin')
 // -----------------------------------------------------
 
 /**
- * @brief Endpoint para buscar receta con inventario.
- * * @route GET /api/recetas/inventario
+ * @brief Endpoint para listar/buscar usuarios.
+ * @route GET /api/admin/usuarios?search=juan&page=1&limit=20
  */
-app.get('/api/recetas/inventario', checkAuth, async (req, res) => {
+app.get('/api/admin/usuarios', checkAuth, requireRole('Admin'), async (req, res) => {
     try {
-        const separador = "|||"; // Usaremos un separador único
+        const { search, page, limit } = req.query;
+        const result = await adminService.listUsers({ search, page, limit });
+        res.status(200).json(result);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al listar usuarios.', details: error.message });
+    }
+});
 
-        // --- 1. TRADUCCIÓN DE INVENTARIO (ES -> EN) ---
+/**
+ * @brief Endpoint para promover/degradar a un usuario.
+ * @route PATCH /api/admin/usuarios/:userId/rol
+ */
+app.patch('/api/admin/usuarios/:userId/rol', checkAuth, requireRole('Admin'), checkUserIdParam, async (req, res) => {
+    const { grupo } = req.body;
 
-        // a. Obtener inventario (en español, desde la DB)
-        const inventario = await userService.getAlimentosByUsuario(req.userId);
-        const spanishIngredients = inventario.map(item => item.article_name);
+    if (!['Admin', 'User'].includes(grupo)) {
+        return res.status(400).json({ error: 'El grupo debe ser "Admin" o "User".' });
+    }
+    // Evita que un administrador se quite a sí mismo el acceso a la consola
+    if (req.params.userId === req.userId) {
+        return res.status(400).json({ error: 'No puedes cambiar tu propio rol.' });
+    }
 
-        if (spanishIngredients.length === 0) {
-            return res.status(200).json([]); // Devuelve array vacío si no hay ingredientes
+    try {
+        const user = await adminService.setUserRole(req.params.userId, grupo);
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
         }
+        res.status(200).json(user);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al cambiar el rol.', details: error.message });
+    }
+});
 
-        // b. Agruparlos y traducirlos (si es necesario)
-        const joinedSpanishIngredients = spanishIngredients.join(separador);
-        const ingredientsPrompt = `Translate the following list of kitchen ingredients to English. Keep the exact same separator ("${separador}") between each item: "${joinedSpanishIngredients}"`;
-        const translatedIngredientsString = await translationService.translateText(ingredientsPrompt, 'es', 'en');
-
-        if (!translatedIngredientsString) {
-            throw new Error("La traducción de ingredientes (ES->EN) falló.");
-        }
+/**
+ * @brief Endpoint para habilitar/deshabilitar una cuenta.
+ * @route PATCH /api/admin/usuarios/:userId/estado
+ */
+app.patch('/api/admin/usuarios/:userId/estado', checkAuth, requireRole('Admin'), checkUserIdParam, async (req, res) => {
+    const { disabled } = req.body;
 
-        // c. Convertir de vuelta a un array y ordenar para consistencia del caché
-        const englishIngredients = translatedIngredientsString.split(separador).map(s => s.trim());
-        englishIngredients.sort();
-        const ingredientsCommaSeparated = englishIngredients.join(',');
+    if (typeof disabled !== 'boolean') {
+        return res.status(400).json({ error: 'El campo "disabled" debe ser true o false.' });
+    }
+    if (req.params.userId === req.userId) {
+        return res.status(400).json({ error: 'No puedes deshabilitar tu propia cuenta.' });
+    }
 
-        // --- 2. OBTENER FILTROS ---
-        const { diet, maxCalories, maxCarbs, maxProtein, maxSugar } = req.query;
-        let filtersQueryString = '';
-        if (diet && diet !== 'none' && diet !== '') filtersQueryString += `&diet=${diet}`;
-        if (maxCalories) filtersQueryString += `&maxCalories=${maxCalories}`;
-        if (maxCarbs) filtersQueryString += `&maxCarbs=${maxCarbs}`;
-        if (maxProtein) filtersQueryString += `&maxProtein=${maxProtein}`;
-        if (maxSugar) filtersQueryString += `&maxSugar=${maxSugar}`;
-
-        // --- 3. BÚSQUEDA EN SPOONACULAR (con caché) ---
-        // ¡CAMBIO AQUÍ! Añadimos 'sort=min-missing-ingredients' a la clave
-        const spoonacularSearchCacheKey = `spoonacular:search:${ingredientsCommaSeparated}:sort=min-missing-ingredients:${filtersQueryString}`;
-        let data;
-        const cachedSearch = await CacheEntry.findOne({ cacheKey: spoonacularSearchCacheKey });
-
-        if (cachedSearch) {
-          data = cachedSearch.data;
-          console.log(`[DB CACHE HIT] Búsqueda Spoonacular para: "${ingredientsCommaSeparated}${filtersQueryString}"`);
-        } else {
-          console.log(`[DB CACHE MISS] Llamando a Spoonacular Search para: "${ingredientsCommaSeparated}${filtersQueryString}"`);
+    try {
+        const user = await adminService.setUserDisabled(req.params.userId, disabled);
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
+        }
+        res.status(200).json(user);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al cambiar el estado de la cuenta.', details: error.message });
+    }
+});
 
-            // ¡CAMBIO AQUÍ! Añadimos '&sort=min-missing-ingredients' a la URL
-          const url = `https://api.spoonacular.com/recipes/complexSearch?apiKey=${SPOONACULAR_API_KEY}&includeIngredients=${encodeURIComponent(ingredientsCommaSeparated)}&number=5&fillIngredients=true&ignorePantry=true&sort=min-missing-ingredients${filtersQueryString}`;
+/**
+ * @brief Endpoint para restablecer la contraseña de un usuario.
+ * * Si no se envía 'newPassword' se genera una contraseña temporal y se devuelve en la respuesta.
+ * @route POST /api/admin/usuarios/:userId/password
+ */
+app.post('/api/admin/usuarios/:userId/password', checkAuth, requireRole('Admin'), checkUserIdParam, async (req, res) => {
+    const { newPassword } = req.body;
 
-          const respuesta = await fetch(url);
-          data = await respuesta.json();
+    if (newPassword !== undefined && (typeof newPassword !== 'string' || newPassword.length < 3)) {
+        return res.status(400).json({ error: 'La nueva contraseña es inválida.' });
+    }
 
-          if (!respuesta.ok) {
-            console.error("❌ ERROR DE SPOONACULAR (Search):", { status: respuesta.status, statusText: respuesta.statusText, body: data });
-            throw new Error("Error al llamar a Spoonacular API (Search).");
-          }
-          await CacheEntry.create({
-            cacheKey: spoonacularSearchCacheKey,
-            data: data.results
-          });
-          data = data.results;
+    try {
+        const password = await adminService.resetUserPassword(req.params.userId, newPassword);
+        if (!password) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
         }
+        res.status(200).json({
+            message: 'Contraseña restablecida. Las sesiones abiertas del usuario fueron cerradas.',
+            // Solo devolvemos la contraseña si la generó el servidor
+            temporaryPassword: newPassword ? undefined : password
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al restablecer la contraseña.', details: error.message });
+    }
+});
 
-        if (!data || data.length === 0) {
-            return res.status(200).json([]);
+/**
+ * @brief Endpoint para inspeccionar el inventario de cualquier usuario.
+ * @route GET /api/admin/usuarios/:userId/inventario
+ */
+app.get('/api/admin/usuarios/:userId/inventario', checkAuth, requireRole('Admin'), checkUserIdParam, async (req, res) => {
+    try {
+        const user = await adminService.getUser(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'Usuario no encontrado.' });
         }
+        const inventario = await userService.getAlimentosByUsuario(req.params.userId);
+        res.status(200).json({ user, inventario });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al obtener el inventario.', details: error.message });
+    }
+});
 
-        // --- 4. TRADUCCIÓN DE RECETAS (EN -> ES) ---
-        // a. Agrupar Títulos
-        const englishTitles = data.map(recipe => recipe.title);
-        const joinedEnglishTitles = englishTitles.join(separador);
-        const titlesPrompt = `Translate the following list of recipe titles to Spanish. Keep the exact same separator ("${separador}") between each item: "${joinedEnglishTitles}"`;
-
-        // b. Agrupar TODOS los ingredientes faltantes
-        const allMissingIngredients = [];
-        data.forEach(recipe => { // eslint-disable-line no-undef
-            if (recipe.missedIngredients) {
-                recipe.missedIngredients.forEach(ing => {
-                    allMissingIngredients.push(ing.original);
-                });
-            }
-        });
+/**
+ * @brief Endpoint para listar entradas de caché por prefijo.
+ * @route GET /api/admin/cache?prefix=translation:&search=palta&page=1
+ */
+app.get('/api/admin/cache', checkAuth, requireRole('Admin'), async (req, res) => {
+    const { prefix, search, page, limit } = req.query;
+
+    if (!adminService.isValidCachePrefix(prefix)) {
+        return res.status(400).json({ error: 'Prefijo de caché inválido.', validPrefixes: adminService.CACHE_PREFIXES });
+    }
+
+    try {
+        const result = await adminService.listCacheEntries(prefix, { search, page, limit });
+        res.status(200).json(result);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al listar la caché.', details: error.message });
+    }
+});
+
+/**
+ * @brief Endpoint para ver el contenido de una entrada de caché.
+ * @route GET /api/admin/cache/entrada?key=spoonacular:details:654959
+ */
+app.get('/api/admin/cache/entrada', checkAuth, requireRole('Admin'), async (req, res) => {
+    const { key } = req.query;
+
+    if (!key) {
+        return res.status(400).json({ error: 'Falta la clave de caché.' });
+    }
 
-        let joinedMissingIngredients = "";
-        let missingIngredientsPrompt = "";
-        if (allMissingIngredients.length > 0) { // eslint-disable-line no-undef
-            joinedMissingIngredients = allMissingIngredients.join(separador);
-            missingIngredientsPrompt = `Translate the following list of kitchen ingredients to Spanish. Keep the exact same separator ("${separador}") between each item: "${joinedMissingIngredients}"`;
+    try {
+        const entry = await adminService.getCacheEntry(key);
+        if (!entry) {
+            return res.status(404).json({ error: 'Entrada de caché no encontrada.' });
         }
+        res.status(200).json(entry);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al obtener la entrada de caché.', details: error.message });
+    }
+});
 
-        // c. Ejecutar ambas traducciones en paralelo
-        const [
-            translatedTitlesString,
-            translatedMissingString
-        ] = await Promise.all([
-            translationService.translateText(titlesPrompt, 'en', 'es'),
-            missingIngredientsPrompt ? translationService.translateText(missingIngredientsPrompt, 'en', 'es') : Promise.resolve(null)
-        ]);
+/**
+ * @brief Endpoint con las estadísticas de la caché (aciertos, fallos, TTL y entradas por espacio de nombres).
+ * * Los contadores son del proceso actual: se reinician al reiniciar el servidor o con DELETE.
+ * @route GET /api/admin/cache/estadisticas
+ */
+app.get('/api/admin/cache/estadisticas', checkAuth, requireRole('Admin'), async (req, res) => {
+    try {
+        const stats = await adminService.getCacheStats();
+        res.status(200).json(stats);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al obtener las estadísticas de la caché.', details: error.message });
+    }
+});
 
-        // d. Procesar resultados
-        let translatedTitles = translatedTitlesString ? translatedTitlesString.split(separador).map(s => s.trim()) : [];
-        let translatedMissing = translatedMissingString ? translatedMissingString.split(separador).map(s => s.trim()) : [];
+/**
+ * @brief Endpoint para reiniciar los contadores de la caché.
+ * @route DELETE /api/admin/cache/estadisticas
+ */
+app.delete('/api/admin/cache/estadisticas', checkAuth, requireRole('Admin'), (req, res) => {
+    cacheService.resetStats();
+    res.status(200).json({ message: 'Contadores de la caché reiniciados.' });
+});
 
-        // e. Crear el array final
-        let missingIngredientIndex = 0;
-        const translatedData = data.map((recipe, recipeIndex) => {
+/**
+ * @brief Endpoint para purgar entradas de caché por prefijo (y opcionalmente un texto de búsqueda).
+ * @route DELETE /api/admin/cache?prefix=spoonacular:search:
+ */
+app.delete('/api/admin/cache', checkAuth, requireRole('Admin'), async (req, res) => {
+    const { prefix, search } = req.query;
 
-            const translatedMissedIngredients = recipe.missedIngredients ? recipe.missedIngredients.map(ing => {
-                const translatedOriginal = translatedMissing[missingIngredientIndex] || ing.original;
-                missingIngredientIndex++;
-                return {
-                    ...ing,
-                    original: translatedOriginal
-                };
-            }) : [];
+    if (!adminService.isValidCachePrefix(prefix)) {
+        return res.status(400).json({ error: 'Prefijo de caché inválido.', validPrefixes: adminService.CACHE_PREFIXES });
+    }
 
-            return {
-                ...recipe,
-                title: translatedTitles[recipeIndex] || recipe.title,
-                missedIngredients: translatedMissedIngredients
-            };
-        });
+    try {
+        const deletedCount = await adminService.purgeCacheEntries(prefix, search);
+        res.status(200).json({ message: 'Caché purgada.', deletedCount });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al purgar la caché.', details: error.message });
+    }
+});
 
-        // 5. Enviar los datos TRADUCIDOS al frontend
-        res.status(200).json(translatedData);
+/**
+ * @brief Endpoint para listar el glosario de traducción.
+ * @route GET /api/admin/glosario?search=palta&category=ingrediente&page=1
+ */
+app.get('/api/admin/glosario', checkAuth, requireRole('Admin'), async (req, res) => {
+    const { search, category, page, limit } = req.query;
 
+    if (category && !adminService.GLOSSARY_CATEGORIES.includes(category)) {
+        return res.status(400).json({ error: 'Categoría inválida.', validCategories: adminService.GLOSSARY_CATEGORIES });
+    }
+
+    try {
+        const result = await adminService.listGlossaryTerms({ search, category, page, limit });
+        res.status(200).json(result);
     } catch (error) {
-        console.error("❌ ERROR DETALLADO EN GET /api/recetas/inventario:", error);
-        res.status(500).json({ error: 'Error interno al buscar recetas.', details: error.message });
+        res.status(500).json({ error: 'Error interno al listar el glosario.', details: error.message });
     }
 });
 
+/**
+ * @brief Endpoint para agregar o corregir un término del glosario (por su nombre en español).
+ * @route PUT /api/admin/glosario
+ */
+app.put('/api/admin/glosario', checkAuth, requireRole('Admin'), async (req, res) => {
+    const { es, en, category } = req.body;
+
+    if (!es || !String(es).trim() || !en || !String(en).trim()) {
+        return res.status(400).json({ error: 'El término en español y su traducción al inglés son obligatorios.' });
+    }
+
+    try {
+        const term = await adminService.saveGlossaryTerm({ es, en, category });
+        res.status(200).json(term);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al guardar el término.', details: error.message });
+    }
+});
 
-// BUSCAR DETALLES DE RECETA (PROXY SEGURO)
 /**
- * @brief Endpoint para obtener los detalles de una receta específica usando el Backend como proxy seguro.
- * @route GET /api/recetas/detalles/:recipeId
+ * @brief Endpoint para eliminar un término del glosario.
+ * @route DELETE /api/admin/glosario/:termId
  */
-app.get('/api/recetas/detalles/:recipeId', async (req, res) => {
-    const recipeId = req.params.recipeId;
-    
+app.delete('/api/admin/glosario/:termId', checkAuth, requireRole('Admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.termId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
+
     try {
-        // a. Crear clave de caché para los detalles de esta receta
-        const spoonacularDetailsCacheKey = `spoonacular:details:${recipeId}`;
-        let data; // Variable para los detalles
+        const deleted = await adminService.deleteGlossaryTerm(req.params.termId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Término no encontrado.' });
+        }
+        res.status(200).json({ message: 'Término eliminado.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al eliminar el término.', details: error.message });
+    }
+});
 
-        // b. Buscar en el caché de MongoDB
-        const cachedDetails = await CacheEntry.findOne({ cacheKey: spoonacularDetailsCacheKey });
+/**
+ * @brief Endpoint para importar productos al catálogo de códigos de barras desde un volcado.
+ * * 'data' es el contenido del archivo: texto CSV (con 'format: "csv"') o un array de productos
+ * (o su texto JSON). Los códigos que ya existen se actualizan.
+ * @route POST /api/admin/productos/importar
+ */
+app.post('/api/admin/productos/importar', checkAuth, requireRole('Admin'), async (req, res) => {
+    const { format = 'json', data } = req.body;
 
-        if (cachedDetails) {
-          // ¡Cache Hit!
-          data = cachedDetails.data;
-          console.log(`[DB CACHE HIT] Detalles Spoonacular para ID: "${recipeId}"`);
-        } else {
-          // ¡Cache Miss!
-          console.log(`[DB CACHE MISS] Llamando a Spoonacular Details para ID: "${recipeId}"`);
-
-          const url = `https://api.spoonacular.com/recipes/${recipeId}/information?apiKey=${SPOONACULAR_API_KEY}`;
-          const respuesta = await fetch(url);
-          data = await respuesta.json(); // Datos actualizados
-
-          if (!respuesta.ok) {
-            console.error("❌ ERROR DE SPOONACULAR (Details):", { 
-                status: respuesta.status, 
-                statusText: respuesta.statusText,
-                body: data 
-            });
-            // Reenviar el error si Spoonacular falla
-            return res.status(respuesta.status).json({ error: 'Error de la API externa al obtener detalles.', details: data.message });
-          }
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({ error: 'Formato inválido.', validValues: ['json', 'csv'] });
+    }
+    if (!data) {
+        return res.status(400).json({ error: 'Falta el contenido del volcado.' });
+    }
 
-          // GUARDAMOS la respuesta nueva en MongoDB
-          await CacheEntry.create({
-            cacheKey: spoonacularDetailsCacheKey,
-            data: data // Guardamos el objeto de detalles completo
-          });
-          console.log(`[DB CACHE SAVED] Detalles Spoonacular para ID: "${recipeId}"`);
+    try {
+        const products = productService.parseCatalogDump(data, format);
+        const result = await productService.importProducts(products);
+        res.status(200).json({ message: `Se importaron ${result.imported} productos.`, ...result });
+    } catch (error) {
+        if (error.name === 'ProductError') {
+            return res.status(error.status).json({ error: error.message });
         }
-        
-        
-        // 1. (Igual que antes) Traducciones individuales para campos grandes
-        const translatedTitlePromise = translationService.translateText(data.title, 'en', 'es');
-        const translatedSummaryPromise = translationService.translateText(data.summary, 'en', 'es');
-        const translatedInstructionsPromise = translationService.translateText(data.instructions, 'en', 'es');
+        res.status(500).json({ error: 'Error interno al importar el catálogo.', details: error.message });
+    }
+});
 
-        // 2. [NUEVA LÓGICA] Agrupación de ingredientes
+/**
+ * @brief Endpoint para revisar el diccionario de ingredientes aprendido.
+ * @route GET /api/admin/diccionario?search=palta&revisado=false&page=1
+ */
+app.get('/api/admin/diccionario', checkAuth, requireRole('Admin'), async (req, res) => {
+    const { search, revisado, page, limit } = req.query;
 
-        // Extraemos todos los strings de ingredientes
-        const originalIngredientStrings = data.extendedIngredients.map(ing => ing.original);
+    if (revisado !== undefined && revisado !== 'true' && revisado !== 'false') {
+        return res.status(400).json({ error: "El filtro 'revisado' debe ser 'true' o 'false'." });
+    }
 
-        // Definimos un separador ÚNICO que no exista en el texto
-        const separator = "|||"; 
+    try {
+        const reviewed = revisado === undefined ? undefined : revisado === 'true';
+        const result = await adminService.listDictionaryEntries({ search, reviewed, page, limit });
+        res.status(200).json(result);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al listar el diccionario.', details: error.message });
+    }
+});
 
-        // Unimos todos los ingredientes en UN SOLO string
-        const joinedIngredientString = originalIngredientStrings.join(separator);
+/**
+ * @brief Endpoint para agregar o corregir un par del diccionario (por su nombre en español).
+ * * Los alimentos con ese nombre pasan a usar la traducción corregida.
+ * @route PUT /api/admin/diccionario
+ */
+app.put('/api/admin/diccionario', checkAuth, requireRole('Admin'), async (req, res) => {
+    const { es, en } = req.body;
 
-        // 3. [NUEVA PROMESA] Creamos UN solo prompt para TODOS los ingredientes
-        const ingredientsPrompt = `Translate the following list of ingredients to Spanish. Keep the exact same separator ("${separator}") between each item: "${joinedIngredientString}"`;
+    if (!es || !String(es).trim() || !en || !String(en).trim()) {
+        return res.status(400).json({ error: 'El nombre en español y su traducción al inglés son obligatorios.' });
+    }
 
-        const translatedIngredientsPromise = translationService.translateText(ingredientsPrompt, 'en', 'es');
+    try {
+        const result = await adminService.saveDictionaryEntry({ es, en });
+        res.status(200).json(result);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Error interno al guardar la traducción.', details: error.message });
+    }
+});
 
-        // 4. [NUEVO Promise.all] Esperamos a que las 4 llamadas terminen
-        //    (Esto reduce de ~18 llamadas a solo 4)
-        const [
-            translatedTitle,
-            translatedSummary,
-            translatedInstructions,
-            translatedJoinedString // Esto es un solo string con los ingredientes traducidos
-        ] = await Promise.all([
-            translatedTitlePromise,
-            translatedSummaryPromise,
-            translatedInstructionsPromise,
-            translatedIngredientsPromise 
-        ]);
+/**
+ * @brief Endpoint para marcar un par del diccionario como revisado (sin cambiarlo).
+ * @route PATCH /api/admin/diccionario/:entryId/revisado
+ */
+app.patch('/api/admin/diccionario/:entryId/revisado', checkAuth, requireRole('Admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.entryId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
 
-        // 5. [NUEVA LÓGICA] Separamos el string traducido de vuelta a un array
-        let translatedIngredients = [];
-        if (translatedJoinedString) {
-            // Usamos el mismo separador para volver a crear el array
-            translatedIngredients = translatedJoinedString.split(separator);
+    try {
+        const entry = await adminService.markDictionaryEntryReviewed(req.params.entryId);
+        if (!entry) {
+            return res.status(404).json({ error: 'Traducción no encontrada.' });
         }
+        res.status(200).json(entry);
+    } catch (error) {
+        res.status(500).json({ error: 'Error interno al actualizar la traducción.', details: error.message });
+    }
+});
 
-        // 6. Construimos el objeto de receta traducido final
-        const translatedData = {
-            ...data, // Copiamos datos originales (id, image, etc.)
-            title: translatedTitle || data.title, // Usamos traducido o el original
-            summary: translatedSummary || data.summary,
-            instructions: translatedInstructions || data.instructions,
-            // Re-mapeamos los ingredientes para asignar la traducción correcta
-            extendedIngredients: data.extendedIngredients.map((ing, index) => {
-                return {
-                    ...ing, // Copiamos datos del ingrediente original (amount, unit, etc.)
-                    // Asignamos la traducción del array o el original si algo falló
-                    original: (translatedIngredients[index] ? translatedIngredients[index].trim() : ing.original),
-                };
-            })
-        };
-
-        // 7. Enviamos los datos TRADUCIDOS al frontend
-        res.status(200).json(translatedData);
+/**
+ * @brief Endpoint para eliminar un par del diccionario (se volverá a traducir cuando haga falta).
+ * @route DELETE /api/admin/diccionario/:entryId
+ */
+app.delete('/api/admin/diccionario/:entryId', checkAuth, requireRole('Admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.entryId)) {
+        return res.status(400).json({ error: 'Formato de ID inválido.' });
+    }
 
+    try {
+        const deleted = await adminService.deleteDictionaryEntry(req.params.entryId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Traducción no encontrada.' });
+        }
+        res.status(200).json({ message: 'Traducción eliminada.' });
     } catch (error) {
-        // Manejo de errores de red o internos del servidor
-        res.status(500).json({ error: 'Error interno del servidor al buscar detalles de receta.', details: error.message });
+        res.status(500).json({ error: 'Error interno al eliminar la traducción.', details: error.message });
     }
 });
 
@@ -624,13 +3028,22 @@ app.get('/api/recetas/detalles/:recipeId', async (req, res) => {
  * * @route GET /
  */
 app.get('/', (req, res) => {
-    res.status(200).send('<h1>API de Recetas Activa</h1><p>Los endpoints de autenticación son POST /api/register y POST /api/login</p>');
+    res.status(200).send('<h1>API de Recetas Activa</h1><p>Los endpoints de autenticación son POST /api/register, POST /api/login, POST /api/token/refresh y POST /api/logout</p>');
 });
 
 // 4. INICIO DEL SERVIDOR (Método robusto)
 mongoose.connect(DB_URI)
-    .then(() => {
+    .then(async () => {
         console.log('✅ Conexión exitosa a MongoDB.');
+
+        // Prepara la caché (índice TTL por entrada)
+        await cacheService.initializeCache();
+        // Prepara el proveedor de recetas (ej: carga el catálogo local si está vacío)
+        await recipeProviders.initializeProviders();
+        // Sincroniza los índices de la lista de compras (el índice único incluye el hogar)
+        await shoppingListService.initializeShoppingList();
+        // Prepara los traductores (carga el glosario en memoria)
+        await translationService.initializeTranslators();
         
         // Inicia el servidor Express SOLO si la conexión a la DB es exitosa
         app.listen(PORT, () => {
@@ -641,16 +3054,35 @@ mongoose.connect(DB_URI)
             console.log(`Rutas disponibles:`);
             console.log(`  - POST /api/register (Registro)`);
             console.log(`  - POST /api/login    (Login)`);
+            console.log(`  - POST /api/token/refresh (Renovar Token)`);
+            console.log(`  - POST /api/email/verify, /api/email/resend, /api/password/forgot, /api/password/reset (Cuenta)`);
+            console.log(`  - POST /api/logout   (Cerrar Sesión)`);
             console.log(`  - GET /api/profile         (Obtener Perfil)`);
             console.log(`  - PUT /api/profile         (Actualizar Perfil)`);
             console.log(`  - POST /api/inventario       (Crear Alimento)`);
             console.log(`  - GET /api/inventario/check (Chequear si Alimento existe)`);
             console.log(`  - GET /api/inventario        (Listar Inventario)`);
+            console.log(`  - GET /api/inventario/por-vencer (Alimentos por Vencer)`);
             console.log(`  - PATCH /api/inventario/:id/sumar (Sumar Cantidad)`);
+            console.log(`  - PATCH /api/inventario/:id/minimo (Cantidad Mínima)`);
+            console.log(`  - PATCH /api/inventario/:id/ubicacion (Mover de Ubicación / Categoría)`);
+            console.log(`  - GET/POST /api/ubicaciones, PUT/DELETE /api/ubicaciones/:id (Ubicaciones)`);
+            console.log(`  - GET /api/categorias (Categorías de Alimentos)`);
+            console.log(`  - GET /api/productos/:barcode, POST /api/productos (Catálogo de Códigos de Barras)`);
+            console.log(`  - GET /api/inventario/bajo-stock (Alimentos con Poco Stock)`);
             console.log(`  - PUT /api/inventario/:id    (Actualizar Alimento)`);
             console.log(`  - DELETE /api/inventario/:id (Eliminar Alimento)`);
+            console.log(`  - GET /api/inventario/historial (Historial de Cambios)`);
+            console.log(`  - POST /api/inventario/historial/deshacer (Deshacer Último Cambio)`);
+            console.log(`  - /api/estadisticas (Consumo, Recetas más cocinadas, Vencidos y Permanencia)`);
             console.log(`  - GET /api/recetas/inventario (Buscar Recetas por Inventario)`);
             console.log(`  - GET /api/recetas/detalles/:id (PROXY: Detalles de Receta)`);
+            console.log(`  - POST /api/recetas/:id/cocinar (Cocinar Receta: descontar ingredientes)`);
+            console.log(`  - /api/mis-recetas (Recetas Propias: CRUD y compartir)`);
+            console.log(`  - /api/lista-compras (Lista de Compras: CRUD, faltantes de receta, exportar)`);
+            console.log(`  - /api/plan-semanal (Plan Semanal: CRUD e ingredientes de la semana)`);
+            console.log(`  - /api/hogar (Hogar: despensa compartida, miembros e invitaciones)`);
+            console.log(`  - /api/admin/usuarios, /api/admin/cache, /api/admin/glosario, /api/admin/diccionario, /api/admin/productos/importar (Consola de Administración)`);
             console.log(`\n`);
         });
     })
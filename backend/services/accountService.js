@@ -0,0 +1,172 @@
+// backend/services/accountService.js
+
+/**
+ * @file accountService.js
+ * @brief Verificación del email y recuperación de la contraseña de las cuentas.
+ * * Ambos flujos envían por email un link con un token aleatorio de un solo uso que vence
+ * (EMAIL_VERIFICATION_HOURS, PASSWORD_RESET_MINUTES). Como los refresh tokens, en la DB solo
+ * se guarda su hash. Los links apuntan a las páginas del frontend (FRONTEND_URL).
+ */
+
+require('dotenv').config({ path: '../.env' });
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User_data = require('../models/User_data');
+const AuthToken = require('../models/AuthTokenModel');
+const tokenService = require('./tokenService');
+const mailer = require('./mailer');
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:5500').replace(/\/+$/, '');
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 48;
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES) || 60;
+
+// Con REQUIRE_EMAIL_VERIFICATION=true no pueden iniciar sesión las cuentas sin verificar
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @brief Indica si un email tiene un formato válido (usuario@dominio.ext).
+ */
+function isValidEmail(email) {
+    return typeof email === 'string' && email.length <= 254 && EMAIL_PATTERN.test(email.trim());
+}
+
+/**
+ * @brief Indica si una cuenta no puede iniciar sesión por no haber verificado su email.
+ * * Las cuentas anteriores a la verificación (emailVerified null) no se bloquean.
+ */
+function isBlockedByVerification(user) {
+    return REQUIRE_EMAIL_VERIFICATION && user.emailVerified === false;
+}
+
+/**
+ * @brief Genera un token para el usuario y guarda su hash. Invalida los anteriores del mismo tipo,
+ * así solo sirve el último link enviado.
+ * @param {string} purpose 'verify-email' o 'reset-password'.
+ * @returns {Promise<string>} El token en claro (solo viaja en el link del email).
+ */
+async function createAuthToken(userId, purpose, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await AuthToken.deleteMany({ user: userId, purpose });
+    await AuthToken.create({
+        user: userId,
+        purpose,
+        tokenHash: tokenService.hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return token;
+}
+
+/**
+ * @brief Consume un token (un solo uso) y devuelve el id del usuario dueño.
+ * @returns {Promise<string|null>} El id del usuario, o null si el token no existe, es de otro tipo o venció.
+ */
+async function consumeAuthToken(token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+
+    // findOneAndDelete garantiza que dos pedidos simultáneos no puedan usar el mismo token.
+    const entry = await AuthToken.findOneAndDelete({ tokenHash: tokenService.hashToken(token), purpose });
+    if (!entry || entry.expiresAt < new Date()) {
+        return null;
+    }
+    return String(entry.user);
+}
+
+/**
+ * @brief Envía el email con el link para verificar la cuenta.
+ * @param {object} user { _id, username, email }.
+ */
+async function sendVerificationEmail(user) {
+    const token = await createAuthToken(user._id, 'verify-email', EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000);
+    const link = `${FRONTEND_URL}/index.html?verify=${token}`;
+
+    await mailer.sendMail({
+        to: user.email,
+        subject: 'Confirma tu email',
+        text: `Hola ${user.username}:\n\nPara confirmar tu email abre este link:\n${link}\n\nEl link vence en ${EMAIL_VERIFICATION_HOURS} horas. Si no creaste una cuenta, ignora este mensaje.`,
+        html: `<p>Hola ${mailer.escapeHtml(user.username)}:</p><p>Para confirmar tu email abre <a href="${link}">este link</a>.</p><p>El link vence en ${EMAIL_VERIFICATION_HOURS} horas. Si no creaste una cuenta, ignora este mensaje.</p>`
+    });
+}
+
+/**
+ * @brief Marca como verificado el email del dueño del token.
+ * @returns {Promise<boolean>} false si el token es inválido o venció.
+ */
+async function verifyEmail(token) {
+    const userId = await consumeAuthToken(token, 'verify-email');
+    if (!userId) {
+        return false;
+    }
+    const result = await User_data.updateOne({ _id: userId }, { $set: { emailVerified: true } });
+    return result.matchedCount === 1;
+}
+
+/**
+ * @brief Vuelve a enviar el email de verificación (si la cuenta existe y no está verificada).
+ * * No informa si el email está registrado, para no revelar qué cuentas existen.
+ */
+async function resendVerificationEmail(email) {
+    const user = await User_data.findOne({ email: email.toLowerCase().trim() }).lean();
+    if (user && user.emailVerified === false && !user.disabled) {
+        await sendVerificationEmail(user);
+    }
+}
+
+/**
+ * @brief Envía el email con el link para elegir una contraseña nueva.
+ * * No informa si el email está registrado, para no revelar qué cuentas existen. Las cuentas
+ * deshabilitadas no reciben el email.
+ */
+async function requestPasswordReset(email) {
+    const user = await User_data.findOne({ email: email.toLowerCase().trim() }).lean();
+    if (!user || user.disabled) {
+        return;
+    }
+
+    const token = await createAuthToken(user._id, 'reset-password', PASSWORD_RESET_MINUTES * 60 * 1000);
+    const link = `${FRONTEND_URL}/reset-password.html?token=${token}`;
+
+    await mailer.sendMail({
+        to: user.email,
+        subject: 'Restablecer tu contraseña',
+        text: `Hola ${user.username}:\n\nPara elegir una contraseña nueva abre este link:\n${link}\n\nEl link vence en ${PASSWORD_RESET_MINUTES} minutos y sirve una sola vez. Si no lo pediste, ignora este mensaje: tu contraseña no cambia.`,
+        html: `<p>Hola ${mailer.escapeHtml(user.username)}:</p><p>Para elegir una contraseña nueva abre <a href="${link}">este link</a>.</p><p>El link vence en ${PASSWORD_RESET_MINUTES} minutos y sirve una sola vez. Si no lo pediste, ignora este mensaje: tu contraseña no cambia.</p>`
+    });
+}
+
+/**
+ * @brief Cambia la contraseña del dueño del token y cierra todas sus sesiones abiertas.
+ * * Como el link llegó a su email, la cuenta queda además verificada.
+ * @returns {Promise<boolean>} false si el token es inválido o venció.
+ */
+async function resetPassword(token, newPassword) {
+    const userId = await consumeAuthToken(token, 'reset-password');
+    if (!userId) {
+        return false;
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(newPassword, salt);
+    const user = await User_data.findById(userId);
+    if (!user) {
+        return false;
+    }
+    user.passwordHash = passwordHash;
+    if (user.emailVerified === false) user.emailVerified = true;
+    await user.save();
+
+    await tokenService.revokeAllForUser(userId);
+    return true;
+}
+
+module.exports = {
+    REQUIRE_EMAIL_VERIFICATION,
+    isValidEmail,
+    isBlockedByVerification,
+    sendVerificationEmail,
+    verifyEmail,
+    resendVerificationEmail,
+    requestPasswordReset,
+    resetPassword,
+};
@@ -0,0 +1,371 @@
+// backend/services/adminService.js
+
+/**
+ * @file adminService.js
+ * @brief Lógica de negocio de la consola de administración.
+ * * Gestión de usuarios (búsqueda, cambio de rol, deshabilitar, reset de contraseña)
+ * mantenimiento de la colección de caché (CacheEntry) por prefijo de clave, edición
+ * del glosario de traducción (GlossaryTerm) y revisión del diccionario de ingredientes
+ * (IngredientTranslation).
+ * Las rutas que usan este servicio están protegidas por el rol 'Admin'.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User_data = require('../models/User_data');
+const CacheEntry = require('../models/CacheEntryModel');
+const GlossaryTerm = require('../models/GlossaryTermModel');
+const { GLOSSARY_CATEGORIES } = require('../models/GlossaryTermModel');
+const IngredientTranslation = require('../models/IngredientTranslationModel');
+const Inventory = require('../models/InventoryModel');
+const glossaryTranslator = require('./translators/glossaryTranslator');
+const cacheService = require('./cacheService');
+const tokenService = require('./tokenService');
+
+// Prefijos de caché que la consola puede inspeccionar o purgar (uno por espacio de nombres).
+const CACHE_PREFIXES = Object.values(cacheService.CACHE_NAMESPACES).map(namespace => namespace.prefix);
+
+// Campos públicos de un usuario (nunca se expone el passwordHash).
+const USER_FIELDS = 'username email grupo disabled createdAt updatedAt';
+
+/**
+ * @brief Escapa un texto para usarlo literalmente dentro de una expresión regular.
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @brief Normaliza los parámetros de paginación recibidos por query string.
+ */
+function parsePagination(page, limit) {
+    const safePage = Math.max(parseInt(page) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    return { page: safePage, limit: safeLimit, skip: (safePage - 1) * safeLimit };
+}
+
+// -------------------------------------------------------------------
+// GESTIÓN DE USUARIOS
+// -------------------------------------------------------------------
+
+/**
+ * @brief Lista usuarios, opcionalmente filtrando por username o email.
+ * @returns {Promise<object>} { users, total, page, limit }
+ */
+async function listUsers({ search, page, limit } = {}) {
+    const pagination = parsePagination(page, limit);
+    const filter = {};
+
+    if (search) {
+        const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+        filter.$or = [{ username: pattern }, { email: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+        User_data.find(filter)
+            .select(USER_FIELDS)
+            .sort({ createdAt: -1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit)
+            .lean(),
+        User_data.countDocuments(filter)
+    ]);
+
+    return { users, total, page: pagination.page, limit: pagination.limit };
+}
+
+/**
+ * @brief Cambia el rol (grupo) de un usuario.
+ * * Las sesiones abiertas se revocan para que el nuevo rol se aplique al renovar el token.
+ * @returns {Promise<object|null>} El usuario actualizado o null si no existe.
+ */
+async function setUserRole(userId, grupo) {
+    const user = await User_data.findByIdAndUpdate(
+        userId,
+        { $set: { grupo } },
+        { new: true, runValidators: true }
+    ).select(USER_FIELDS).lean();
+
+    if (user) {
+        await tokenService.revokeAllForUser(userId);
+    }
+    return user;
+}
+
+/**
+ * @brief Habilita o deshabilita una cuenta.
+ * * Al deshabilitar se revocan todos los refresh tokens: el usuario pierde el acceso
+ * apenas venza su access token actual.
+ * @returns {Promise<object|null>} El usuario actualizado o null si no existe.
+ */
+async function setUserDisabled(userId, disabled) {
+    const user = await User_data.findByIdAndUpdate(
+        userId,
+        { $set: { disabled: Boolean(disabled) } },
+        { new: true }
+    ).select(USER_FIELDS).lean();
+
+    if (user && disabled) {
+        await tokenService.revokeAllForUser(userId);
+    }
+    return user;
+}
+
+/**
+ * @brief Restablece la contraseña de un usuario.
+ * @param {string} userId ID del usuario.
+ * @param {string} [newPassword] Contraseña nueva. Si no se envía, se genera una temporal.
+ * @returns {Promise<string|null>} La contraseña asignada (para comunicársela al usuario) o null si no existe.
+ */
+async function resetUserPassword(userId, newPassword) {
+    const password = newPassword || crypto.randomBytes(6).toString('base64url');
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const result = await User_data.updateOne(
+        { _id: userId },
+        { $set: { passwordHash: hashedPassword } }
+    );
+
+    if (result.matchedCount !== 1) {
+        return null;
+    }
+
+    await tokenService.revokeAllForUser(userId);
+    return password;
+}
+
+/**
+ * @brief Obtiene los datos públicos de un usuario.
+ */
+async function getUser(userId) {
+    return await User_data.findById(userId).select(USER_FIELDS).lean();
+}
+
+// -------------------------------------------------------------------
+// MANTENIMIENTO DE CACHÉ
+// -------------------------------------------------------------------
+
+/**
+ * @brief Indica si un prefijo de caché es uno de los administrables.
+ */
+function isValidCachePrefix(prefix) {
+    return CACHE_PREFIXES.includes(prefix);
+}
+
+/**
+ * @brief Construye el filtro de Mongo para un prefijo (anclado al inicio de la clave).
+ */
+function cachePrefixFilter(prefix, search) {
+    const pattern = '^' + escapeRegex(prefix) + (search ? '.*' + escapeRegex(search) : '');
+    return { cacheKey: { $regex: pattern, $options: 'i' } };
+}
+
+/**
+ * @brief Lista entradas de caché de un prefijo (sin el campo 'data' completo, que puede ser grande).
+ * @returns {Promise<object>} { entries, total, page, limit }
+ */
+async function listCacheEntries(prefix, { search, page, limit } = {}) {
+    const pagination = parsePagination(page, limit);
+    const filter = cachePrefixFilter(prefix, search);
+
+    const [entries, total] = await Promise.all([
+        CacheEntry.find(filter)
+            .select('cacheKey createdAt expiresAt')
+            .sort({ createdAt: -1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit)
+            .lean(),
+        CacheEntry.countDocuments(filter)
+    ]);
+
+    return { entries, total, page: pagination.page, limit: pagination.limit };
+}
+
+/**
+ * @brief Devuelve una entrada de caché completa (incluye 'data').
+ */
+async function getCacheEntry(cacheKey) {
+    return await CacheEntry.findOne({ cacheKey }).lean();
+}
+
+/**
+ * @brief Elimina todas las entradas de caché de un prefijo.
+ * * También vacía la caché en memoria de ese prefijo (completa, aunque haya texto de búsqueda).
+ * @returns {Promise<number>} Cantidad de documentos eliminados.
+ */
+async function purgeCacheEntries(prefix, search) {
+    const result = await CacheEntry.deleteMany(cachePrefixFilter(prefix, search));
+    cacheService.clearMemory(prefix);
+    return result.deletedCount;
+}
+
+/**
+ * @brief Estadísticas de aciertos y fallos de la caché, con la cantidad de entradas guardadas.
+ * @returns {Promise<object>} Lo mismo que cacheService.getStats(), con 'storedEntries' por espacio.
+ */
+async function getCacheStats() {
+    const stats = cacheService.getStats();
+    await Promise.all(Object.values(stats.namespaces).map(async namespace => {
+        namespace.storedEntries = await CacheEntry.countDocuments(cachePrefixFilter(namespace.prefix));
+    }));
+    return stats;
+}
+
+// -------------------------------------------------------------------
+// GLOSARIO DE TRADUCCIÓN
+// -------------------------------------------------------------------
+
+/**
+ * @brief Lista los términos del glosario, buscando en español o en inglés.
+ * @returns {Promise<object>} { terms, total, page, limit }
+ */
+async function listGlossaryTerms({ search, category, page, limit } = {}) {
+    const pagination = parsePagination(page, limit);
+    const filter = {};
+    if (search) {
+        const regex = { $regex: escapeRegex(search), $options: 'i' };
+        filter.$or = [{ es: regex }, { en: regex }];
+    }
+    if (category) filter.category = category;
+
+    const [terms, total] = await Promise.all([
+        GlossaryTerm.find(filter)
+            .sort({ es: 1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit)
+            .lean(),
+        GlossaryTerm.countDocuments(filter)
+    ]);
+
+    return { terms, total, page: pagination.page, limit: pagination.limit };
+}
+
+/**
+ * @brief Crea o corrige un término del glosario (identificado por su nombre en español).
+ * * El glosario en memoria se recarga para que el cambio se use en la próxima traducción,
+ * y los alimentos con ese nombre pasan a usar la nueva traducción.
+ * @throws {ValidationError} Si los datos no cumplen el modelo.
+ */
+async function saveGlossaryTerm({ es, en, category }) {
+    const term = await GlossaryTerm.findOneAndUpdate(
+        { es: String(es).toLowerCase().trim() },
+        { $set: { en, ...(category ? { category } : {}) } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+    await glossaryTranslator.loadGlossary();
+    if (term.category === 'ingrediente') {
+        await Inventory.updateMany(sameArticleNameFilter(term.es), { $set: { englishName: term.en } });
+    }
+    return term;
+}
+
+/**
+ * @brief Elimina un término del glosario.
+ */
+async function deleteGlossaryTerm(termId) {
+    const result = await GlossaryTerm.deleteOne({ _id: termId });
+    if (result.deletedCount === 1) {
+        await glossaryTranslator.loadGlossary();
+    }
+    return result.deletedCount === 1;
+}
+
+// -------------------------------------------------------------------
+// DICCIONARIO DE INGREDIENTES
+// -------------------------------------------------------------------
+
+/**
+ * @brief Filtro de los alimentos cuyo nombre coincide con un nombre del diccionario.
+ */
+function sameArticleNameFilter(es) {
+    return { article_name: { $regex: `^${escapeRegex(es)}$`, $options: 'i' } };
+}
+
+/**
+ * @brief Lista los pares del diccionario, buscando en español o en inglés.
+ * @param {object} options { search, reviewed (true/false/undefined), page, limit }
+ * @returns {Promise<object>} { entries, total, page, limit }
+ */
+async function listDictionaryEntries({ search, reviewed, page, limit } = {}) {
+    const pagination = parsePagination(page, limit);
+    const filter = {};
+    if (search) {
+        const regex = { $regex: escapeRegex(search), $options: 'i' };
+        filter.$or = [{ es: regex }, { en: regex }];
+    }
+    if (typeof reviewed === 'boolean') filter.reviewed = reviewed;
+
+    const [entries, total] = await Promise.all([
+        IngredientTranslation.find(filter)
+            .sort({ es: 1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit)
+            .lean(),
+        IngredientTranslation.countDocuments(filter)
+    ]);
+
+    return { entries, total, page: pagination.page, limit: pagination.limit };
+}
+
+/**
+ * @brief Crea o corrige un par del diccionario (identificado por su nombre en español).
+ * * El par queda revisado y los alimentos con ese nombre pasan a usar la nueva traducción.
+ * @returns {Promise<object>} { entry, updatedItems }
+ * @throws {ValidationError} Si los datos no cumplen el modelo.
+ */
+async function saveDictionaryEntry({ es, en }) {
+    const entry = await IngredientTranslation.findOneAndUpdate(
+        { es: String(es).toLowerCase().trim() },
+        { $set: { en, source: 'admin', reviewed: true } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    const result = await Inventory.updateMany(sameArticleNameFilter(entry.es), { $set: { englishName: entry.en } });
+    return { entry, updatedItems: result.modifiedCount };
+}
+
+/**
+ * @brief Marca un par del diccionario como revisado sin cambiar su traducción.
+ * @returns {Promise<object|null>} El par, o null si no existe.
+ */
+async function markDictionaryEntryReviewed(entryId) {
+    return await IngredientTranslation.findByIdAndUpdate(entryId, { $set: { reviewed: true } }, { new: true }).lean();
+}
+
+/**
+ * @brief Elimina un par del diccionario.
+ * * Los alimentos con ese nombre pierden su 'englishName' y se vuelven a traducir la
+ * próxima vez que se necesite.
+ */
+async function deleteDictionaryEntry(entryId) {
+    const entry = await IngredientTranslation.findByIdAndDelete(entryId).lean();
+    if (!entry) {
+        return false;
+    }
+    await Inventory.updateMany(sameArticleNameFilter(entry.es), { $set: { englishName: null } });
+    return true;
+}
+
+module.exports = {
+    CACHE_PREFIXES,
+    GLOSSARY_CATEGORIES,
+    listUsers,
+    getUser,
+    setUserRole,
+    setUserDisabled,
+    resetUserPassword,
+    isValidCachePrefix,
+    listCacheEntries,
+    getCacheEntry,
+    purgeCacheEntries,
+    getCacheStats,
+    listGlossaryTerms,
+    saveGlossaryTerm,
+    deleteGlossaryTerm,
+    listDictionaryEntries,
+    saveDictionaryEntry,
+    markDictionaryEntryReviewed,
+    deleteDictionaryEntry,
+};
@@ -0,0 +1,134 @@
+// backend/services/allergenService.js
+
+/**
+ * @file allergenService.js
+ * @brief Revisión de los ingredientes de las recetas contra las restricciones del perfil.
+ * * Los proveedores ya reciben las intolerancias y los ingredientes excluidos, pero sus
+ * filtros no son exactos (ej: Spoonacular no siempre reconoce "ricotta" como lácteo). Antes
+ * de mostrar una receta se revisan sus ingredientes con palabras clave en inglés y en
+ * español, y se marca la que se haya colado.
+ */
+
+const cookingService = require('./cookingService');
+
+// Palabras clave de cada intolerancia (inglés y español, sin tildes)
+const INTOLERANCE_KEYWORDS = {
+    'dairy': [
+        'milk', 'buttermilk', 'cheese', 'butter', 'cream', 'yogurt', 'yoghurt', 'ghee', 'whey', 'casein',
+        'mozzarella', 'parmesan', 'ricotta', 'cheddar', 'feta', 'mascarpone', 'custard',
+        'leche', 'queso', 'manteca', 'mantequilla', 'crema', 'nata', 'yogur', 'suero de leche', 'requeson', 'dulce de leche'
+    ],
+    'egg': ['egg', 'mayonnaise', 'meringue', 'huevo', 'clara', 'yema', 'mayonesa', 'merengue'],
+    'gluten': [
+        'wheat', 'flour', 'bread', 'breadcrumbs', 'pasta', 'spaghetti', 'noodle', 'couscous', 'barley', 'rye',
+        'semolina', 'seitan', 'bulgur', 'beer', 'soy sauce',
+        'trigo', 'harina', 'pan', 'pan rallado', 'fideo', 'cebada', 'centeno', 'semola', 'cuscus', 'cerveza', 'salsa de soja'
+    ],
+    'grain': [
+        'wheat', 'rice', 'corn', 'oat', 'barley', 'rye', 'flour', 'bread', 'pasta', 'quinoa', 'millet',
+        'trigo', 'arroz', 'maiz', 'choclo', 'avena', 'cebada', 'centeno', 'harina', 'pan', 'quinoa', 'mijo'
+    ],
+    'peanut': ['peanut', 'mani', 'cacahuete', 'cacahuate'],
+    'seafood': [
+        'fish', 'salmon', 'tuna', 'cod', 'anchovy', 'anchovies', 'sardine', 'trout', 'hake', 'tilapia', 'halibut', 'mackerel',
+        'pescado', 'atun', 'bacalao', 'anchoa', 'sardina', 'trucha', 'merluza', 'caballa'
+    ],
+    'sesame': ['sesame', 'tahini', 'sesamo', 'ajonjoli'],
+    'shellfish': [
+        'shrimp', 'prawn', 'crab', 'lobster', 'clam', 'mussel', 'oyster', 'scallop', 'squid', 'octopus',
+        'camaron', 'gamba', 'langostino', 'cangrejo', 'langosta', 'almeja', 'mejillon', 'ostra', 'vieira', 'calamar', 'pulpo'
+    ],
+    'soy': ['soy', 'soya', 'tofu', 'edamame', 'miso', 'tempeh', 'soja'],
+    'sulfite': ['wine', 'vinegar', 'raisin', 'dried apricot', 'vino', 'vinagre', 'pasa', 'orejon'],
+    'tree nut': [
+        'almond', 'walnut', 'cashew', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut', 'pine nut',
+        'almendra', 'nuez', 'nueces', 'anacardo', 'castana de caju', 'pecana', 'pistacho', 'avellana', 'pinon'
+    ],
+    'wheat': [
+        'wheat', 'flour', 'bread', 'breadcrumbs', 'pasta', 'spaghetti', 'noodle', 'couscous', 'semolina', 'bulgur',
+        'trigo', 'harina', 'pan', 'pan rallado', 'fideo', 'semola', 'cuscus'
+    ],
+};
+
+// Frases que contienen una palabra clave pero no la intolerancia (ej: "coconut milk" no es lácteo)
+const INTOLERANCE_EXCEPTIONS = {
+    'dairy': [
+        'coconut milk', 'almond milk', 'soy milk', 'oat milk', 'rice milk', 'coconut cream', 'peanut butter',
+        'almond butter', 'cocoa butter', 'cream of tartar',
+        'leche de coco', 'leche de almendras', 'leche de soja', 'leche de avena', 'leche de arroz', 'crema de mani',
+        'manteca de mani', 'manteca de cacao', 'manteca de cerdo'
+    ],
+    'egg': ['eggplant'],
+    'gluten': ['rice flour', 'corn flour', 'almond flour', 'rice noodle', 'gluten free', 'harina de maiz', 'harina de arroz', 'fideo de arroz', 'sin gluten'],
+    'wheat': ['rice flour', 'corn flour', 'almond flour', 'rice noodle', 'harina de maiz', 'harina de arroz', 'fideo de arroz'],
+    'tree nut': ['nutmeg', 'nuez moscada'],
+};
+
+/**
+ * @brief Pasa un nombre a minúsculas y sin tildes, para comparar palabras clave.
+ */
+function normalizeText(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @brief Indica si un nombre contiene la palabra clave como palabra completa (admite plural).
+ */
+function containsKeyword(name, keyword) {
+    return new RegExp(`\\b${escapeRegExp(keyword)}(s|es)?\\b`).test(name);
+}
+
+/**
+ * @brief Devuelve las intolerancias que afectan a un ingrediente.
+ */
+function intolerancesOf(ingredientName, intolerances) {
+    const name = normalizeText(ingredientName);
+    return intolerances.filter(intolerance => {
+        // Se quitan las excepciones antes de buscar (ej: "peanut butter" no cuenta como lácteo)
+        const remaining = (INTOLERANCE_EXCEPTIONS[intolerance] || [])
+            .reduce((text, exception) => text.replace(new RegExp(`\\b${escapeRegExp(exception)}(s|es)?\\b`, 'g'), ' '), name);
+        return (INTOLERANCE_KEYWORDS[intolerance] || []).some(keyword => containsKeyword(remaining, keyword));
+    });
+}
+
+/**
+ * @brief Revisa una lista de ingredientes contra las intolerancias y los ingredientes excluidos.
+ * @param {Array<string>} ingredientNames Nombres de los ingredientes (en inglés o en español).
+ * @param {object} restrictions { intolerances, excludedIngredients }: los excluidos conviene
+ *   pasarlos en los dos idiomas, ya que se comparan por nombre.
+ * @returns {Array<object>} [{ ingredient, type: 'intolerance'|'excluded', reason }], uno por
+ *   ingrediente y motivo (vacío si la receta es segura).
+ */
+function findAllergens(ingredientNames, restrictions = {}) {
+    const intolerances = restrictions.intolerances || [];
+    const excluded = restrictions.excludedIngredients || [];
+    const warnings = [];
+
+    [...new Set(ingredientNames.filter(Boolean))].forEach(ingredient => {
+        intolerancesOf(ingredient, intolerances).forEach(intolerance => {
+            warnings.push({ ingredient, type: 'intolerance', reason: intolerance });
+        });
+        const excludedMatch = excluded.find(name => cookingService.ingredientNamesMatch(ingredient, name));
+        if (excludedMatch) {
+            warnings.push({ ingredient, type: 'excluded', reason: excludedMatch });
+        }
+    });
+    return warnings;
+}
+
+/**
+ * @brief Indica si hay restricciones que revisar.
+ */
+function hasRestrictions(restrictions = {}) {
+    return (restrictions.intolerances || []).length > 0 || (restrictions.excludedIngredients || []).length > 0;
+}
+
+module.exports = {
+    INTOLERANCE_KEYWORDS,
+    findAllergens,
+    hasRestrictions,
+};
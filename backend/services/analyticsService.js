@@ -0,0 +1,335 @@
+// backend/services/analyticsService.js
+
+/**
+ * @file analyticsService.js
+ * @brief Estadísticas de la despensa: qué se compra, qué se consume, qué se tira y qué se cocina.
+ * * Se calculan a partir del historial del inventario (ver inventoryHistoryService), de las
+ * recetas cocinadas (CookingLog) y de los lotes del inventario actual. Igual que el resto de
+ * la despensa, si el usuario pertenece a un hogar las estadísticas son las del hogar.
+ * * Las cantidades se expresan en la unidad base de su dimensión (gramos, mililitros o
+ * unidades), así que un mismo alimento cargado en masa y en volumen aparece dos veces.
+ */
+
+const mongoose = require('mongoose');
+const InventoryHistory = require('../models/InventoryHistoryModel');
+const CookingLog = require('../models/CookingLogModel');
+const Inventory = require('../models/InventoryModel');
+const unitService = require('./unitService');
+const householdService = require('./householdService');
+const mealPlanService = require('./mealPlanService');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Período por defecto del consumo (los demás informes abarcan todo el historial)
+const DEFAULT_CONSUMPTION_DAYS = 90;
+// Agrupaciones válidas del consumo en el tiempo
+const CONSUMPTION_GROUPS = ['day', 'week', 'month'];
+
+/**
+ * @brief Filtro de la despensa del usuario, con el usuario como ObjectId (para las agregaciones).
+ */
+async function getScopeFilter(userId) {
+    const { household } = await householdService.getPantryScope(userId);
+    return household ? { household } : { user: new mongoose.Types.ObjectId(String(userId)), household: null };
+}
+
+/**
+ * @brief Agrega al filtro el rango de fechas de 'createdAt' (si se envió).
+ */
+function withDateRange(filter, from, to) {
+    if (!from && !to) return filter;
+    const createdAt = {};
+    if (from) createdAt.$gte = from;
+    if (to) createdAt.$lte = to;
+    return { ...filter, createdAt };
+}
+
+function roundDays(days) {
+    return Math.round(days * 10) / 10;
+}
+
+/**
+ * @brief Clave del período de una fecha ('YYYY-MM-DD' del día o del lunes de la semana, o 'YYYY-MM').
+ */
+function getPeriodKey(date, groupBy) {
+    const day = new Date(`${date.toISOString().slice(0, 10)}T00:00:00.000Z`);
+    if (groupBy === 'month') return day.toISOString().slice(0, 7);
+    if (groupBy === 'week') return mealPlanService.getWeekRange(day).start.toISOString().slice(0, 10);
+    return day.toISOString().slice(0, 10);
+}
+
+/**
+ * @brief Lista ordenada de los períodos entre dos fechas.
+ */
+function listPeriods(from, to, groupBy) {
+    const periods = [];
+    const cursor = new Date(`${from.toISOString().slice(0, 10)}T00:00:00.000Z`);
+    while (cursor <= to) {
+        const key = getPeriodKey(cursor, groupBy);
+        if (periods[periods.length - 1] !== key) periods.push(key);
+        cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+    return periods;
+}
+
+/**
+ * @brief Cantidad de una copia del alimento expresada en una unidad base.
+ * @returns {number|null} null si no se puede convertir (ej: de unidades a gramos sin peso por unidad).
+ */
+function quantityIn(snapshot, baseUnit) {
+    if (!snapshot) return 0;
+    try {
+        const properties = unitService.getIngredientProperties(snapshot.article_name, {
+            density: snapshot.density,
+            unitWeight: snapshot.unitWeight
+        });
+        return unitService.convert(snapshot.quantity, snapshot.unit, baseUnit, properties);
+    } catch (error) {
+        if (error.name === 'UnitConversionError') return null;
+        throw error;
+    }
+}
+
+/**
+ * @brief Cuánto se consumió y cuánto se compró en un cambio del historial.
+ * * Consumo: lo descontado al cocinar y las ediciones que bajan la cantidad. Compra: los
+ * alimentos nuevos y las sumas. Las bajas no cuentan (ver getExpiredUnused).
+ * @returns {object|null} { article_name, unit, consumed, purchased } o null si el cambio no
+ *   mueve cantidades (o las unidades no se pueden comparar).
+ */
+function measureChange(entry) {
+    const { action, before, after } = entry;
+    if (!['create', 'sum', 'update', 'consume'].includes(action)) return null;
+    // Renombrar un alimento no es consumo ni compra
+    if (before && after && before.article_name !== after.article_name) return null;
+
+    const reference = before || after;
+    const baseUnit = unitService.toBase(0, reference.unit).unit;
+    const beforeQuantity = quantityIn(before, baseUnit);
+    const afterQuantity = quantityIn(after, baseUnit);
+    if (beforeQuantity === null || afterQuantity === null) return null;
+
+    const delta = afterQuantity - beforeQuantity;
+    if (delta === 0) return null;
+    return {
+        article_name: reference.article_name,
+        unit: baseUnit,
+        consumed: delta < 0 ? -delta : 0,
+        purchased: delta > 0 ? delta : 0
+    };
+}
+
+/**
+ * @brief Consumo y compras por alimento a lo largo del tiempo.
+ * @param {object} options { from, to, groupBy }: por defecto los últimos 90 días, por semana.
+ * @returns {Promise<object>} { from, to, groupBy, periods, ingredients: [{ article_name, unit,
+ *   consumed, purchased, timeline: [{ period, consumed, purchased }] }] } ordenado por consumo.
+ */
+async function getConsumption(userId, { from, to, groupBy = 'week' } = {}) {
+    const rangeTo = to || new Date();
+    const rangeFrom = from || new Date(rangeTo.getTime() - DEFAULT_CONSUMPTION_DAYS * MS_PER_DAY);
+    const periods = listPeriods(rangeFrom, rangeTo, groupBy);
+
+    const scope = await getScopeFilter(userId);
+    const entries = await InventoryHistory.find({
+        ...withDateRange(scope, rangeFrom, rangeTo),
+        action: { $in: ['create', 'sum', 'update', 'consume'] },
+        undoneAt: null
+    }).select('action before after createdAt').lean();
+
+    const byIngredient = new Map();
+    entries.forEach(entry => {
+        const change = measureChange(entry);
+        if (!change) return;
+
+        const key = `${change.article_name}|${change.unit}`;
+        if (!byIngredient.has(key)) {
+            byIngredient.set(key, {
+                article_name: change.article_name,
+                unit: change.unit,
+                consumed: 0,
+                purchased: 0,
+                timeline: new Map(periods.map(period => [period, { period, consumed: 0, purchased: 0 }]))
+            });
+        }
+        const ingredient = byIngredient.get(key);
+        const point = ingredient.timeline.get(getPeriodKey(entry.createdAt, groupBy));
+        ingredient.consumed += change.consumed;
+        ingredient.purchased += change.purchased;
+        if (point) {
+            point.consumed = unitService.roundQuantity(point.consumed + change.consumed);
+            point.purchased = unitService.roundQuantity(point.purchased + change.purchased);
+        }
+    });
+
+    const ingredients = [...byIngredient.values()]
+        .map(ingredient => ({
+            ...ingredient,
+            consumed: unitService.roundQuantity(ingredient.consumed),
+            purchased: unitService.roundQuantity(ingredient.purchased),
+            timeline: [...ingredient.timeline.values()]
+        }))
+        .sort((a, b) => (b.consumed - a.consumed) || (b.purchased - a.purchased));
+
+    return { from: rangeFrom, to: rangeTo, groupBy, periods, ingredients };
+}
+
+/**
+ * @brief Recetas más cocinadas.
+ * @param {object} options { from, to, limit } (por defecto las 10 más cocinadas de siempre).
+ * @returns {Promise<object>} { total, recipes: [{ recipeId, title, times, servings, lastCookedAt }] }
+ */
+async function getMostCookedRecipes(userId, { from, to, limit = 10 } = {}) {
+    const match = withDateRange(await getScopeFilter(userId), from, to);
+    const [recipes, total] = await Promise.all([
+        CookingLog.aggregate([
+            { $match: match },
+            { $sort: { createdAt: 1 } },
+            {
+                $group: {
+                    _id: '$recipeId',
+                    title: { $last: '$title' },
+                    times: { $sum: 1 },
+                    servings: { $sum: { $ifNull: ['$servings', 0] } },
+                    lastCookedAt: { $max: '$createdAt' }
+                }
+            },
+            { $sort: { times: -1, lastCookedAt: -1 } },
+            { $limit: limit },
+            { $project: { _id: 0, recipeId: '$_id', title: 1, times: 1, servings: 1, lastCookedAt: 1 } }
+        ]),
+        CookingLog.countDocuments(match)
+    ]);
+    return { total, recipes };
+}
+
+/**
+ * @brief Lotes de un alimento vencidos a una fecha, con la cantidad total vencida.
+ */
+function expiredLots(alimento, date) {
+    const lots = (alimento.lots || []).filter(lot => lot.expiryDate && new Date(lot.expiryDate) < date);
+    return {
+        quantity: unitService.roundQuantity(lots.reduce((sum, lot) => sum + lot.quantity, 0)),
+        expiryDate: lots.length ? new Date(Math.min(...lots.map(lot => new Date(lot.expiryDate)))) : null
+    };
+}
+
+/**
+ * @brief Alimentos que vencieron sin usarse.
+ * * 'discarded': bajas (en el rango de fechas) de alimentos con lotes ya vencidos.
+ * 'inPantry': alimentos del inventario actual con lotes vencidos.
+ * @returns {Promise<object>} { discarded, inPantry, byIngredient: [{ article_name, times }] }
+ */
+async function getExpiredUnused(userId, { from, to } = {}) {
+    const scope = await getScopeFilter(userId);
+    const now = new Date();
+
+    const deletions = await InventoryHistory.find({
+        ...withDateRange(scope, from, to),
+        action: 'delete',
+        undoneAt: null
+    }).populate('user', 'username').sort({ createdAt: -1 }).lean();
+
+    const discarded = deletions
+        .map(entry => ({ entry, expired: expiredLots(entry.before, entry.createdAt) }))
+        .filter(({ expired }) => expired.quantity > 0)
+        .map(({ entry, expired }) => ({
+            alimentoId: entry.alimentoId,
+            article_name: entry.article_name,
+            quantity: expired.quantity,
+            unit: entry.before.unit,
+            expiryDate: expired.expiryDate,
+            removedAt: entry.createdAt,
+            removedBy: entry.user ? entry.user.username : null
+        }));
+
+    const alimentos = await Inventory.find({ ...scope, 'lots.expiryDate': { $lt: now } }).lean();
+    const inPantry = alimentos
+        .map(alimento => {
+            const expired = expiredLots(alimento, now);
+            return {
+                _id: alimento._id,
+                article_name: alimento.article_name,
+                quantity: expired.quantity,
+                unit: alimento.unit,
+                expiryDate: expired.expiryDate,
+                daysExpired: Math.floor((now - expired.expiryDate) / MS_PER_DAY)
+            };
+        })
+        .sort((a, b) => b.daysExpired - a.daysExpired);
+
+    const times = new Map();
+    [...discarded, ...inPantry].forEach(item => times.set(item.article_name, (times.get(item.article_name) || 0) + 1));
+    const byIngredient = [...times.entries()]
+        .map(([article_name, count]) => ({ article_name, times: count }))
+        .sort((a, b) => b.times - a.times);
+
+    return { discarded, inPantry, byIngredient };
+}
+
+/**
+ * @brief Fecha de ingreso de un alimento a la despensa (la compra más antigua de sus lotes).
+ */
+function getEntryDate(alimento) {
+    const purchaseDates = (alimento.lots || []).map(lot => lot.purchaseDate).filter(Boolean).map(date => new Date(date));
+    return purchaseDates.length ? new Date(Math.min(...purchaseDates)) : new Date(alimento.createdAt);
+}
+
+/**
+ * @brief Promedio de una lista de días (null si está vacía).
+ */
+function averageDays(days) {
+    return days.length ? roundDays(days.reduce((sum, value) => sum + value, 0) / days.length) : null;
+}
+
+/**
+ * @brief Tiempo que los alimentos permanecen en la despensa.
+ * * 'finished': alimentos que salieron de la despensa (en el rango de fechas), desde la
+ * compra de su lote más antiguo hasta que se eliminaron o se terminaron al cocinar.
+ * 'inPantry': antigüedad de los alimentos del inventario actual.
+ * @returns {Promise<object>} { finished: { averageDays, count }, byIngredient: [{ article_name,
+ *   averageDays, count }], inPantry: { averageDays, count, oldest: [{ _id, article_name, days }] } }
+ */
+async function getPantryDuration(userId, { from, to } = {}) {
+    const scope = await getScopeFilter(userId);
+    const now = new Date();
+
+    const removals = await InventoryHistory.find({
+        ...withDateRange(scope, from, to),
+        action: { $in: ['delete', 'consume'] },
+        after: null,
+        undoneAt: null
+    }).select('article_name before createdAt').lean();
+
+    const daysByIngredient = new Map();
+    const allDays = [];
+    removals.forEach(entry => {
+        const days = Math.max((entry.createdAt - getEntryDate(entry.before)) / MS_PER_DAY, 0);
+        allDays.push(days);
+        if (!daysByIngredient.has(entry.article_name)) daysByIngredient.set(entry.article_name, []);
+        daysByIngredient.get(entry.article_name).push(days);
+    });
+
+    const byIngredient = [...daysByIngredient.entries()]
+        .map(([article_name, days]) => ({ article_name, averageDays: averageDays(days), count: days.length }))
+        .sort((a, b) => b.averageDays - a.averageDays);
+
+    const alimentos = await Inventory.find(scope).select('article_name lots createdAt').lean();
+    const ages = alimentos
+        .map(alimento => ({ _id: alimento._id, article_name: alimento.article_name, days: roundDays((now - getEntryDate(alimento)) / MS_PER_DAY) }))
+        .sort((a, b) => b.days - a.days);
+
+    return {
+        finished: { averageDays: averageDays(allDays), count: allDays.length },
+        byIngredient,
+        inPantry: { averageDays: averageDays(ages.map(age => age.days)), count: ages.length, oldest: ages.slice(0, 5) }
+    };
+}
+
+module.exports = {
+    CONSUMPTION_GROUPS,
+    getConsumption,
+    getMostCookedRecipes,
+    getExpiredUnused,
+    getPantryDuration,
+};
@@ -0,0 +1,334 @@
+// backend/services/cacheService.js
+
+/**
+ * @file cacheService.js
+ * @brief Caché de respuestas externas (traducciones y Spoonacular) con vencimiento por espacio de nombres.
+ * * Cada espacio de nombres tiene su prefijo de clave y su TTL (configurable por variable de
+ * entorno, en segundos). Las entradas se guardan en MongoDB (CacheEntry) con upsert, así dos
+ * escrituras de la misma clave no chocan con el índice único. Opcionalmente se mantiene una
+ * caché LRU en memoria delante de MongoDB (CACHE_MEMORY_MAX_ENTRIES > 0).
+ * * getOrSet agrupa las peticiones concurrentes de una misma clave: mientras una carga está en
+ * curso, las demás esperan su resultado en lugar de volver a llamar a la API externa.
+ */
+
+require('dotenv').config({ path: '../.env' });
+
+const CacheEntry = require('../models/CacheEntryModel');
+
+const SECONDS_PER_HOUR = 60 * 60;
+
+/**
+ * @brief Lee un TTL (en segundos) de una variable de entorno, con un valor por defecto.
+ */
+function ttlFromEnv(variable, defaultSeconds) {
+    const seconds = parseInt(process.env[variable], 10);
+    return Number.isInteger(seconds) && seconds > 0 ? seconds : defaultSeconds;
+}
+
+// Espacios de nombres de la caché: prefijo de la clave y tiempo de vida de sus entradas.
+const CACHE_NAMESPACES = {
+    translation: {
+        prefix: 'translation:',
+        ttlSeconds: ttlFromEnv('CACHE_TTL_TRANSLATION', 30 * 24 * SECONDS_PER_HOUR)
+    },
+    spoonacularSearch: {
+        prefix: 'spoonacular:search:',
+        ttlSeconds: ttlFromEnv('CACHE_TTL_SPOONACULAR_SEARCH', 23 * SECONDS_PER_HOUR)
+    },
+    spoonacularDetails: {
+        prefix: 'spoonacular:details:',
+        ttlSeconds: ttlFromEnv('CACHE_TTL_SPOONACULAR_DETAILS', 7 * 24 * SECONDS_PER_HOUR)
+    },
+};
+
+// TTL que tenían todas las entradas antes de los espacios de nombres
+const LEGACY_TTL_SECONDS = 23 * SECONDS_PER_HOUR;
+
+// Tamaño máximo de la caché en memoria (0 = desactivada)
+const MEMORY_MAX_ENTRIES = Math.max(parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES, 10) || 0, 0);
+
+// Caché LRU en memoria: un Map conserva el orden de inserción, el primero es el menos usado.
+const memoryCache = new Map();
+
+// Cargas en curso: clave completa -> Promise del resultado
+const inFlight = new Map();
+
+// Contadores por espacio de nombres (desde que arrancó el servidor)
+let stats = {};
+
+function emptyStats() {
+    return { hits: 0, memoryHits: 0, misses: 0, coalesced: 0, writes: 0, errors: 0 };
+}
+
+function resetStats() {
+    stats = Object.fromEntries(Object.keys(CACHE_NAMESPACES).map(name => [name, emptyStats()]));
+}
+resetStats();
+
+/**
+ * @brief Devuelve la configuración de un espacio de nombres.
+ * @throws {Error} Si el espacio de nombres no existe (error de programación).
+ */
+function getNamespace(namespace) {
+    const config = CACHE_NAMESPACES[namespace];
+    if (!config) {
+        throw new Error(`Espacio de nombres de caché desconocido: "${namespace}".`);
+    }
+    return config;
+}
+
+/**
+ * @brief Clave completa (con prefijo) de una entrada.
+ */
+function buildKey(namespace, key) {
+    return getNamespace(namespace).prefix + key;
+}
+
+// -------------------------------------------------------------------
+// CACHÉ EN MEMORIA (LRU)
+// -------------------------------------------------------------------
+
+function memoryGet(cacheKey) {
+    const entry = memoryCache.get(cacheKey);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+        memoryCache.delete(cacheKey);
+        return undefined;
+    }
+    // Se reinserta para marcarla como la más usada
+    memoryCache.delete(cacheKey);
+    memoryCache.set(cacheKey, entry);
+    return entry.data;
+}
+
+function memorySet(cacheKey, data, expiresAt) {
+    if (MEMORY_MAX_ENTRIES === 0) return;
+    memoryCache.delete(cacheKey);
+    memoryCache.set(cacheKey, { data, expiresAt: expiresAt.getTime() });
+    while (memoryCache.size > MEMORY_MAX_ENTRIES) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+}
+
+/**
+ * @brief Borra de la memoria las entradas cuya clave empieza con el prefijo dado.
+ * * La usa la consola de administración al purgar la caché de MongoDB.
+ */
+function clearMemory(prefix = '') {
+    for (const cacheKey of [...memoryCache.keys()]) {
+        if (cacheKey.startsWith(prefix)) memoryCache.delete(cacheKey);
+    }
+}
+
+// -------------------------------------------------------------------
+// LECTURA Y ESCRITURA
+// -------------------------------------------------------------------
+
+/**
+ * @brief Busca una entrada (primero en memoria, luego en MongoDB).
+ * @returns {Promise<*>} Los datos guardados, o null si no están o vencieron.
+ */
+async function get(namespace, key) {
+    const cacheKey = buildKey(namespace, key);
+    const counters = stats[namespace];
+
+    const fromMemory = memoryGet(cacheKey);
+    if (fromMemory !== undefined) {
+        counters.hits++;
+        counters.memoryHits++;
+        return fromMemory;
+    }
+
+    // El TTL de MongoDB se aplica cada ~60 s; se filtran las vencidas que todavía no borró
+    const entry = await CacheEntry.findOne({ cacheKey, expiresAt: { $gt: new Date() } }).lean();
+    if (!entry) {
+        counters.misses++;
+        return null;
+    }
+
+    counters.hits++;
+    memorySet(cacheKey, entry.data, entry.expiresAt);
+    return entry.data;
+}
+
+/**
+ * @brief Busca varias entradas de un espacio de nombres en una sola consulta.
+ * @param {Array<string>} keys Claves (sin prefijo).
+ * @returns {Promise<Map>} clave -> datos (solo las encontradas).
+ */
+async function getMany(namespace, keys) {
+    getNamespace(namespace);
+    const counters = stats[namespace];
+    const found = new Map();
+    const pending = [];
+
+    keys.forEach(key => {
+        const fromMemory = memoryGet(buildKey(namespace, key));
+        if (fromMemory !== undefined) {
+            found.set(key, fromMemory);
+            counters.hits++;
+            counters.memoryHits++;
+        } else {
+            pending.push(key);
+        }
+    });
+    if (pending.length === 0) return found;
+
+    const cacheKeys = pending.map(key => buildKey(namespace, key));
+    const entries = await CacheEntry.find({ cacheKey: { $in: cacheKeys }, expiresAt: { $gt: new Date() } }).lean();
+    const byKey = new Map(entries.map(entry => [entry.cacheKey, entry]));
+
+    pending.forEach((key, index) => {
+        const entry = byKey.get(cacheKeys[index]);
+        if (!entry) {
+            counters.misses++;
+            return;
+        }
+        counters.hits++;
+        found.set(key, entry.data);
+        memorySet(entry.cacheKey, entry.data, entry.expiresAt);
+    });
+    return found;
+}
+
+/**
+ * @brief Operación de upsert de una entrada (renueva su vencimiento).
+ */
+function upsertOperation(namespace, key, data) {
+    const cacheKey = buildKey(namespace, key);
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + getNamespace(namespace).ttlSeconds * 1000);
+    memorySet(cacheKey, data, expiresAt);
+    return {
+        updateOne: {
+            filter: { cacheKey },
+            update: { $set: { cacheKey, data, createdAt: now, expiresAt } },
+            upsert: true
+        }
+    };
+}
+
+/**
+ * @brief Guarda (o reemplaza) una entrada.
+ */
+async function set(namespace, key, data) {
+    await CacheEntry.bulkWrite([upsertOperation(namespace, key, data)]);
+    stats[namespace].writes++;
+}
+
+/**
+ * @brief Guarda varias entradas de un espacio de nombres.
+ * @param {Map} entries clave (sin prefijo) -> datos
+ */
+async function setMany(namespace, entries) {
+    const operations = [...entries.entries()].map(([key, data]) => upsertOperation(namespace, key, data));
+    if (operations.length === 0) return;
+    await CacheEntry.bulkWrite(operations, { ordered: false });
+    stats[namespace].writes += operations.length;
+}
+
+/**
+ * @brief Devuelve la entrada si existe; si no, la carga con 'loader' y la guarda.
+ * * Las llamadas concurrentes con la misma clave comparten una sola carga. Si la caché
+ * (MongoDB) falla se usa directamente el loader, y si el loader falla no se guarda nada.
+ * @param {Function} loader Función async que obtiene los datos (ej: llamada a Spoonacular).
+ * @returns {Promise<*>} Los datos (de la caché o recién cargados).
+ */
+async function getOrSet(namespace, key, loader) {
+    const cacheKey = buildKey(namespace, key);
+    const counters = stats[namespace];
+
+    if (inFlight.has(cacheKey)) {
+        counters.coalesced++;
+        return await inFlight.get(cacheKey);
+    }
+
+    const load = (async () => {
+        try {
+            const cached = await get(namespace, key);
+            if (cached !== null) return cached;
+        } catch (error) {
+            counters.errors++;
+            console.error(`Error al leer la caché "${cacheKey}":`, error.message);
+        }
+
+        const data = await loader();
+        if (data !== null && data !== undefined) {
+            try {
+                await set(namespace, key, data);
+            } catch (error) {
+                counters.errors++;
+                console.error(`Error al guardar la caché "${cacheKey}":`, error.message);
+            }
+        }
+        return data;
+    })();
+
+    inFlight.set(cacheKey, load);
+    try {
+        return await load;
+    } finally {
+        inFlight.delete(cacheKey);
+    }
+}
+
+// -------------------------------------------------------------------
+// ESTADÍSTICAS E INICIALIZACIÓN
+// -------------------------------------------------------------------
+
+/**
+ * @brief Estadísticas de uso de la caché desde que arrancó el servidor (o desde el último reinicio).
+ * @returns {object} { namespaces: { nombre: { prefix, ttlSeconds, hits, misses, hitRate, ... } }, memory }
+ */
+function getStats() {
+    const namespaces = {};
+    Object.entries(CACHE_NAMESPACES).forEach(([name, config]) => {
+        const counters = stats[name];
+        const lookups = counters.hits + counters.misses;
+        namespaces[name] = {
+            prefix: config.prefix,
+            ttlSeconds: config.ttlSeconds,
+            ...counters,
+            hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : null
+        };
+    });
+
+    return {
+        namespaces,
+        memory: { enabled: MEMORY_MAX_ENTRIES > 0, size: memoryCache.size, maxEntries: MEMORY_MAX_ENTRIES },
+        inFlight: inFlight.size
+    };
+}
+
+/**
+ * @brief Prepara la colección de caché.
+ * * Sincroniza los índices (el TTL pasó de 'createdAt' a 'expiresAt') y asigna vencimiento
+ * a las entradas guardadas antes de ese cambio, con el TTL que tenían (23 horas).
+ */
+async function initializeCache() {
+    await CacheEntry.syncIndexes();
+    const result = await CacheEntry.updateMany(
+        { expiresAt: { $exists: false } },
+        [{ $set: { expiresAt: { $add: [{ $ifNull: ['$createdAt', '$$NOW'] }, LEGACY_TTL_SECONDS * 1000] } } }]
+    );
+    if (result.modifiedCount > 0) {
+        console.log(`[CACHÉ] ${result.modifiedCount} entradas antiguas con vencimiento de 23 horas.`);
+    }
+
+    const ttls = Object.entries(CACHE_NAMESPACES).map(([name, config]) => `${name}=${config.ttlSeconds}s`).join(', ');
+    const memory = MEMORY_MAX_ENTRIES > 0 ? `memoria LRU de ${MEMORY_MAX_ENTRIES} entradas` : 'sin caché en memoria';
+    console.log(`[CACHÉ] TTL: ${ttls}; ${memory}.`);
+}
+
+module.exports = {
+    CACHE_NAMESPACES,
+    get,
+    getMany,
+    set,
+    setMany,
+    getOrSet,
+    clearMemory,
+    getStats,
+    resetStats,
+    initializeCache,
+};
@@ -0,0 +1,311 @@
+// backend/services/cookingService.js
+
+/**
+ * @file cookingService.js
+ * @brief Cálculo de qué descontar del inventario al cocinar una receta.
+ * * Cruza los 'extendedIngredients' de la receta (en inglés, con cantidad y unidad) con los
+ * alimentos del inventario (con su nombre traducido al inglés) y arma un plan con lo que
+ * se va a descontar de cada alimento y lo que falta. El plan se aplica en una transacción
+ * (todos los descuentos o ninguno) y queda registrado en CookingLog.
+ */
+
+const mongoose = require('mongoose');
+const CookingLog = require('../models/CookingLogModel');
+const unitService = require('./unitService');
+const userService = require('./userService');
+const householdService = require('./householdService');
+
+// Equivalencias de unidades de recetas (Spoonacular y recetas propias) a las unidades del inventario.
+const RECIPE_UNIT_MAP = {
+    'g': { unit: 'gramos', factor: 1 },
+    'gram': { unit: 'gramos', factor: 1 },
+    'grams': { unit: 'gramos', factor: 1 },
+    'kg': { unit: 'kilogramos', factor: 1 },
+    'kilogram': { unit: 'kilogramos', factor: 1 },
+    'kilograms': { unit: 'kilogramos', factor: 1 },
+    'kgs': { unit: 'kilogramos', factor: 1 },
+    'ml': { unit: 'mililitros', factor: 1 },
+    'milliliter': { unit: 'mililitros', factor: 1 },
+    'milliliters': { unit: 'mililitros', factor: 1 },
+    'l': { unit: 'litros', factor: 1 },
+    'liter': { unit: 'litros', factor: 1 },
+    'liters': { unit: 'litros', factor: 1 },
+    'oz': { unit: 'gramos', factor: 28.35 },
+    'ounce': { unit: 'gramos', factor: 28.35 },
+    'ounces': { unit: 'gramos', factor: 28.35 },
+    'lb': { unit: 'gramos', factor: 453.6 },
+    'lbs': { unit: 'gramos', factor: 453.6 },
+    'pound': { unit: 'gramos', factor: 453.6 },
+    'pounds': { unit: 'gramos', factor: 453.6 },
+    'cup': { unit: 'mililitros', factor: 240 },
+    'cups': { unit: 'mililitros', factor: 240 },
+    'tbsp': { unit: 'mililitros', factor: 15 },
+    'tablespoon': { unit: 'mililitros', factor: 15 },
+    'tablespoons': { unit: 'mililitros', factor: 15 },
+    'tbsps': { unit: 'mililitros', factor: 15 },
+    'tsp': { unit: 'mililitros', factor: 5 },
+    'teaspoon': { unit: 'mililitros', factor: 5 },
+    'teaspoons': { unit: 'mililitros', factor: 5 },
+    'tsps': { unit: 'mililitros', factor: 5 },
+    'fl. oz': { unit: 'mililitros', factor: 29.57 },
+    'pint': { unit: 'mililitros', factor: 473 },
+    'pints': { unit: 'mililitros', factor: 473 },
+    'quart': { unit: 'mililitros', factor: 946 },
+    'quarts': { unit: 'mililitros', factor: 946 },
+    // Unidades del inventario (las usan las recetas escritas por los usuarios)
+    'gramos': { unit: 'gramos', factor: 1 },
+    'kilogramos': { unit: 'kilogramos', factor: 1 },
+    'mililitros': { unit: 'mililitros', factor: 1 },
+    'litros': { unit: 'litros', factor: 1 },
+    'unidades': { unit: 'unidades', factor: 1 },
+    // Sin unidad o unidades "de conteo"
+    '': { unit: 'unidades', factor: 1 },
+    'serving': { unit: 'unidades', factor: 1 },
+    'servings': { unit: 'unidades', factor: 1 },
+    'piece': { unit: 'unidades', factor: 1 },
+    'pieces': { unit: 'unidades', factor: 1 },
+    'small': { unit: 'unidades', factor: 1 },
+    'medium': { unit: 'unidades', factor: 1 },
+    'large': { unit: 'unidades', factor: 1 },
+    'whole': { unit: 'unidades', factor: 1 },
+    'clove': { unit: 'unidades', factor: 1 },
+    'cloves': { unit: 'unidades', factor: 1 },
+    'slice': { unit: 'unidades', factor: 1 },
+    'slices': { unit: 'unidades', factor: 1 },
+};
+
+// Estados posibles de cada ingrediente del plan
+const STATUS = {
+    OK: 'ok',                        // Hay suficiente en el inventario
+    INSUFFICIENT: 'insuficiente',    // Hay, pero no alcanza
+    MISSING: 'faltante',             // No está en el inventario
+    UNKNOWN_UNIT: 'sin_conversion',  // Está, pero no se puede calcular cuánto descontar
+};
+
+/**
+ * @brief Separa un nombre de ingrediente en palabras (minúsculas, sin tildes ni signos).
+ */
+function tokenizeIngredientName(name) {
+    return String(name || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9ñ]+/)
+        .filter(Boolean);
+}
+
+/**
+ * @brief Indica si dos palabras son la misma, admitiendo plural ("egg"/"eggs", "tomato"/"tomatoes").
+ */
+function sameWord(a, b) {
+    return a === b || `${a}s` === b || `${a}es` === b || `${b}s` === a || `${b}es` === a;
+}
+
+/**
+ * @brief Puntaje de coincidencia entre el nombre de un ingrediente de receta y el de un alimento.
+ * * Se compara por palabras completas: el nombre más corto tiene que aparecer entero, y con las
+ * palabras seguidas, dentro del más largo ("butter" coincide con "unsalted butter", pero "salt"
+ * no coincide con "unsalted butter" ni "egg" con "eggplant").
+ * @returns {number} 0 si no coinciden. Si coinciden, mayor cuanto más específica es la
+ *   coincidencia: los nombres iguales primero y después los que comparten más palabras.
+ */
+function ingredientMatchScore(recipeName, inventoryName) {
+    const a = tokenizeIngredientName(recipeName);
+    const b = tokenizeIngredientName(inventoryName);
+    if (a.length === 0 || b.length === 0) return 0;
+
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    for (let start = 0; start + shorter.length <= longer.length; start++) {
+        if (shorter.every((word, offset) => sameWord(word, longer[start + offset]))) {
+            // Nombres iguales: puntaje máximo. Si no, pesan las palabras en común y restan las que sobran.
+            return shorter.length === longer.length ? 1000 : shorter.length * 10 - (longer.length - shorter.length);
+        }
+    }
+    return 0;
+}
+
+/**
+ * @brief Indica si el nombre de un ingrediente de receta coincide con el de un alimento (ver ingredientMatchScore).
+ */
+function ingredientNamesMatch(recipeName, inventoryName) {
+    return ingredientMatchScore(recipeName, inventoryName) > 0;
+}
+
+/**
+ * @brief Busca el alimento que mejor coincide con un ingrediente de receta.
+ * * Se prefiere el nombre igual y después el más específico (ej: para "peanut butter", el
+ * alimento "peanut butter" antes que "butter").
+ * @param {Function} getName Devuelve el nombre a comparar de cada alimento (ej: su 'englishName').
+ * @returns {object|null} El alimento, o null si ninguno coincide.
+ */
+function findMatchingItem(recipeName, items, getName) {
+    let best = null;
+    let bestScore = 0;
+    items.forEach(item => {
+        const score = ingredientMatchScore(recipeName, getName(item));
+        if (score > bestScore) {
+            best = item;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * @brief Convierte la cantidad de un ingrediente de receta a una unidad del inventario.
+ * * Se prefiere la medida métrica de Spoonacular ('measures.metric') cuando existe.
+ * @returns {object|null} { quantity, unit } o null si la unidad no se reconoce (ej: "pinch").
+ */
+function toInventoryMeasure(ingredient) {
+    const metric = ingredient.measures && ingredient.measures.metric;
+    const amount = metric ? metric.amount : ingredient.amount;
+    const rawUnit = metric ? (metric.unitShort || metric.unitLong) : ingredient.unit;
+    const mapping = RECIPE_UNIT_MAP[(rawUnit || '').toLowerCase().trim()];
+
+    if (!mapping || !amount) {
+        return null;
+    }
+    return { quantity: amount * mapping.factor, unit: mapping.unit };
+}
+
+/**
+ * @brief Arma el plan de descuento de una receta sobre el inventario.
+ * @param {object} recipe Detalles de la receta (extendedIngredients y servings).
+ * @param {Array} inventory Alimentos del inventario con el campo extra 'englishName'.
+ * @param {number} servings Porciones a cocinar (por defecto las de la receta).
+ * @returns {object} { servings, baseServings, items, deductions }
+ *   - items: un elemento por ingrediente de la receta, con su estado.
+ *   - deductions: [{ alimentoId, article_name, quantity, unit }] agrupado por alimento.
+ */
+function buildCookingPlan(recipe, inventory, servings) {
+    const baseServings = recipe.servings || 1;
+    const targetServings = servings || baseServings;
+    const scale = targetServings / baseServings;
+
+    // Cuánto queda disponible de cada alimento a medida que se asignan ingredientes
+    const remaining = new Map(inventory.map(item => [String(item._id), item.quantity]));
+    const deductions = new Map();
+
+    const items = (recipe.extendedIngredients || []).map((ingredient, index) => {
+        const base = {
+            index,
+            name: ingredient.name,
+            original: ingredient.original,
+            amount: unitService.roundQuantity((ingredient.amount || 0) * scale),
+            recipeUnit: ingredient.unit,
+        };
+
+        const item = findMatchingItem(ingredient.name, inventory, candidate => candidate.englishName);
+        if (!item) {
+            return { ...base, status: STATUS.MISSING };
+        }
+
+        const itemInfo = { alimentoId: item._id, article_name: item.article_name, available: item.quantity, unit: item.unit };
+        const measure = toInventoryMeasure(ingredient);
+        let needed;
+        try {
+            if (!measure) throw new unitService.UnitConversionError('Unidad de receta desconocida.');
+            const properties = unitService.getIngredientProperties(item.article_name, item);
+            needed = unitService.convert(measure.quantity * scale, measure.unit, item.unit, properties);
+        } catch (error) {
+            return { ...base, ...itemInfo, status: STATUS.UNKNOWN_UNIT };
+        }
+
+        const key = String(item._id);
+        const stillAvailable = remaining.get(key);
+        const deducted = Math.min(needed, stillAvailable);
+        remaining.set(key, unitService.roundQuantity(stillAvailable - deducted));
+
+        if (deducted > 0) {
+            const current = deductions.get(key) || { alimentoId: item._id, article_name: item.article_name, quantity: 0, unit: item.unit };
+            current.quantity = unitService.roundQuantity(current.quantity + deducted);
+            deductions.set(key, current);
+        }
+
+        const missingQuantity = unitService.roundQuantity(needed - deducted);
+        return {
+            ...base,
+            ...itemInfo,
+            deductQuantity: unitService.roundQuantity(deducted),
+            missingQuantity,
+            status: missingQuantity > 0 ? STATUS.INSUFFICIENT : STATUS.OK,
+        };
+    });
+
+    return {
+        servings: targetServings,
+        baseServings,
+        items,
+        deductions: [...deductions.values()],
+    };
+}
+
+/**
+ * @brief Extrae del plan los ingredientes que faltan (o no alcanzan) para la lista de compras.
+ * * Para los que no alcanzan se usa el alimento del inventario (nombre y unidad en español).
+ * Para los que no están, la medida de la receta convertida a unidades del inventario
+ * (o ninguna si no se reconoce) y el nombre en inglés, que hay que traducir.
+ * @returns {Array} [{ name, article_name, original, quantity, unit }]
+ */
+function getMissingIngredients(recipe, plan) {
+    const scale = plan.servings / plan.baseServings;
+    const ingredients = recipe.extendedIngredients || [];
+
+    return plan.items
+        .filter(item => item.status === STATUS.MISSING || item.status === STATUS.INSUFFICIENT)
+        .map(item => {
+            if (item.status === STATUS.INSUFFICIENT) {
+                return { name: item.name, article_name: item.article_name, original: item.original, quantity: item.missingQuantity, unit: item.unit };
+            }
+            const measure = toInventoryMeasure(ingredients[item.index]);
+            const readable = measure ? unitService.toReadableUnit(measure.quantity * scale, measure.unit) : null;
+            return {
+                name: item.name,
+                article_name: null,
+                original: item.original,
+                quantity: readable ? readable.quantity : null,
+                unit: readable ? readable.unit : null,
+            };
+        });
+}
+
+/**
+ * @brief Aplica un plan de cocina: descuenta los ingredientes y registra la receta cocinada.
+ * * Todo ocurre dentro de una transacción: si falla un descuento no se aplica ninguno.
+ * @param {object} recipe Detalles de la receta (id y title).
+ * @param {object} plan Resultado de buildCookingPlan.
+ * @returns {Promise<object>} { updated, removed } con los nombres de los alimentos afectados y
+ *   'restock' con los que quedaron por debajo de su mínimo.
+ */
+async function cookRecipe(userId, recipe, plan) {
+    const { household } = await householdService.getPantryScope(userId);
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await userService.descontarAlimentos(userId, plan.deductions, session);
+
+            await CookingLog.create([{
+                user: userId,
+                household,
+                recipeId: String(recipe.id),
+                title: recipe.title,
+                servings: plan.servings,
+                deductions: plan.deductions,
+                missing: plan.items
+                    .filter(item => item.status === STATUS.MISSING || item.status === STATUS.INSUFFICIENT)
+                    .map(item => ({ name: item.name, original: item.original }))
+            }], { session });
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+module.exports = {
+    STATUS,
+    ingredientNamesMatch,
+    findMatchingItem,
+    toInventoryMeasure,
+    buildCookingPlan,
+    getMissingIngredients,
+    cookRecipe,
+};
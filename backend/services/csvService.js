@@ -0,0 +1,106 @@
+// backend/services/csvService.js
+
+/**
+ * @file csvService.js
+ * @brief Lectura y escritura de archivos CSV (separados por coma, con comillas dobles opcionales).
+ * * La primera línea es el encabezado: cada fila se lee como un objeto con esas claves.
+ * * Los textos que una planilla de cálculo tomaría como fórmula (empiezan con =, +, -, @,
+ * tabulación o retorno de carro) se escriben con un apóstrofo adelante y se leen sin él.
+ */
+
+// Un campo que empieza así se neutraliza con un apóstrofo (ver formatField)
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA_PATTERN = /^'[=+\-@\t\r]/;
+
+/**
+ * @brief Quita el apóstrofo con el que formatField neutraliza las fórmulas.
+ */
+function unescapeFormula(value) {
+    return ESCAPED_FORMULA_PATTERN.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * @brief Separa el texto en filas de campos, respetando las comillas dobles ("" = una comilla).
+ */
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Las líneas vacías no son filas
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * @brief Lee un CSV con encabezado.
+ * @returns {Array} Un objeto por fila ({ columna: valor }, los valores sin espacios al borde).
+ */
+function parseCsv(text) {
+    const [header, ...rows] = parseRows(String(text).replace(/^\uFEFF/, ''));
+    if (!header) {
+        return [];
+    }
+    const keys = header.map(key => key.trim());
+    return rows.map(fields => Object.fromEntries(keys.map((key, index) => [key, unescapeFormula(fields[index] || '').trim()])));
+}
+
+/**
+ * @brief Escribe un campo, entre comillas si tiene comas, comillas o saltos de línea.
+ * * null y undefined se escriben vacíos. Los textos que parecen fórmulas llevan un apóstrofo
+ * adelante (los números no: "-1" no es una fórmula).
+ */
+function formatField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && FORMULA_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @brief Escribe un CSV con encabezado (el inverso de parseCsv).
+ * @param {Array} rows Objetos a escribir.
+ * @param {Array} columns Claves de cada objeto, en el orden de las columnas.
+ * @returns {string} El CSV (líneas separadas por CRLF, como lo esperan las planillas de cálculo).
+ */
+function stringifyCsv(rows, columns) {
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(fields => fields.map(formatField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    stringifyCsv,
+};
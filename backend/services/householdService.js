@@ -0,0 +1,346 @@
+// backend/services/householdService.js
+
+/**
+ * @file householdService.js
+ * @brief Hogares: varios usuarios que comparten la despensa (inventario y lista de compras).
+ * * Los alimentos y artículos de la lista guardan quién los cargó ('user') y, si se cargaron
+ * dentro de un hogar, el hogar ('household'). getPantryScope devuelve el filtro con el que
+ * userService y shoppingListService autorizan cada operación: la despensa del hogar si el
+ * usuario pertenece a uno, o su despensa personal si no.
+ * * Al unirse a un hogar los alimentos personales pasan a la despensa compartida; al salir
+ * quedan en el hogar (salvo que sea el último miembro, que se los lleva).
+ */
+
+const crypto = require('crypto');
+const Household = require('../models/HouseholdModel');
+const { HOUSEHOLD_ROLES } = require('../models/HouseholdModel');
+const User_data = require('../models/User_data');
+
+/**
+ * @brief Error de una operación sobre hogares (sin permiso, ya es miembro...).
+ * * 'status' es el código HTTP que se devuelve al cliente.
+ */
+class HouseholdError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'HouseholdError';
+        this.status = status;
+    }
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @brief Genera un código de invitación (8 caracteres hexadecimales en mayúsculas).
+ */
+function generateInviteCode() {
+    return crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+/**
+ * @brief Devuelve el ID del hogar del usuario, o null si no pertenece a ninguno.
+ */
+async function getHouseholdId(userId) {
+    const household = await Household.findOne({ 'members.user': userId }).select('_id').lean();
+    return household ? household._id : null;
+}
+
+/**
+ * @brief Filtro de la despensa a la que el usuario tiene acceso.
+ * * Los documentos anteriores a los hogares no tienen 'household': { household: null }
+ * también los incluye.
+ * @returns {Promise<object>} { household, filter }: el ID del hogar (o null) y el filtro de Mongo.
+ */
+async function getPantryScope(userId) {
+    const household = await getHouseholdId(userId);
+    return {
+        household,
+        filter: household ? { household } : { user: userId, household: null }
+    };
+}
+
+/**
+ * @brief Busca el hogar del usuario y su membresía.
+ * @throws {HouseholdError} 404 si no pertenece a ningún hogar, 403 si se pide 'owner' y no lo es.
+ */
+async function findMembership(userId, requireOwner = false) {
+    const household = await Household.findOne({ 'members.user': userId });
+    if (!household) {
+        throw new HouseholdError('No perteneces a ningún hogar.', 404);
+    }
+    const member = household.members.find(m => String(m.user) === String(userId));
+    if (requireOwner && member.role !== 'owner') {
+        throw new HouseholdError('Solo los administradores del hogar pueden hacer esto.', 403);
+    }
+    return { household, member };
+}
+
+/**
+ * @brief Arma la vista del hogar para un miembro (el código y las invitaciones solo los ven los 'owner').
+ */
+async function toHouseholdView(household, userId) {
+    const users = await User_data.find({ _id: { $in: household.members.map(m => m.user) } }).select('username email').lean();
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+    const role = household.members.find(m => String(m.user) === String(userId)).role;
+
+    return {
+        _id: household._id,
+        name: household.name,
+        role,
+        members: household.members.map(m => ({
+            userId: m.user,
+            username: usersById.has(String(m.user)) ? usersById.get(String(m.user)).username : null,
+            email: usersById.has(String(m.user)) ? usersById.get(String(m.user)).email : null,
+            role: m.role,
+            joinedAt: m.joinedAt
+        })),
+        inviteCode: role === 'owner' ? household.inviteCode : undefined,
+        invitations: role === 'owner'
+            ? household.invitations.map(inv => ({ _id: inv._id, email: inv.email, createdAt: inv.createdAt }))
+            : undefined,
+        createdAt: household.createdAt
+    };
+}
+
+/**
+ * @brief Devuelve el hogar del usuario.
+ * @returns {Promise<object|null>} La vista del hogar, o null si no pertenece a ninguno.
+ */
+async function getHousehold(userId) {
+    const household = await Household.findOne({ 'members.user': userId });
+    return household ? await toHouseholdView(household, userId) : null;
+}
+
+/**
+ * @brief Crea un hogar con el usuario como 'owner'.
+ * @throws {HouseholdError} 409 si el usuario ya pertenece a un hogar.
+ */
+async function createHousehold(userId, name) {
+    if (await getHouseholdId(userId)) {
+        throw new HouseholdError('Ya perteneces a un hogar. Sal de él antes de crear otro.', 409);
+    }
+    const household = await Household.create({
+        name,
+        members: [{ user: userId, role: 'owner' }],
+        inviteCode: generateInviteCode()
+    });
+    return await toHouseholdView(household, userId);
+}
+
+/**
+ * @brief Invita a un usuario (por email) al hogar. Solo los 'owner'.
+ * * El email puede no estar registrado todavía: verá la invitación cuando se registre.
+ * @throws {HouseholdError} 400 email inválido, 409 si ya es miembro o ya está invitado.
+ */
+async function inviteByEmail(userId, email) {
+    const cleanEmail = String(email || '').toLowerCase().trim();
+    if (!EMAIL_PATTERN.test(cleanEmail)) {
+        throw new HouseholdError('Email inválido.', 400);
+    }
+
+    const { household } = await findMembership(userId, true);
+    const invitedUser = await User_data.findOne({ email: cleanEmail }).select('_id').lean();
+    if (invitedUser && household.members.some(m => String(m.user) === String(invitedUser._id))) {
+        throw new HouseholdError('Ese usuario ya es miembro del hogar.', 409);
+    }
+    if (household.invitations.some(inv => inv.email === cleanEmail)) {
+        throw new HouseholdError('Ya hay una invitación pendiente para ese email.', 409);
+    }
+
+    household.invitations.push({ email: cleanEmail, invitedBy: userId });
+    await household.save();
+    return await toHouseholdView(household, userId);
+}
+
+/**
+ * @brief Cancela una invitación pendiente. Solo los 'owner'.
+ * @returns {Promise<boolean>} false si la invitación no existe.
+ */
+async function cancelInvitation(userId, invitationId) {
+    const { household } = await findMembership(userId, true);
+    const invitation = household.invitations.id(invitationId);
+    if (!invitation) {
+        return false;
+    }
+    invitation.deleteOne();
+    await household.save();
+    return true;
+}
+
+/**
+ * @brief Genera un código de invitación nuevo (el anterior deja de servir). Solo los 'owner'.
+ * @returns {Promise<string>} El código nuevo.
+ */
+async function regenerateInviteCode(userId) {
+    const { household } = await findMembership(userId, true);
+    household.inviteCode = generateInviteCode();
+    await household.save();
+    return household.inviteCode;
+}
+
+/**
+ * @brief Lista las invitaciones pendientes para el email del usuario.
+ * @returns {Promise<Array>} [{ householdId, name, members, invitedAt }]
+ */
+async function getReceivedInvitations(userId) {
+    const user = await User_data.findById(userId).select('email').lean();
+    if (!user) return [];
+
+    const households = await Household.find({ 'invitations.email': user.email }).lean();
+    return households.map(household => ({
+        householdId: household._id,
+        name: household.name,
+        members: household.members.length,
+        invitedAt: household.invitations.find(inv => inv.email === user.email).createdAt
+    }));
+}
+
+/**
+ * @brief Agrega al usuario como miembro de un hogar.
+ * * El índice único de 'members.user' evita que quede en dos hogares a la vez.
+ * @throws {HouseholdError} 409 si ya pertenece a un hogar.
+ */
+async function addMember(household, userId) {
+    if (await getHouseholdId(userId)) {
+        throw new HouseholdError('Ya perteneces a un hogar. Sal de él antes de unirte a otro.', 409);
+    }
+    household.members.push({ user: userId, role: 'member' });
+    try {
+        await household.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new HouseholdError('Ya perteneces a un hogar. Sal de él antes de unirte a otro.', 409);
+        }
+        throw error;
+    }
+}
+
+/**
+ * @brief Acepta una invitación por email y se une al hogar.
+ * @returns {Promise<object|null>} La vista del hogar, o null si no hay invitación para el usuario.
+ * @throws {HouseholdError} 409 si ya pertenece a un hogar.
+ */
+async function acceptInvitation(userId, householdId) {
+    const user = await User_data.findById(userId).select('email').lean();
+    const household = user ? await Household.findOne({ _id: householdId, 'invitations.email': user.email }) : null;
+    if (!household) {
+        return null;
+    }
+
+    household.invitations = household.invitations.filter(inv => inv.email !== user.email);
+    await addMember(household, userId);
+    return await toHouseholdView(household, userId);
+}
+
+/**
+ * @brief Rechaza una invitación por email.
+ * @returns {Promise<boolean>} false si no había invitación para el usuario.
+ */
+async function declineInvitation(userId, householdId) {
+    const user = await User_data.findById(userId).select('email').lean();
+    if (!user) return false;
+
+    const result = await Household.updateOne(
+        { _id: householdId, 'invitations.email': user.email },
+        { $pull: { invitations: { email: user.email } } }
+    );
+    return result.modifiedCount === 1;
+}
+
+/**
+ * @brief Se une a un hogar con su código de invitación.
+ * @returns {Promise<object|null>} La vista del hogar, o null si el código no existe.
+ * @throws {HouseholdError} 409 si ya pertenece a un hogar.
+ */
+async function joinByCode(userId, code) {
+    const household = await Household.findOne({ inviteCode: String(code || '').toUpperCase().trim() });
+    if (!household) {
+        return null;
+    }
+
+    const user = await User_data.findById(userId).select('email').lean();
+    household.invitations = household.invitations.filter(inv => !user || inv.email !== user.email);
+    await addMember(household, userId);
+    return await toHouseholdView(household, userId);
+}
+
+/**
+ * @brief Cambia el rol de un miembro. Solo los 'owner'; siempre debe quedar al menos un 'owner'.
+ * @returns {Promise<object|null>} La vista del hogar, o null si el usuario no es miembro.
+ * @throws {HouseholdError} 409 si se quitaría el último 'owner'.
+ */
+async function setMemberRole(userId, memberId, role) {
+    const { household } = await findMembership(userId, true);
+    const member = household.members.find(m => String(m.user) === String(memberId));
+    if (!member) {
+        return null;
+    }
+    if (member.role === 'owner' && role !== 'owner' && household.members.filter(m => m.role === 'owner').length === 1) {
+        throw new HouseholdError('El hogar debe tener al menos un administrador.', 409);
+    }
+    member.role = role;
+    await household.save();
+    return await toHouseholdView(household, userId);
+}
+
+/**
+ * @brief Quita a un miembro del hogar. Solo los 'owner' (para salir del hogar, ver leaveHousehold).
+ * * Los alimentos que cargó quedan en la despensa del hogar.
+ * @returns {Promise<boolean>} false si el usuario no es miembro.
+ */
+async function removeMember(userId, memberId) {
+    if (String(userId) === String(memberId)) {
+        throw new HouseholdError('Para salir del hogar usa la opción "Salir".', 400);
+    }
+    const { household } = await findMembership(userId, true);
+    const before = household.members.length;
+    household.members = household.members.filter(m => String(m.user) !== String(memberId));
+    if (household.members.length === before) {
+        return false;
+    }
+    await household.save();
+    return true;
+}
+
+/**
+ * @brief Sale del hogar.
+ * * Si era el último 'owner', el miembro más antiguo pasa a serlo. Si era el último miembro,
+ * el hogar se elimina.
+ * @returns {Promise<object>} { householdId, deleted }: si se eliminó el hogar, sus alimentos
+ *   deben volver a la despensa personal del usuario (ver userService.releaseHouseholdPantry).
+ */
+async function leaveHousehold(userId) {
+    const { household, member } = await findMembership(userId);
+    household.members = household.members.filter(m => String(m.user) !== String(userId));
+
+    if (household.members.length === 0) {
+        await Household.deleteOne({ _id: household._id });
+        return { householdId: household._id, deleted: true };
+    }
+
+    if (member.role === 'owner' && !household.members.some(m => m.role === 'owner')) {
+        const oldest = [...household.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+        oldest.role = 'owner';
+    }
+    await household.save();
+    return { householdId: household._id, deleted: false };
+}
+
+module.exports = {
+    HOUSEHOLD_ROLES,
+    HouseholdError,
+    getHouseholdId,
+    getPantryScope,
+    getHousehold,
+    createHousehold,
+    inviteByEmail,
+    cancelInvitation,
+    regenerateInviteCode,
+    getReceivedInvitations,
+    acceptInvitation,
+    declineInvitation,
+    joinByCode,
+    setMemberRole,
+    removeMember,
+    leaveHousehold,
+};
@@ -0,0 +1,148 @@
+// backend/services/ingredientDictionaryService.js
+
+/**
+ * @file ingredientDictionaryService.js
+ * @brief Diccionario persistente de nombres de ingredientes ES <-> EN.
+ * * Cada nombre se resuelve en este orden: glosario (curado por administradores),
+ * diccionario (pares aprendidos o corregidos, sin vencimiento) y, solo para los que
+ * faltan, los traductores configurados. Lo que traduce el modelo se guarda en el
+ * diccionario, así agregar un alimento nuevo no vuelve a traducir todo el inventario.
+ */
+
+const IngredientTranslation = require('../models/IngredientTranslationModel');
+const Inventory = require('../models/InventoryModel');
+const translationService = require('./translationService');
+const glossaryTranslator = require('./translators/glossaryTranslator');
+
+/**
+ * @brief Normaliza un nombre de ingrediente (mismo formato que guarda el modelo).
+ */
+function normalizeName(name) {
+    return String(name || '').toLowerCase().trim();
+}
+
+/**
+ * @brief Busca varios nombres en el diccionario, en una sola consulta.
+ * @returns {Promise<Map>} nombre (en el idioma de origen) -> traducción.
+ */
+async function lookupPairs(names, sourceLang) {
+    const field = sourceLang === 'es' ? 'es' : 'en';
+    const otherField = field === 'es' ? 'en' : 'es';
+    const pairs = await IngredientTranslation.find({ [field]: { $in: names } }).sort({ createdAt: 1 }).lean();
+
+    const found = new Map();
+    pairs.forEach(pair => {
+        // Si hay varios nombres en español para el mismo inglés, se usa el más antiguo
+        if (!found.has(pair[field])) found.set(pair[field], pair[otherField]);
+    });
+    return found;
+}
+
+/**
+ * @brief Guarda en el diccionario los pares traducidos por el modelo.
+ * * No pisa pares existentes (pueden estar corregidos por un administrador).
+ * @param {Array<object>} pairs [{ es, en }]
+ */
+async function learnPairs(pairs) {
+    const operations = pairs
+        .filter(pair => pair.es && pair.en)
+        .map(pair => ({
+            updateOne: {
+                filter: { es: pair.es },
+                update: { $setOnInsert: { es: pair.es, en: pair.en, source: 'modelo' } },
+                upsert: true
+            }
+        }));
+    if (operations.length > 0) {
+        await IngredientTranslation.bulkWrite(operations, { ordered: false });
+    }
+}
+
+/**
+ * @brief Resuelve nombres de ingredientes con glosario, diccionario y, si hace falta, el modelo.
+ * @returns {Promise<object>} { names, reliable }: las traducciones en el mismo orden (null si
+ *   no se pudo) y si cada una es confiable (no viene del passthrough, que deja el texto igual).
+ */
+async function resolveNames(names, sourceLang, targetLang) {
+    const normalized = names.map(normalizeName);
+    const glossaryHits = normalized.map(name => (name ? glossaryTranslator.lookup(name, sourceLang, targetLang) : null));
+
+    const pendingNames = [...new Set(normalized.filter((name, index) => name && !glossaryHits[index]))];
+    const known = pendingNames.length > 0 ? await lookupPairs(pendingNames, sourceLang) : new Map();
+    const guessed = new Map(); // Traducciones que no vienen de un modelo (ej: passthrough)
+    const unknownNames = pendingNames.filter(name => !known.has(name));
+
+    if (unknownNames.length > 0) {
+        const items = unknownNames.map((name, index) => ({ id: String(index), text: name }));
+        const { translations, fromModel } = await translationService.translateBatchDetailed(items, sourceLang, targetLang);
+
+        const learned = [];
+        items.forEach(item => {
+            const translation = translations[item.id] ? normalizeName(translations[item.id]) : null;
+            if (!translation) return;
+            if (!fromModel.has(item.id)) {
+                guessed.set(item.text, translation);
+                return;
+            }
+            known.set(item.text, translation);
+            learned.push(sourceLang === 'es' ? { es: item.text, en: translation } : { es: translation, en: item.text });
+        });
+        await learnPairs(learned);
+    }
+
+    return {
+        names: normalized.map((name, index) => glossaryHits[index] || known.get(name) || guessed.get(name) || (name ? null : name)),
+        reliable: normalized.map((name, index) => Boolean(glossaryHits[index] || known.has(name))),
+    };
+}
+
+/**
+ * @brief Traduce nombres de ingredientes usando glosario, diccionario y, si hace falta, el modelo.
+ * @param {Array<string>} names Nombres a traducir.
+ * @param {string} sourceLang Idioma de origen ('es' o 'en').
+ * @param {string} targetLang Idioma de destino ('es' o 'en').
+ * @returns {Promise<Array<string|null>>} Las traducciones en el mismo orden (null si no se pudo).
+ */
+async function translateNames(names, sourceLang, targetLang) {
+    const { names: translated } = await resolveNames(names, sourceLang, targetLang);
+    return translated;
+}
+
+/**
+ * @brief Completa el nombre en inglés de los alimentos del inventario.
+ * * Usa el 'englishName' guardado en cada alimento; los que no lo tienen se traducen
+ * (glosario, diccionario o modelo) y se guarda el resultado en el alimento.
+ * @param {Array} inventario Alimentos del usuario (en español).
+ * @returns {Promise<Array>} Los mismos alimentos con 'englishName', en el mismo orden.
+ * @throws {Error} Si algún nombre no se pudo traducir.
+ */
+async function withEnglishNames(inventario) {
+    const missing = inventario.filter(item => !item.englishName);
+    if (missing.length === 0) {
+        return inventario;
+    }
+
+    const { names: englishNames, reliable } = await resolveNames(missing.map(item => item.article_name), 'es', 'en');
+    if (englishNames.some(name => !name)) {
+        throw new Error('La traducción de ingredientes (ES->EN) falló.');
+    }
+
+    // Solo se guardan los nombres confiables: uno sin traducir se vuelve a intentar la próxima vez
+    const englishById = new Map(missing.map((item, index) => [String(item._id), englishNames[index]]));
+    const updates = missing
+        .filter((item, index) => reliable[index])
+        .map(item => ({
+            updateOne: { filter: { _id: item._id }, update: { $set: { englishName: englishById.get(String(item._id)) } } }
+        }));
+    if (updates.length > 0) {
+        await Inventory.bulkWrite(updates, { ordered: false });
+    }
+
+    return inventario.map(item => item.englishName ? item : { ...item, englishName: englishById.get(String(item._id)) });
+}
+
+module.exports = {
+    normalizeName,
+    translateNames,
+    withEnglishNames,
+};
@@ -0,0 +1,166 @@
+// backend/services/inventoryHistoryService.js
+
+/**
+ * @file inventoryHistoryService.js
+ * @brief Historial de cambios del inventario y "deshacer".
+ * * userService registra cada alta, suma, edición, baja y descuento con una copia del alimento
+ * antes y después del cambio. Con esas copias se puede deshacer el último cambio: se vuelve
+ * a guardar el alimento tal como estaba (o se elimina, si el cambio fue crearlo).
+ * * El historial se consulta con el mismo alcance que la despensa: el del hogar lo ven todos
+ * sus miembros, pero cada uno solo puede deshacer sus propios cambios.
+ */
+
+const InventoryHistory = require('../models/InventoryHistoryModel');
+const { HISTORY_ACTIONS } = require('../models/InventoryHistoryModel');
+const Inventory = require('../models/InventoryModel');
+const householdService = require('./householdService');
+
+// Cambios que no se deshacen: el paso entre la despensa personal y la del hogar y los propios "deshacer"
+const NOT_UNDOABLE_ACTIONS = ['move', 'merge', 'undo'];
+
+/**
+ * @brief Error al deshacer un cambio (ej: el alimento cambió después).
+ * * 'status' es el código HTTP que se devuelve al cliente.
+ */
+class InventoryHistoryError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'InventoryHistoryError';
+        this.status = status;
+    }
+}
+
+/**
+ * @brief Copia de un alimento (documento Mongoose u objeto plano) para guardar en el historial.
+ */
+function snapshotAlimento(alimento) {
+    if (!alimento) return null;
+    const snapshot = typeof alimento.toObject === 'function' ? alimento.toObject() : { ...alimento };
+    delete snapshot.__v;
+    return snapshot;
+}
+
+/**
+ * @brief Registra un cambio del inventario.
+ * @param {object} change { userId, action, before, after }: 'before'/'after' son copias
+ *   (ver snapshotAlimento); null si el alimento no existía o se eliminó.
+ * @param {ClientSession} [session] Sesión de Mongo si el cambio es parte de una transacción.
+ */
+async function recordChange({ userId, action, before, after }, session = null) {
+    const alimento = after || before;
+    const entry = {
+        user: userId,
+        household: alimento.household || null,
+        alimentoId: alimento._id,
+        article_name: alimento.article_name,
+        action,
+        before,
+        after
+    };
+    await InventoryHistory.create([entry], { session });
+}
+
+function parsePagination(page, limit) {
+    const safePage = Math.max(parseInt(page) || 1, 1);
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    return { page: safePage, limit: safeLimit, skip: (safePage - 1) * safeLimit };
+}
+
+/**
+ * @brief Lista el historial de la despensa del usuario (la de su hogar, si tiene), del más nuevo al más viejo.
+ * @param {object} filters { alimentoId, action, memberId, from, to, page, limit } todos opcionales:
+ *   'memberId' filtra por quién hizo el cambio y 'from'/'to' (Date) por fecha.
+ * @returns {Promise<object>} { entries, total, page, limit }
+ */
+async function getHistory(userId, { alimentoId, action, memberId, from, to, page, limit } = {}) {
+    const pagination = parsePagination(page, limit);
+    const { household } = await householdService.getPantryScope(userId);
+    // En la despensa personal 'user' es el dueño; en el hogar se filtra por miembro con 'memberId'
+    const filter = { household };
+    if (!household) filter.user = userId;
+    else if (memberId) filter.user = memberId;
+
+    if (alimentoId) filter.alimentoId = alimentoId;
+    if (action) filter.action = action;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+
+    const [entries, total] = await Promise.all([
+        InventoryHistory.find(filter)
+            .populate('user', 'username')
+            .populate('undoneBy', 'username')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip(pagination.skip)
+            .limit(pagination.limit)
+            .lean(),
+        InventoryHistory.countDocuments(filter)
+    ]);
+
+    return { entries, total, page: pagination.page, limit: pagination.limit };
+}
+
+/**
+ * @brief Deshace el último cambio (no deshecho) que hizo el usuario en su despensa.
+ * * Se pueden deshacer varios cambios seguidos, del más nuevo al más viejo. Los pasos entre la
+ * despensa personal y la del hogar (NOT_UNDOABLE_ACTIONS) no se deshacen. Deshacer queda a su
+ * vez en el historial como 'undo', con el alimento antes y después.
+ * @returns {Promise<object|null>} { entry, alimento }: el cambio deshecho y el alimento como
+ *   quedó (null si se eliminó). null si no hay cambios para deshacer.
+ * @throws {InventoryHistoryError} 409 si el alimento cambió después (ej: otro miembro del
+ *   hogar lo editó) o si ya hay otro alimento con el mismo nombre.
+ */
+async function undoLastChange(userId) {
+    const { household } = await householdService.getPantryScope(userId);
+    const entry = await InventoryHistory.findOne({ household, user: userId, undoneAt: null, action: { $nin: NOT_UNDOABLE_ACTIONS } })
+        .sort({ createdAt: -1, _id: -1 });
+    if (!entry) {
+        return null;
+    }
+
+    // Los 'undo' anteriores no cuentan: ya dejaron el alimento como estaba antes de otro cambio
+    const latest = await InventoryHistory.findOne({ alimentoId: entry.alimentoId, undoneAt: null, action: { $ne: 'undo' } })
+        .sort({ createdAt: -1, _id: -1 })
+        .select('_id')
+        .lean();
+    if (!latest._id.equals(entry._id)) {
+        throw new InventoryHistoryError(`"${entry.article_name}" cambió después de tu último cambio; no se puede deshacer.`);
+    }
+
+    const current = await Inventory.findById(entry.alimentoId).lean();
+    let alimento = null;
+    if (entry.before) {
+        const duplicate = await Inventory.exists({
+            household,
+            ...(household ? {} : { user: userId }),
+            article_name: entry.before.article_name,
+            _id: { $ne: entry.alimentoId }
+        });
+        if (duplicate) {
+            throw new InventoryHistoryError(`Ya hay otro alimento llamado "${entry.before.article_name}" en la despensa.`);
+        }
+        await Inventory.replaceOne({ _id: entry.alimentoId }, entry.before, { upsert: true });
+        alimento = await Inventory.findById(entry.alimentoId).lean();
+    } else {
+        await Inventory.deleteOne({ _id: entry.alimentoId });
+    }
+
+    entry.undoneAt = new Date();
+    entry.undoneBy = userId;
+    await entry.save();
+    if (current || alimento) {
+        await recordChange({ userId, action: 'undo', before: snapshotAlimento(current), after: snapshotAlimento(alimento) });
+    }
+    return { entry: entry.toObject(), alimento };
+}
+
+module.exports = {
+    HISTORY_ACTIONS,
+    InventoryHistoryError,
+    snapshotAlimento,
+    recordChange,
+    getHistory,
+    undoLastChange,
+};
@@ -0,0 +1,225 @@
+// backend/services/inventoryTransferService.js
+
+/**
+ * @file inventoryTransferService.js
+ * @brief Exportación e importación del inventario en CSV o JSON (para pasarlo a una planilla y volver).
+ * * Cada fila es un alimento con las columnas de EXPORT_COLUMNS. Al importar, cada fila válida
+ * crea un alimento o se suma al que ya existe con el mismo nombre (como un lote más, con la
+ * misma lógica que userService.createOrUpdateAlimento). Con 'dryRun' solo se informa qué
+ * pasaría con cada fila, sin guardar nada.
+ */
+
+const userService = require('./userService');
+const unitService = require('./unitService');
+const storageService = require('./storageService');
+const csvService = require('./csvService');
+
+// Columnas del archivo exportado (y las que se leen al importar)
+const EXPORT_COLUMNS = ['article_name', 'quantity', 'unit', 'location', 'category', 'purchaseDate', 'expiryDate', 'density', 'unitWeight'];
+
+const TRANSFER_FORMATS = ['csv', 'json'];
+
+// Máximo de filas por importación
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * @brief Error de una importación que no se puede leer (formato inválido, demasiadas filas...).
+ * * 'status' es el código HTTP que se devuelve al cliente.
+ */
+class InventoryTransferError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'InventoryTransferError';
+        this.status = status;
+    }
+}
+
+/**
+ * @brief Fecha en formato AAAA-MM-DD (o null).
+ */
+function formatDate(date) {
+    return date ? new Date(date).toISOString().slice(0, 10) : null;
+}
+
+/**
+ * @brief Exporta los alimentos de la despensa del usuario, ordenados por nombre.
+ * * La fecha de compra es la del lote más reciente y el vencimiento el más próximo.
+ * @param {string} format 'csv' o 'json'.
+ * @returns {Promise<string>} El contenido del archivo.
+ */
+async function exportInventory(userId, format) {
+    const alimentos = await userService.getAlimentosByUsuario(userId);
+    const rows = alimentos
+        .sort((a, b) => a.article_name.localeCompare(b.article_name))
+        .map(alimento => ({
+            article_name: alimento.article_name,
+            quantity: alimento.quantity,
+            unit: alimento.unit,
+            location: alimento.location || null,
+            category: alimento.category || null,
+            purchaseDate: formatDate(alimento.purchaseDate),
+            expiryDate: formatDate(alimento.expiryDate),
+            density: alimento.density || null,
+            unitWeight: alimento.unitWeight || null
+        }));
+
+    return format === 'csv' ? csvService.stringifyCsv(rows, EXPORT_COLUMNS) : JSON.stringify(rows, null, 2);
+}
+
+/**
+ * @brief Lee el contenido de una importación.
+ * @param {string|Array} data El archivo (o el array ya leído, en JSON).
+ * @returns {Array} Las filas sin validar.
+ * @throws {InventoryTransferError} Si no se puede leer o supera MAX_IMPORT_ROWS.
+ */
+function parseImportData(data, format) {
+    let rows;
+    if (format === 'csv') {
+        rows = csvService.parseCsv(data);
+    } else {
+        try {
+            rows = typeof data === 'string' ? JSON.parse(data) : data;
+        } catch (error) {
+            throw new InventoryTransferError(`El archivo JSON no es válido (${error.message}).`);
+        }
+        if (!Array.isArray(rows)) {
+            throw new InventoryTransferError('El archivo JSON debe ser un array de alimentos.');
+        }
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new InventoryTransferError(`El archivo no puede tener más de ${MAX_IMPORT_ROWS} alimentos.`);
+    }
+    return rows;
+}
+
+/**
+ * @brief Lee un número opcional de una celda ("1,5" o "1.5"; vacío = undefined).
+ * @returns {number|undefined|null} null si no es un número.
+ */
+function parseNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * @brief Valida una fila y la convierte en los argumentos de createOrUpdateAlimento.
+ * @param {Array} locationNames Ubicaciones de la despensa del usuario.
+ * @returns {object} { alimento: { article_name, quantity, unit, dates, properties, placement } } o { errors }.
+ */
+function validateRow(row, locationNames) {
+    const errors = [];
+    const article_name = String(row.article_name || '').toLowerCase().trim();
+    const quantity = parseNumber(row.quantity);
+    const unit = String(row.unit || '').toLowerCase().trim();
+
+    if (!article_name) {
+        errors.push('Falta el nombre del alimento.');
+    }
+    if (quantity === undefined || quantity === null || quantity <= 0) {
+        errors.push('La cantidad debe ser un número mayor a 0.');
+    }
+    if (!unitService.isValidUnit(unit)) {
+        errors.push(`Unidad inválida "${row.unit || ''}". Opciones: ${Object.keys(unitService.UNITS).join(', ')}.`);
+    }
+
+    const dates = {};
+    for (const field of ['purchaseDate', 'expiryDate']) {
+        if (!row[field]) continue;
+        const date = new Date(row[field]);
+        if (isNaN(date.getTime())) errors.push(`Fecha inválida en "${field}": ${row[field]}.`);
+        else dates[field] = date;
+    }
+
+    const properties = {};
+    for (const field of ['density', 'unitWeight']) {
+        const value = parseNumber(row[field]);
+        if (value === undefined) continue;
+        if (value === null || value <= 0) errors.push(`"${field}" debe ser un número mayor a 0.`);
+        else properties[field] = value;
+    }
+
+    const placement = {};
+    const location = row.location ? String(row.location).toLowerCase().trim() : '';
+    if (location) {
+        if (locationNames.includes(location)) placement.location = location;
+        else errors.push(`La ubicación "${location}" no existe.`);
+    }
+    const category = row.category ? String(row.category).toLowerCase().trim() : '';
+    if (category) {
+        if (storageService.FOOD_CATEGORIES.includes(category)) placement.category = category;
+        else errors.push(`Categoría inválida "${category}". Opciones: ${storageService.FOOD_CATEGORIES.join(', ')}.`);
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+    return { alimento: { article_name, quantity, unit, dates, properties, placement } };
+}
+
+/**
+ * @brief Importa alimentos a la despensa del usuario (o solo informa qué pasaría, con 'dryRun').
+ * * Cada fila se crea ('create'), se suma a un alimento con el mismo nombre ('merge': uno de la
+ * despensa o una fila anterior del mismo archivo) o se rechaza ('reject') con sus errores,
+ * por ejemplo si la unidad no se puede convertir a la del alimento existente. Las filas
+ * rechazadas no impiden importar las demás.
+ * @returns {Promise<object>} { dryRun, summary: { create, merge, reject }, rows: [{ row, article_name,
+ *   action, errors }] } ('row' empieza en 1).
+ */
+async function importInventory(userId, rows, dryRun = false) {
+    const locationNames = (await storageService.getLocations(userId)).map(location => location.name);
+    // Alimentos que ya existen (o que crea una fila anterior) por nombre, con su unidad y propiedades
+    const existing = new Map((await userService.getAlimentosByUsuario(userId)).map(alimento => [alimento.article_name, alimento]));
+
+    const results = [];
+    for (const [index, data] of rows.entries()) {
+        const result = { row: index + 1, article_name: data && data.article_name ? String(data.article_name).toLowerCase().trim() : null, action: 'reject', errors: [] };
+        results.push(result);
+
+        const { alimento, errors } = validateRow(data || {}, locationNames);
+        if (errors) {
+            result.errors = errors;
+            continue;
+        }
+
+        const current = existing.get(alimento.article_name);
+        if (current) {
+            const properties = unitService.getIngredientProperties(alimento.article_name, {
+                density: alimento.properties.density || current.density,
+                unitWeight: alimento.properties.unitWeight || current.unitWeight
+            });
+            if (!unitService.canConvert(alimento.unit, current.unit, properties)) {
+                result.errors = [`No se puede sumar "${alimento.unit}" a "${alimento.article_name}", que está en "${current.unit}".`];
+                continue;
+            }
+        }
+
+        if (!dryRun) {
+            try {
+                const saved = await userService.createOrUpdateAlimento(userId, alimento.article_name, alimento.quantity, alimento.unit, alimento.dates, alimento.properties, alimento.placement);
+                existing.set(saved.article_name, saved);
+            } catch (error) {
+                if (error.name !== 'UnitConversionError') throw error;
+                result.errors = [error.message];
+                continue;
+            }
+        } else if (!current) {
+            existing.set(alimento.article_name, { unit: alimento.unit, ...alimento.properties });
+        }
+        result.action = current ? 'merge' : 'create';
+    }
+
+    const summary = { create: 0, merge: 0, reject: 0 };
+    results.forEach(result => summary[result.action]++);
+    return { dryRun, summary, rows: results };
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    TRANSFER_FORMATS,
+    MAX_IMPORT_ROWS,
+    InventoryTransferError,
+    exportInventory,
+    parseImportData,
+    importInventory,
+};
@@ -0,0 +1,391 @@
+// backend/services/itemParserService.js
+
+/**
+ * @file itemParserService.js
+ * @brief Interpreta texto libre en español ("dos kilos de papas y medio litro de leche") como
+ * alimentos para cargar en el inventario.
+ * * Entiende números en palabras ("veinticinco", "ciento cincuenta"), fracciones ("medio",
+ * "un cuarto de kilo", "kilo y medio", "1/2"), varios alimentos separados por "y", comas o
+ * saltos de línea, sinónimos y abreviaturas de unidades ("kg", "grs", "cc"), envases
+ * ("un paquete de fideos" = 1 unidad) y unidades implícitas ("tres tomates" = 3 unidades).
+ * * Cada candidato lleva una confianza (0 a 1) y notas con lo que se supuso, para que el
+ * usuario lo confirme antes de guardarlo.
+ */
+
+const unitService = require('./unitService');
+
+// Números en palabras (sin tildes)
+const NUMBER_WORDS = {
+    cero: 0, un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7,
+    ocho: 8, nueve: 9, diez: 10, once: 11, doce: 12, trece: 13, catorce: 14, quince: 15,
+    dieciseis: 16, diecisiete: 17, dieciocho: 18, diecinueve: 19, veinte: 20,
+    veintiun: 21, veintiuno: 21, veintiuna: 21, veintidos: 22, veintitres: 23, veinticuatro: 24,
+    veinticinco: 25, veintiseis: 26, veintisiete: 27, veintiocho: 28, veintinueve: 29,
+    treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, setenta: 70, ochenta: 80, noventa: 90,
+    cien: 100, ciento: 100, doscientos: 200, doscientas: 200, trescientos: 300, trescientas: 300,
+    cuatrocientos: 400, cuatrocientas: 400, quinientos: 500, quinientas: 500, seiscientos: 600,
+    seiscientas: 600, setecientos: 700, setecientas: 700, ochocientos: 800, ochocientas: 800,
+    novecientos: 900, novecientas: 900,
+};
+
+// Decenas que se combinan con "y" ("treinta y dos")
+const TENS_WORDS = ['treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+
+// Fracciones que siguen a un número o a una unidad ("dos y medio", "un cuarto", "kilo y medio")
+const FRACTION_WORDS = { medio: 0.5, media: 0.5, cuarto: 0.25, cuartos: 0.25, tercio: 1 / 3, tercios: 1 / 3 };
+
+// Sinónimos y abreviaturas de las unidades del inventario (sin tildes)
+const UNIT_SYNONYMS = {
+    kilogramos: ['kg', 'kgs', 'kilo', 'kilos', 'kilogramo', 'kilogramos'],
+    gramos: ['g', 'gr', 'grs', 'gramo', 'gramos'],
+    litros: ['l', 'lt', 'lts', 'litro', 'litros'],
+    mililitros: ['ml', 'mililitro', 'mililitros', 'cc', 'cm3'],
+    unidades: ['u', 'ud', 'uds', 'unidad', 'unidades'],
+};
+
+// Envases y piezas: se cuentan como unidades (con menos confianza)
+const CONTAINER_WORDS = [
+    'paquete', 'paquetes', 'bolsa', 'bolsas', 'caja', 'cajas', 'lata', 'latas', 'botella', 'botellas',
+    'frasco', 'frascos', 'sachet', 'sachets', 'pote', 'potes', 'bandeja', 'bandejas', 'sobre', 'sobres',
+    'atado', 'atados', 'planta', 'plantas', 'cabeza', 'cabezas', 'diente', 'dientes', 'pieza', 'piezas',
+    'tableta', 'tabletas', 'maple', 'maples',
+];
+
+// Unidades que multiplican la cantidad ("media docena de huevos" = 6 unidades)
+const MULTIPLIER_WORDS = { docena: 12, docenas: 12 };
+
+// Palabras que se ignoran al principio de cada alimento ("compré dos kilos de papas")
+const FILLER_WORDS = ['agregar', 'agrega', 'anadir', 'anade', 'sumar', 'suma', 'compre', 'tengo', 'hay', 'poner', 'pone', 'anota', 'anotar', 'carga', 'cargar', 'y', 'e'];
+
+// Artículos que se quitan del principio del nombre ("de la leche" -> "leche")
+const ARTICLE_WORDS = ['el', 'la', 'los', 'las', 'del', 'de'];
+
+// Palabras de cantidad aproximada ("unos tomates")
+const APPROXIMATE_WORDS = ['unos', 'unas', 'algunos', 'algunas', 'varios', 'varias'];
+
+// Penalizaciones de confianza por cada suposición
+const PENALTIES = {
+    noQuantity: 0.4,
+    noUnit: 0.15,
+    container: 0.25,
+    approximate: 0.2,
+    trailingQuantity: 0.1,
+};
+
+/**
+ * @brief Quita tildes y pasa a minúsculas (para comparar con las tablas).
+ */
+function normalizeWord(word) {
+    return String(word || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[.:]+$/, '');
+}
+
+const UNIT_BY_WORD = new Map(
+    Object.entries(UNIT_SYNONYMS).flatMap(([unit, words]) => words.map(word => [word, unit]))
+);
+
+/**
+ * @brief Lee una cantidad escrita con dígitos: "2", "1.5", "1,5", "1/2" o "½".
+ * @returns {number|null}
+ */
+function parseDigits(word) {
+    const vulgar = { '½': 0.5, '¼': 0.25, '¾': 0.75 };
+    if (vulgar[word] !== undefined) return vulgar[word];
+    if (/^\d+([.,]\d+)?$/.test(word)) return parseFloat(word.replace(',', '.'));
+    const fraction = word.match(/^(\d+)\/(\d+)$/);
+    if (fraction && Number(fraction[2]) > 0) return Number(fraction[1]) / Number(fraction[2]);
+    return null;
+}
+
+/**
+ * @brief Lee un número en palabras desde la posición 'start' ("ciento veinticinco", "treinta y dos", "dos mil").
+ * @returns {object|null} { value, next } ('next' es la primera palabra que no es parte del número).
+ */
+function parseNumberWords(words, start) {
+    let total = 0;
+    let current = 0;
+    let index = start;
+    let found = false;
+
+    while (index < words.length) {
+        const word = words[index];
+        if (NUMBER_WORDS[word] !== undefined) {
+            current += NUMBER_WORDS[word];
+            found = true;
+            index++;
+        } else if (word === 'mil' && (found || index === start)) {
+            total += (current || 1) * 1000;
+            current = 0;
+            found = true;
+            index++;
+        } else if (word === 'y' && found && TENS_WORDS.includes(words[index - 1]) && NUMBER_WORDS[words[index + 1]] < 10) {
+            index++;
+        } else {
+            break;
+        }
+    }
+    return found ? { value: total + current, next: index } : null;
+}
+
+/**
+ * @brief Lee la cantidad que empieza en 'start' (dígitos o palabras) con su fracción opcional.
+ * * "dos y medio", "2 1/2", "un cuarto" (0.25), "tres cuartos" (0.75), "medio" (0.5).
+ * @returns {object|null} { value, next }
+ */
+function parseQuantity(words, start) {
+    let value;
+    let index = start;
+
+    const digits = parseDigits(words[index]);
+    if (digits !== null) {
+        value = digits;
+        index++;
+        // Número mixto: "2 1/2"
+        const fraction = words[index] && words[index].includes('/') ? parseDigits(words[index]) : null;
+        if (fraction !== null && fraction < 1) {
+            value += fraction;
+            index++;
+        }
+    } else if (['medio', 'media'].includes(words[index])) {
+        return { value: 0.5, next: index + 1 };
+    } else {
+        const number = parseNumberWords(words, index);
+        if (!number) return null;
+        value = number.value;
+        index = number.next;
+    }
+
+    // "un cuarto", "tres cuartos", "un tercio"
+    if (['cuarto', 'cuartos', 'tercio', 'tercios'].includes(words[index])) {
+        return { value: value * FRACTION_WORDS[words[index]], next: index + 1 };
+    }
+    // "dos y medio" (la fracción también puede ir después de la unidad: ver parseSegment)
+    if (words[index] === 'y' && FRACTION_WORDS[words[index + 1]] !== undefined) {
+        return { value: value + FRACTION_WORDS[words[index + 1]], next: index + 2 };
+    }
+    return { value, next: index };
+}
+
+/**
+ * @brief Lee la unidad que empieza en 'start'.
+ * @returns {object|null} { unit, multiplier, container, next }: 'container' es la palabra del envase
+ *   (si es un paquete, bolsa...) y 'multiplier' multiplica la cantidad (docenas).
+ */
+function parseUnit(words, start) {
+    const word = words[start];
+    if (word === 'centimetros' && words[start + 1] === 'cubicos') {
+        return { unit: 'mililitros', multiplier: 1, container: null, next: start + 2 };
+    }
+    if (UNIT_BY_WORD.has(word)) {
+        return { unit: UNIT_BY_WORD.get(word), multiplier: 1, container: null, next: start + 1 };
+    }
+    if (MULTIPLIER_WORDS[word]) {
+        return { unit: 'unidades', multiplier: MULTIPLIER_WORDS[word], container: null, next: start + 1 };
+    }
+    if (CONTAINER_WORDS.includes(word)) {
+        return { unit: 'unidades', multiplier: 1, container: word, next: start + 1 };
+    }
+    return null;
+}
+
+/**
+ * @brief Indica si una palabra es (o termina) una cantidad: dígitos o número en palabras.
+ */
+function isQuantityWord(word) {
+    return word !== null && (parseDigits(word) !== null || NUMBER_WORDS[word] !== undefined || word === 'mil');
+}
+
+/**
+ * @brief Separa palabras pegadas a números ("2kg" -> "2 kg") y divide en palabras.
+ * @returns {Array} [{ original, word }]: 'word' es la versión normalizada para comparar.
+ */
+function tokenize(text) {
+    return text
+        .replace(/(\d)([a-zA-Záéíóúñ])/g, '$1 $2')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(original => ({ original: original.toLowerCase().replace(/[.:]+$/, ''), word: normalizeWord(original) }));
+}
+
+/**
+ * @brief Divide el texto en fragmentos, uno por alimento.
+ * * Separa por saltos de línea, punto y coma, comas (salvo las decimales, "1,5") y las palabras
+ * "y"/"e", salvo que sean parte de un número ("treinta y dos") o de una fracción ("kilo y medio").
+ * @returns {Array} Fragmentos como listas de palabras (ver tokenize).
+ */
+function splitSegments(text) {
+    const chunks = String(text).split(/[\n;]+|,(?!\d)|\s+-\s+/);
+    const segments = [];
+
+    chunks.forEach(chunk => {
+        let current = [];
+        const tokens = tokenize(chunk);
+        tokens.forEach((token, index) => {
+            const isJoiner = token.word === 'y' || token.word === 'e';
+            const previous = tokens[index - 1] ? tokens[index - 1].word : null;
+            const next = tokens[index + 1] ? tokens[index + 1].word : null;
+            const afterNext = tokens[index + 2] ? tokens[index + 2].word : null;
+            const partOfNumber = TENS_WORDS.includes(previous) && NUMBER_WORDS[next] < 10;
+            // "dos y medio kilos", "kilo y medio", "dos litros y medio de leche"
+            const partOfFraction = ['medio', 'media', 'cuarto'].includes(next)
+                && (isQuantityWord(previous) || UNIT_BY_WORD.has(previous))
+                && (afterNext === null || ['de', 'del'].includes(afterNext) || UNIT_BY_WORD.has(afterNext));
+
+            if (isJoiner && current.length > 0 && !partOfNumber && !partOfFraction) {
+                segments.push(current);
+                current = [];
+            } else {
+                current.push(token);
+            }
+        });
+        if (current.length > 0) segments.push(current);
+    });
+
+    return segments;
+}
+
+/**
+ * @brief Limpia el nombre de un alimento: quita artículos del principio y signos de puntuación.
+ */
+function cleanName(tokens) {
+    const words = [...tokens];
+    while (words.length > 0 && ARTICLE_WORDS.includes(words[0].word)) words.shift();
+    return words.map(token => token.original).join(' ').replace(/[.,;:!?¡¿"]+/g, '').trim();
+}
+
+/**
+ * @brief Interpreta la cantidad, la unidad y el nombre de un fragmento.
+ * * Prueba primero "cantidad unidad de nombre" y, si no hay cantidad al principio,
+ * "nombre cantidad unidad" ("leche 2 litros").
+ * @returns {object|null} El candidato (ver parseItems) o null si no tiene nombre.
+ */
+function parseSegment(tokens) {
+    const original = tokens.map(token => token.original).join(' ');
+    let rest = [...tokens];
+    while (rest.length > 0 && FILLER_WORDS.includes(rest[0].word)) rest.shift();
+
+    const notes = [];
+    let confidence = 1;
+    if (rest.length > 0 && APPROXIMATE_WORDS.includes(rest[0].word)) {
+        rest.shift();
+        confidence -= PENALTIES.approximate;
+        notes.push('Cantidad aproximada: se asume 1 unidad por cada uno que se mencione.');
+    }
+
+    const words = rest.map(token => token.word);
+    let quantity = null;
+    let unitInfo = null;
+    let nameTokens = rest;
+
+    // 1. "dos kilos de papas", "kilo y medio de pan", "tres tomates"
+    const leading = parseQuantity(words, 0);
+    let index = leading ? leading.next : 0;
+    unitInfo = parseUnit(words, index);
+    // "un cuarto de kilo de carne"
+    if (leading && !unitInfo && words[index] === 'de' && UNIT_BY_WORD.has(words[index + 1])) {
+        index++;
+        unitInfo = parseUnit(words, index);
+    }
+    if (leading || unitInfo) {
+        quantity = leading ? leading.value : 1;
+        if (unitInfo) {
+            index = unitInfo.next;
+            // "kilo y medio", "dos kilos y medio"
+            if (words[index] === 'y' && FRACTION_WORDS[words[index + 1]] !== undefined) {
+                quantity += FRACTION_WORDS[words[index + 1]];
+                index += 2;
+            }
+        }
+        nameTokens = rest.slice(index);
+    } else {
+        // 2. "leche 2 litros", "papas 2kg", "huevos x 12"
+        for (let start = 1; start < words.length; start++) {
+            const from = words[start] === 'x' ? start + 1 : start;
+            const trailing = parseQuantity(words, from);
+            const trailingUnit = trailing ? parseUnit(words, trailing.next) : null;
+            const end = trailingUnit ? trailingUnit.next : (trailing ? trailing.next : -1);
+            if (trailing && end === words.length) {
+                quantity = trailing.value;
+                unitInfo = trailingUnit;
+                nameTokens = rest.slice(0, start);
+                confidence -= PENALTIES.trailingQuantity;
+                break;
+            }
+        }
+    }
+
+    const article_name = cleanName(nameTokens);
+    if (!article_name) {
+        return null;
+    }
+
+    if (quantity === null) {
+        quantity = 1;
+        confidence -= PENALTIES.noQuantity;
+        notes.push('Sin cantidad: se asume 1 unidad.');
+    }
+    let unit = 'unidades';
+    if (!unitInfo) {
+        if (!notes.length) notes.push('Sin unidad: se asumen unidades.');
+        confidence -= PENALTIES.noUnit;
+    } else {
+        unit = unitInfo.unit;
+        quantity *= unitInfo.multiplier;
+        if (unitInfo.container) {
+            confidence -= PENALTIES.container;
+            notes.push(`"${unitInfo.container}" se cuenta como unidad.`);
+        }
+    }
+
+    return {
+        original,
+        article_name,
+        quantity: unitService.roundQuantity(quantity),
+        unit,
+        confidence: Math.round(Math.max(confidence, 0.1) * 100) / 100,
+        notes
+    };
+}
+
+/**
+ * @brief Interpreta un texto libre (voz o lista pegada) como alimentos para el inventario.
+ * @param {string} text Ej: "dos kilos de papas, medio litro de leche y tres tomates".
+ * @returns {object} { items, unparsed }: 'items' son los candidatos
+ *   ({ original, article_name, quantity, unit, confidence, notes }) y 'unparsed' los
+ *   fragmentos en los que no se encontró ningún alimento.
+ */
+function parseItems(text) {
+    const items = [];
+    const unparsed = [];
+
+    splitSegments(text).forEach(tokens => {
+        const item = parseSegment(tokens);
+        if (item) items.push(item);
+        else unparsed.push(tokens.map(token => token.original).join(' '));
+    });
+
+    return { items, unparsed };
+}
+
+/**
+ * @brief Usa el nombre de un alimento que ya está en la despensa si coincide en singular/plural
+ * ("tomate" -> "tomates"), así se suma al existente en lugar de crear otro.
+ * @param {Array} items Candidatos de parseItems (se modifican).
+ * @param {Array} inventory Alimentos de la despensa ({ _id, article_name }).
+ * @returns {Array} Los mismos candidatos, con 'alimentoId' si coinciden con uno existente.
+ */
+function matchInventoryNames(items, inventory) {
+    const byName = new Map(inventory.map(alimento => [normalizeWord(alimento.article_name), alimento]));
+    const variants = name => [name, `${name}s`, `${name}es`, name.replace(/es$/, ''), name.replace(/s$/, '')];
+
+    items.forEach(item => {
+        const match = variants(normalizeWord(item.article_name)).map(name => byName.get(name)).find(Boolean);
+        item.alimentoId = match ? match._id : null;
+        if (match) item.article_name = match.article_name;
+    });
+    return items;
+}
+
+module.exports = {
+    parseItems,
+    matchInventoryNames,
+};
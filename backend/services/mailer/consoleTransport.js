@@ -0,0 +1,23 @@
+// backend/services/mailer/consoleTransport.js
+
+/**
+ * @file consoleTransport.js
+ * @brief Transporte de desarrollo: muestra los emails en la consola del servidor en lugar de enviarlos.
+ * * Es el transporte por defecto, así el registro y la recuperación de contraseña funcionan
+ * en local sin configurar un servidor SMTP (el link se copia desde la consola).
+ */
+
+function isAvailable() {
+    return true;
+}
+
+async function send({ from, to, subject, text }) {
+    console.log(`\n📧 Email (no enviado) de ${from} para ${to}\n   Asunto: ${subject}\n${text.split('\n').map(line => `   ${line}`).join('\n')}\n`);
+    return { id: null };
+}
+
+module.exports = {
+    name: 'console',
+    isAvailable,
+    send,
+};
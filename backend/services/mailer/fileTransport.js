@@ -0,0 +1,62 @@
+// backend/services/mailer/fileTransport.js
+
+/**
+ * @file fileTransport.js
+ * @brief Transporte de desarrollo: guarda cada email como un archivo .eml en MAIL_OUTPUT_DIR.
+ * * Los .eml se abren con cualquier cliente de correo, para revisar cómo se ven los emails.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const OUTPUT_DIR = path.resolve(__dirname, '../..', process.env.MAIL_OUTPUT_DIR || 'mails');
+
+function isAvailable() {
+    return true;
+}
+
+/**
+ * @brief Codifica un encabezado con caracteres no ASCII (tildes en el asunto) según RFC 2047.
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+async function send({ from, to, subject, text, html }) {
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+    const boundary = `----=_${id}`;
+    const content = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        `--${boundary}`,
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        text,
+        `--${boundary}`,
+        'Content-Type: text/html; charset=UTF-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        html,
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+
+    await fs.mkdir(OUTPUT_DIR, { recursive: true });
+    const file = path.join(OUTPUT_DIR, `${id}.eml`);
+    await fs.writeFile(file, content, 'utf8');
+    console.log(`📧 Email para ${to} guardado en ${file}`);
+    return { id };
+}
+
+module.exports = {
+    name: 'file',
+    isAvailable,
+    send,
+};
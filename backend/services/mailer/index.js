@@ -0,0 +1,67 @@
+// backend/services/mailer/index.js
+
+/**
+ * @file index.js
+ * @brief Envío de emails con transportes intercambiables.
+ * * Todo transporte expone la misma interfaz:
+ *   - name: identificador del transporte.
+ *   - isAvailable(): si se puede usar (ej: SMTP necesita SMTP_HOST).
+ *   - send({ from, to, subject, text, html }): envía el email y devuelve { id }.
+ *
+ * El transporte se elige con MAIL_TRANSPORT: 'console' (por defecto, muestra los emails en la
+ * consola), 'file' (los guarda como .eml, para desarrollo) o 'smtp'. Si se elige 'smtp' sin
+ * configurarlo se usa 'console', para que el registro no falle en una instalación local.
+ */
+
+require('dotenv').config({ path: '../.env' });
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+const smtpTransport = require('./smtpTransport');
+
+const TRANSPORTS = {
+    [consoleTransport.name]: consoleTransport,
+    [fileTransport.name]: fileTransport,
+    [smtpTransport.name]: smtpTransport,
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Sistema de Recetas <no-reply@localhost>';
+
+/**
+ * @brief Devuelve un transporte por nombre.
+ * @throws {Error} Si el nombre no corresponde a ningún transporte (error de configuración).
+ */
+function getTransport(name) {
+    const transport = TRANSPORTS[name];
+    if (!transport) {
+        throw new Error(`Transporte de email desconocido: "${name}". Opciones: ${Object.keys(TRANSPORTS).join(', ')}.`);
+    }
+    return transport;
+}
+
+let activeTransport = getTransport(process.env.MAIL_TRANSPORT || consoleTransport.name);
+if (!activeTransport.isAvailable()) {
+    console.warn(`⚠️ Advertencia: El transporte de email "${activeTransport.name}" no está configurado; los emails se mostrarán en la consola.`);
+    activeTransport = consoleTransport;
+}
+
+/**
+ * @brief Escapa un texto para incluirlo en el HTML de un email.
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * @brief Envía un email con el transporte configurado.
+ * @param {object} mail { to, subject, text, html } ('html' es opcional: por defecto, el texto escapado).
+ * @returns {Promise<object>} { id } del email enviado (null en la consola).
+ */
+async function sendMail({ to, subject, text, html }) {
+    return await activeTransport.send({ from: MAIL_FROM, to, subject, text, html: html || `<pre>${escapeHtml(text)}</pre>` });
+}
+
+module.exports = {
+    escapeHtml,
+    sendMail,
+    getTransportName: () => activeTransport.name,
+};
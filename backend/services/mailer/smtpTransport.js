@@ -0,0 +1,40 @@
+// backend/services/mailer/smtpTransport.js
+
+/**
+ * @file smtpTransport.js
+ * @brief Transporte que envía los emails por SMTP (con nodemailer).
+ * * Se configura con SMTP_HOST, SMTP_PORT (por defecto 587), SMTP_SECURE ('true' para TLS
+ * directo, normalmente en el puerto 465) y, si el servidor pide autenticación, SMTP_USER y SMTP_PASS.
+ */
+
+const nodemailer = require('nodemailer');
+
+// El transporte de nodemailer se crea la primera vez que se envía un email
+let transporter = null;
+
+function isAvailable() {
+    return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransporter() {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return transporter;
+}
+
+async function send({ from, to, subject, text, html }) {
+    const info = await getTransporter().sendMail({ from, to, subject, text, html });
+    return { id: info.messageId };
+}
+
+module.exports = {
+    name: 'smtp',
+    isAvailable,
+    send,
+};
@@ -0,0 +1,204 @@
+// backend/services/mealPlanService.js
+
+/**
+ * @file mealPlanService.js
+ * @brief Lógica de negocio del plan semanal de comidas.
+ * * Las semanas van de lunes a domingo y los días se guardan a las 00:00 UTC. El reporte
+ * de ingredientes suma lo que piden todas las recetas de la semana (escalado a las
+ * porciones planificadas) y lo compara con el inventario del usuario.
+ */
+
+const MealPlan = require('../models/MealPlanModel');
+const { MEAL_SLOTS } = require('../models/MealPlanModel');
+const unitService = require('./unitService');
+const cookingService = require('./cookingService');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @brief Convierte un texto 'YYYY-MM-DD' a la fecha de ese día a las 00:00 UTC.
+ * @returns {Date|null} La fecha, o null si el formato es inválido.
+ */
+function parsePlanDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @brief Formatea una fecha del plan como 'YYYY-MM-DD'.
+ */
+function formatPlanDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @brief Calcula la semana (lunes a domingo) que contiene un día.
+ * @param {Date} date Cualquier día de la semana (00:00 UTC).
+ * @returns {object} { start, end } con 'end' exclusivo (el lunes siguiente).
+ */
+function getWeekRange(date) {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    const start = new Date(date.getTime() - daysSinceMonday * MS_PER_DAY);
+    return { start, end: new Date(start.getTime() + 7 * MS_PER_DAY) };
+}
+
+/**
+ * @brief Indica si una comida es una de las válidas.
+ */
+function isValidSlot(slot) {
+    return MEAL_SLOTS.includes(slot);
+}
+
+/**
+ * @brief Recupera las recetas planificadas de una semana, ordenadas por día y comida.
+ */
+async function getMealPlan(userId, start, end) {
+    const entries = await MealPlan.find({ user: userId, date: { $gte: start, $lt: end } }).lean();
+    return entries.sort((a, b) => (a.date - b.date) || (MEAL_SLOTS.indexOf(a.slot) - MEAL_SLOTS.indexOf(b.slot)));
+}
+
+/**
+ * @brief Planifica una receta para un día y una comida.
+ * @param {object} entry { date, slot, recipeId, title, image, servings }
+ */
+async function createMealPlanEntry(userId, entry) {
+    const nuevaEntrada = new MealPlan({ user: userId, ...entry, recipeId: String(entry.recipeId) });
+    await nuevaEntrada.save();
+    return nuevaEntrada.toObject();
+}
+
+/**
+ * @brief Mueve una receta planificada a otro día/comida o cambia sus porciones.
+ * @param {object} changes { date, slot, servings } opcionales.
+ * @returns {Promise<object|null>} La entrada actualizada o null si no existe.
+ */
+async function moveMealPlanEntry(entryId, userId, changes) {
+    const entry = await MealPlan.findOne({ _id: entryId, user: userId });
+
+    if (!entry) {
+        return null;
+    }
+
+    if (changes.date) entry.date = changes.date;
+    if (changes.slot) entry.slot = changes.slot;
+    if (changes.servings) entry.servings = changes.servings;
+
+    await entry.save();
+    return entry.toObject();
+}
+
+/**
+ * @brief Quita una receta del plan.
+ */
+async function deleteMealPlanEntry(entryId, userId) {
+    const result = await MealPlan.deleteOne({ _id: entryId, user: userId });
+    return result.deletedCount === 1;
+}
+
+/**
+ * @brief Suma los ingredientes de todas las recetas planificadas.
+ * * Las cantidades se acumulan en la unidad base de cada dimensión (gramos, mililitros,
+ * unidades). Las que no tienen una medida reconocible quedan como texto en 'details'.
+ * @param {Array} entries Entradas del plan.
+ * @param {Map} recipesById Detalles (en inglés) de cada receta, por recipeId.
+ * @returns {Array} [{ name, recipes, totals: { dimension: cantidadBase }, details }]
+ */
+function aggregateIngredients(entries, recipesById) {
+    const aggregated = new Map();
+
+    entries.forEach(entry => {
+        const recipe = recipesById.get(entry.recipeId);
+        if (!recipe) return;
+        const scale = entry.servings / (recipe.servings || 1);
+
+        (recipe.extendedIngredients || []).forEach(ingredient => {
+            const key = (ingredient.name || '').toLowerCase().trim();
+            if (!key) return;
+
+            const current = aggregated.get(key) || { name: key, recipes: new Set(), totals: {}, details: [] };
+            current.recipes.add(entry.title || recipe.title);
+
+            const measure = cookingService.toInventoryMeasure(ingredient);
+            if (measure) {
+                const base = unitService.toBase(measure.quantity * scale, measure.unit);
+                current.totals[base.dimension] = (current.totals[base.dimension] || 0) + base.quantity;
+            } else if (!current.details.includes(ingredient.original)) {
+                current.details.push(ingredient.original);
+            }
+            aggregated.set(key, current);
+        });
+    });
+
+    return [...aggregated.values()].map(item => ({ ...item, recipes: [...item.recipes] }));
+}
+
+/**
+ * @brief Compara los ingredientes que pide la semana con lo que hay en el inventario.
+ * @param {Array} entries Entradas del plan de la semana.
+ * @param {Map} recipesById Detalles (en inglés) de cada receta, por recipeId.
+ * @param {Array} inventory Alimentos del inventario con el campo extra 'englishName'.
+ * @returns {Array} Un elemento por ingrediente con { name, article_name, recipes, needed,
+ *   available, unit, missingQuantity, status, details }. 'status' usa los mismos valores
+ *   que el plan de cocina (cookingService.STATUS).
+ */
+function buildWeeklyReport(entries, recipesById, inventory) {
+    const { STATUS } = cookingService;
+    // Cuánto queda de cada alimento a medida que se asigna a los ingredientes
+    const remaining = new Map(inventory.map(item => [String(item._id), item.quantity]));
+
+    return aggregateIngredients(entries, recipesById).map(ingredient => {
+        const needed = Object.entries(ingredient.totals)
+            .map(([dimension, quantity]) => unitService.toReadableUnit(quantity, unitService.BASE_UNITS[dimension]));
+        const base = { name: ingredient.name, recipes: ingredient.recipes, needed, details: ingredient.details };
+
+        const item = cookingService.findMatchingItem(ingredient.name, inventory, candidate => candidate.englishName);
+        if (!item) {
+            return { ...base, article_name: null, status: STATUS.MISSING };
+        }
+
+        const itemInfo = { article_name: item.article_name, available: item.quantity, unit: item.unit };
+        if (needed.length === 0) {
+            return { ...base, ...itemInfo, status: STATUS.UNKNOWN_UNIT };
+        }
+
+        let neededInItemUnit = 0;
+        try {
+            const properties = unitService.getIngredientProperties(item.article_name, item);
+            needed.forEach(measure => {
+                neededInItemUnit += unitService.convert(measure.quantity, measure.unit, item.unit, properties);
+            });
+        } catch (error) {
+            return { ...base, ...itemInfo, status: STATUS.UNKNOWN_UNIT };
+        }
+
+        const key = String(item._id);
+        const stillAvailable = remaining.get(key);
+        const covered = Math.min(neededInItemUnit, stillAvailable);
+        remaining.set(key, unitService.roundQuantity(stillAvailable - covered));
+
+        const missingQuantity = unitService.roundQuantity(neededInItemUnit - covered);
+        return {
+            ...base,
+            ...itemInfo,
+            needed: [{ quantity: unitService.roundQuantity(neededInItemUnit), unit: item.unit }],
+            missingQuantity,
+            status: missingQuantity > 0 ? STATUS.INSUFFICIENT : STATUS.OK,
+        };
+    });
+}
+
+module.exports = {
+    MEAL_SLOTS,
+    parsePlanDate,
+    formatPlanDate,
+    getWeekRange,
+    isValidSlot,
+    getMealPlan,
+    createMealPlanEntry,
+    moveMealPlanEntry,
+    deleteMealPlanEntry,
+    buildWeeklyReport,
+};
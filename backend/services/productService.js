@@ -0,0 +1,156 @@
+// backend/services/productService.js
+
+/**
+ * @file productService.js
+ * @brief Catálogo de productos por código de barras (EAN/UPC).
+ * * El catálogo se importa desde un volcado CSV o JSON (script seedProducts.js o la consola de
+ * administración) y crece con los códigos desconocidos que cargan los usuarios al escanear.
+ */
+
+const Product = require('../models/ProductModel');
+const unitService = require('./unitService');
+const csvService = require('./csvService');
+const { FOOD_CATEGORIES } = require('../models/StorageLocationModel');
+
+const BARCODE_PATTERN = /^\d{8,14}$/;
+
+/**
+ * @brief Error de una operación sobre el catálogo (código repetido, datos inválidos...).
+ * * 'status' es el código HTTP que se devuelve al cliente.
+ */
+class ProductError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ProductError';
+        this.status = status;
+    }
+}
+
+/**
+ * @brief Quita espacios y guiones de un código de barras (ej: "779 1234-567890").
+ */
+function normalizeBarcode(barcode) {
+    return String(barcode || '').replace(/[\s-]/g, '');
+}
+
+/**
+ * @brief Indica si un código tiene el formato de un EAN/UPC (8 a 14 dígitos).
+ */
+function isValidBarcode(barcode) {
+    return BARCODE_PATTERN.test(normalizeBarcode(barcode));
+}
+
+/**
+ * @brief Valida y normaliza los datos de un producto (de un volcado o de un usuario).
+ * * Los números pueden venir como texto (CSV) y los campos opcionales vacíos quedan en null.
+ * @returns {object} { product } o { error } con el motivo.
+ */
+function normalizeProduct(data) {
+    const barcode = normalizeBarcode(data.barcode);
+    const name = String(data.name || '').toLowerCase().trim();
+    const packageSize = Number(data.packageSize);
+    const category = data.category ? String(data.category).toLowerCase().trim() : null;
+    const shelfLifeDays = data.shelfLifeDays === undefined || data.shelfLifeDays === null || data.shelfLifeDays === ''
+        ? null
+        : Number(data.shelfLifeDays);
+
+    if (!BARCODE_PATTERN.test(barcode)) {
+        return { error: 'El código de barras debe tener entre 8 y 14 dígitos.' };
+    }
+    if (!name) {
+        return { error: 'El nombre del producto es obligatorio.' };
+    }
+    if (!unitService.isValidUnit(data.unit)) {
+        return { error: `Unidad inválida. Opciones: ${Object.keys(unitService.UNITS).join(', ')}.` };
+    }
+    if (!Number.isFinite(packageSize) || packageSize <= 0) {
+        return { error: 'El contenido del envase debe ser un número mayor a 0.' };
+    }
+    if (category && !FOOD_CATEGORIES.includes(category)) {
+        return { error: `Categoría inválida. Opciones: ${FOOD_CATEGORIES.join(', ')}.` };
+    }
+    if (shelfLifeDays !== null && (!Number.isInteger(shelfLifeDays) || shelfLifeDays < 0)) {
+        return { error: 'Los días de duración deben ser un número entero positivo.' };
+    }
+
+    return { product: { barcode, name, unit: data.unit, packageSize, category, shelfLifeDays } };
+}
+
+/**
+ * @brief Busca un producto por su código de barras.
+ * @returns {Promise<object|null>} El producto o null si el código no está en el catálogo.
+ */
+async function findProduct(barcode) {
+    return await Product.findOne({ barcode: normalizeBarcode(barcode) }).lean();
+}
+
+/**
+ * @brief Agrega al catálogo un código que no estaba (lo carga un usuario después de escanearlo).
+ * @throws {ProductError} 400 si los datos son inválidos, 409 si el código ya existe.
+ */
+async function createProduct(userId, data) {
+    const { product, error } = normalizeProduct(data);
+    if (error) {
+        throw new ProductError(error);
+    }
+    if (await Product.exists({ barcode: product.barcode })) {
+        throw new ProductError(`El código ${product.barcode} ya está en el catálogo.`, 409);
+    }
+
+    const created = await Product.create({ ...product, createdBy: userId });
+    return created.toObject();
+}
+
+/**
+ * @brief Lee un volcado del catálogo.
+ * * JSON: un array de productos. CSV: encabezado con las columnas
+ * barcode,name,unit,packageSize,category,shelfLifeDays.
+ * @param {string|Array} dump El contenido del archivo (o el array ya leído).
+ * @param {string} format 'json' o 'csv'.
+ * @returns {Array} Los productos sin validar.
+ * @throws {ProductError} Si el contenido no se puede leer.
+ */
+function parseCatalogDump(dump, format) {
+    if (format === 'csv') {
+        return csvService.parseCsv(dump);
+    }
+    try {
+        const products = typeof dump === 'string' ? JSON.parse(dump) : dump;
+        if (!Array.isArray(products)) throw new Error('no es un array');
+        return products;
+    } catch (error) {
+        throw new ProductError(`El volcado JSON debe ser un array de productos (${error.message}).`);
+    }
+}
+
+/**
+ * @brief Importa productos al catálogo. Los códigos que ya existen se actualizan.
+ * @returns {Promise<object>} { imported, errors }: 'errors' lista las filas descartadas
+ *   ({ row, barcode, error }, 'row' empieza en 1).
+ */
+async function importProducts(products) {
+    let imported = 0;
+    const errors = [];
+
+    for (const [index, data] of products.entries()) {
+        const { product, error } = normalizeProduct(data || {});
+        if (error) {
+            errors.push({ row: index + 1, barcode: data && data.barcode, error });
+            continue;
+        }
+        await Product.updateOne({ barcode: product.barcode }, { $set: product }, { upsert: true, runValidators: true });
+        imported++;
+    }
+
+    return { imported, errors };
+}
+
+module.exports = {
+    ProductError,
+    normalizeBarcode,
+    isValidBarcode,
+    findProduct,
+    createProduct,
+    parseCatalogDump,
+    importProducts,
+};
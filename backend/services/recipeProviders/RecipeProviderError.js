@@ -0,0 +1,16 @@
+// backend/services/recipeProviders/RecipeProviderError.js
+
+/**
+ * @brief Error lanzado por un proveedor de recetas (API caída, cuota agotada, receta inexistente...).
+ * * 'status' es el código HTTP que se reenvía al cliente y 'details' el mensaje original del proveedor.
+ */
+class RecipeProviderError extends Error {
+    constructor(message, status = 502, details) {
+        super(message);
+        this.name = 'RecipeProviderError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = RecipeProviderError;
@@ -0,0 +1,123 @@
+// backend/services/recipeProviders/index.js
+
+/**
+ * @file index.js
+ * @brief Capa de proveedores de recetas intercambiables.
+ * * Todo proveedor expone la misma interfaz, con recetas en inglés y el formato de Spoonacular:
+ *   - name: identificador del proveedor.
+ *   - ownsRecipeId(recipeId): indica si el ID pertenece a ese proveedor.
+ *   - searchByIngredients(ingredients, filters, { number, sort }): { results, totalResults }, con las
+ *     recetas (usedIngredients/missedIngredients) ordenadas según 'sort' (ver recipeSorts.js).
+ *   - getRecipeDetails(recipeId): detalles con extendedIngredients (o null si no existe).
+ *
+ * El proveedor se elige con RECIPE_PROVIDER ('spoonacular' por defecto, o 'local'). Con
+ * RECIPE_PROVIDER_FALLBACK se puede indicar otro proveedor para las búsquedas cuando el
+ * principal falla (ej: cuota de Spoonacular agotada). Los detalles siempre se piden al
+ * proveedor dueño del ID, así una receta encontrada en el catálogo local se puede abrir aunque
+ * el principal sea Spoonacular.
+ */
+
+const RecipeProviderError = require('./RecipeProviderError');
+const recipeSorts = require('./recipeSorts');
+const spoonacularProvider = require('./spoonacularProvider');
+const localProvider = require('./localProvider');
+
+const PROVIDERS = {
+    [spoonacularProvider.name]: spoonacularProvider,
+    [localProvider.name]: localProvider,
+};
+
+/**
+ * @brief Devuelve un proveedor por nombre.
+ * @throws {Error} Si el nombre no corresponde a ningún proveedor (error de configuración).
+ */
+function getProvider(name) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Proveedor de recetas desconocido: "${name}". Opciones: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return provider;
+}
+
+const primaryProvider = getProvider(process.env.RECIPE_PROVIDER || spoonacularProvider.name);
+const fallbackProvider = process.env.RECIPE_PROVIDER_FALLBACK ? getProvider(process.env.RECIPE_PROVIDER_FALLBACK) : null;
+
+/**
+ * @brief Indica si conviene reintentar con el proveedor de respaldo ante un error.
+ * * Se reintenta ante cuota agotada (402/429), errores del servidor externo o de red,
+ * pero no ante errores de la petición (ej: 404).
+ */
+function shouldFallback(error) {
+    if (error.name !== 'RecipeProviderError') return true; // Errores de red (fetch failed)
+    return error.status === 402 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * @brief Proveedores activos (el principal y, si hay, el de respaldo).
+ */
+function getActiveProviders() {
+    return fallbackProvider && fallbackProvider !== primaryProvider
+        ? [primaryProvider, fallbackProvider]
+        : [primaryProvider];
+}
+
+/**
+ * @brief Busca recetas por ingredientes en el proveedor principal (o en el de respaldo si falla).
+ * @param {Array<string>} ingredients Ingredientes en inglés.
+ * @param {object} filters { diet, maxCalories, maxCarbs, maxProtein, maxSugar, excludeIngredients,
+ *   intolerances, cuisines, excludeCuisines, type, maxReadyTime }
+ * @param {object} options { number, sort, seed } (seed: semilla del orden aleatorio, ver recipeSorts)
+ * @returns {Promise<object>} { results, totalResults } con recetas en formato de Spoonacular.
+ */
+async function searchRecipes(ingredients, filters = {}, options = {}) {
+    try {
+        return await primaryProvider.searchByIngredients(ingredients, filters, options);
+    } catch (error) {
+        if (!fallbackProvider || fallbackProvider === primaryProvider || !shouldFallback(error)) {
+            throw error;
+        }
+        console.warn(`[RECETAS] Falló el proveedor "${primaryProvider.name}" (${error.message}). Usando "${fallbackProvider.name}".`);
+        return await fallbackProvider.searchByIngredients(ingredients, filters, options);
+    }
+}
+
+/**
+ * @brief Obtiene los detalles de una receta del proveedor al que pertenece su ID.
+ * @returns {Promise<object>} Los detalles (en inglés) con formato de Spoonacular.
+ * @throws {RecipeProviderError} Si ningún proveedor reconoce el ID o la receta no existe.
+ */
+async function getRecipeDetails(recipeId) {
+    const provider = Object.values(PROVIDERS).find(candidate => candidate.ownsRecipeId(recipeId));
+    if (!provider) {
+        throw new RecipeProviderError('Receta no encontrada.', 404);
+    }
+
+    const details = await provider.getRecipeDetails(recipeId);
+    if (!details) {
+        throw new RecipeProviderError('Receta no encontrada.', 404);
+    }
+    return details;
+}
+
+/**
+ * @brief Prepara los proveedores activos (ej: carga el catálogo local si está vacío).
+ */
+async function initializeProviders() {
+    if (getActiveProviders().includes(localProvider)) {
+        await localProvider.ensureCatalogSeeded();
+    }
+    console.log(`[RECETAS] Proveedor: ${primaryProvider.name}${fallbackProvider ? ` (respaldo: ${fallbackProvider.name})` : ''}`);
+}
+
+module.exports = {
+    RecipeProviderError,
+    PROVIDERS,
+    RECIPE_SORTS: recipeSorts.RECIPE_SORTS,
+    DEFAULT_SORT: recipeSorts.DEFAULT_SORT,
+    isValidSort: recipeSorts.isValidSort,
+    sortRecipes: recipeSorts.sortRecipes,
+    getProvider,
+    searchRecipes,
+    getRecipeDetails,
+    initializeProviders,
+};
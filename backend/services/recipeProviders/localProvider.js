@@ -0,0 +1,173 @@
+// backend/services/recipeProviders/localProvider.js
+
+/**
+ * @file localProvider.js
+ * @brief Proveedor de recetas sin conexión, respaldado por la colección CatalogRecipe de MongoDB.
+ * * El catálogo se carga desde backend/data/recipes.json (ver scripts/seedRecipes.js). Las
+ * recetas están en inglés y se devuelven con el mismo formato que Spoonacular, así el
+ * resto de la aplicación (traducción, cocina, plan semanal) no distingue el origen.
+ */
+
+const path = require('path');
+const CatalogRecipe = require('../../models/CatalogRecipeModel');
+const cookingService = require('../cookingService');
+const allergenService = require('../allergenService');
+const { sortRecipes } = require('./recipeSorts');
+
+const CATALOG_FILE = path.join(__dirname, '..', '..', 'data', 'recipes.json');
+const RECIPE_ID_PREFIX = 'local-';
+const DEFAULT_RESULTS_NUMBER = 5;
+
+/**
+ * @brief Las recetas del catálogo local tienen IDs con el prefijo 'local-'.
+ */
+function ownsRecipeId(recipeId) {
+    return String(recipeId).startsWith(RECIPE_ID_PREFIX);
+}
+
+/**
+ * @brief Indica si una receta del catálogo lleva alguno de los ingredientes excluidos o algún
+ * ingrediente de las intolerancias.
+ */
+function usesExcludedIngredient(recipe, filters = {}) {
+    const restrictions = { intolerances: filters.intolerances, excludedIngredients: filters.excludeIngredients };
+    return allergenService.findAllergens(recipe.extendedIngredients.map(ingredient => ingredient.name), restrictions).length > 0;
+}
+
+/**
+ * @brief Arma el filtro de Mongo a partir de los filtros de dieta, nutrición, cocina, tipo y tiempo.
+ * @param {object} filters { diet, maxCalories, maxCarbs, maxProtein, maxSugar, cuisines,
+ *   excludeCuisines, type, maxReadyTime }
+ */
+function buildCatalogFilter(filters = {}) {
+    const filter = {};
+    if (filters.diet && filters.diet !== 'none') filter.diets = filters.diet.toLowerCase();
+    if (filters.cuisines && filters.cuisines.length > 0) filter.cuisines = { $in: filters.cuisines };
+    if (filters.excludeCuisines && filters.excludeCuisines.length > 0) {
+        filter.cuisines = { ...filter.cuisines, $nin: filters.excludeCuisines };
+    }
+    if (filters.type) filter.dishTypes = filters.type;
+    if (filters.maxReadyTime) filter.readyInMinutes = { $lte: Number(filters.maxReadyTime) };
+    if (filters.maxCalories) filter['nutrition.calories'] = { $lte: Number(filters.maxCalories) };
+    if (filters.maxCarbs) filter['nutrition.carbs'] = { $lte: Number(filters.maxCarbs) };
+    if (filters.maxProtein) filter['nutrition.protein'] = { $lte: Number(filters.maxProtein) };
+    if (filters.maxSugar) filter['nutrition.sugar'] = { $lte: Number(filters.maxSugar) };
+    return filter;
+}
+
+/**
+ * @brief Agrega a un ingrediente la medida métrica con el formato de Spoonacular ('measures.metric').
+ */
+function toSpoonacularIngredient(ingredient) {
+    return {
+        ...ingredient,
+        measures: { metric: { amount: ingredient.amount, unitShort: ingredient.unit } }
+    };
+}
+
+/**
+ * @brief Busca recetas del catálogo que usen los ingredientes dados.
+ * * Se ordenan con los mismos criterios que Spoonacular (por defecto 'min-missing-ingredients':
+ * primero las que tienen menos ingredientes faltantes y, a igualdad, las que usan más
+ * ingredientes del usuario). El catálogo no tiene 'healthScore'.
+ * @param {Array<string>} ingredients Ingredientes en inglés.
+ * @param {object} options { number, sort, seed } (seed: semilla del orden aleatorio, ver recipeSorts)
+ * @returns {Promise<object>} { results, totalResults }: recetas con usedIngredients/missedIngredients.
+ */
+async function searchByIngredients(ingredients, filters = {}, options = {}) {
+    const resultsNumber = options.number || DEFAULT_RESULTS_NUMBER;
+    const recipes = await CatalogRecipe.find(buildCatalogFilter(filters)).lean();
+
+    const matches = recipes
+        .filter(recipe => !usesExcludedIngredient(recipe, filters))
+        .map(recipe => {
+            const usedIngredients = [];
+            const missedIngredients = [];
+            recipe.extendedIngredients.forEach(ingredient => {
+                const used = ingredients.some(name => cookingService.ingredientNamesMatch(ingredient.name, name));
+                (used ? usedIngredients : missedIngredients).push(ingredient);
+            });
+            return {
+                id: recipe.recipeId,
+                title: recipe.title,
+                image: recipe.image,
+                readyInMinutes: recipe.readyInMinutes,
+                usedIngredientCount: usedIngredients.length,
+                missedIngredientCount: missedIngredients.length,
+                usedIngredients,
+                missedIngredients,
+            };
+        })
+        .filter(recipe => recipe.usedIngredientCount > 0);
+
+    return {
+        results: sortRecipes(matches, options.sort, options.seed).slice(0, resultsNumber),
+        totalResults: matches.length,
+    };
+}
+
+/**
+ * @brief Obtiene los detalles de una receta del catálogo.
+ * @returns {Promise<object|null>} Los detalles con formato de Spoonacular, o null si no existe.
+ */
+async function getRecipeDetails(recipeId) {
+    const recipe = await CatalogRecipe.findOne({ recipeId: String(recipeId) }).lean();
+
+    if (!recipe) {
+        return null;
+    }
+
+    return {
+        id: recipe.recipeId,
+        title: recipe.title,
+        image: recipe.image,
+        servings: recipe.servings,
+        readyInMinutes: recipe.readyInMinutes,
+        summary: recipe.summary,
+        instructions: recipe.instructions,
+        diets: recipe.diets,
+        cuisines: recipe.cuisines,
+        dishTypes: recipe.dishTypes,
+        nutrition: recipe.nutrition,
+        extendedIngredients: recipe.extendedIngredients.map(toSpoonacularIngredient),
+    };
+}
+
+/**
+ * @brief Carga (o actualiza) recetas en el catálogo, identificadas por 'recipeId'.
+ * @param {Array} recipes Recetas con el formato de data/recipes.json.
+ * @returns {Promise<number>} Cantidad de recetas cargadas.
+ */
+async function seedCatalog(recipes) {
+    for (const recipe of recipes) {
+        await CatalogRecipe.updateOne(
+            { recipeId: recipe.recipeId },
+            { $set: recipe },
+            { upsert: true, runValidators: true }
+        );
+    }
+    return recipes.length;
+}
+
+/**
+ * @brief Carga el catálogo desde data/recipes.json si la colección está vacía.
+ */
+async function ensureCatalogSeeded() {
+    const count = await CatalogRecipe.estimatedDocumentCount();
+    if (count > 0) {
+        return 0;
+    }
+    const seeded = await seedCatalog(require(CATALOG_FILE));
+    console.log(`[RECETAS] Catálogo local inicializado con ${seeded} recetas.`);
+    return seeded;
+}
+
+module.exports = {
+    name: 'local',
+    CATALOG_FILE,
+    ownsRecipeId,
+    searchByIngredients,
+    getRecipeDetails,
+    seedCatalog,
+    ensureCatalogSeeded,
+};
@@ -0,0 +1,97 @@
+// backend/services/recipeProviders/recipeSorts.js
+
+/**
+ * @file recipeSorts.js
+ * @brief Criterios de orden de las búsquedas de recetas (los mismos nombres que Spoonacular).
+ * * Los usan los proveedores sin API (catálogo local, recetas de usuarios) y el servidor al
+ * mezclar los resultados de distintos orígenes. Los valores que faltan (ej: 'healthScore'
+ * en las recetas que no son de Spoonacular) van al final.
+ */
+
+const DEFAULT_SORT = 'min-missing-ingredients';
+
+/**
+ * @brief Compara dos valores numéricos opcionales (los null/undefined van al final).
+ */
+function compareOptional(a, b, direction) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) return aMissing - bMissing;
+    return direction * (a - b);
+}
+
+function byFewestMissing(a, b) {
+    return (a.missedIngredientCount - b.missedIngredientCount) || (b.usedIngredientCount - a.usedIngredientCount);
+}
+
+function byMostUsed(a, b) {
+    return (b.usedIngredientCount - a.usedIngredientCount) || (a.missedIngredientCount - b.missedIngredientCount);
+}
+
+// Criterio -> función de comparación (null = orden aleatorio)
+const RECIPE_SORTS = {
+    'min-missing-ingredients': byFewestMissing,
+    'max-used-ingredients': byMostUsed,
+    'time': (a, b) => compareOptional(a.readyInMinutes, b.readyInMinutes, 1) || byFewestMissing(a, b),
+    'healthiness': (a, b) => compareOptional(a.healthScore, b.healthScore, -1) || byFewestMissing(a, b),
+    'random': null,
+};
+
+/**
+ * @brief Generador pseudoaleatorio con semilla (mulberry32): la misma semilla da la misma secuencia.
+ * @returns {Function} Devuelve números en [0, 1), como Math.random.
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @brief Indica si un criterio de orden es válido.
+ */
+function isValidSort(sort) {
+    return Object.prototype.hasOwnProperty.call(RECIPE_SORTS, sort);
+}
+
+/**
+ * @brief Devuelve una copia de las recetas ordenada según el criterio.
+ * @param {Array} recipes Recetas con usedIngredientCount/missedIngredientCount (y opcionalmente
+ *   readyInMinutes/healthScore).
+ * @param {string} sort Uno de RECIPE_SORTS (por defecto 'min-missing-ingredients').
+ * @param {number|null} [seed] Semilla del orden aleatorio: con la misma semilla las mismas recetas
+ *   quedan siempre en el mismo orden (sin semilla, cambia en cada llamada).
+ */
+function sortRecipes(recipes, sort = DEFAULT_SORT, seed) {
+    const compare = RECIPE_SORTS[sort];
+    if (compare === undefined) {
+        throw new Error(`Criterio de orden desconocido: "${sort}".`);
+    }
+    if (compare === null) {
+        // Fisher-Yates. Con semilla se parte de un orden fijo (por ID), así el resultado no
+        // depende del orden en que llegaron las recetas
+        const seeded = seed !== undefined && seed !== null;
+        const random = seeded ? seededRandom(seed) : Math.random;
+        const shuffled = !seeded
+            ? [...recipes]
+            : [...recipes].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+    return [...recipes].sort(compare);
+}
+
+module.exports = {
+    DEFAULT_SORT,
+    RECIPE_SORTS,
+    isValidSort,
+    sortRecipes,
+};
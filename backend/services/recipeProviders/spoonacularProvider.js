@@ -0,0 +1,134 @@
+// backend/services/recipeProviders/spoonacularProvider.js
+
+/**
+ * @file spoonacularProvider.js
+ * @brief Proveedor de recetas que usa la API de Spoonacular (con caché en MongoDB).
+ * * Las respuestas se guardan con cacheService en los espacios de nombres 'spoonacularSearch'
+ * ('spoonacular:search:') y 'spoonacularDetails' ('spoonacular:details:'), cada uno con su TTL.
+ * Las búsquedas simultáneas de la misma clave hacen una sola llamada a la API.
+ */
+
+require('dotenv').config({ path: '../.env' });
+
+const cacheService = require('../cacheService');
+const RecipeProviderError = require('./RecipeProviderError');
+const { DEFAULT_SORT } = require('./recipeSorts');
+
+const SPOONACULAR_API_KEY = process.env.SPOONACULAR_API_KEY;
+const SPOONACULAR_URL = 'https://api.spoonacular.com/recipes';
+
+// Cantidad de recetas que se piden por defecto
+const DEFAULT_RESULTS_NUMBER = 5;
+
+/**
+ * @brief Las recetas de Spoonacular tienen IDs numéricos.
+ */
+function ownsRecipeId(recipeId) {
+    return /^\d+$/.test(String(recipeId));
+}
+
+/**
+ * @brief Llama a la API de Spoonacular y devuelve el JSON de la respuesta.
+ * @throws {RecipeProviderError} Si falta la clave o la API responde con error.
+ */
+async function callSpoonacular(path, params, label) {
+    if (!SPOONACULAR_API_KEY) {
+        throw new RecipeProviderError('Falta la variable de entorno SPOONACULAR_API_KEY.', 503);
+    }
+
+    const url = `${SPOONACULAR_URL}${path}?apiKey=${SPOONACULAR_API_KEY}${params}`;
+    const respuesta = await fetch(url);
+    const data = await respuesta.json();
+
+    if (!respuesta.ok) {
+        console.error(`❌ ERROR DE SPOONACULAR (${label}):`, {
+            status: respuesta.status,
+            statusText: respuesta.statusText,
+            body: data
+        });
+        throw new RecipeProviderError(`Error de la API externa (${label}).`, respuesta.status, data.message);
+    }
+    return data;
+}
+
+/**
+ * @brief Arma el query string de filtros de Spoonacular.
+ * @param {object} filters { diet, maxCalories, maxCarbs, maxProtein, maxSugar, excludeIngredients,
+ *   intolerances, cuisines, excludeCuisines, type, maxReadyTime }
+ */
+function buildFiltersQueryString(filters = {}) {
+    const { diet, maxCalories, maxCarbs, maxProtein, maxSugar, type, maxReadyTime } = filters;
+    let filtersQueryString = '';
+    // Las listas van ordenadas, igual que los ingredientes, para consistencia del caché
+    const lists = {
+        excludeIngredients: filters.excludeIngredients,
+        intolerances: filters.intolerances,
+        cuisine: filters.cuisines,
+        excludeCuisine: filters.excludeCuisines,
+    };
+    Object.entries(lists).forEach(([param, values]) => {
+        if (values && values.length > 0) {
+            filtersQueryString += `&${param}=${encodeURIComponent([...values].sort().join(','))}`;
+        }
+    });
+    if (diet && diet !== 'none' && diet !== '') filtersQueryString += `&diet=${diet}`;
+    if (maxCalories) filtersQueryString += `&maxCalories=${maxCalories}`;
+    if (maxCarbs) filtersQueryString += `&maxCarbs=${maxCarbs}`;
+    if (maxProtein) filtersQueryString += `&maxProtein=${maxProtein}`;
+    if (maxSugar) filtersQueryString += `&maxSugar=${maxSugar}`;
+    if (type) filtersQueryString += `&type=${encodeURIComponent(type)}`;
+    if (maxReadyTime) filtersQueryString += `&maxReadyTime=${maxReadyTime}`;
+    return filtersQueryString;
+}
+
+/**
+ * @brief Busca recetas que usen los ingredientes dados.
+ * * Los criterios 'time' y 'healthiness' piden también la información de cada receta
+ * (readyInMinutes, healthScore), necesaria para mezclarlas con las de otros orígenes.
+ * @param {Array<string>} ingredients Ingredientes en inglés.
+ * @param {object} filters Filtros de dieta, nutrición y restricciones (ver buildFiltersQueryString).
+ * @param {object} options { number, sort } cantidad de recetas y criterio de orden (ver recipeSorts).
+ *   Con 'random' Spoonacular elige las recetas al azar: el mismo pedido devuelve las mismas mientras dure la caché.
+ * @returns {Promise<object>} { results, totalResults }: recetas con usedIngredients/missedIngredients
+ *   y el total de recetas que coinciden.
+ */
+async function searchByIngredients(ingredients, filters = {}, options = {}) {
+    const resultsNumber = options.number || DEFAULT_RESULTS_NUMBER;
+    const sort = options.sort || DEFAULT_SORT;
+    const addRecipeInformation = sort === 'time' || sort === 'healthiness';
+    // Ordenamos para consistencia del caché
+    const ingredientsCommaSeparated = [...ingredients].sort().join(',');
+    const filtersQueryString = buildFiltersQueryString(filters);
+
+    // La clave incluye orden y cantidad: cada página pide más recetas y no pisa a las otras
+    const searchCacheKey = `${ingredientsCommaSeparated}:${filtersQueryString}:sort=${sort}:number=${resultsNumber}`;
+
+    return await cacheService.getOrSet('spoonacularSearch', searchCacheKey, async () => {
+        console.log(`[DB CACHE MISS] Llamando a Spoonacular Search para: "${ingredientsCommaSeparated}${filtersQueryString}" (${sort}, ${resultsNumber})`);
+        const data = await callSpoonacular(
+            '/complexSearch',
+            `&includeIngredients=${encodeURIComponent(ingredientsCommaSeparated)}&number=${resultsNumber}&fillIngredients=true&ignorePantry=true&sort=${sort}${addRecipeInformation ? '&addRecipeInformation=true' : ''}${filtersQueryString}`,
+            'Search'
+        );
+        return { results: data.results, totalResults: data.totalResults };
+    });
+}
+
+/**
+ * @brief Obtiene los detalles (en inglés) de una receta.
+ * @returns {Promise<object>} Los detalles tal como los devuelve Spoonacular.
+ */
+async function getRecipeDetails(recipeId) {
+    return await cacheService.getOrSet('spoonacularDetails', String(recipeId), async () => {
+        console.log(`[DB CACHE MISS] Llamando a Spoonacular Details para ID: "${recipeId}"`);
+        // Guardamos el objeto de detalles completo
+        return await callSpoonacular(`/${recipeId}/information`, '', 'Details');
+    });
+}
+
+module.exports = {
+    name: 'spoonacular',
+    ownsRecipeId,
+    searchByIngredients,
+    getRecipeDetails,
+};
@@ -0,0 +1,247 @@
+// backend/services/shoppingListService.js
+
+/**
+ * @file shoppingListService.js
+ * @brief Lógica de negocio de la lista de compras.
+ * * Cada artículo aparece una sola vez por lista: si se agrega de nuevo (a mano o desde
+ * otra receta) la cantidad se suma convirtiendo unidades. Los artículos marcados como
+ * comprados se pueden pasar al inventario con userService.createOrUpdateAlimento.
+ * * Si el usuario pertenece a un hogar, la lista es la del hogar (ver householdService.getPantryScope).
+ */
+
+const ShoppingItem = require('../models/ShoppingListModel');
+const unitService = require('./unitService');
+const userService = require('./userService');
+const householdService = require('./householdService');
+
+/**
+ * @brief Recupera la lista de compras del usuario o de su hogar (primero lo pendiente).
+ */
+async function getShoppingList(userId) {
+    const { filter } = await householdService.getPantryScope(userId);
+    return await ShoppingItem.find(filter).sort({ checked: 1, article_name: 1 }).lean();
+}
+
+/**
+ * @brief Suma una cantidad a un artículo existente (documento Mongoose).
+ * * Si las unidades no se pueden convertir, la línea original queda en 'details'
+ * para no perder la información.
+ */
+function mergeQuantity(item, quantity, unit, original) {
+    if (quantity && unit) {
+        if (item.quantity && item.unit) {
+            try {
+                const properties = unitService.getIngredientProperties(item.article_name);
+                const merged = unitService.addQuantities(item.quantity, item.unit, quantity, unit, properties);
+                item.quantity = merged.quantity;
+                item.unit = merged.unit;
+                return;
+            } catch (error) {
+                if (error.name !== 'UnitConversionError') throw error;
+            }
+        } else {
+            item.quantity = quantity;
+            item.unit = unit;
+            return;
+        }
+    }
+
+    const detail = original || (quantity ? `${quantity} ${unit || ''}`.trim() : null);
+    if (detail && !item.details.includes(detail)) {
+        item.details.push(detail);
+    }
+}
+
+/**
+ * @brief Agrega un artículo a la lista o lo combina con uno existente del mismo nombre.
+ * @param {object} extra { original, recipe: { recipeId, title } } opcionales.
+ * @returns {Promise<object>} El artículo creado o actualizado.
+ */
+async function addShoppingItem(userId, article_name, quantity, unit, extra = {}) {
+    const cleanName = article_name.toLowerCase().trim();
+    const parsedQuantity = quantity ? parseFloat(quantity) : null;
+    const cleanUnit = parsedQuantity ? (unit || null) : null;
+
+    const { household, filter } = await householdService.getPantryScope(userId);
+    let item = await ShoppingItem.findOne({ ...filter, article_name: cleanName });
+
+    if (item) {
+        mergeQuantity(item, parsedQuantity, cleanUnit, extra.original);
+        // Si se vuelve a necesitar algo que ya estaba tachado, vuelve a estar pendiente
+        item.checked = false;
+    } else {
+        item = new ShoppingItem({ user: userId, household, article_name: cleanName });
+        mergeQuantity(item, parsedQuantity, cleanUnit, extra.original);
+    }
+
+    if (extra.recipe && !item.recipes.some(recipe => recipe.recipeId === String(extra.recipe.recipeId))) {
+        item.recipes.push({ recipeId: String(extra.recipe.recipeId), title: extra.recipe.title });
+    }
+
+    if (item.quantity && item.unit) {
+        const readable = unitService.toReadableUnit(item.quantity, item.unit);
+        item.quantity = readable.quantity;
+        item.unit = readable.unit;
+    }
+
+    await item.save();
+    return item.toObject();
+}
+
+/**
+ * @brief Agrega varios artículos de una receta (ej: sus ingredientes faltantes).
+ * @param {Array} items [{ article_name, quantity, unit, original }]
+ * @param {object} recipe { recipeId, title }
+ * @returns {Promise<Array>} Los artículos creados o actualizados.
+ */
+async function addShoppingItems(userId, items, recipe) {
+    const saved = [];
+    for (const item of items) {
+        saved.push(await addShoppingItem(userId, item.article_name, item.quantity, item.unit, {
+            original: item.original,
+            recipe
+        }));
+    }
+    return saved;
+}
+
+/**
+ * @brief Actualiza un artículo de la lista (nombre, cantidad, unidad o marcado).
+ * @returns {Promise<object|null>} El artículo actualizado o null si no existe.
+ */
+async function updateShoppingItem(itemId, userId, changes) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const item = await ShoppingItem.findOne({ _id: itemId, ...filter });
+
+    if (!item) {
+        return null;
+    }
+
+    if (changes.article_name) item.article_name = changes.article_name.toLowerCase().trim();
+    if (changes.quantity !== undefined) item.quantity = changes.quantity ? parseFloat(changes.quantity) : null;
+    if (changes.unit !== undefined) item.unit = changes.unit || null;
+    if (changes.checked !== undefined) item.checked = Boolean(changes.checked);
+
+    await item.save();
+    return item.toObject();
+}
+
+/**
+ * @brief Elimina un artículo de la lista.
+ */
+async function deleteShoppingItem(itemId, userId) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const result = await ShoppingItem.deleteOne({ _id: itemId, ...filter });
+    return result.deletedCount === 1;
+}
+
+/**
+ * @brief Pasa al inventario los artículos marcados como comprados y los quita de la lista.
+ * * Los artículos sin cantidad/unidad, o con una unidad incompatible con la del inventario,
+ * quedan en la lista y se informan en 'skipped'.
+ * @returns {Promise<object>} { moved: [article_name], skipped: [{ article_name, reason }] }
+ */
+async function moveCheckedToInventory(userId) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const checkedItems = await ShoppingItem.find({ ...filter, checked: true });
+    const moved = [];
+    const skipped = [];
+
+    for (const item of checkedItems) {
+        if (!item.quantity || !item.unit) {
+            skipped.push({ article_name: item.article_name, reason: 'Falta la cantidad o la unidad.' });
+            continue;
+        }
+
+        try {
+            await userService.createOrUpdateAlimento(userId, item.article_name, item.quantity, item.unit);
+        } catch (error) {
+            if (error.name !== 'UnitConversionError') throw error;
+            skipped.push({ article_name: item.article_name, reason: error.message });
+            continue;
+        }
+
+        await ShoppingItem.deleteOne({ _id: item._id });
+        moved.push(item.article_name);
+    }
+
+    return { moved, skipped };
+}
+
+/**
+ * @brief Genera la lista en texto plano para compartir (ej: por WhatsApp o Telegram).
+ */
+async function exportShoppingListText(userId) {
+    const items = await getShoppingList(userId);
+
+    if (items.length === 0) {
+        return 'Lista de compras vacía.';
+    }
+
+    const lines = items.map(item => {
+        const measure = item.quantity ? ` — ${item.quantity} ${item.unit}` : '';
+        const details = item.details && item.details.length > 0 ? ` (${item.details.join('; ')})` : '';
+        return `${item.checked ? '[x]' : '[ ]'} ${item.article_name}${measure}${details}`;
+    });
+
+    return ['🛒 Lista de compras', '', ...lines].join('\n');
+}
+
+/**
+ * @brief Pasa la lista personal del usuario a la de su hogar (al crear uno o unirse).
+ * * Los artículos que ya están en la lista del hogar se combinan (cantidades, detalles y recetas).
+ * @returns {Promise<object>} { moved, merged } cantidad de artículos movidos y combinados.
+ */
+async function moveListToHousehold(userId, householdId) {
+    const personales = await ShoppingItem.find({ user: userId, household: null });
+    let moved = 0;
+    let merged = 0;
+
+    for (const item of personales) {
+        const existing = await ShoppingItem.findOne({ household: householdId, article_name: item.article_name });
+        if (!existing) {
+            await ShoppingItem.updateOne({ _id: item._id }, { $set: { household: householdId } });
+            moved++;
+            continue;
+        }
+
+        mergeQuantity(existing, item.quantity, item.unit, null);
+        item.details.forEach(detail => { if (!existing.details.includes(detail)) existing.details.push(detail); });
+        item.recipes.forEach(recipe => {
+            if (!existing.recipes.some(r => r.recipeId === recipe.recipeId)) existing.recipes.push(recipe);
+        });
+        existing.checked = existing.checked && item.checked;
+        await existing.save();
+        await ShoppingItem.deleteOne({ _id: item._id });
+        merged++;
+    }
+
+    return { moved, merged };
+}
+
+/**
+ * @brief Devuelve al usuario la lista de un hogar eliminado (era su último miembro).
+ */
+async function releaseHouseholdList(householdId, userId) {
+    await ShoppingItem.updateMany({ household: householdId }, { $set: { household: null, user: userId } });
+}
+
+/**
+ * @brief Sincroniza los índices de la lista (el índice único pasó a incluir 'household').
+ */
+async function initializeShoppingList() {
+    await ShoppingItem.syncIndexes();
+}
+
+module.exports = {
+    getShoppingList,
+    addShoppingItem,
+    addShoppingItems,
+    updateShoppingItem,
+    deleteShoppingItem,
+    moveCheckedToInventory,
+    exportShoppingListText,
+    moveListToHousehold,
+    releaseHouseholdList,
+    initializeShoppingList,
+};
@@ -0,0 +1,173 @@
+// backend/services/storageService.js
+
+/**
+ * @file storageService.js
+ * @brief Ubicaciones (heladera, freezer, alacena o creadas por el usuario) y categorías de los alimentos.
+ * * Las ubicaciones por defecto existen siempre; las creadas por el usuario son de su despensa
+ * (la del hogar, si tiene), igual que los alimentos. Los alimentos guardan el nombre de la
+ * ubicación, así que renombrar o eliminar una ubicación actualiza los alimentos que la usan.
+ */
+
+const StorageLocation = require('../models/StorageLocationModel');
+const { DEFAULT_LOCATIONS, FOOD_CATEGORIES } = require('../models/StorageLocationModel');
+const Inventory = require('../models/InventoryModel');
+const householdService = require('./householdService');
+
+// Días que se extiende el vencimiento al pasar un alimento al freezer, según su categoría
+const FREEZER_EXTENSION_DAYS = {
+    carnes: 120,
+    pescados: 90,
+    panadería: 60,
+    verduras: 240,
+    frutas: 240,
+    lácteos: 60,
+};
+const DEFAULT_FREEZER_EXTENSION_DAYS = 90;
+
+/**
+ * @brief Error de una operación sobre ubicaciones (nombre repetido, ubicación por defecto...).
+ * * 'status' es el código HTTP que se devuelve al cliente.
+ */
+class StorageError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'StorageError';
+        this.status = status;
+    }
+}
+
+/**
+ * @brief Lista las ubicaciones de la despensa del usuario: primero las por defecto y después las creadas.
+ * @returns {Promise<Array>} [{ _id, name, freezes, custom }] ('_id' es null en las por defecto).
+ */
+async function getLocations(userId) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const custom = await StorageLocation.find(filter).sort({ name: 1 }).lean();
+
+    return [
+        ...DEFAULT_LOCATIONS.map(name => ({ _id: null, name, freezes: name === 'freezer', custom: false })),
+        ...custom.map(location => ({ _id: location._id, name: location.name, freezes: location.freezes, custom: true }))
+    ];
+}
+
+/**
+ * @brief Busca una ubicación por nombre (por defecto o creada) en la despensa del usuario.
+ * @returns {Promise<object|null>} La ubicación (ver getLocations) o null si no existe.
+ */
+async function findLocation(userId, name) {
+    const cleanName = name.toLowerCase().trim();
+    const locations = await getLocations(userId);
+    return locations.find(location => location.name === cleanName) || null;
+}
+
+/**
+ * @brief Crea una ubicación en la despensa del usuario.
+ * @throws {StorageError} 409 si ya existe una ubicación con ese nombre.
+ */
+async function createLocation(userId, name, freezes = false) {
+    const cleanName = name.toLowerCase().trim();
+    if (await findLocation(userId, cleanName)) {
+        throw new StorageError(`Ya existe la ubicación "${cleanName}".`, 409);
+    }
+
+    const { household } = await householdService.getPantryScope(userId);
+    const location = await StorageLocation.create({ user: userId, household, name: cleanName, freezes });
+    return { _id: location._id, name: location.name, freezes: location.freezes, custom: true };
+}
+
+/**
+ * @brief Renombra una ubicación creada (y los alimentos que la usan) o cambia si congela.
+ * @param {object} changes { name, freezes } opcionales.
+ * @returns {Promise<object|null>} La ubicación actualizada o null si no es de la despensa del usuario.
+ * @throws {StorageError} 409 si el nombre nuevo ya está en uso.
+ */
+async function updateLocation(userId, locationId, { name, freezes }) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const location = await StorageLocation.findOne({ _id: locationId, ...filter });
+    if (!location) {
+        return null;
+    }
+
+    const previousName = location.name;
+    if (name !== undefined && name.toLowerCase().trim() !== previousName) {
+        if (await findLocation(userId, name)) {
+            throw new StorageError(`Ya existe la ubicación "${name.toLowerCase().trim()}".`, 409);
+        }
+        location.name = name;
+    }
+    if (freezes !== undefined) location.freezes = freezes;
+    await location.save();
+
+    if (location.name !== previousName) {
+        await Inventory.updateMany({ ...filter, location: previousName }, { $set: { location: location.name } });
+    }
+    return { _id: location._id, name: location.name, freezes: location.freezes, custom: true };
+}
+
+/**
+ * @brief Elimina una ubicación creada. Los alimentos que estaban ahí quedan sin ubicación.
+ * @returns {Promise<number|null>} Cantidad de alimentos que quedaron sin ubicación, o null si
+ *   la ubicación no es de la despensa del usuario.
+ */
+async function deleteLocation(userId, locationId) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const location = await StorageLocation.findOneAndDelete({ _id: locationId, ...filter });
+    if (!location) {
+        return null;
+    }
+
+    const result = await Inventory.updateMany({ ...filter, location: location.name }, { $set: { location: null } });
+    return result.modifiedCount;
+}
+
+/**
+ * @brief Días que se extiende el vencimiento de un alimento al congelarlo (según su categoría).
+ */
+function getFreezerExtensionDays(category) {
+    return FREEZER_EXTENSION_DAYS[category] || DEFAULT_FREEZER_EXTENSION_DAYS;
+}
+
+/**
+ * @brief Pasa las ubicaciones personales del usuario a su hogar (al crear uno o unirse).
+ * * Las que ya existen en el hogar con el mismo nombre se descartan (los alimentos guardan el nombre).
+ * @returns {Promise<object>} { moved, merged } cantidad de ubicaciones movidas y combinadas.
+ */
+async function moveLocationsToHousehold(userId, householdId) {
+    const personales = await StorageLocation.find({ user: userId, household: null });
+    let moved = 0;
+    let merged = 0;
+
+    for (const location of personales) {
+        const existing = await StorageLocation.exists({ household: householdId, name: location.name });
+        if (existing) {
+            await StorageLocation.deleteOne({ _id: location._id });
+            merged++;
+        } else {
+            await StorageLocation.updateOne({ _id: location._id }, { $set: { household: householdId } });
+            moved++;
+        }
+    }
+
+    return { moved, merged };
+}
+
+/**
+ * @brief Devuelve al usuario las ubicaciones de un hogar eliminado (era su último miembro).
+ */
+async function releaseHouseholdLocations(householdId, userId) {
+    await StorageLocation.updateMany({ household: householdId }, { $set: { household: null, user: userId } });
+}
+
+module.exports = {
+    DEFAULT_LOCATIONS,
+    FOOD_CATEGORIES,
+    StorageError,
+    getLocations,
+    findLocation,
+    createLocation,
+    updateLocation,
+    deleteLocation,
+    getFreezerExtensionDays,
+    moveLocationsToHousehold,
+    releaseHouseholdLocations,
+};
@@ -0,0 +1,120 @@
+// backend/services/tokenService.js
+
+/**
+ * @file tokenService.js
+ * @brief Emisión y verificación de tokens de sesión.
+ * * Access token: JWT firmado (HS256) de corta duración que viaja en la cabecera
+ *   'Authorization: Bearer <token>'. Lleva el id y el 'grupo' del usuario para que
+ *   los chequeos de rol no necesiten consultar la DB.
+ * * Refresh token: cadena aleatoria opaca, guardada hasheada en MongoDB. Se rota
+ *   en cada uso y se elimina al cerrar sesión.
+ */
+
+require('dotenv').config({ path: '../.env' });
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshTokenModel');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+if (!JWT_SECRET) {
+  console.error("❌ Error: Falta la variable de entorno JWT_SECRET en el archivo .env");
+}
+
+/**
+ * @brief Calcula el hash SHA-256 de un token opaco (lo único que se persiste).
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @brief Firma un access token con los datos mínimos del usuario.
+ * @param {object} user Objeto con _id, username y grupo.
+ * @returns {string} JWT firmado.
+ */
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: String(user._id), username: user.username, grupo: user.grupo },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * @brief Verifica un access token.
+ * @returns {object} El payload decodificado ({ sub, username, grupo, iat, exp }).
+ * @throws {jwt.TokenExpiredError|jwt.JsonWebTokenError} Si está vencido o es inválido.
+ */
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+/**
+ * @brief Genera un refresh token nuevo y guarda su hash en la DB.
+ * @returns {Promise<string>} El refresh token en claro (solo lo conoce el cliente).
+ */
+async function createRefreshToken(userId) {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return token;
+}
+
+/**
+ * @brief Emite el par de tokens (access + refresh) para un usuario autenticado.
+ */
+async function issueTokens(user) {
+  const accessToken = signAccessToken(user);
+  const refreshToken = await createRefreshToken(user._id);
+  const { exp } = jwt.decode(accessToken);
+  return { accessToken, refreshToken, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * @brief Consume un refresh token (un solo uso) y devuelve el id del usuario dueño.
+ * @returns {Promise<string|null>} El id del usuario, o null si el token no existe o venció.
+ */
+async function consumeRefreshToken(token) {
+  if (!token) return null;
+
+  // findOneAndDelete garantiza que dos pedidos simultáneos no puedan usar el mismo token.
+  const entry = await RefreshToken.findOneAndDelete({ tokenHash: hashToken(token) });
+  if (!entry || entry.expiresAt < new Date()) {
+    return null;
+  }
+  return String(entry.user);
+}
+
+/**
+ * @brief Revoca un refresh token (logout).
+ * @returns {Promise<boolean>} true si el token existía.
+ */
+async function revokeRefreshToken(token) {
+  if (!token) return false;
+  const result = await RefreshToken.deleteOne({ tokenHash: hashToken(token) });
+  return result.deletedCount === 1;
+}
+
+/**
+ * @brief Revoca todas las sesiones abiertas de un usuario.
+ */
+async function revokeAllForUser(userId) {
+  const result = await RefreshToken.deleteMany({ user: userId });
+  return result.deletedCount;
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser,
+};
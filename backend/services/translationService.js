@@ -1,83 +1,227 @@
-// 1. Carga las variables de entorno (para la clave API de Gemini)
+// 1. Carga las variables de entorno (para la clave API de Gemini y el orden de traductores)
 require('dotenv').config({ path: '../.env' });
 
-// 2. Importa la librería de Google AI
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+/**
+ * @file translationService.js
+ * @brief Traducción ES <-> EN con traductores intercambiables.
+ * * Todo traductor (services/translators/) expone la misma interfaz:
+ *   - name: identificador del traductor.
+ *   - cached: si sus resultados se guardan en la caché de MongoDB.
+ *   - isAvailable(): si se puede usar (ej: Gemini necesita GEMINI_API_KEY).
+ *   - translateText(text, sourceLang, targetLang): la traducción o null si no puede.
+ *   - translateBatch(items, sourceLang, targetLang): recibe [{ id, text }] y devuelve
+ *     { id: traducción } solo con los textos que pudo traducir (o null si no puede).
+ *
+ * Los traductores se prueban en el orden de TRANSLATION_PROVIDERS (por defecto
+ * "glossary,gemini,passthrough"): el glosario va primero para que los términos conocidos
+ * siempre se traduzcan igual, y el passthrough al final para no devolver nunca null.
+ */
+
+const cacheService = require('./cacheService');
+const glossaryTranslator = require('./translators/glossaryTranslator');
+const geminiTranslator = require('./translators/geminiTranslator');
+const passthroughTranslator = require('./translators/passthroughTranslator');
 
-const CacheEntry = require('../models/CacheEntryModel'); 
+const TRANSLATORS = {
+  [glossaryTranslator.name]: glossaryTranslator,
+  [geminiTranslator.name]: geminiTranslator,
+  [passthroughTranslator.name]: passthroughTranslator,
+};
+
+const DEFAULT_ORDER = 'glossary,gemini,passthrough';
+
+/**
+ * @brief Devuelve un traductor por nombre.
+ * @throws {Error} Si el nombre no corresponde a ningún traductor (error de configuración).
+ */
+function getTranslator(name) {
+  const translator = TRANSLATORS[name];
+  if (!translator) {
+    throw new Error(`Traductor desconocido: "${name}". Opciones: ${Object.keys(TRANSLATORS).join(', ')}.`);
+  }
+  return translator;
+}
 
-// 3. Lee la clave API de Gemini desde el archivo .env
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+// 2. Orden de traductores configurado
+const translatorOrder = (process.env.TRANSLATION_PROVIDERS || DEFAULT_ORDER)
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean)
+  .map(getTranslator);
 
-// 4. Valida que la clave exista
-if (!GEMINI_API_KEY) {
-  console.error("❌ Error: Falta la variable de entorno GEMINI_API_KEY en el archivo .env");
+if (translatorOrder.includes(geminiTranslator) && !geminiTranslator.isAvailable()) {
+  console.warn("⚠️ Advertencia: Falta GEMINI_API_KEY; se usarán los demás traductores configurados.");
 }
 
-// 5. Inicializa el cliente de Google AI (solo si la clave existe)
-let genAI;
-let model;
-if (GEMINI_API_KEY) {
-  genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-  model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" }); 
-} else {
-  console.warn("⚠️ Advertencia: La API de Gemini no se inicializó por falta de clave API.");
+/**
+ * @brief Clave de caché (espacio 'translation') de un texto: la misma para textos sueltos y lotes.
+ */
+function translationCacheKey(text, sourceLang, targetLang) {
+  return `${sourceLang}:${targetLang}:${text}`;
 }
 
 /**
- * @brief Traduce un texto de un idioma de origen a un idioma de destino usando Gemini.
+ * @brief Busca varios textos ya traducidos en la caché, en una sola consulta.
+ * @returns {Promise<Map>} texto -> traducción (solo los que están en caché).
+ */
+async function getCachedTranslations(texts, sourceLang, targetLang) {
+  const keys = texts.map(text => translationCacheKey(text, sourceLang, targetLang));
+  const entries = await cacheService.getMany('translation', keys);
+
+  const cached = new Map();
+  texts.forEach((text, index) => {
+    const data = entries.get(keys[index]);
+    if (typeof data === 'string' && data) cached.set(text, data);
+  });
+  return cached;
+}
+
+/**
+ * @brief Guarda varias traducciones en la caché, una entrada por texto.
+ * @param {Map} translations texto -> traducción
+ */
+async function saveCachedTranslations(translations, sourceLang, targetLang) {
+  const entries = new Map([...translations.entries()].map(([text, data]) => [translationCacheKey(text, sourceLang, targetLang), data]));
+  await cacheService.setMany('translation', entries);
+}
+
+/**
+ * @brief Traduce un texto con el primer traductor configurado que pueda hacerlo.
  * @param {string} textToTranslate El texto que se desea traducir.
  * @param {string} sourceLang El código del idioma de origen
- * @param {string} targetLang El código del idioma de destino *
- * @returns {Promise<string|null>} El texto traducido, o null si ocurre un error o la API no está inicializada.
+ * @param {string} targetLang El código del idioma de destino
+ * @returns {Promise<string|null>} El texto traducido, o null si ningún traductor pudo.
  */
 async function translateText(textToTranslate, sourceLang, targetLang) {
-  if (!model) {
-    console.error("Error: Intento de traducir sin API de Gemini inicializada.");
-    return null; 
+  if (!textToTranslate) {
+    return textToTranslate;
+  }
+
+  const cacheKey = translationCacheKey(textToTranslate, sourceLang, targetLang);
+
+  for (const translator of translatorOrder) {
+    if (!translator.isAvailable()) continue;
+
+    try {
+      if (translator.cached) {
+        const cached = await cacheService.get('translation', cacheKey);
+        if (cached) {
+          console.log(`[DB CACHE HIT] Traducción para: "${textToTranslate}"`);
+          return cached;
+        }
+        console.log(`[DB CACHE MISS] Llamando a ${translator.name} para: "${textToTranslate}"`);
+      }
+
+      const translatedText = await translator.translateText(textToTranslate, sourceLang, targetLang);
+      if (!translatedText) continue;
+
+      if (translator.cached) {
+        await cacheService.set('translation', cacheKey, translatedText);
+      }
+      return translatedText;
+
+    } catch (error) {
+      console.error(`Error en translateText [${translator.name}] (${sourceLang}->${targetLang}) para "${textToTranslate}":`, error.message);
+    }
   }
 
-  // 1. Crear una clave única para el caché
-  const cacheKey = `translation:${sourceLang}:${targetLang}:${textToTranslate}`;
+  return null;
+}
 
-  try {
-    // 2. Buscar en el caché de MongoDB
-    const cachedEntry = await CacheEntry.findOne({ cacheKey: cacheKey });
+/**
+ * @brief Traduce un lote de textos identificados por id combinando los traductores configurados.
+ * * Cada texto se busca primero en la caché (una entrada por texto, así un lote nuevo
+ * reutiliza lo ya traducido en otros). Cada traductor solo recibe los textos que los
+ * anteriores no pudieron traducir (ej: el glosario resuelve "palta" y solo el resto va a
+ * Gemini; si Gemini no devuelve algún id, ese texto pasa al passthrough). Los textos
+ * repetidos se traducen una sola vez.
+ * @param {Array<object>} items [{ id, text }] con ids únicos.
+ * @param {string} sourceLang El código del idioma de origen
+ * @param {string} targetLang El código del idioma de destino
+ * @returns {Promise<object>} { id: traducción }. Los ids que ningún traductor pudo traducir no aparecen.
+ */
+async function translateBatch(items, sourceLang, targetLang) {
+  const { translations } = await translateBatchDetailed(items, sourceLang, targetLang);
+  return translations;
+}
 
-    if (cachedEntry) {
-      // Si encontramos algo, MongoDB ya maneja la expiración con TTL.
-      // Solo devolvemos el dato guardado.
-      console.log(`[DB CACHE HIT] Traducción para: "${textToTranslate}"`); // Log opcional
-      return cachedEntry.data; 
+/**
+ * @brief Igual que translateBatch, pero indica qué textos tradujo un modelo (o su caché).
+ * * Lo usa el diccionario de ingredientes para aprender solo traducciones reales (no las
+ * del glosario, que ya es un diccionario, ni las del passthrough, que no traduce).
+ * @returns {Promise<object>} { translations: { id: traducción }, fromModel: Set de ids }
+ */
+async function translateBatchDetailed(items, sourceLang, targetLang) {
+  const results = {};
+  const fromModel = new Set();
+  let pending = [];
+  items.forEach(item => {
+    if (item.text) pending.push(item);
+    else results[item.id] = item.text;
+  });
+
+  for (const translator of translatorOrder) {
+    if (pending.length === 0) break;
+    if (!translator.isAvailable()) continue;
+
+    try {
+      if (translator.cached) {
+        const cached = await getCachedTranslations([...new Set(pending.map(item => item.text))], sourceLang, targetLang);
+        pending.forEach(item => {
+          if (cached.has(item.text)) {
+            results[item.id] = cached.get(item.text);
+            fromModel.add(item.id);
+          }
+        });
+        pending = pending.filter(item => !(item.id in results));
+        if (pending.length === 0) break;
+        console.log(`[DB CACHE MISS] Llamando a ${translator.name} para ${pending.length} textos.`);
+      }
+
+      // Los ids que ve el traductor son internos: uno por texto distinto
+      const uniqueTexts = [...new Set(pending.map(item => item.text))];
+      const batch = uniqueTexts.map((text, index) => ({ id: String(index), text }));
+      const translated = await translator.translateBatch(batch, sourceLang, targetLang) || {};
+
+      const fresh = new Map();
+      batch.forEach(entry => {
+        const translation = translated[entry.id];
+        if (typeof translation === 'string' && translation.trim()) fresh.set(entry.text, translation.trim());
+      });
+      pending.forEach(item => {
+        if (!fresh.has(item.text)) return;
+        results[item.id] = fresh.get(item.text);
+        if (translator.cached) fromModel.add(item.id);
+      });
+
+      if (translator.cached) {
+        await saveCachedTranslations(fresh, sourceLang, targetLang);
+      }
+    } catch (error) {
+      console.error(`Error en translateBatch [${translator.name}] (${sourceLang}->${targetLang}):`, error.message);
     }
 
-    // --- Si no está en caché (o ya fue borrado por TTL) ---
-    
-    console.log(`[DB CACHE MISS] Llamando a Gemini para: "${textToTranslate}"`);
-    const prompt = `Translate ONLY the following text from ${sourceLang} to ${targetLang}. Do not add any extra characters or explanations. The text to translate is: "${textToTranslate}"`;
-    
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const translatedText = response.text().trim();
-    
-    // 3. GUARDAMOS la traducción en MongoDB ANTES de devolverla
-    //    (No necesitamos guardar timestamp, createdAt lo hace Mongoose y expires lo usa TTL)
-    await CacheEntry.create({
-      cacheKey: cacheKey,
-      data: translatedText
-    });
-
-    console.log(`Traducido (${sourceLang}->${targetLang}): "${textToTranslate}" -> "${translatedText}" [Guardado en DB]`);
-    return translatedText;
-
-  } catch (error) {
-    // Captura errores tanto de la búsqueda en DB como de la llamada a Gemini
-    console.error(`Error en translateText (${sourceLang}->${targetLang}) para "${textToTranslate}":`, error);
-    return null; 
+    pending = pending.filter(item => !(item.id in results));
+  }
+
+  return { translations: results, fromModel };
+}
+
+/**
+ * @brief Prepara los traductores (carga el glosario, inicializándolo si está vacío).
+ */
+async function initializeTranslators() {
+  if (translatorOrder.includes(glossaryTranslator)) {
+    await glossaryTranslator.ensureGlossarySeeded();
   }
+  console.log(`[TRADUCCIÓN] Traductores: ${translatorOrder.map(translator => translator.name).join(' -> ')}`);
 }
 
-// Exporta la función para que otros archivos (como server.js) puedan usarla
+// Exporta las funciones para que otros archivos (como server.js) puedan usarlas
 module.exports = {
+  TRANSLATORS,
   translateText,
-};
\ No newline at end of file
+  translateBatch,
+  translateBatchDetailed,
+  initializeTranslators,
+};
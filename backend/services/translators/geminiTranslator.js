@@ -0,0 +1,125 @@
+// backend/services/translators/geminiTranslator.js
+
+/**
+ * @file geminiTranslator.js
+ * @brief Traductor basado en el modelo Gemini (gemini-2.5-flash).
+ * * Solo está disponible si existe GEMINI_API_KEY. Sus resultados se guardan en la caché
+ * de MongoDB (ver translationService), por eso declara 'cached: true'.
+ */
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const GEMINI_MODEL = "gemini-2.5-flash";
+// Intentos por lote: el segundo pide solo los ids que no volvieron en el primero
+const MAX_BATCH_ATTEMPTS = 2;
+
+let model = null;
+if (process.env.GEMINI_API_KEY) {
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
+}
+
+const LANGUAGE_NAMES = { es: 'Spanish', en: 'English' };
+
+/**
+ * @brief Indica si el traductor se puede usar (hay clave de la API).
+ */
+function isAvailable() {
+    return Boolean(model);
+}
+
+/**
+ * @brief Traduce un texto.
+ * @returns {Promise<string|null>} La traducción, o null si el traductor no está disponible.
+ * @throws {Error} Si la llamada a Gemini falla.
+ */
+async function translateText(text, sourceLang, targetLang) {
+    if (!model) return null;
+
+    const prompt = `Translate ONLY the following text from ${sourceLang} to ${targetLang}. Do not add any extra characters or explanations. The text to translate is: "${text}"`;
+    const result = await model.generateContent(prompt);
+    return result.response.text().trim();
+}
+
+/**
+ * @brief Lee la respuesta JSON del modelo como un objeto { id: traducción }.
+ * * Acepta un array [{ id, text }] o un objeto { id: texto }, con o sin bloque ```json.
+ * @returns {object} Las traducciones válidas encontradas (vacío si la respuesta no es JSON).
+ */
+function parseBatchResponse(responseText) {
+    const cleaned = responseText.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    let parsed;
+    try {
+        parsed = JSON.parse(cleaned);
+    } catch (error) {
+        return {};
+    }
+
+    const entries = Array.isArray(parsed)
+        ? parsed.map(entry => [entry && entry.id, entry && (entry.text ?? entry.translation)])
+        : Object.entries(parsed || {});
+
+    const translations = {};
+    entries.forEach(([id, text]) => {
+        if (id !== undefined && id !== null && typeof text === 'string' && text.trim()) {
+            translations[String(id)] = text.trim();
+        }
+    });
+    return translations;
+}
+
+/**
+ * @brief Traduce un lote de textos identificados por id, como JSON estructurado.
+ * * Se valida que vuelvan todos los ids; los que faltan se piden de nuevo (hasta
+ * MAX_BATCH_ATTEMPTS intentos). Los que siguen faltando no se devuelven, así el
+ * servicio de traducción los pasa al siguiente traductor (también si falla un reintento).
+ * @param {Array<object>} items [{ id, text }]
+ * @returns {Promise<object|null>} { id: traducción } (puede ser parcial), o null si no está disponible.
+ * @throws {Error} Si falla la primera llamada a Gemini.
+ */
+async function translateBatch(items, sourceLang, targetLang) {
+    if (!model) return null;
+
+    const language = LANGUAGE_NAMES[targetLang] || targetLang;
+    const translations = {};
+    let remaining = items;
+
+    for (let attempt = 1; attempt <= MAX_BATCH_ATTEMPTS && remaining.length > 0; attempt++) {
+        const prompt = `Translate the "text" of each item of this JSON array of kitchen texts to ${language}. `
+            + `Reply ONLY with a JSON array of objects with the same "id" and the translated "text", one per item, without explanations.\n`
+            + JSON.stringify(remaining.map(({ id, text }) => ({ id, text })));
+
+        let parsed;
+        try {
+            const result = await model.generateContent({
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                generationConfig: { responseMimeType: 'application/json' },
+            });
+            parsed = parseBatchResponse(result.response.text());
+        } catch (error) {
+            // Si falla un reintento se devuelve lo ya traducido (los que faltan pasan al siguiente traductor)
+            if (attempt === 1) throw error;
+            console.warn(`[TRADUCCIÓN] Falló el reintento de Gemini (${error.message}); faltan ${remaining.length} de ${items.length} textos.`);
+            break;
+        }
+
+        remaining.forEach(item => {
+            if (parsed[item.id]) translations[item.id] = parsed[item.id];
+        });
+        remaining = remaining.filter(item => !translations[item.id]);
+
+        if (remaining.length > 0) {
+            console.warn(`[TRADUCCIÓN] Gemini no devolvió ${remaining.length} de ${items.length} textos (intento ${attempt}).`);
+        }
+    }
+
+    return translations;
+}
+
+module.exports = {
+    name: 'gemini',
+    cached: true,
+    isAvailable,
+    translateText,
+    translateBatch,
+};
@@ -0,0 +1,105 @@
+// backend/services/translators/glossaryTranslator.js
+
+/**
+ * @file glossaryTranslator.js
+ * @brief Traductor determinista basado en el glosario de cocina ES <-> EN (colección GlossaryTerm).
+ * * Solo traduce términos conocidos completos (ingredientes, unidades, palabras de títulos);
+ * para el resto devuelve null y la traducción pasa al siguiente traductor. El glosario se
+ * mantiene en memoria y se recarga cuando un administrador lo edita.
+ */
+
+const path = require('path');
+const GlossaryTerm = require('../../models/GlossaryTermModel');
+
+const GLOSSARY_FILE = path.join(__dirname, '..', '..', 'data', 'glossary.json');
+
+// Diccionarios en memoria: 'es' -> 'en' y 'en' -> 'es'
+let esToEn = new Map();
+let enToEs = new Map();
+
+/**
+ * @brief Normaliza un texto para buscarlo en el glosario.
+ */
+function normalizeTerm(text) {
+    return String(text || '').toLowerCase().trim();
+}
+
+/**
+ * @brief Carga (o recarga) el glosario desde MongoDB a memoria.
+ * * Si varios términos en español tienen la misma traducción (ej: "palta" y "aguacate"),
+ * al traducir al español se usa el más antiguo.
+ * @returns {Promise<number>} Cantidad de términos cargados.
+ */
+async function loadGlossary() {
+    const terms = await GlossaryTerm.find().sort({ createdAt: 1 }).lean();
+    const nextEsToEn = new Map();
+    const nextEnToEs = new Map();
+
+    terms.forEach(term => {
+        nextEsToEn.set(term.es, term.en);
+        if (!nextEnToEs.has(term.en)) nextEnToEs.set(term.en, term.es);
+    });
+
+    esToEn = nextEsToEn;
+    enToEs = nextEnToEs;
+    return terms.length;
+}
+
+/**
+ * @brief Carga el glosario inicial desde data/glossary.json si la colección está vacía.
+ */
+async function ensureGlossarySeeded() {
+    const count = await GlossaryTerm.estimatedDocumentCount();
+    if (count === 0) {
+        const terms = require(GLOSSARY_FILE);
+        await GlossaryTerm.insertMany(terms, { ordered: false });
+        console.log(`[TRADUCCIÓN] Glosario inicializado con ${terms.length} términos.`);
+    }
+    return await loadGlossary();
+}
+
+function isAvailable() {
+    return true;
+}
+
+/**
+ * @brief Busca la traducción de un término completo.
+ * @returns {string|null} La traducción, o null si el término no está en el glosario.
+ */
+function lookup(text, sourceLang, targetLang) {
+    const dictionary = sourceLang === 'es' && targetLang === 'en' ? esToEn
+        : sourceLang === 'en' && targetLang === 'es' ? enToEs
+        : null;
+    if (!dictionary) return null;
+    return dictionary.get(normalizeTerm(text)) || null;
+}
+
+async function translateText(text, sourceLang, targetLang) {
+    return lookup(text, sourceLang, targetLang);
+}
+
+/**
+ * @brief Traduce los términos conocidos de un lote (omite los que no están en el glosario).
+ * @param {Array<object>} items [{ id, text }]
+ * @returns {Promise<object>} { id: traducción }
+ */
+async function translateBatch(items, sourceLang, targetLang) {
+    const translations = {};
+    items.forEach(({ id, text }) => {
+        const translation = lookup(text, sourceLang, targetLang);
+        if (translation) translations[id] = translation;
+    });
+    return translations;
+}
+
+module.exports = {
+    name: 'glossary',
+    cached: false,
+    GLOSSARY_FILE,
+    isAvailable,
+    translateText,
+    translateBatch,
+    lookup,
+    loadGlossary,
+    ensureGlossarySeeded,
+};
@@ -0,0 +1,28 @@
+// backend/services/translators/passthroughTranslator.js
+
+/**
+ * @file passthroughTranslator.js
+ * @brief Traductor que devuelve los textos sin cambios.
+ * * Sirve como último recurso (ej: sin clave de Gemini): la aplicación sigue funcionando
+ * aunque algunos textos queden en el idioma original.
+ */
+
+function isAvailable() {
+    return true;
+}
+
+async function translateText(text) {
+    return text;
+}
+
+async function translateBatch(items) {
+    return Object.fromEntries(items.map(({ id, text }) => [id, text]));
+}
+
+module.exports = {
+    name: 'passthrough',
+    cached: false,
+    isAvailable,
+    translateText,
+    translateBatch,
+};
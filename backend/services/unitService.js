@@ -0,0 +1,227 @@
+// backend/services/unitService.js
+
+/**
+ * @file unitService.js
+ * @brief Motor de conversión de unidades del inventario.
+ * * Cada unidad pertenece a una dimensión (masa, volumen o conteo) y se normaliza a la
+ * unidad base de esa dimensión (gramos, mililitros, unidades). Entre dimensiones distintas
+ * solo se puede convertir si se conoce la densidad (g/ml) o el peso por unidad (g) del
+ * ingrediente, ya sea porque lo cargó el usuario o porque está en la tabla por defecto.
+ */
+
+// Unidades válidas (deben coincidir con el enum de InventoryModel)
+const UNITS = {
+    gramos: { dimension: 'mass', factor: 1 },
+    kilogramos: { dimension: 'mass', factor: 1000 },
+    mililitros: { dimension: 'volume', factor: 1 },
+    litros: { dimension: 'volume', factor: 1000 },
+    unidades: { dimension: 'count', factor: 1 },
+};
+
+const BASE_UNITS = {
+    mass: 'gramos',
+    volume: 'mililitros',
+    count: 'unidades',
+};
+
+// Propiedades aproximadas de ingredientes comunes.
+// density: gramos por mililitro | unitWeight: gramos por unidad
+const DEFAULT_INGREDIENT_PROPERTIES = {
+    'agua': { density: 1 },
+    'leche': { density: 1.03 },
+    'aceite': { density: 0.92 },
+    'aceite de oliva': { density: 0.91 },
+    'vinagre': { density: 1.01 },
+    'crema': { density: 1.01 },
+    'miel': { density: 1.42 },
+    'harina': { density: 0.53 },
+    'azucar': { density: 0.85 },
+    'sal': { density: 1.2 },
+    'arroz': { density: 0.85 },
+    'manteca': { density: 0.91 },
+    'huevo': { unitWeight: 50 },
+    'papa': { unitWeight: 150 },
+    'cebolla': { unitWeight: 110 },
+    'tomate': { unitWeight: 120 },
+    'zanahoria': { unitWeight: 70 },
+    'manzana': { unitWeight: 180 },
+    'banana': { unitWeight: 120 },
+    'limon': { unitWeight: 100 },
+    'ajo': { unitWeight: 5 },
+    'palta': { unitWeight: 170 },
+    'morron': { unitWeight: 160 },
+};
+
+/**
+ * @brief Error lanzado cuando dos unidades no se pueden convertir entre sí.
+ */
+class UnitConversionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnitConversionError';
+    }
+}
+
+/**
+ * @brief Redondea una cantidad a 3 decimales para evitar arrastrar errores de coma flotante.
+ */
+function roundQuantity(quantity) {
+    return Math.round(quantity * 1000) / 1000;
+}
+
+/**
+ * @brief Indica si una unidad es una de las soportadas.
+ */
+function isValidUnit(unit) {
+    return Object.prototype.hasOwnProperty.call(UNITS, unit);
+}
+
+/**
+ * @brief Devuelve la dimensión ('mass', 'volume' o 'count') de una unidad.
+ */
+function getDimension(unit) {
+    if (!isValidUnit(unit)) {
+        throw new UnitConversionError(`Unidad desconocida: "${unit}".`);
+    }
+    return UNITS[unit].dimension;
+}
+
+/**
+ * @brief Normaliza un nombre para buscarlo en la tabla (minúsculas, sin acentos, singular simple).
+ */
+function normalizeName(name) {
+    return (name || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .trim();
+}
+
+/**
+ * @brief Obtiene la densidad/peso por unidad de un ingrediente.
+ * * Los valores cargados en el propio alimento tienen prioridad sobre la tabla por defecto.
+ * @param {string} articleName Nombre del ingrediente (en español).
+ * @param {object} overrides { density, unitWeight } opcionales del alimento.
+ * @returns {object} { density, unitWeight } (null si no se conocen).
+ */
+function getIngredientProperties(articleName, overrides = {}) {
+    const name = normalizeName(articleName);
+    const candidates = [name, name.replace(/es$/, ''), name.replace(/s$/, '')];
+    const defaults = candidates.map(candidate => DEFAULT_INGREDIENT_PROPERTIES[candidate]).find(Boolean) || {};
+
+    return {
+        density: overrides.density || defaults.density || null,
+        unitWeight: overrides.unitWeight || defaults.unitWeight || null,
+    };
+}
+
+/**
+ * @brief Convierte una cantidad a la unidad base de su dimensión.
+ * @returns {object} { quantity, unit, dimension }
+ */
+function toBase(quantity, unit) {
+    const dimension = getDimension(unit);
+    return {
+        quantity: quantity * UNITS[unit].factor,
+        unit: BASE_UNITS[dimension],
+        dimension,
+    };
+}
+
+/**
+ * @brief Convierte una cantidad expresada en unidad base (gramos/mililitros/unidades) entre dimensiones.
+ */
+function convertBetweenDimensions(baseQuantity, fromDimension, toDimension, properties) {
+    if (fromDimension === toDimension) {
+        return baseQuantity;
+    }
+
+    const { density, unitWeight } = properties;
+
+    // Pasamos primero a gramos, que es el "puente" entre las tres dimensiones
+    let grams;
+    if (fromDimension === 'mass') grams = baseQuantity;
+    else if (fromDimension === 'volume' && density) grams = baseQuantity * density;
+    else if (fromDimension === 'count' && unitWeight) grams = baseQuantity * unitWeight;
+    else return null;
+
+    if (toDimension === 'mass') return grams;
+    if (toDimension === 'volume' && density) return grams / density;
+    if (toDimension === 'count' && unitWeight) return grams / unitWeight;
+    return null;
+}
+
+/**
+ * @brief Indica si se puede convertir entre dos unidades con las propiedades dadas.
+ */
+function canConvert(fromUnit, toUnit, properties = {}) {
+    if (!isValidUnit(fromUnit) || !isValidUnit(toUnit)) return false;
+    return convertBetweenDimensions(1, getDimension(fromUnit), getDimension(toUnit), properties) !== null;
+}
+
+/**
+ * @brief Convierte una cantidad de una unidad a otra.
+ * @param {number} quantity Cantidad original.
+ * @param {string} fromUnit Unidad original.
+ * @param {string} toUnit Unidad destino.
+ * @param {object} properties { density, unitWeight } del ingrediente (necesarias entre dimensiones).
+ * @returns {number} La cantidad convertida (redondeada a 3 decimales).
+ * @throws {UnitConversionError} Si las unidades no son compatibles.
+ */
+function convert(quantity, fromUnit, toUnit, properties = {}) {
+    const base = toBase(quantity, fromUnit);
+    const toDimension = getDimension(toUnit);
+    const converted = convertBetweenDimensions(base.quantity, base.dimension, toDimension, properties);
+
+    if (converted === null) {
+        throw new UnitConversionError(`No se puede convertir de "${fromUnit}" a "${toUnit}" sin conocer la densidad o el peso por unidad del ingrediente.`);
+    }
+    return roundQuantity(converted / UNITS[toUnit].factor);
+}
+
+/**
+ * @brief Expresa una cantidad en la unidad más legible de su dimensión.
+ * * Ej: 1500 gramos -> 1.5 kilogramos, 0.25 litros -> 250 mililitros.
+ * @returns {object} { quantity, unit }
+ */
+function toReadableUnit(quantity, unit) {
+    const base = toBase(quantity, unit);
+
+    if (base.dimension === 'mass') {
+        return base.quantity >= 1000
+            ? { quantity: roundQuantity(base.quantity / 1000), unit: 'kilogramos' }
+            : { quantity: roundQuantity(base.quantity), unit: 'gramos' };
+    }
+    if (base.dimension === 'volume') {
+        return base.quantity >= 1000
+            ? { quantity: roundQuantity(base.quantity / 1000), unit: 'litros' }
+            : { quantity: roundQuantity(base.quantity), unit: 'mililitros' };
+    }
+    return { quantity: roundQuantity(base.quantity), unit };
+}
+
+/**
+ * @brief Suma dos cantidades con unidades posiblemente distintas.
+ * * La segunda cantidad se convierte a la unidad de la primera y el resultado se expresa
+ * en la unidad más legible.
+ * @returns {object} { quantity, unit }
+ * @throws {UnitConversionError} Si las unidades no son compatibles.
+ */
+function addQuantities(quantityA, unitA, quantityB, unitB, properties = {}) {
+    const converted = convert(quantityB, unitB, unitA, properties);
+    return toReadableUnit(quantityA + converted, unitA);
+}
+
+module.exports = {
+    UNITS,
+    BASE_UNITS,
+    UnitConversionError,
+    roundQuantity,
+    isValidUnit,
+    getDimension,
+    getIngredientProperties,
+    toBase,
+    canConvert,
+    convert,
+    toReadableUnit,
+    addQuantities,
+};
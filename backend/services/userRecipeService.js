@@ -0,0 +1,294 @@
+// backend/services/userRecipeService.js
+
+/**
+ * @file userRecipeService.js
+ * @brief Lógica de negocio de las recetas escritas por los usuarios.
+ * * Una receta puede ser privada (solo su autor), compartida (con usuarios concretos) o
+ * pública. Están en español y con las unidades del inventario, así que se comparan
+ * directamente con el nombre de los alimentos, sin traducción. Hacia el resto de la
+ * aplicación se exponen con el formato de Spoonacular, con el ID 'user-<_id>' y
+ * 'language: es'.
+ */
+
+const mongoose = require('mongoose');
+const Recipe = require('../models/RecipeModel');
+const { RECIPE_VISIBILITY } = require('../models/RecipeModel');
+const User_data = require('../models/User_data');
+const cookingService = require('./cookingService');
+const allergenService = require('./allergenService');
+const { sortRecipes } = require('./recipeProviders/recipeSorts');
+
+const RECIPE_ID_PREFIX = 'user-';
+const DEFAULT_RESULTS_NUMBER = 5;
+
+// Campos que el autor puede editar
+const EDITABLE_FIELDS = ['title', 'image', 'servings', 'readyInMinutes', 'ingredients', 'steps', 'tags', 'diets', 'nutrition', 'visibility'];
+
+/**
+ * @brief Las recetas de usuarios tienen IDs públicos con el prefijo 'user-'.
+ */
+function ownsRecipeId(recipeId) {
+    return String(recipeId).startsWith(RECIPE_ID_PREFIX);
+}
+
+/**
+ * @brief Extrae el _id de Mongo de un ID público ('user-<_id>') o lo devuelve tal cual.
+ * @returns {string|null} El _id, o null si no es un ObjectId válido.
+ */
+function toObjectId(recipeId) {
+    const id = ownsRecipeId(recipeId) ? String(recipeId).slice(RECIPE_ID_PREFIX.length) : String(recipeId);
+    return mongoose.isValidObjectId(id) ? id : null;
+}
+
+/**
+ * @brief Filtro de Mongo con las recetas que un usuario puede ver.
+ */
+function visibleToFilter(userId) {
+    return {
+        $or: [
+            { author: userId },
+            { visibility: 'publica' },
+            { visibility: 'compartida', sharedWith: userId }
+        ]
+    };
+}
+
+/**
+ * @brief Busca usuarios por username exacto (para compartir recetas).
+ * * No se aceptan emails: informar cuáles no existen permitiría averiguar qué emails están
+ * registrados (los usernames ya son públicos, se muestran como autor de las recetas).
+ * @param {Array<string>} identifiers Usernames.
+ * @returns {Promise<object>} { ids, notFound }
+ */
+async function resolveUsers(identifiers = []) {
+    const ids = [];
+    const notFound = [];
+
+    for (const identifier of identifiers) {
+        const value = String(identifier).trim();
+        if (!value) continue;
+        const user = await User_data.findOne({ username: value }).select('_id').lean();
+        if (user) ids.push(user._id);
+        else notFound.push(value);
+    }
+    return { ids, notFound };
+}
+
+/**
+ * @brief Copia del body solo los campos editables de una receta.
+ */
+function pickEditableFields(data) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(key => {
+        if (data[key] !== undefined) fields[key] = data[key];
+    });
+    return fields;
+}
+
+/**
+ * @brief Lista las recetas propias del usuario o todas las que puede ver.
+ * @param {string} scope 'propias' (por defecto) o 'visibles'.
+ */
+async function getRecipes(userId, scope = 'propias') {
+    const filter = scope === 'visibles' ? visibleToFilter(userId) : { author: userId };
+    return await Recipe.find(filter)
+        .populate('author', 'username')
+        .populate('sharedWith', 'username')
+        .sort({ updatedAt: -1 })
+        .lean();
+}
+
+/**
+ * @brief Obtiene una receta si el usuario puede verla.
+ * @returns {Promise<object|null>} La receta o null si no existe o no es visible para el usuario.
+ */
+async function getRecipe(recipeId, userId) {
+    const id = toObjectId(recipeId);
+    if (!id) return null;
+
+    return await Recipe.findOne({ _id: id, ...visibleToFilter(userId) })
+        .populate('author', 'username')
+        .populate('sharedWith', 'username')
+        .lean();
+}
+
+/**
+ * @brief Crea una receta del usuario.
+ * @param {Array<object>} sharedWith IDs de los usuarios con los que se comparte.
+ * @throws {ValidationError} Si los datos no cumplen el modelo.
+ */
+async function createRecipe(userId, data, sharedWith = []) {
+    const nuevaReceta = new Recipe({ ...pickEditableFields(data), author: userId, sharedWith });
+    await nuevaReceta.save();
+    return nuevaReceta.toObject();
+}
+
+/**
+ * @brief Actualiza una receta (solo su autor).
+ * @param {Array<object>} [sharedWith] IDs de los usuarios con los que se comparte (si se envían).
+ * @returns {Promise<object|null>} La receta actualizada o null si no existe o no es del usuario.
+ * @throws {ValidationError} Si los datos no cumplen el modelo.
+ */
+async function updateRecipe(recipeId, userId, data, sharedWith) {
+    const id = toObjectId(recipeId);
+    if (!id) return null;
+
+    const receta = await Recipe.findOne({ _id: id, author: userId });
+    if (!receta) {
+        return null;
+    }
+
+    receta.set(pickEditableFields(data));
+    if (sharedWith !== undefined) receta.sharedWith = sharedWith;
+    await receta.save();
+    return receta.toObject();
+}
+
+/**
+ * @brief Elimina una receta (solo su autor).
+ */
+async function deleteRecipe(recipeId, userId) {
+    const id = toObjectId(recipeId);
+    if (!id) return false;
+
+    const result = await Recipe.deleteOne({ _id: id, author: userId });
+    return result.deletedCount === 1;
+}
+
+/**
+ * @brief Texto de un ingrediente para mostrar (ej: "200 gramos de harina (tamizada)" o "2 huevos").
+ */
+function describeIngredient(ingredient) {
+    const unit = ingredient.unit ? `${ingredient.unit} de ` : '';
+    const measure = ingredient.quantity ? `${ingredient.quantity} ${unit}` : '';
+    const note = ingredient.note ? ` (${ingredient.note})` : '';
+    return `${measure}${ingredient.name}${note}`;
+}
+
+/**
+ * @brief Convierte un ingrediente al formato de 'extendedIngredients' de Spoonacular.
+ */
+function toExtendedIngredient(ingredient) {
+    return {
+        name: ingredient.name,
+        amount: ingredient.quantity,
+        unit: ingredient.unit || '',
+        original: describeIngredient(ingredient),
+    };
+}
+
+/**
+ * @brief Convierte una receta de usuario al formato de detalles de Spoonacular.
+ * * Los pasos van como texto en 'steps' (no se arma 'instructions' en HTML: los escribió un
+ * usuario y el frontend los muestra como texto).
+ */
+function toRecipeDetails(recipe) {
+    return {
+        id: `${RECIPE_ID_PREFIX}${recipe._id}`,
+        title: recipe.title,
+        image: recipe.image,
+        servings: recipe.servings,
+        readyInMinutes: recipe.readyInMinutes,
+        summary: (recipe.tags || []).join(', '),
+        instructions: null,
+        steps: recipe.steps || [],
+        diets: recipe.diets,
+        nutrition: recipe.nutrition,
+        tags: recipe.tags,
+        extendedIngredients: recipe.ingredients.map(toExtendedIngredient),
+        language: 'es',
+        source: 'usuario',
+        author: recipe.author && recipe.author.username,
+        visibility: recipe.visibility,
+    };
+}
+
+/**
+ * @brief Obtiene los detalles de una receta visible para el usuario (formato de Spoonacular).
+ * @returns {Promise<object|null>} Los detalles o null si no existe o no es visible.
+ */
+async function getRecipeDetails(recipeId, userId) {
+    const recipe = await getRecipe(recipeId, userId);
+    return recipe ? toRecipeDetails(recipe) : null;
+}
+
+/**
+ * @brief Indica si una receta cumple los filtros de dieta, nutrición, tiempo, intolerancias e
+ * ingredientes excluidos.
+ * * Si la receta no declara un valor nutricional o su tiempo, ese filtro no la excluye. Las
+ * recetas de usuarios no tienen cocina ni tipo de plato: esos filtros no se aplican.
+ */
+function matchesFilters(recipe, filters = {}) {
+    if (filters.diet && filters.diet !== 'none' && !(recipe.diets || []).includes(filters.diet)) {
+        return false;
+    }
+    const restrictions = { intolerances: filters.intolerances, excludedIngredients: filters.excludeIngredients };
+    if (allergenService.findAllergens(recipe.ingredients.map(ingredient => ingredient.name), restrictions).length > 0) {
+        return false;
+    }
+    if (filters.maxReadyTime && recipe.readyInMinutes && recipe.readyInMinutes > Number(filters.maxReadyTime)) {
+        return false;
+    }
+    const nutrition = recipe.nutrition || {};
+    const limits = { calories: filters.maxCalories, carbs: filters.maxCarbs, protein: filters.maxProtein, sugar: filters.maxSugar };
+    return Object.entries(limits).every(([key, max]) => !max || nutrition[key] === undefined || nutrition[key] === null || nutrition[key] <= Number(max));
+}
+
+/**
+ * @brief Busca entre las recetas visibles para el usuario las que usan sus alimentos.
+ * * Devuelve el mismo formato que la búsqueda de los proveedores (usedIngredients /
+ * missedIngredients) y los mismos criterios de orden (por defecto, menos faltantes primero).
+ * @param {Array} inventory Alimentos del usuario (en español).
+ * @param {object} filters { diet, maxCalories, maxCarbs, maxProtein, maxSugar, excludeIngredients,
+ *   intolerances, maxReadyTime } (los ingredientes excluidos, en español).
+ * @param {object} options { number, sort, seed } (seed: semilla del orden aleatorio, ver recipeSorts)
+ * @returns {Promise<object>} { results, totalResults }, recetas con 'source: usuario'.
+ */
+async function searchUserRecipes(userId, inventory, filters = {}, options = {}) {
+    const resultsNumber = options.number || DEFAULT_RESULTS_NUMBER;
+    const recipes = await Recipe.find(visibleToFilter(userId)).populate('author', 'username').lean();
+    const inventoryNames = inventory.map(item => item.article_name);
+
+    const matches = recipes
+        .filter(recipe => matchesFilters(recipe, filters))
+        .map(recipe => {
+            const usedIngredients = [];
+            const missedIngredients = [];
+            recipe.ingredients.forEach(ingredient => {
+                const used = inventoryNames.some(name => cookingService.ingredientNamesMatch(ingredient.name, name));
+                (used ? usedIngredients : missedIngredients).push(toExtendedIngredient(ingredient));
+            });
+            return {
+                id: `${RECIPE_ID_PREFIX}${recipe._id}`,
+                title: recipe.title,
+                image: recipe.image,
+                readyInMinutes: recipe.readyInMinutes,
+                usedIngredientCount: usedIngredients.length,
+                missedIngredientCount: missedIngredients.length,
+                usedIngredients,
+                missedIngredients,
+                language: 'es',
+                source: 'usuario',
+                author: recipe.author && recipe.author.username,
+            };
+        })
+        .filter(recipe => recipe.usedIngredientCount > 0);
+
+    return {
+        results: sortRecipes(matches, options.sort, options.seed).slice(0, resultsNumber),
+        totalResults: matches.length,
+    };
+}
+
+module.exports = {
+    RECIPE_VISIBILITY,
+    ownsRecipeId,
+    resolveUsers,
+    getRecipes,
+    getRecipe,
+    createRecipe,
+    updateRecipe,
+    deleteRecipe,
+    getRecipeDetails,
+    searchUserRecipes,
+};
@@ -1,7 +1,13 @@
 //backend/services/userService.js
 
+const mongoose = require('mongoose');
 const User_data = require('../models/User_data'); // Importamos el Modelo
-const Inventory = require('../models/inventoryModel');
+const { INTOLERANCES, CUISINES, MEAL_TYPES } = require('../models/User_data');
+const Inventory = require('../models/InventoryModel');
+const unitService = require('./unitService');
+const householdService = require('./householdService');
+const inventoryHistoryService = require('./inventoryHistoryService');
+const storageService = require('./storageService');
 const bcrypt = require('bcryptjs'); 
 
 // =================================================================
@@ -55,12 +61,35 @@ async function findUserByCredentials(email, password) {
             username: user.username, 
             email: user.email,
             grupo: user.grupo,
+            disabled: user.disabled,
+            emailVerified: user.emailVerified,
         };
     }
     
     return null; // Contraseña incorrecta
 }
 
+/**
+ * @brief Busca un usuario por ID y devuelve el mismo contrato de datos que el login.
+ * Se usa al renovar tokens, para firmar el access token con el 'grupo' actualizado.
+ */
+async function findUserById(userId) {
+    const user = await User_data.findById(userId).lean();
+
+    if (!user) {
+        return null;
+    }
+
+    return {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        grupo: user.grupo,
+        disabled: user.disabled,
+        emailVerified: user.emailVerified,
+    };
+}
+
 /**
  * @brief Registra un nuevo usuario en la base de datos.
  */
@@ -76,7 +105,8 @@ async function registerUser(username, email, password) {
             username: username,
             email: email,
             passwordHash: hashedPassword,
-            grupo: 'User' // Asignar grupo por defecto
+            grupo: 'User', // Asignar grupo por defecto
+            emailVerified: false // Se verifica con el link que se envía por email (ver accountService)
         });
 
         // 3. Retornar el contrato de datos del nuevo usuario
@@ -85,6 +115,7 @@ async function registerUser(username, email, password) {
             username: newUser.username,
             email: newUser.email,
             grupo: newUser.grupo,
+            emailVerified: newUser.emailVerified,
             passwordHash: newUser.passwordHash,
         };
     } catch (error) {
@@ -107,13 +138,95 @@ async function registerUser(username, email, password) {
 async function getUserProfile(userId) {
     // Seleccionamos solo los campos relevantes para el perfil
     const profile = await User_data.findById(userId)
-        .select('diet_preference maxCalories maxCarbs maxProtein maxSugar')
+        .select(PROFILE_FIELDS)
         .lean(); // .lean() para un objeto JS plano y rápido
     return profile;
 }
 
+// Campos del perfil (preferencias de dieta y restricciones alimentarias)
+const PROFILE_FIELDS = 'diet_preference maxCalories maxCarbs maxProtein maxSugar intolerances excludedIngredients preferredCuisines avoidedCuisines mealType maxReadyTime';
+
+// Campos de lista del perfil y los valores válidos de cada uno (null = texto libre)
+const PROFILE_LIST_FIELDS = {
+    intolerances: INTOLERANCES,
+    excludedIngredients: null,
+    preferredCuisines: CUISINES,
+    avoidedCuisines: CUISINES,
+};
+const MAX_EXCLUDED_INGREDIENTS = 50;
+
+/**
+ * @brief Agrega un error de validación con el mismo formato que los de Mongoose.
+ */
+function addProfileError(validationError, path, message, value) {
+    validationError.addError(path, new mongoose.Error.ValidatorError({ path, message, value }));
+}
+
+/**
+ * @brief Normaliza y valida las restricciones alimentarias del perfil.
+ * * Las listas aceptan un array o un texto separado por comas; se pasan a minúsculas y se
+ * quitan los repetidos.
+ * @returns {object} Los campos normalizados (solo los enviados).
+ * @throws {ValidationError} Si algún valor no es válido.
+ */
+function normalizeDietaryRestrictions(profileData) {
+    const normalized = {};
+    const validationError = new mongoose.Error.ValidationError();
+
+    Object.entries(PROFILE_LIST_FIELDS).forEach(([field, validValues]) => {
+        if (profileData[field] === undefined) return;
+        const raw = profileData[field] === null ? [] : profileData[field];
+        if (!Array.isArray(raw) && typeof raw !== 'string') {
+            addProfileError(validationError, field, `'${field}' debe ser una lista.`, raw);
+            return;
+        }
+        const values = [...new Set((Array.isArray(raw) ? raw : raw.split(','))
+            .map(value => String(value).toLowerCase().trim())
+            .filter(Boolean))];
+        const invalid = validValues ? values.filter(value => !validValues.includes(value)) : [];
+        if (invalid.length > 0) {
+            addProfileError(validationError, field, `Valores inválidos en '${field}': ${invalid.join(', ')}.`, invalid);
+            return;
+        }
+        normalized[field] = values;
+    });
+
+    if (normalized.excludedIngredients && normalized.excludedIngredients.length > MAX_EXCLUDED_INGREDIENTS) {
+        addProfileError(validationError, 'excludedIngredients', `Se pueden excluir hasta ${MAX_EXCLUDED_INGREDIENTS} ingredientes.`);
+    }
+    if (normalized.preferredCuisines && normalized.avoidedCuisines) {
+        const both = normalized.preferredCuisines.filter(cuisine => normalized.avoidedCuisines.includes(cuisine));
+        if (both.length > 0) {
+            addProfileError(validationError, 'avoidedCuisines', `Una cocina no puede ser preferida y evitada a la vez: ${both.join(', ')}.`, both);
+        }
+    }
+
+    if (profileData.mealType !== undefined) {
+        const mealType = profileData.mealType ? String(profileData.mealType).toLowerCase().trim() : null;
+        if (mealType && !MEAL_TYPES.includes(mealType)) {
+            addProfileError(validationError, 'mealType', `Tipo de comida inválido. Opciones: ${MEAL_TYPES.join(', ')}.`, mealType);
+        } else {
+            normalized.mealType = mealType;
+        }
+    }
+    if (profileData.maxReadyTime !== undefined) {
+        const maxReadyTime = profileData.maxReadyTime === null || profileData.maxReadyTime === '' ? null : Number(profileData.maxReadyTime);
+        if (maxReadyTime !== null && (!Number.isInteger(maxReadyTime) || maxReadyTime < 1)) {
+            addProfileError(validationError, 'maxReadyTime', 'El tiempo máximo de preparación debe ser un entero de minutos mayor a 0.', profileData.maxReadyTime);
+        } else {
+            normalized.maxReadyTime = maxReadyTime;
+        }
+    }
+
+    if (Object.keys(validationError.errors).length > 0) {
+        throw validationError;
+    }
+    return normalized;
+}
+
 /**
  * @brief Actualiza los datos del perfil de un usuario.
+ * @throws {ValidationError} Si las restricciones alimentarias no son válidas.
  */
 async function updateUserProfile(userId, profileData) {
     const allowedUpdates = ['diet_preference', 'maxCalories', 'maxCarbs', 'maxProtein', 'maxSugar'];
@@ -125,6 +238,7 @@ async function updateUserProfile(userId, profileData) {
             updateFields[key] = profileData[key];
         }
     });
+    Object.assign(updateFields, normalizeDietaryRestrictions(profileData));
 
     if (Object.keys(updateFields).length === 0) {
         return null; // No hay campos válidos para actualizar
@@ -134,7 +248,7 @@ async function updateUserProfile(userId, profileData) {
         userId,
         { $set: updateFields },
         { new: true, runValidators: true } // Opciones para devolver el doc actualizado y correr validaciones
-    ).select('diet_preference maxCalories maxCarbs maxProtein maxSugar').lean();
+    ).select(PROFILE_FIELDS).lean();
 
     return updatedUser;
 }
@@ -143,113 +257,508 @@ async function updateUserProfile(userId, profileData) {
 // -------------------------------------------------------------------
 // FUNCIONES DEL CRUD DE INVENTARIO
 // -------------------------------------------------------------------
+// Todas las operaciones trabajan sobre la despensa a la que el usuario tiene acceso: la de su
+// hogar si pertenece a uno, o la personal (ver householdService.getPantryScope). Cada cambio
+// queda registrado en el historial (ver inventoryHistoryService).
+
 /**
- * @brief Busca un alimento por nombre y usuario.
+ * @brief Busca un alimento por nombre en la despensa del usuario.
  * @returns {object | null} El alimento existente o null.
  */
 async function findAlimentoByName(userId, article_name) {
     // Convierte el nombre a minúsculas y elimina espacios para una búsqueda más robusta
     const cleanName = article_name.toLowerCase().trim();
+    const { filter } = await householdService.getPantryScope(userId);
     
-    // Busca en la DB donde coincidan el usuario y el nombre limpio
+    // Busca en la DB donde coincidan la despensa y el nombre limpio
     return await Inventory.findOne({ 
-        user: userId, 
+        ...filter, 
         article_name: cleanName 
     });
 }
 
+// -------------------------------------------------------------------
+// LOTES Y VENCIMIENTOS
+// -------------------------------------------------------------------
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @brief Crea el objeto de un lote nuevo.
+ * @param {number} quantity Cantidad del lote.
+ * @param {object} dates { purchaseDate, expiryDate } opcionales (Date o null).
+ */
+function buildLot(quantity, dates = {}) {
+    return {
+        quantity,
+        purchaseDate: dates.purchaseDate || new Date(),
+        expiryDate: dates.expiryDate || null
+    };
+}
+
+/**
+ * @brief Los artículos creados antes de existir los lotes no tienen ninguno:
+ * se les crea un lote implícito (sin vencimiento) con la cantidad actual.
+ */
+function ensureLots(alimento) {
+    if (alimento.lots.length === 0 && alimento.quantity > 0) {
+        alimento.lots.push({ quantity: alimento.quantity, purchaseDate: alimento.createdAt, expiryDate: null });
+    }
+}
+
+/**
+ * @brief Agrega un lote a un alimento (documento Mongoose) y actualiza la cantidad total.
+ * @param {number} quantity Cantidad del lote, YA expresada en la unidad del alimento.
+ */
+function addLot(alimento, quantity, dates) {
+    ensureLots(alimento);
+    alimento.lots.push(buildLot(quantity, dates));
+    alimento.quantity = unitService.roundQuantity(alimento.quantity + quantity);
+}
+
+/**
+ * @brief Descuenta una cantidad de los lotes de un alimento, empezando por los que vencen antes.
+ * * Los lotes sin vencimiento se consumen al final. Los lotes que quedan en cero se eliminan.
+ * @param {number} quantity Cantidad a descontar, YA expresada en la unidad del alimento.
+ */
+function consumeLots(alimento, quantity) {
+    ensureLots(alimento);
+
+    const ordered = [...alimento.lots].sort((a, b) => {
+        if (!a.expiryDate) return b.expiryDate ? 1 : 0;
+        if (!b.expiryDate) return -1;
+        return a.expiryDate - b.expiryDate;
+    });
+
+    let pending = quantity;
+    for (const lot of ordered) {
+        if (pending <= 0) break;
+        const taken = Math.min(lot.quantity, pending);
+        lot.quantity = unitService.roundQuantity(lot.quantity - taken);
+        pending = unitService.roundQuantity(pending - taken);
+    }
+
+    alimento.lots = alimento.lots.filter(lot => lot.quantity > 0);
+    alimento.quantity = unitService.roundQuantity(Math.max(alimento.quantity - quantity, 0));
+}
+
+// -------------------------------------------------------------------
+// UNIDADES
+// -------------------------------------------------------------------
+
+/**
+ * @brief Densidad y peso por unidad del alimento (los propios o los valores por defecto).
+ */
+function getAlimentoProperties(alimento) {
+    return unitService.getIngredientProperties(alimento.article_name, {
+        density: alimento.density,
+        unitWeight: alimento.unitWeight
+    });
+}
+
+/**
+ * @brief Guarda en el alimento la densidad/peso por unidad recibidos (si se enviaron).
+ */
+function applyIngredientProperties(alimento, properties = {}) {
+    if (properties.density !== undefined) alimento.density = properties.density;
+    if (properties.unitWeight !== undefined) alimento.unitWeight = properties.unitWeight;
+}
+
+/**
+ * @brief Cambia la unidad de un alimento convirtiendo la cantidad total y la de cada lote.
+ * @throws {UnitConversionError} Si la unidad nueva no es compatible.
+ */
+function changeAlimentoUnit(alimento, newUnit) {
+    if (alimento.unit === newUnit) return;
+
+    const properties = getAlimentoProperties(alimento);
+    alimento.quantity = unitService.convert(alimento.quantity, alimento.unit, newUnit, properties);
+    alimento.lots.forEach(lot => {
+        lot.quantity = unitService.convert(lot.quantity, alimento.unit, newUnit, properties);
+    });
+    alimento.unit = newUnit;
+}
+
+/**
+ * @brief Expresa el alimento en la unidad más legible de su dimensión (ej: 1500 gramos -> 1.5 kilogramos).
+ */
+function normalizeAlimentoUnit(alimento) {
+    const readable = unitService.toReadableUnit(alimento.quantity, alimento.unit);
+    changeAlimentoUnit(alimento, readable.unit);
+}
+
+// -------------------------------------------------------------------
+// STOCK MÍNIMO
+// -------------------------------------------------------------------
+
+/**
+ * @brief Cantidad mínima del alimento expresada en su unidad actual.
+ * @returns {number|null} null si no tiene mínimo (o su unidad ya no es convertible).
+ */
+function getMinQuantityInUnit(alimento) {
+    if (alimento.minQuantity === null || alimento.minQuantity === undefined) return null;
+    try {
+        return unitService.convert(alimento.minQuantity, alimento.minUnit || alimento.unit, alimento.unit, getAlimentoProperties(alimento));
+    } catch (error) {
+        if (error.name === 'UnitConversionError') return null;
+        throw error;
+    }
+}
+
+/**
+ * @brief Indica si un alimento (documento u objeto plano) está por debajo de su cantidad mínima.
+ */
+function isLowStock(alimento) {
+    const minQuantity = getMinQuantityInUnit(alimento);
+    return minQuantity !== null && alimento.quantity < minQuantity;
+}
+
+/**
+ * @brief Artículo a reponer si un cambio dejó al alimento por debajo de su mínimo.
+ * * Solo si tiene 'autoRestock' y antes del cambio no estaba bajo (así no se agrega otra
+ * vez cada vez que se descuenta algo). La cantidad es lo que falta para llegar al mínimo.
+ * @param {object} before Copia del alimento antes del cambio.
+ * @param {object|null} after El alimento después del cambio (null si se terminó y se eliminó).
+ * @returns {object|null} { article_name, quantity, unit } o null si no hay que reponer.
+ */
+function getRestockItem(before, after) {
+    const current = after || { ...before, quantity: 0 };
+    if (!current.autoRestock || !isLowStock(current) || isLowStock(before)) {
+        return null;
+    }
+    const missing = unitService.toReadableUnit(getMinQuantityInUnit(current) - current.quantity, current.unit);
+    return { article_name: current.article_name, quantity: missing.quantity, unit: missing.unit };
+}
+
+/**
+ * @brief Recupera los alimentos de la despensa que están por debajo de su cantidad mínima.
+ * @returns {Promise<Array>} Alimentos con los campos extra 'minQuantityInUnit' (el mínimo en
+ *   la unidad del alimento) y 'missing' ({ quantity, unit } que falta para llegar al mínimo).
+ */
+async function getAlimentosBajoStock(userId) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const alimentos = await Inventory.find({ ...filter, minQuantity: { $ne: null } }).sort({ article_name: 1 }).lean();
+
+    return alimentos.filter(isLowStock).map(alimento => {
+        const minQuantityInUnit = getMinQuantityInUnit(alimento);
+        return {
+            ...alimento,
+            minQuantityInUnit,
+            missing: unitService.toReadableUnit(minQuantityInUnit - alimento.quantity, alimento.unit)
+        };
+    });
+}
+
+/**
+ * @brief Define (o quita, con minQuantity null) la cantidad mínima de un alimento.
+ * @param {object} threshold { minQuantity, minUnit, autoRestock }: sin 'minUnit' se usa la
+ *   unidad actual del alimento; 'autoRestock' es opcional.
+ * @returns {Promise<object|null>} El alimento actualizado, o null si no es de la despensa del usuario.
+ * @throws {UnitConversionError} Si 'minUnit' no es convertible a la unidad del alimento.
+ */
+async function setAlimentoMinimo(alimentoId, userId, { minQuantity, minUnit, autoRestock }) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const alimento = await Inventory.findOne({ _id: alimentoId, ...filter });
+
+    if (!alimento) {
+        return null;
+    }
+
+    const before = inventoryHistoryService.snapshotAlimento(alimento);
+    if (minQuantity === null) {
+        alimento.minQuantity = null;
+        alimento.minUnit = null;
+        alimento.autoRestock = false;
+    } else if (minQuantity !== undefined) {
+        const unit = minUnit || alimento.unit;
+        // Valida que el mínimo se pueda comparar con la cantidad del alimento
+        unitService.convert(minQuantity, unit, alimento.unit, getAlimentoProperties(alimento));
+        alimento.minQuantity = minQuantity;
+        alimento.minUnit = unit;
+    }
+    if (autoRestock !== undefined && alimento.minQuantity !== null) {
+        alimento.autoRestock = autoRestock;
+    }
+
+    if (alimento.isModified()) {
+        await alimento.save();
+        await inventoryHistoryService.recordChange({ userId, action: 'update', before, after: inventoryHistoryService.snapshotAlimento(alimento) });
+    }
+    return alimento.toObject();
+}
+
 /**
  * @brief Crea un nuevo registro o actualiza la cantidad de uno existente.
+ * Si el alimento ya existe, la cantidad nueva se convierte a su unidad y se registra como
+ * un lote adicional con sus propias fechas de compra y vencimiento.
+ * @param {object} dates { purchaseDate, expiryDate } opcionales.
+ * @param {object} properties { density, unitWeight } opcionales del ingrediente.
+ * @param {object} placement { location, category } opcionales (ya validados). Si el alimento
+ *   ya existe solo se aplican si todavía no tiene.
+ * @throws {UnitConversionError} Si la unidad nueva no es compatible con la existente.
  */
-async function createOrUpdateAlimento(userId, article_name, quantity, unit) {
+async function createOrUpdateAlimento(userId, article_name, quantity, unit, dates = {}, properties = {}, placement = {}) {
     const cleanName = article_name.toLowerCase().trim();
-    const parsedQuantity = parseInt(quantity);
+    const parsedQuantity = parseFloat(quantity);
     
-    // 1. BUSCAR: Ver si el alimento ya existe para este usuario
+    // 1. BUSCAR: Ver si el alimento ya existe en la despensa del usuario (o de su hogar)
     const existingAlimento = await findAlimentoByName(userId, cleanName);
 
     if (existingAlimento) {
-        // 2. ACTUALIZAR SI EXISTE: Si se encuentra, sumamos la nueva cantidad.
-        // Asumimos que quieres SUMAR la cantidad, ya que preguntar al Backend es complejo.
-        const newQuantity = existingAlimento.quantity + parsedQuantity;
-        
-        // Ejecutamos la actualización directamente en la DB
-        const result = await Inventory.updateOne(
-            { _id: existingAlimento._id, user: userId },
-            { $set: { quantity: newQuantity, unit: unit, article_name: cleanName } }
-        );
-        
-        if (result.modifiedCount === 1) {
-             // Retornamos el objeto con la nueva cantidad
-             return { ...existingAlimento.toObject(), quantity: newQuantity }; 
-        }
-        return existingAlimento; // Si no hubo cambios, retornamos el original
+        // 2. ACTUALIZAR SI EXISTE: Convertimos a la unidad existente y sumamos como un lote más.
+        const before = inventoryHistoryService.snapshotAlimento(existingAlimento);
+        applyIngredientProperties(existingAlimento, properties);
+        if (placement.location && !existingAlimento.location) existingAlimento.location = placement.location;
+        if (placement.category && !existingAlimento.category) existingAlimento.category = placement.category;
+        const convertedQuantity = unitService.convert(parsedQuantity, unit, existingAlimento.unit, getAlimentoProperties(existingAlimento));
+        addLot(existingAlimento, convertedQuantity, dates);
+        normalizeAlimentoUnit(existingAlimento);
+        await existingAlimento.save();
+        const after = inventoryHistoryService.snapshotAlimento(existingAlimento);
+        await inventoryHistoryService.recordChange({ userId, action: 'sum', before, after });
+        return after;
     }
 
-    // 3. CREAR SI NO EXISTE: Si no se encuentra, creamos el nuevo alimento.
-    const nuevoAlimento = await Inventory.create({
+    // 3. CREAR SI NO EXISTE: Si no se encuentra, creamos el nuevo alimento con su primer lote.
+    const { household } = await householdService.getPantryScope(userId);
+    const nuevoAlimento = new Inventory({
         user: userId, 
+        household,
         article_name: cleanName,
         quantity: parsedQuantity,
-        unit
+        unit,
+        location: placement.location || null,
+        category: placement.category || null,
+        lots: [buildLot(parsedQuantity, dates)]
     });
+    applyIngredientProperties(nuevoAlimento, properties);
+    normalizeAlimentoUnit(nuevoAlimento);
+    await nuevoAlimento.save();
+    await inventoryHistoryService.recordChange({ userId, action: 'create', before: null, after: inventoryHistoryService.snapshotAlimento(nuevoAlimento) });
     return nuevoAlimento;
 }
 
 /**
- * @brief Recupera todos los alimentos que pertenecen a un usuario específico.
+ * @brief Recupera todos los alimentos de la despensa del usuario (la de su hogar, si tiene).
  * Metodo READ del CRUD de Inventario.
+ * @param {object} filters { location, category } opcionales: null filtra los que no tienen.
  */
-async function getAlimentosByUsuario(userId) {
-    return await Inventory.find({ user: userId }).lean();
+async function getAlimentosByUsuario(userId, filters = {}) {
+    const { filter } = await householdService.getPantryScope(userId);
+    if (filters.location !== undefined) filter.location = filters.location;
+    if (filters.category !== undefined) filter.category = filters.category;
+    return await Inventory.find(filter).lean();
 }
 
 /**
- * @brief Suma una cantidad a un alimento existente usando un operador de MongoDB.
+ * @brief Agrupa alimentos por ubicación o categoría.
+ * * Los grupos siguen el orden de las ubicaciones por defecto (o de las categorías), después
+ * las ubicaciones creadas en orden alfabético y al final los alimentos sin ubicación/categoría.
+ * @param {string} field 'location' o 'category'.
+ * @returns {Array} [{ key, items }] ('key' es null en el grupo de los que no tienen).
  */
-async function sumarCantidadAlimento(alimentoId, userId, cantidadASumar) {
-    // Usamos $inc (increment) de MongoDB, que es el método más seguro para sumar valores.
-    const result = await Inventory.updateOne(
-        { _id: alimentoId, user: userId },
-        { $inc: { quantity: cantidadASumar } }
-    );
-    
-    // Retorna true si un documento fue modificado.
-    return result.modifiedCount === 1;
+function groupAlimentos(alimentos, field) {
+    const order = field === 'location' ? storageService.DEFAULT_LOCATIONS : storageService.FOOD_CATEGORIES;
+    const groups = new Map();
+    alimentos.forEach(alimento => {
+        const key = alimento[field] || null;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(alimento);
+    });
+
+    const rank = key => {
+        if (key === null) return [2, ''];
+        const index = order.indexOf(key);
+        return index === -1 ? [1, key] : [0, String(index).padStart(3, '0')];
+    };
+    return [...groups.entries()]
+        .sort(([a], [b]) => {
+            const [rankA, nameA] = rank(a);
+            const [rankB, nameB] = rank(b);
+            return rankA - rankB || nameA.localeCompare(nameB);
+        })
+        .map(([key, items]) => ({ key, items }));
+}
+
+/**
+ * @brief Cambia la ubicación y/o la categoría de un alimento.
+ * * Al pasarlo a una ubicación que congela (ej: el freezer) desde una que no, se puede extender
+ * el vencimiento de sus lotes: 'extendExpiry' puede ser true (días según la categoría, ver
+ * storageService.getFreezerExtensionDays) o una cantidad de días.
+ * @param {object} changes { location, category, extendExpiry }: location/category null los quitan.
+ * @returns {Promise<object|null>} { alimento, extendedDays } (0 si no se extendió), o null si el
+ *   alimento no es de la despensa del usuario.
+ * @throws {StorageError} Si la ubicación no existe.
+ */
+async function setAlimentoUbicacion(alimentoId, userId, { location, category, extendExpiry }) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const alimento = await Inventory.findOne({ _id: alimentoId, ...filter });
+
+    if (!alimento) {
+        return null;
+    }
+
+    const before = inventoryHistoryService.snapshotAlimento(alimento);
+    let extendedDays = 0;
+    if (location !== undefined) {
+        const target = location ? await storageService.findLocation(userId, location) : null;
+        if (location && !target) {
+            throw new storageService.StorageError(`La ubicación "${location}" no existe.`);
+        }
+        const current = alimento.location ? await storageService.findLocation(userId, alimento.location) : null;
+
+        if (extendExpiry && target && target.freezes && !(current && current.freezes)) {
+            extendedDays = typeof extendExpiry === 'number'
+                ? extendExpiry
+                : storageService.getFreezerExtensionDays(category !== undefined ? category : alimento.category);
+            ensureLots(alimento);
+            alimento.lots.forEach(lot => {
+                if (lot.expiryDate) lot.expiryDate = new Date(lot.expiryDate.getTime() + extendedDays * MS_PER_DAY);
+            });
+        }
+        alimento.location = target ? target.name : null;
+    }
+    if (category !== undefined) {
+        alimento.category = category;
+    }
+
+    if (alimento.isModified()) {
+        await alimento.save();
+        await inventoryHistoryService.recordChange({ userId, action: 'update', before, after: inventoryHistoryService.snapshotAlimento(alimento) });
+    }
+    return { alimento: alimento.toObject(), extendedDays };
+}
+
+/**
+ * @brief Recupera los alimentos que vencen dentro de los próximos 'days' días (incluye los ya vencidos).
+ * @returns {Promise<Array>} Alimentos ordenados por vencimiento, con el campo extra 'daysLeft'.
+ */
+async function getAlimentosPorVencer(userId, days) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const limitDate = new Date(today.getTime() + (days + 1) * MS_PER_DAY);
+
+    const { filter } = await householdService.getPantryScope(userId);
+    const alimentos = await Inventory.find({
+        ...filter,
+        expiryDate: { $ne: null, $lt: limitDate }
+    }).sort({ expiryDate: 1 }).lean();
+
+    return alimentos.map(alimento => ({
+        ...alimento,
+        daysLeft: Math.floor((alimento.expiryDate - today) / MS_PER_DAY)
+    }));
+}
+
+/**
+ * @brief Suma una cantidad a un alimento existente, registrándola como un lote nuevo.
+ * @param {object} dates { purchaseDate, expiryDate } opcionales del lote.
+ * @param {string} [unit] Unidad de la cantidad a sumar (por defecto, la del alimento).
+ * @param {object} properties { density, unitWeight } opcionales del ingrediente.
+ * @returns {Promise<object|boolean>} { restock } (artículos a reponer, ver getRestockItem) o
+ *   false si el alimento no es de la despensa del usuario.
+ * @throws {UnitConversionError} Si la unidad no es compatible con la del alimento.
+ */
+async function sumarCantidadAlimento(alimentoId, userId, cantidadASumar, dates = {}, unit, properties = {}) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const alimento = await Inventory.findOne({ _id: alimentoId, ...filter });
+
+    if (!alimento) {
+        return false;
+    }
+
+    const before = inventoryHistoryService.snapshotAlimento(alimento);
+    applyIngredientProperties(alimento, properties);
+
+    const convertedQuantity = unit
+        ? unitService.convert(cantidadASumar, unit, alimento.unit, getAlimentoProperties(alimento))
+        : cantidadASumar;
+    addLot(alimento, convertedQuantity, dates);
+    normalizeAlimentoUnit(alimento);
+    await alimento.save();
+    const after = inventoryHistoryService.snapshotAlimento(alimento);
+    await inventoryHistoryService.recordChange({ userId, action: 'sum', before, after });
+    return { restock: [getRestockItem(before, after)].filter(Boolean) };
 }
 
 /**
  * @brief Actualiza un alimento existente.
- * Construye dinámicamente el objeto de actualización solo con los campos proporcionados.
+ * Solo modifica los campos proporcionados. Si se envía una cantidad, REEMPLAZA los lotes
+ * por uno solo con esa cantidad. Si solo se envía la unidad, la cantidad actual se convierte.
+ * Si solo se envían fechas, se aplican a todos los lotes.
+ * @param {object} dates { purchaseDate, expiryDate } opcionales (null borra la fecha).
+ * @param {object} properties { density, unitWeight } opcionales del ingrediente.
+ * @returns {Promise<object|boolean>} { restock } (artículos a reponer, ver getRestockItem) o
+ *   false si el alimento no existe o no hubo cambios.
+ * @throws {UnitConversionError} Si se cambia a una unidad incompatible.
  */
-async function updateAlimento(alimentoId, userId, nuevoNombre, nuevaCantidad, nuevaUnidad) {
-    
-    // 1. Construimos el objeto de actualización dinámicamente
-    const updateFields = {};
-    
-    if (nuevoNombre) {
-        updateFields.article_name = nuevoNombre;
+async function updateAlimento(alimentoId, userId, nuevoNombre, nuevaCantidad, nuevaUnidad, dates = {}, properties = {}) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const alimento = await Inventory.findOne({ _id: alimentoId, ...filter });
+
+    if (!alimento) {
+        return false;
+    }
+
+    const before = inventoryHistoryService.snapshotAlimento(alimento);
+    if (nuevoNombre && nuevoNombre !== alimento.article_name) {
+        alimento.article_name = nuevoNombre;
+        alimento.englishName = null; // Se vuelve a buscar en el diccionario con el nombre nuevo
     }
+    applyIngredientProperties(alimento, properties);
+
     if (nuevaCantidad) {
-        updateFields.quantity = parseInt(nuevaCantidad);
+        // "Reemplazar": la nueva cantidad pasa a ser un único lote.
+        const quantity = parseFloat(nuevaCantidad);
+        alimento.quantity = quantity;
+        alimento.unit = nuevaUnidad || alimento.unit;
+        alimento.lots = [buildLot(quantity, {
+            purchaseDate: dates.purchaseDate,
+            expiryDate: dates.expiryDate !== undefined ? dates.expiryDate : alimento.expiryDate
+        })];
+        normalizeAlimentoUnit(alimento);
+    } else if (nuevaUnidad) {
+        // Solo cambia la unidad: convertimos la cantidad existente (ej: 1000 gramos -> 1 kilogramos)
+        changeAlimentoUnit(alimento, nuevaUnidad);
     }
-    if (nuevaUnidad) {
-        updateFields.unit = nuevaUnidad;
+
+    if (!nuevaCantidad && (dates.purchaseDate !== undefined || dates.expiryDate !== undefined)) {
+        ensureLots(alimento);
+        alimento.lots.forEach(lot => {
+            if (dates.purchaseDate !== undefined) lot.purchaseDate = dates.purchaseDate;
+            if (dates.expiryDate !== undefined) lot.expiryDate = dates.expiryDate;
+        });
     }
 
-    // 2. Si no se proporcionó ningún campo para actualizar, no hacemos nada.
-    if (Object.keys(updateFields).length === 0) {
-        return false; //(ningún cambio = éxito)
+    // Si no hubo cambios reales, no hacemos nada (ningún cambio = false).
+    if (!alimento.isModified()) {
+        return false;
     }
 
-    // 3. Ejecutamos la actualización
-    const result = await Inventory.updateOne(
-        { _id: alimentoId, user: userId }, 
-        { $set: updateFields }
-    );
-    
-    // Retorna true si algo fue encontrado y modificado.
-    return result.modifiedCount === 1;
+    await alimento.save();
+    const after = inventoryHistoryService.snapshotAlimento(alimento);
+    await inventoryHistoryService.recordChange({ userId, action: 'update', before, after });
+    return { restock: [getRestockItem(before, after)].filter(Boolean) };
+}
+
+/**
+ * @brief Marca o desmarca un alimento como básico (se da por disponible al buscar recetas).
+ * @returns {Promise<object|null>} El alimento actualizado, o null si no existe o no es de la despensa del usuario.
+ */
+async function setAlimentoStaple(alimentoId, userId, staple) {
+    const { filter } = await householdService.getPantryScope(userId);
+    const alimento = await Inventory.findOne({ _id: alimentoId, ...filter });
+
+    if (!alimento) {
+        return null;
+    }
+    if (alimento.staple !== staple) {
+        const before = inventoryHistoryService.snapshotAlimento(alimento);
+        alimento.staple = staple;
+        await alimento.save();
+        await inventoryHistoryService.recordChange({ userId, action: 'staple', before, after: inventoryHistoryService.snapshotAlimento(alimento) });
+    }
+    return alimento.toObject();
 }
 
 /**
@@ -257,12 +766,127 @@ async function updateAlimento(alimentoId, userId, nuevoNombre, nuevaCantidad, nu
  * Metodo DELETE del CRUD de Inventario. 
  */
 async function deleteAlimento(alimentoId, userId) {
-    const result = await Inventory.deleteOne({ _id: alimentoId, user: userId });
-    return result.deletedCount === 1;
+    const { filter } = await householdService.getPantryScope(userId);
+    const alimento = await Inventory.findOneAndDelete({ _id: alimentoId, ...filter }).lean();
+
+    if (!alimento) {
+        return false;
+    }
+    await inventoryHistoryService.recordChange({ userId, action: 'delete', before: inventoryHistoryService.snapshotAlimento(alimento), after: null });
+    return true;
+}
+
+/**
+ * @brief Descuenta cantidades de varios alimentos de la despensa del usuario (ej: al cocinar una receta).
+ * * Los alimentos que quedan en cero se eliminan del inventario.
+ * @param {Array} deductions [{ alimentoId, quantity, unit }]
+ * @param {ClientSession} [session] Sesión de Mongo si se ejecuta dentro de una transacción.
+ * @returns {Promise<object>} { updated, removed } con los nombres de los alimentos afectados y
+ *   'restock' con los que quedaron por debajo de su mínimo (ver getRestockItem).
+ * @throws {UnitConversionError} Si la unidad de un descuento no es compatible con la del alimento.
+ */
+async function descontarAlimentos(userId, deductions, session = null) {
+    const updated = [];
+    const removed = [];
+    const restock = [];
+    const { filter } = await householdService.getPantryScope(userId);
+
+    for (const deduction of deductions) {
+        const alimento = await Inventory.findOne({ _id: deduction.alimentoId, ...filter }).session(session);
+        if (!alimento) continue;
+
+        const before = inventoryHistoryService.snapshotAlimento(alimento);
+        const quantity = deduction.unit && deduction.unit !== alimento.unit
+            ? unitService.convert(deduction.quantity, deduction.unit, alimento.unit, getAlimentoProperties(alimento))
+            : deduction.quantity;
+        consumeLots(alimento, quantity);
+
+        let after = null;
+        if (alimento.quantity <= 0) {
+            await Inventory.deleteOne({ _id: alimento._id }).session(session);
+            removed.push(alimento.article_name);
+        } else {
+            normalizeAlimentoUnit(alimento);
+            await alimento.save({ session });
+            updated.push(alimento.article_name);
+            after = inventoryHistoryService.snapshotAlimento(alimento);
+        }
+        await inventoryHistoryService.recordChange({ userId, action: 'consume', before, after }, session);
+
+        const restockItem = getRestockItem(before, after);
+        if (restockItem) restock.push(restockItem);
+    }
+
+    return { updated, removed, restock };
+}
+
+// -------------------------------------------------------------------
+// DESPENSA DEL HOGAR
+// -------------------------------------------------------------------
+
+/**
+ * @brief Pasa la despensa personal del usuario a la de su hogar (al crear uno o unirse).
+ * * Los alimentos que ya están en el hogar con el mismo nombre se combinan: los lotes se
+ * convierten a la unidad del alimento del hogar. Si las unidades no son compatibles
+ * (ej: "leche" en litros y en unidades sin peso), el alimento pasa tal cual. Cada alimento
+ * queda en el historial del hogar como 'move' (pasó tal cual) o 'merge' (se combinó).
+ * @returns {Promise<object>} { moved, merged } cantidad de alimentos movidos y combinados.
+ */
+async function movePantryToHousehold(userId, householdId) {
+    const personales = await Inventory.find({ user: userId, household: null });
+    let moved = 0;
+    let merged = 0;
+
+    for (const alimento of personales) {
+        const existing = await Inventory.findOne({ household: householdId, article_name: alimento.article_name });
+        if (existing) {
+            try {
+                const before = inventoryHistoryService.snapshotAlimento(existing);
+                ensureLots(alimento);
+                ensureLots(existing);
+                const properties = getAlimentoProperties(existing);
+                alimento.lots.forEach(lot => {
+                    existing.lots.push(buildLot(unitService.convert(lot.quantity, alimento.unit, existing.unit, properties), lot));
+                });
+                existing.quantity = unitService.roundQuantity(existing.quantity + unitService.convert(alimento.quantity, alimento.unit, existing.unit, properties));
+                normalizeAlimentoUnit(existing);
+                await existing.save();
+                await Inventory.deleteOne({ _id: alimento._id });
+                await inventoryHistoryService.recordChange({ userId, action: 'merge', before, after: inventoryHistoryService.snapshotAlimento(existing) });
+                merged++;
+                continue;
+            } catch (error) {
+                if (error.name !== 'UnitConversionError') throw error;
+            }
+        }
+        const before = inventoryHistoryService.snapshotAlimento(alimento);
+        await Inventory.updateOne({ _id: alimento._id }, { $set: { household: householdId } });
+        await inventoryHistoryService.recordChange({ userId, action: 'move', before, after: { ...before, household: householdId } });
+        moved++;
+    }
+
+    return { moved, merged };
+}
+
+/**
+ * @brief Devuelve al usuario la despensa de un hogar eliminado (era su último miembro).
+ * * Cada alimento queda en el historial de su despensa personal como 'move'.
+ */
+async function releaseHouseholdPantry(householdId, userId) {
+    const alimentos = await Inventory.find({ household: householdId }).lean();
+    await Inventory.updateMany({ household: householdId }, { $set: { household: null, user: userId } });
+    for (const alimento of alimentos) {
+        const before = inventoryHistoryService.snapshotAlimento(alimento);
+        await inventoryHistoryService.recordChange({ userId, action: 'move', before, after: { ...before, household: null, user: userId } });
+    }
 }
 
 module.exports = {
+    INTOLERANCES,
+    CUISINES,
+    MEAL_TYPES,
     findUserByCredentials,
+    findUserById,
     registerUser,
     initializeAdminUser,
     getUserProfile,       // <-- Nueva función
@@ -270,7 +894,17 @@ module.exports = {
     findAlimentoByName,
     createOrUpdateAlimento, 
     getAlimentosByUsuario, 
+    getAlimentosPorVencer,
     sumarCantidadAlimento,
     updateAlimento, 
+    setAlimentoStaple,
+    isLowStock,
+    getAlimentosBajoStock,
+    setAlimentoMinimo,
+    groupAlimentos,
+    setAlimentoUbicacion,
     deleteAlimento, 
+    descontarAlimentos,
+    movePantryToHousehold,
+    releaseHouseholdPantry,
 };
\ No newline at end of file
@@ -0,0 +1,501 @@
+/**
+ * @file admin.js
+ * @brief Módulo de lógica del Frontend para la Consola de Administración (usuarios, caché, glosario y
+ * diccionario de ingredientes).
+ * * Solo accesible para usuarios del grupo 'Admin'. El backend vuelve a validar el rol
+ * en cada petición (/api/admin/*), esta comprobación es solo para la interfaz.
+ */
+
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js.
+
+let usersPage = 1;
+const USERS_PAGE_SIZE = 20;
+
+// =========================================================================
+// 1. INICIALIZACIÓN
+// =========================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!hasSession()) {
+        window.location.href = 'index.html';
+        return;
+    }
+    if (localStorage.getItem('grupo') !== 'Admin') {
+        window.location.href = 'home.html';
+        return;
+    }
+
+    connectAdminListeners();
+    loadUsers();
+    loadCacheEntries();
+    loadCacheStats();
+    loadGlossaryTerms();
+    loadDictionaryEntries();
+});
+
+/**
+ * @brief Conecta los listeners de formularios y botones de la consola.
+ */
+function connectAdminListeners() {
+    document.getElementById('user-search-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        usersPage = 1;
+        loadUsers();
+    });
+    document.getElementById('users-prev').addEventListener('click', () => {
+        if (usersPage > 1) {
+            usersPage--;
+            loadUsers();
+        }
+    });
+    document.getElementById('users-next').addEventListener('click', () => {
+        usersPage++;
+        loadUsers();
+    });
+
+    document.getElementById('cache-search-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadCacheEntries();
+    });
+    document.getElementById('cache-purge-btn').addEventListener('click', handlePurgeCache);
+    document.getElementById('cache-stats-refresh-btn').addEventListener('click', loadCacheStats);
+    document.getElementById('cache-stats-reset-btn').addEventListener('click', handleResetCacheStats);
+
+    document.getElementById('glossary-search-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadGlossaryTerms();
+    });
+    document.getElementById('glossary-form').addEventListener('submit', handleSaveGlossaryTerm);
+
+    document.getElementById('dictionary-search-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadDictionaryEntries();
+    });
+    document.getElementById('dictionary-form').addEventListener('submit', handleSaveDictionaryEntry);
+
+    document.getElementById('logout-link').addEventListener('click', async (event) => {
+        event.preventDefault();
+        await logout();
+        window.location.href = 'index.html';
+    });
+}
+
+/**
+ * @brief Ejecuta una petición a la API de administración y devuelve el JSON (o lanza el error).
+ */
+async function adminRequest(endpoint, options = {}) {
+    const response = await apiFetch(endpoint, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Error en la petición de administración.');
+    }
+    return data;
+}
+
+// =========================================================================
+// 2. USUARIOS
+// =========================================================================
+
+/**
+ * @brief Carga la página actual de usuarios aplicando el texto de búsqueda.
+ */
+async function loadUsers() {
+    const search = document.getElementById('user-search').value.trim();
+    const params = new URLSearchParams({ page: usersPage, limit: USERS_PAGE_SIZE });
+    if (search) params.set('search', search);
+
+    try {
+        const result = await adminRequest(`/admin/usuarios?${params.toString()}`);
+        renderUsers(result);
+    } catch (error) {
+        console.error('Error al cargar usuarios:', error.message);
+        alert('No se pudieron cargar los usuarios: ' + error.message);
+    }
+}
+
+/**
+ * @brief Dibuja la tabla de usuarios y el paginador.
+ */
+function renderUsers({ users, total, page, limit }) {
+    const tableBody = document.getElementById('users-body');
+    tableBody.innerHTML = '';
+
+    if (users.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="5">No se encontraron usuarios.</td></tr>';
+    }
+
+    const currentUserId = localStorage.getItem('userId');
+
+    users.forEach(user => {
+        const row = tableBody.insertRow();
+        if (user.disabled) row.classList.add('user-disabled');
+        row.insertCell().textContent = user.username;
+        row.insertCell().textContent = user.email;
+        row.insertCell().textContent = user.grupo;
+        row.insertCell().textContent = user.disabled ? 'Deshabilitado' : 'Activo';
+
+        const actions = row.insertCell();
+        addActionButton(actions, 'Inventario', () => handleViewUserInventory(user._id));
+
+        // Un admin no puede cambiar su propio rol ni deshabilitarse
+        if (user._id !== currentUserId) {
+            const isAdmin = user.grupo === 'Admin';
+            addActionButton(actions, isAdmin ? 'Quitar admin' : 'Hacer admin',
+                () => handleChangeRole(user, isAdmin ? 'User' : 'Admin'));
+            addActionButton(actions, user.disabled ? 'Habilitar' : 'Deshabilitar',
+                () => handleToggleDisabled(user));
+        }
+        addActionButton(actions, 'Resetear clave', () => handleResetPassword(user));
+    });
+
+    const totalPages = Math.max(Math.ceil(total / limit), 1);
+    document.getElementById('users-page-info').textContent = `Página ${page} de ${totalPages} (${total} usuarios)`;
+    document.getElementById('users-prev').disabled = page <= 1;
+    document.getElementById('users-next').disabled = page >= totalPages;
+}
+
+/**
+ * @brief Agrega un botón de acción a una celda.
+ */
+function addActionButton(cell, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    cell.appendChild(button);
+}
+
+async function handleChangeRole(user, grupo) {
+    if (!confirm(`¿Cambiar el grupo de "${user.username}" a ${grupo}?`)) return;
+
+    try {
+        await adminRequest(`/admin/usuarios/${user._id}/rol`, {
+            method: 'PATCH',
+            body: JSON.stringify({ grupo })
+        });
+        loadUsers();
+    } catch (error) {
+        alert('Fallo al cambiar el rol: ' + error.message);
+    }
+}
+
+async function handleToggleDisabled(user) {
+    const disabled = !user.disabled;
+    const accion = disabled ? 'deshabilitar' : 'habilitar';
+    if (!confirm(`¿Seguro que quieres ${accion} la cuenta de "${user.username}"?`)) return;
+
+    try {
+        await adminRequest(`/admin/usuarios/${user._id}/estado`, {
+            method: 'PATCH',
+            body: JSON.stringify({ disabled })
+        });
+        loadUsers();
+    } catch (error) {
+        alert(`Fallo al ${accion} la cuenta: ` + error.message);
+    }
+}
+
+async function handleResetPassword(user) {
+    const newPassword = prompt(`Nueva contraseña para "${user.username}" (deja vacío para generar una temporal):`, '');
+    if (newPassword === null) return;
+
+    try {
+        const body = newPassword ? { newPassword } : {};
+        const result = await adminRequest(`/admin/usuarios/${user._id}/password`, {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        alert(result.temporaryPassword
+            ? `${result.message}\nContraseña temporal: ${result.temporaryPassword}`
+            : result.message);
+    } catch (error) {
+        alert('Fallo al restablecer la contraseña: ' + error.message);
+    }
+}
+
+/**
+ * @brief Muestra el inventario de un usuario en la sección de solo lectura.
+ */
+async function handleViewUserInventory(userId) {
+    try {
+        const { user, inventario } = await adminRequest(`/admin/usuarios/${userId}/inventario`);
+
+        document.getElementById('user-inventory-title').textContent = `Inventario de ${user.username}`;
+        const tableBody = document.getElementById('user-inventory-body');
+        tableBody.innerHTML = '';
+
+        if (inventario.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="4">El usuario no tiene ingredientes.</td></tr>';
+        }
+        inventario.forEach(item => {
+            const row = tableBody.insertRow();
+            row.insertCell().textContent = item.article_name;
+            row.insertCell().textContent = item.quantity;
+            row.insertCell().textContent = item.unit;
+            row.insertCell().textContent = new Date(item.updatedAt).toLocaleString('es-AR');
+        });
+
+        const box = document.getElementById('user-inventory-box');
+        box.style.display = 'block';
+        box.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        alert('No se pudo obtener el inventario: ' + error.message);
+    }
+}
+
+// =========================================================================
+// 3. CACHÉ
+// =========================================================================
+
+/**
+ * @brief Devuelve los parámetros de prefijo/búsqueda seleccionados en el formulario de caché.
+ */
+function getCacheParams() {
+    const params = new URLSearchParams({ prefix: document.getElementById('cache-prefix').value });
+    const search = document.getElementById('cache-search').value.trim();
+    if (search) params.set('search', search);
+    return params;
+}
+
+async function loadCacheEntries() {
+    document.getElementById('cache-entry-view').style.display = 'none';
+
+    try {
+        const { entries, total } = await adminRequest(`/admin/cache?${getCacheParams().toString()}&limit=100`);
+        document.getElementById('cache-summary').textContent =
+            `${total} entradas encontradas${total > entries.length ? ` (mostrando ${entries.length})` : ''}.`;
+
+        const tableBody = document.getElementById('cache-body');
+        tableBody.innerHTML = '';
+        entries.forEach(entry => {
+            const row = tableBody.insertRow();
+            row.insertCell().textContent = entry.cacheKey;
+            row.insertCell().textContent = new Date(entry.createdAt).toLocaleString('es-AR');
+            row.insertCell().textContent = entry.expiresAt ? new Date(entry.expiresAt).toLocaleString('es-AR') : '-';
+            addActionButton(row.insertCell(), 'Ver', () => handleViewCacheEntry(entry.cacheKey));
+        });
+    } catch (error) {
+        alert('No se pudo cargar la caché: ' + error.message);
+    }
+}
+
+async function handleViewCacheEntry(cacheKey) {
+    try {
+        const entry = await adminRequest(`/admin/cache/entrada?key=${encodeURIComponent(cacheKey)}`);
+        const view = document.getElementById('cache-entry-view');
+        view.textContent = JSON.stringify(entry.data, null, 2);
+        view.style.display = 'block';
+        view.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        alert('No se pudo obtener la entrada: ' + error.message);
+    }
+}
+
+async function handlePurgeCache() {
+    const params = getCacheParams();
+    const descripcion = params.get('search')
+        ? `las entradas "${params.get('prefix')}" que contienen "${params.get('search')}"`
+        : `TODAS las entradas "${params.get('prefix')}"`;
+    if (!confirm(`¿Seguro que quieres eliminar ${descripcion}?`)) return;
+
+    try {
+        const result = await adminRequest(`/admin/cache?${params.toString()}`, { method: 'DELETE' });
+        alert(`${result.message} Entradas eliminadas: ${result.deletedCount}`);
+        loadCacheEntries();
+        loadCacheStats();
+    } catch (error) {
+        alert('Fallo al purgar la caché: ' + error.message);
+    }
+}
+
+/**
+ * @brief Formatea un TTL en segundos como horas o días (ej: "23 h", "30 d").
+ */
+function formatTtl(seconds) {
+    const hours = seconds / 3600;
+    if (hours >= 48 && Number.isInteger(hours / 24)) return `${hours / 24} d`;
+    if (hours >= 1) return `${Math.round(hours * 10) / 10} h`;
+    return `${seconds} s`;
+}
+
+async function loadCacheStats() {
+    try {
+        const { namespaces, memory, inFlight } = await adminRequest('/admin/cache/estadisticas');
+        document.getElementById('cache-stats-summary').textContent = memory.enabled
+            ? `Caché en memoria: ${memory.size} de ${memory.maxEntries} entradas. Cargas en curso: ${inFlight}.`
+            : `Caché en memoria desactivada. Cargas en curso: ${inFlight}.`;
+
+        const tableBody = document.getElementById('cache-stats-body');
+        tableBody.innerHTML = '';
+        Object.values(namespaces).forEach(namespace => {
+            const row = tableBody.insertRow();
+            row.insertCell().textContent = namespace.prefix;
+            row.insertCell().textContent = formatTtl(namespace.ttlSeconds);
+            row.insertCell().textContent = namespace.storedEntries;
+            row.insertCell().textContent = `${namespace.hits} (${namespace.memoryHits})`;
+            row.insertCell().textContent = namespace.misses;
+            row.insertCell().textContent = namespace.hitRate === null ? '-' : `${Math.round(namespace.hitRate * 100)}%`;
+            row.insertCell().textContent = namespace.coalesced;
+            row.insertCell().textContent = namespace.errors;
+        });
+    } catch (error) {
+        alert('No se pudieron cargar las estadísticas de la caché: ' + error.message);
+    }
+}
+
+async function handleResetCacheStats() {
+    try {
+        await adminRequest('/admin/cache/estadisticas', { method: 'DELETE' });
+        loadCacheStats();
+    } catch (error) {
+        alert('Fallo al reiniciar los contadores: ' + error.message);
+    }
+}
+
+// =========================================================================
+// 4. GLOSARIO DE TRADUCCIÓN
+// =========================================================================
+
+async function loadGlossaryTerms() {
+    const params = new URLSearchParams({ limit: 100 });
+    const search = document.getElementById('glossary-search').value.trim();
+    if (search) params.set('search', search);
+
+    try {
+        const { terms, total } = await adminRequest(`/admin/glosario?${params.toString()}`);
+        document.getElementById('glossary-summary').textContent =
+            `${total} términos encontrados${total > terms.length ? ` (mostrando ${terms.length})` : ''}.`;
+
+        const tableBody = document.getElementById('glossary-body');
+        tableBody.innerHTML = '';
+        terms.forEach(term => {
+            const row = tableBody.insertRow();
+            row.insertCell().textContent = term.es;
+            row.insertCell().textContent = term.en;
+            row.insertCell().textContent = term.category;
+
+            const actions = row.insertCell();
+            addActionButton(actions, 'Editar', () => {
+                document.getElementById('glossary-es').value = term.es;
+                document.getElementById('glossary-en').value = term.en;
+                document.getElementById('glossary-category').value = term.category;
+            });
+            addActionButton(actions, 'Eliminar', () => handleDeleteGlossaryTerm(term));
+        });
+    } catch (error) {
+        alert('No se pudo cargar el glosario: ' + error.message);
+    }
+}
+
+async function handleSaveGlossaryTerm(event) {
+    event.preventDefault();
+    const es = document.getElementById('glossary-es').value.trim();
+    const en = document.getElementById('glossary-en').value.trim();
+    const category = document.getElementById('glossary-category').value;
+
+    try {
+        await adminRequest('/admin/glosario', {
+            method: 'PUT',
+            body: JSON.stringify({ es, en, category })
+        });
+        document.getElementById('glossary-form').reset();
+        loadGlossaryTerms();
+    } catch (error) {
+        alert('Fallo al guardar el término: ' + error.message);
+    }
+}
+
+async function handleDeleteGlossaryTerm(term) {
+    if (!confirm(`¿Eliminar "${term.es}" -> "${term.en}" del glosario?`)) return;
+
+    try {
+        await adminRequest(`/admin/glosario/${term._id}`, { method: 'DELETE' });
+        loadGlossaryTerms();
+    } catch (error) {
+        alert('Fallo al eliminar el término: ' + error.message);
+    }
+}
+
+// =========================================================================
+// 5. DICCIONARIO DE INGREDIENTES
+// =========================================================================
+
+async function loadDictionaryEntries() {
+    const params = new URLSearchParams({ limit: 100 });
+    const search = document.getElementById('dictionary-search').value.trim();
+    const reviewed = document.getElementById('dictionary-reviewed').value;
+    if (search) params.set('search', search);
+    if (reviewed) params.set('revisado', reviewed);
+
+    try {
+        const { entries, total } = await adminRequest(`/admin/diccionario?${params.toString()}`);
+        document.getElementById('dictionary-summary').textContent =
+            `${total} traducciones encontradas${total > entries.length ? ` (mostrando ${entries.length})` : ''}.`;
+
+        const tableBody = document.getElementById('dictionary-body');
+        tableBody.innerHTML = '';
+        entries.forEach(entry => {
+            const row = tableBody.insertRow();
+            row.insertCell().textContent = entry.es;
+            row.insertCell().textContent = entry.en;
+            row.insertCell().textContent = entry.source;
+            row.insertCell().textContent = entry.reviewed ? 'Sí' : 'No';
+
+            const actions = row.insertCell();
+            addActionButton(actions, 'Corregir', () => {
+                document.getElementById('dictionary-es').value = entry.es;
+                document.getElementById('dictionary-en').value = entry.en;
+                document.getElementById('dictionary-en').focus();
+            });
+            if (!entry.reviewed) {
+                addActionButton(actions, 'Aprobar', () => handleApproveDictionaryEntry(entry));
+            }
+            addActionButton(actions, 'Eliminar', () => handleDeleteDictionaryEntry(entry));
+        });
+    } catch (error) {
+        alert('No se pudo cargar el diccionario: ' + error.message);
+    }
+}
+
+async function handleSaveDictionaryEntry(event) {
+    event.preventDefault();
+    const es = document.getElementById('dictionary-es').value.trim();
+    const en = document.getElementById('dictionary-en').value.trim();
+
+    try {
+        const { updatedItems } = await adminRequest('/admin/diccionario', {
+            method: 'PUT',
+            body: JSON.stringify({ es, en })
+        });
+        document.getElementById('dictionary-form').reset();
+        if (updatedItems > 0) {
+            alert(`Traducción guardada. Se actualizaron ${updatedItems} alimentos.`);
+        }
+        loadDictionaryEntries();
+    } catch (error) {
+        alert('Fallo al guardar la traducción: ' + error.message);
+    }
+}
+
+async function handleApproveDictionaryEntry(entry) {
+    try {
+        await adminRequest(`/admin/diccionario/${entry._id}/revisado`, { method: 'PATCH' });
+        loadDictionaryEntries();
+    } catch (error) {
+        alert('Fallo al aprobar la traducción: ' + error.message);
+    }
+}
+
+async function handleDeleteDictionaryEntry(entry) {
+    if (!confirm(`¿Eliminar "${entry.es}" -> "${entry.en}" del diccionario? Se volverá a traducir cuando haga falta.`)) return;
+
+    try {
+        await adminRequest(`/admin/diccionario/${entry._id}`, { method: 'DELETE' });
+        loadDictionaryEntries();
+    } catch (error) {
+        alert('Fallo al eliminar la traducción: ' + error.message);
+    }
+}
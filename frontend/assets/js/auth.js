@@ -8,8 +8,8 @@
 // 1. CONFIGURACIÓN DE ENDPOINTS
 // =================================================================
 
-// Define la URL base de nuestro servidor backend, incluyendo el puerto, dirección de nuestra aplicación Express.js.
-const BACKEND_URL = 'http://localhost:3000/api';
+// La URL base del backend (BACKEND_URL) y el manejo de tokens se definen en session.js,
+// que se carga antes que este archivo.
 
 
 // 2. FUNCIÓN CENTRAL DE COMUNICACIÓN (ASYNC/AWAIT)
@@ -50,7 +50,10 @@ async function sendAuthRequest(endpoint, data) {
             // Si el código es 4xx o 5xx, lanzamos un error manual para que sea capturado
             // por el bloque 'catch' de esta función. Esto simula el fallo de la Promesa.
             // Usamos 'responseData.error' porque así nombramos el campo de error en nuestro backend.
-            throw new Error(responseData.error || 'Ocurrió un error desconocido.');
+            // 'details' conserva el resto de la respuesta (ej: 'emailNotVerified' en el login).
+            const requestError = new Error(responseData.error || 'Ocurrió un error desconocido.');
+            requestError.details = responseData;
+            throw requestError;
         }
 
         // Si todo va bien (código 200/201), retornamos los datos al código que llamó a la función.
@@ -59,7 +62,9 @@ async function sendAuthRequest(endpoint, data) {
     } catch (error) {
         // Captura y relanza el error. Puede ser un error de red (fetch) o un error
         // lanzado manualmente (throw new Error) por un código HTTP 400/409/401.
-        throw new Error(error.message);
+        const requestError = new Error(error.message);
+        requestError.details = error.details || {};
+        throw requestError;
     }
 }
 
@@ -113,8 +118,8 @@ if (loginForm) {
             // Usamos 'username' que es lo que el backend devuelve; si no existe, usamos 'nombre' como fallback.
             displayMessage(messageId, `Bienvenido, ${result.username || result.nombre || ''}. Redirigiendo...`, false);
             
-            // Guarda el ID que el servidor te devuelve. Asumimos que el backend lo llama 'id'.
-            localStorage.setItem('userId', result.id); 
+            // Guarda los tokens de sesión (access + refresh) y los datos básicos del usuario.
+            saveSession(result); 
 
             // Redirección con un pequeño retraso para que el usuario lea el mensaje de éxito.
             setTimeout(() => {
@@ -124,8 +129,32 @@ if (loginForm) {
         } catch (error) {
             // Fallo: El bloque 'catch' atrapa errores de red o errores HTTP (ej: 401 Credenciales Inválidas).
             displayMessage(messageId, error.message);
+            // Si falta confirmar el email, se ofrece reenviar el link
+            document.getElementById('resend-verification-btn').style.display = error.details.emailNotVerified ? 'inline-block' : 'none';
         }
     });
+
+    // Reenvía el email de verificación al email escrito en el formulario
+    document.getElementById('resend-verification-btn').addEventListener('click', async () => {
+        const email = document.getElementById('email').value;
+        try {
+            const result = await sendAuthRequest('/email/resend', { email });
+            displayMessage('login-message', result.message, false);
+            document.getElementById('resend-verification-btn').style.display = 'none';
+        } catch (error) {
+            displayMessage('login-message', error.message);
+        }
+    });
+
+    // Si se llegó desde el link del email de verificación (index.html?verify=<token>), se confirma la cuenta
+    const verifyToken = new URLSearchParams(window.location.search).get('verify');
+    if (verifyToken) {
+        // Se quita el token de la URL para que no quede en el historial
+        window.history.replaceState(null, '', window.location.pathname);
+        sendAuthRequest('/email/verify', { token: verifyToken })
+            .then(result => displayMessage('login-message', `✅ ${result.message}`, false))
+            .catch(error => displayMessage('login-message', error.message));
+    }
 }
 
 
@@ -152,19 +181,83 @@ if (registerForm) {
             // El backend espera 'username' en lugar de 'nombre'. Mapeamos aquí para mantener la UI en español.
             const data = { username, email, password };
             // Llama a la API de registro y espera el resultado.
-            await sendAuthRequest('/register', data);
+            const result = await sendAuthRequest('/register', data);
 
             // Éxito: La Promesa resolvió (código 201 Created).
-            displayMessage(messageId, '✅ Registro exitoso. Redirigiendo al Login...', false);
+            // Si el login exige el email confirmado, no se redirige: el usuario sigue el link del email.
+            if (result.emailVerificationRequired) {
+                registerForm.reset();
+                displayMessage(messageId, `✅ Registro exitoso. Te enviamos un email a ${email} con un link para confirmar tu cuenta antes de iniciar sesión.`, false);
+                return;
+            }
+            displayMessage(messageId, `✅ Registro exitoso. Te enviamos un email a ${email} para confirmar tu cuenta. Redirigiendo al Login...`, false);
             
             // Redirección a la página de login
             setTimeout(() => {
                  window.location.href = 'index.html';
-            }, 2000);
+            }, 3000);
 
         } catch (error) {
             // Fallo: Atrapa errores de red o errores HTTP (ej: 409 Email ya registrado).
             displayMessage(messageId, error.message);
         }
     });
-}
\ No newline at end of file
+}
+
+
+// 6. LÓGICA DE LA RECUPERACIÓN DE CONTRASEÑA
+// =================================================================
+
+// Formulario para pedir el link (solo existirá en forgot-password.html)
+const forgotForm = document.getElementById('forgot-form');
+
+if (forgotForm) {
+    forgotForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const email = document.getElementById('email').value;
+        const messageId = 'forgot-message';
+
+        displayMessage(messageId, 'Enviando...', false);
+        try {
+            const result = await sendAuthRequest('/password/forgot', { email });
+            displayMessage(messageId, `✅ ${result.message}`, false);
+            forgotForm.reset();
+        } catch (error) {
+            displayMessage(messageId, error.message);
+        }
+    });
+}
+
+// Formulario para elegir la contraseña nueva (solo existirá en reset-password.html, abierto desde el link del email)
+const resetForm = document.getElementById('reset-form');
+
+if (resetForm) {
+    const resetToken = new URLSearchParams(window.location.search).get('token');
+    if (!resetToken) {
+        displayMessage('reset-message', 'El link está incompleto. Pide uno nuevo desde "¿Olvidaste tu contraseña?".');
+        resetForm.querySelector('button[type="submit"]').disabled = true;
+    }
+
+    resetForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const password = document.getElementById('password').value;
+        const confirmPassword = document.getElementById('confirm-password').value;
+        const messageId = 'reset-message';
+
+        if (password !== confirmPassword) {
+            displayMessage(messageId, 'Las contraseñas no coinciden.');
+            return;
+        }
+
+        displayMessage(messageId, 'Guardando...', false);
+        try {
+            const result = await sendAuthRequest('/password/reset', { token: resetToken, password });
+            displayMessage(messageId, `✅ ${result.message} Redirigiendo al Login...`, false);
+            setTimeout(() => {
+                 window.location.href = 'index.html';
+            }, 2000);
+        } catch (error) {
+            displayMessage(messageId, error.message);
+        }
+    });
+}
@@ -0,0 +1,165 @@
+/**
+ * @file barcode.js
+ * @brief Módulo de lógica del Frontend para agregar alimentos por código de barras.
+ * * Se carga en home.html junto a inventory.js, que llama a 'initBarcode' al iniciar. El código
+ * se escribe a mano o se escanea con la cámara (solo en navegadores con 'BarcodeDetector').
+ * Si el producto está en el catálogo se completa el formulario "Agregar Ingrediente"; si no,
+ * se ofrece cargarlo al catálogo para que el próximo escaneo lo encuentre.
+ */
+
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js, 'MS_PER_DAY'
+// de mealPlanner.js y 'foodCategories' de storage.js.
+
+// Formatos que se buscan al escanear (los de los productos de supermercado)
+const BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+
+// Cámara abierta mientras se escanea (null si no se está escaneando)
+let barcodeStream = null;
+
+/**
+ * @brief Conecta los listeners del código de barras (el botón de cámara solo si el navegador la soporta).
+ */
+function initBarcode() {
+    document.getElementById('barcode-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        lookupBarcode(document.getElementById('barcode-input').value);
+    });
+    document.getElementById('barcode-new-form').addEventListener('submit', handleCreateProduct);
+    document.getElementById('barcode-stop-btn').addEventListener('click', stopBarcodeScan);
+
+    const scanBtn = document.getElementById('barcode-scan-btn');
+    if ('BarcodeDetector' in window && navigator.mediaDevices) {
+        scanBtn.style.display = 'inline-block';
+        scanBtn.addEventListener('click', startBarcodeScan);
+    }
+}
+
+/**
+ * @brief Busca un código en el catálogo: si está completa el formulario, si no ofrece cargarlo.
+ */
+async function lookupBarcode(rawBarcode) {
+    const barcode = rawBarcode.replace(/[\s-]/g, '');
+    const message = document.getElementById('barcode-message');
+    document.getElementById('barcode-new-form').style.display = 'none';
+    if (!barcode) return;
+    document.getElementById('barcode-input').value = barcode;
+
+    try {
+        const response = await apiFetch(`/productos/${barcode}`);
+        const data = await response.json();
+
+        if (response.status === 404) {
+            message.textContent = `El código ${barcode} no está en el catálogo. Cárgalo para agregarlo ahora y encontrarlo la próxima vez:`;
+            showNewProductForm();
+            return;
+        }
+        if (!response.ok) throw new Error(data.error || 'Error al buscar el producto.');
+
+        fillAddItemForm(data);
+        message.textContent = `Encontrado: ${data.name}. Revisa los datos y toca "Agregar al Inventario".`;
+    } catch (error) {
+        message.textContent = '';
+        alert('Fallo al buscar el código: ' + error.message);
+    }
+}
+
+/**
+ * @brief Completa el formulario "Agregar Ingrediente" con un producto del catálogo.
+ * * El vencimiento se sugiere a partir de los días que suele durar el producto.
+ */
+function fillAddItemForm(product) {
+    document.getElementById('article_name').value = product.name;
+    document.getElementById('quantity').value = product.packageSize;
+    document.getElementById('unit').value = product.unit;
+
+    const categorySelect = document.getElementById('item-category');
+    if (product.category && [...categorySelect.options].some(option => option.value === product.category)) {
+        categorySelect.value = product.category;
+    }
+    document.getElementById('expiryDate').value = product.shelfLifeDays !== null
+        ? new Date(Date.now() + product.shelfLifeDays * MS_PER_DAY).toISOString().slice(0, 10)
+        : '';
+}
+
+/**
+ * @brief Muestra el formulario para cargar un producto nuevo (con las categorías de storage.js).
+ */
+function showNewProductForm() {
+    const form = document.getElementById('barcode-new-form');
+    const categorySelect = document.getElementById('barcode-new-category');
+    categorySelect.innerHTML = '';
+    categorySelect.add(new Option('Categoría (opcional)', ''));
+    foodCategories.forEach(category => categorySelect.add(new Option(category, category)));
+    form.reset();
+    form.style.display = 'block';
+}
+
+async function handleCreateProduct(event) {
+    event.preventDefault();
+    const product = {
+        barcode: document.getElementById('barcode-input').value.trim(),
+        name: document.getElementById('barcode-new-name').value.trim(),
+        unit: document.getElementById('barcode-new-unit').value,
+        packageSize: parseFloat(document.getElementById('barcode-new-size').value),
+        category: document.getElementById('barcode-new-category').value || null,
+        shelfLifeDays: document.getElementById('barcode-new-shelf-life').value ? parseInt(document.getElementById('barcode-new-shelf-life').value) : null
+    };
+
+    try {
+        const response = await apiFetch('/productos', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(product)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'No se pudo cargar el producto.');
+
+        document.getElementById('barcode-new-form').style.display = 'none';
+        fillAddItemForm(data);
+        document.getElementById('barcode-message').textContent = `¡Producto cargado al catálogo! Revisa los datos y toca "Agregar al Inventario".`;
+    } catch (error) {
+        alert('Fallo al cargar el producto: ' + error.message);
+    }
+}
+
+/**
+ * @brief Abre la cámara y busca un código de barras en cada cuadro hasta encontrar uno.
+ */
+async function startBarcodeScan() {
+    const video = document.getElementById('barcode-video');
+    try {
+        const supported = await BarcodeDetector.getSupportedFormats();
+        const detector = new BarcodeDetector({ formats: BARCODE_FORMATS.filter(format => supported.includes(format)) });
+        barcodeStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        video.srcObject = barcodeStream;
+        await video.play();
+        document.getElementById('barcode-scanner').style.display = 'block';
+
+        const scanFrame = async () => {
+            if (!barcodeStream) return;
+            const codes = await detector.detect(video);
+            if (codes.length > 0) {
+                stopBarcodeScan();
+                lookupBarcode(codes[0].rawValue);
+                return;
+            }
+            requestAnimationFrame(scanFrame);
+        };
+        scanFrame();
+    } catch (error) {
+        stopBarcodeScan();
+        alert('No se pudo usar la cámara: ' + error.message);
+    }
+}
+
+/**
+ * @brief Cierra la cámara y oculta el visor.
+ */
+function stopBarcodeScan() {
+    if (barcodeStream) {
+        barcodeStream.getTracks().forEach(track => track.stop());
+        barcodeStream = null;
+    }
+    document.getElementById('barcode-video').srcObject = null;
+    document.getElementById('barcode-scanner').style.display = 'none';
+}
@@ -0,0 +1,287 @@
+/**
+ * @file household.js
+ * @brief Módulo de lógica del Frontend para el Hogar (despensa compartida).
+ * * Se carga en home.html junto a inventory.js, que llama a 'initHousehold' al iniciar. Al
+ * crear un hogar, unirse o salir se recargan el inventario y la lista de compras, porque
+ * pasan a ser los del hogar (o los personales).
+ */
+
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js.
+
+// Textos de los roles de un miembro del hogar
+const HOUSEHOLD_ROLE_LABELS = {
+    owner: 'Administrador',
+    member: 'Miembro',
+};
+
+/**
+ * @brief Conecta los listeners del hogar y lo carga por primera vez.
+ */
+function initHousehold() {
+    document.getElementById('household-create-form').addEventListener('submit', handleCreateHousehold);
+    document.getElementById('household-join-form').addEventListener('submit', handleJoinHousehold);
+    document.getElementById('household-invite-form').addEventListener('submit', handleInviteToHousehold);
+    document.getElementById('household-code-btn').addEventListener('click', handleRegenerateHouseholdCode);
+    document.getElementById('household-leave-btn').addEventListener('click', handleLeaveHousehold);
+    loadHousehold();
+}
+
+/**
+ * @brief Ejecuta una petición a la API del hogar y devuelve el JSON (o lanza el error).
+ * * Con 'allowNotFound' un 404 devuelve null (ej: el usuario no pertenece a ningún hogar).
+ */
+async function householdRequest(endpoint, options = {}, allowNotFound = false) {
+    const response = await apiFetch(endpoint, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const data = await response.json();
+    if (allowNotFound && response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(data.error || 'Error en el hogar.');
+    }
+    return data;
+}
+
+/**
+ * @brief Carga el hogar del usuario y las invitaciones que recibió.
+ */
+async function loadHousehold() {
+    try {
+        const [household, invitations] = await Promise.all([
+            householdRequest('/hogar', {}, true),
+            householdRequest('/hogar/invitaciones/recibidas')
+        ]);
+        renderHousehold(household);
+        renderReceivedInvitations(invitations, Boolean(household));
+    } catch (error) {
+        console.error('Error al cargar el hogar:', error.message);
+    }
+}
+
+/**
+ * @brief Recarga todo lo que depende del hogar (el hogar, el inventario, la lista de compras y las ubicaciones).
+ */
+function reloadPantry() {
+    loadHousehold();
+    loadStorageLocations();
+    loadInventory();
+    loadShoppingList();
+}
+
+/**
+ * @brief Muestra el hogar (o los formularios para crear uno o unirse si no tiene).
+ */
+function renderHousehold(household) {
+    document.getElementById('household-none').style.display = household ? 'none' : 'block';
+    document.getElementById('household-info').style.display = household ? 'block' : 'none';
+    if (!household) return;
+
+    const isOwner = household.role === 'owner';
+    const currentUserId = localStorage.getItem('userId');
+    document.getElementById('household-name').textContent = `🏠 ${household.name}`;
+    document.getElementById('household-owner-tools').style.display = isOwner ? 'block' : 'none';
+    document.getElementById('household-code').textContent = household.inviteCode || '';
+
+    const membersList = document.getElementById('household-members');
+    membersList.innerHTML = '';
+    household.members.forEach(member => {
+        const li = document.createElement('li');
+        const isSelf = String(member.userId) === currentUserId;
+        const label = document.createElement('span');
+        label.textContent = `${member.username || member.email}${isSelf ? ' (tú)' : ''} — ${HOUSEHOLD_ROLE_LABELS[member.role] || member.role}`;
+        li.appendChild(label);
+
+        if (isOwner && !isSelf) {
+            const roleBtn = document.createElement('button');
+            roleBtn.type = 'button';
+            roleBtn.textContent = member.role === 'owner' ? 'Quitar admin' : 'Hacer admin';
+            roleBtn.addEventListener('click', () => handleSetHouseholdRole(member.userId, member.role === 'owner' ? 'member' : 'owner'));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'shopping-delete';
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Quitar del hogar';
+            removeBtn.addEventListener('click', () => handleRemoveHouseholdMember(member));
+
+            li.append(roleBtn, removeBtn);
+        }
+        membersList.appendChild(li);
+    });
+
+    const sentList = document.getElementById('household-sent-invitations');
+    sentList.innerHTML = '';
+    (household.invitations || []).forEach(invitation => {
+        const li = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `✉️ ${invitation.email} (pendiente)`;
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'shopping-delete';
+        cancelBtn.textContent = '✕';
+        cancelBtn.title = 'Cancelar invitación';
+        cancelBtn.addEventListener('click', () => handleCancelHouseholdInvitation(invitation._id));
+        li.append(label, cancelBtn);
+        sentList.appendChild(li);
+    });
+}
+
+/**
+ * @brief Muestra las invitaciones recibidas por email (aceptar o rechazar).
+ */
+function renderReceivedInvitations(invitations, inHousehold) {
+    const container = document.getElementById('household-received');
+    const list = document.getElementById('household-received-list');
+    list.innerHTML = '';
+    container.style.display = invitations.length > 0 ? 'block' : 'none';
+
+    invitations.forEach(invitation => {
+        const li = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${invitation.name} (${invitation.members} miembro${invitation.members === 1 ? '' : 's'})`;
+
+        const acceptBtn = document.createElement('button');
+        acceptBtn.type = 'button';
+        acceptBtn.textContent = 'Aceptar';
+        // Para aceptar hay que salir antes del hogar actual
+        acceptBtn.disabled = inHousehold;
+        acceptBtn.title = inHousehold ? 'Sal de tu hogar actual para unirte a otro.' : '';
+        acceptBtn.addEventListener('click', () => handleAcceptHouseholdInvitation(invitation.householdId));
+
+        const declineBtn = document.createElement('button');
+        declineBtn.type = 'button';
+        declineBtn.textContent = 'Rechazar';
+        declineBtn.addEventListener('click', () => handleDeclineHouseholdInvitation(invitation.householdId));
+
+        li.append(label, acceptBtn, declineBtn);
+        list.appendChild(li);
+    });
+}
+
+/**
+ * @brief Texto con lo que pasó de la despensa personal al hogar al unirse.
+ */
+function describeMovedPantry(moved) {
+    if (!moved) return '';
+    const items = moved.inventory.moved + moved.inventory.merged;
+    const shopping = moved.shoppingList.moved + moved.shoppingList.merged;
+    return `\nSe sumaron al hogar ${items} alimento(s) y ${shopping} artículo(s) de tu lista de compras.`;
+}
+
+async function handleCreateHousehold(event) {
+    event.preventDefault();
+    const name = document.getElementById('household-create-name').value.trim();
+    if (!name) return;
+
+    try {
+        await householdRequest('/hogar', { method: 'POST', body: JSON.stringify({ name }) });
+        document.getElementById('household-create-form').reset();
+        alert('¡Hogar creado! Tu despensa ahora es la del hogar.');
+        reloadPantry();
+    } catch (error) {
+        alert('Fallo al crear el hogar: ' + error.message);
+    }
+}
+
+async function handleJoinHousehold(event) {
+    event.preventDefault();
+    const code = document.getElementById('household-join-code').value.trim();
+    if (!code) return;
+
+    try {
+        const result = await householdRequest('/hogar/unirse', { method: 'POST', body: JSON.stringify({ code }) });
+        document.getElementById('household-join-form').reset();
+        alert(`Te uniste a "${result.household.name}".${describeMovedPantry(result.moved)}`);
+        reloadPantry();
+    } catch (error) {
+        alert('Fallo al unirse al hogar: ' + error.message);
+    }
+}
+
+async function handleAcceptHouseholdInvitation(householdId) {
+    try {
+        const result = await householdRequest(`/hogar/invitaciones/recibidas/${householdId}`, { method: 'POST' });
+        alert(`Te uniste a "${result.household.name}".${describeMovedPantry(result.moved)}`);
+        reloadPantry();
+    } catch (error) {
+        alert('Fallo al aceptar la invitación: ' + error.message);
+    }
+}
+
+async function handleDeclineHouseholdInvitation(householdId) {
+    try {
+        await householdRequest(`/hogar/invitaciones/recibidas/${householdId}`, { method: 'DELETE' });
+        loadHousehold();
+    } catch (error) {
+        alert('Fallo al rechazar la invitación: ' + error.message);
+    }
+}
+
+async function handleInviteToHousehold(event) {
+    event.preventDefault();
+    const email = document.getElementById('household-invite-email').value.trim();
+    if (!email) return;
+
+    try {
+        await householdRequest('/hogar/invitaciones', { method: 'POST', body: JSON.stringify({ email }) });
+        document.getElementById('household-invite-form').reset();
+        loadHousehold();
+    } catch (error) {
+        alert('Fallo al invitar: ' + error.message);
+    }
+}
+
+async function handleCancelHouseholdInvitation(invitationId) {
+    try {
+        await householdRequest(`/hogar/invitaciones/${invitationId}`, { method: 'DELETE' });
+        loadHousehold();
+    } catch (error) {
+        alert('Fallo al cancelar la invitación: ' + error.message);
+    }
+}
+
+async function handleRegenerateHouseholdCode() {
+    if (!confirm('El código actual dejará de servir. ¿Generar uno nuevo?')) return;
+
+    try {
+        const { inviteCode } = await householdRequest('/hogar/codigo', { method: 'POST' });
+        document.getElementById('household-code').textContent = inviteCode;
+    } catch (error) {
+        alert('Fallo al generar el código: ' + error.message);
+    }
+}
+
+async function handleSetHouseholdRole(memberId, role) {
+    try {
+        await householdRequest(`/hogar/miembros/${memberId}`, { method: 'PATCH', body: JSON.stringify({ role }) });
+        loadHousehold();
+    } catch (error) {
+        alert('Fallo al cambiar el rol: ' + error.message);
+    }
+}
+
+async function handleRemoveHouseholdMember(member) {
+    if (!confirm(`¿Quitar a ${member.username || member.email} del hogar? Los alimentos que cargó quedan en el hogar.`)) return;
+
+    try {
+        await householdRequest(`/hogar/miembros/${member.userId}`, { method: 'DELETE' });
+        loadHousehold();
+    } catch (error) {
+        alert('Fallo al quitar al miembro: ' + error.message);
+    }
+}
+
+async function handleLeaveHousehold() {
+    if (!confirm('¿Salir del hogar? La despensa y la lista de compras quedan en el hogar.')) return;
+
+    try {
+        const result = await householdRequest('/hogar/salir', { method: 'POST' });
+        alert(result.message);
+        reloadPantry();
+    } catch (error) {
+        alert('Fallo al salir del hogar: ' + error.message);
+    }
+}
@@ -3,8 +3,51 @@
  * @brief Módulo de lógica del Frontend para la Gestión de Inventario, Perfil y Recetas.
  */
 
-const BACKEND_URL = 'http://localhost:3000/api';
-let currentUserId = null;
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js.
+
+// Días de anticipación con los que un alimento se considera "por vencer".
+const EXPIRING_SOON_DAYS = 3;
+
+// Recetas por página y última página cargada de la búsqueda actual ("Cargar más" pide la siguiente).
+const RECIPES_PAGE_SIZE = 6;
+let recipesPage = 1;
+// Semilla del orden aleatorio de la búsqueda actual (las páginas siguientes la repiten)
+let recipesSeed = null;
+
+// Selección de alimentos para buscar recetas (por ID). Por defecto se usan todos los que no
+// son básicos, así que se guardan los desmarcados y los obligatorios.
+const unselectedItemIds = new Set();
+const mustUseItemIds = new Set();
+
+// Alimentos por debajo de su cantidad mínima (último resultado de /inventario/bajo-stock)
+let lowStockItems = [];
+
+// Textos de los cambios del historial del inventario
+const HISTORY_ACTION_LABELS = {
+    create: 'Agregó', sum: 'Sumó', update: 'Editó', staple: 'Cambió básico', delete: 'Eliminó', consume: 'Cocinó',
+    move: 'Cambió de despensa', merge: 'Combinó con el hogar', undo: 'Deshizo un cambio',
+};
+
+// Opciones de las restricciones del perfil (los valores son los de Spoonacular, ver User_data.js)
+const INTOLERANCE_LABELS = {
+    'dairy': 'Lácteos', 'egg': 'Huevo', 'gluten': 'Gluten', 'grain': 'Cereales', 'peanut': 'Maní',
+    'seafood': 'Pescado', 'sesame': 'Sésamo', 'shellfish': 'Mariscos', 'soy': 'Soja',
+    'sulfite': 'Sulfitos', 'tree nut': 'Frutos secos', 'wheat': 'Trigo',
+};
+const CUISINE_LABELS = {
+    'african': 'Africana', 'asian': 'Asiática', 'american': 'Estadounidense', 'british': 'Británica',
+    'cajun': 'Cajún', 'caribbean': 'Caribeña', 'chinese': 'China', 'eastern european': 'Europa del Este',
+    'european': 'Europea', 'french': 'Francesa', 'german': 'Alemana', 'greek': 'Griega', 'indian': 'India',
+    'irish': 'Irlandesa', 'italian': 'Italiana', 'japanese': 'Japonesa', 'jewish': 'Judía', 'korean': 'Coreana',
+    'latin american': 'Latinoamericana', 'mediterranean': 'Mediterránea', 'mexican': 'Mexicana',
+    'middle eastern': 'Medio Oriente', 'nordic': 'Nórdica', 'southern': 'Sureña (EE. UU.)', 'spanish': 'Española',
+    'thai': 'Tailandesa', 'vietnamese': 'Vietnamita',
+};
+const MEAL_TYPE_LABELS = {
+    'main course': 'Plato principal', 'side dish': 'Guarnición', 'dessert': 'Postre', 'appetizer': 'Entrada',
+    'salad': 'Ensalada', 'bread': 'Pan', 'breakfast': 'Desayuno', 'soup': 'Sopa', 'beverage': 'Bebida',
+    'sauce': 'Salsa', 'marinade': 'Adobo', 'fingerfood': 'Bocaditos', 'snack': 'Snack', 'drink': 'Trago',
+};
 
 // =========================================================================
 // 1. INICIALIZACIÓN Y CARGA DE DATOS
@@ -14,10 +57,7 @@ let currentUserId = null;
  * @brief Punto de entrada principal al cargar el DOM.
  */
 document.addEventListener('DOMContentLoaded', () => {
-    const storedId = localStorage.getItem('userId');
-
-    if (storedId) {
-        currentUserId = storedId;
+    if (hasSession()) {
         initHome();
     } else {
         window.location.href = 'index.html'; 
@@ -28,20 +68,63 @@ document.addEventListener('DOMContentLoaded', () => {
  * @brief Inicializa la página, carga datos y conecta todos los listeners.
  */
 async function initHome() {
+    renderProfileOptions(); // Opciones de intolerancias, cocinas y tipos de comida
     await loadProfile(); // Carga las preferencias del usuario primero
     await loadInventory(); // Luego carga el inventario
     connectEventListeners(); // Finalmente, conecta todos los botones
+    initShoppingList(); // Lista de compras (shoppingList.js)
+    initMealPlanner(); // Plan semanal (mealPlanner.js)
+    initHousehold(); // Hogar y despensa compartida (household.js)
+    initStats(); // Estadísticas de la despensa (stats.js)
+    initStorage(); // Ubicaciones y categorías de los alimentos (storage.js)
+    initBarcode(); // Agregar por código de barras (barcode.js)
+    initItemParser(); // Agregar desde texto libre: voz o lista pegada (itemParser.js)
+    initInventoryTransfer(); // Exportar e importar el inventario (inventoryTransfer.js)
     setupAudioInput(); // Inicializa el reconocimiento de voz
 }
 
+/**
+ * @brief Agrega al panel de preferencias las opciones de intolerancias, cocinas y tipos de comida.
+ */
+function renderProfileOptions() {
+    document.getElementById('intolerances-options').innerHTML = Object.entries(INTOLERANCE_LABELS)
+        .map(([value, label]) => `<label class="inline-check"><input type="checkbox" name="intolerance" value="${value}"> ${label}</label>`)
+        .join('');
+
+    const cuisineOptions = Object.entries(CUISINE_LABELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    document.getElementById('preferredCuisines').innerHTML = cuisineOptions;
+    document.getElementById('avoidedCuisines').innerHTML = cuisineOptions;
+
+    document.getElementById('mealType').innerHTML += Object.entries(MEAL_TYPE_LABELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+}
+
+/**
+ * @brief Marca las opciones de un select múltiple (o checkboxes) cuyos valores están en la lista.
+ */
+function setSelectedValues(elements, values = []) {
+    [...elements].forEach(element => {
+        if (element.type === 'checkbox') element.checked = values.includes(element.value);
+        else element.selected = values.includes(element.value);
+    });
+}
+
+/**
+ * @brief Devuelve los valores seleccionados de un select múltiple.
+ */
+function getSelectedValues(selectId) {
+    return [...document.getElementById(selectId).selectedOptions].map(option => option.value);
+}
+
 /**
  * @brief Carga las preferencias del perfil del usuario y las muestra en el formulario.
  */
 async function loadProfile() {
-    if (!currentUserId) return;
-
     try {
-        const response = await fetch(`${BACKEND_URL}/profile?userId=${currentUserId}`);
+        const response = await apiFetch(`/profile`);
         if (!response.ok) {
             // No es un error crítico si no tiene perfil, puede que sea un usuario nuevo.
             console.warn('No se pudo cargar el perfil de usuario o aún no existe.');
@@ -55,6 +138,12 @@ async function loadProfile() {
         document.getElementById('maxCarbs').value = profile.maxCarbs || '';
         document.getElementById('maxProtein').value = profile.maxProtein || '';
         document.getElementById('maxSugar').value = profile.maxSugar || '';
+        setSelectedValues(document.querySelectorAll('input[name="intolerance"]'), profile.intolerances);
+        document.getElementById('excludedIngredients').value = (profile.excludedIngredients || []).join(', ');
+        setSelectedValues(document.getElementById('preferredCuisines').options, profile.preferredCuisines);
+        setSelectedValues(document.getElementById('avoidedCuisines').options, profile.avoidedCuisines);
+        document.getElementById('mealType').value = profile.mealType || '';
+        document.getElementById('maxReadyTime').value = profile.maxReadyTime || '';
 
     } catch (error) {
         console.error('Error cargando el perfil:', error);
@@ -63,22 +152,56 @@ async function loadProfile() {
 
 /**
  * @brief Carga y muestra el inventario del usuario desde el backend.
+ * * Aplica los filtros y la agrupación elegidos sobre la tabla (ver storage.js).
  */
 async function loadInventory() {
     try {
-        const response = await fetch(`${BACKEND_URL}/inventario?userId=${currentUserId}`); 
+        const response = await apiFetch(`/inventario${buildInventoryQuery()}`); 
         const data = await response.json();
 
         if (!response.ok) {
             throw new Error(data.error || 'Error al cargar el inventario.');
         }
-        renderInventory(data);
+        const groupBy = document.getElementById('inventory-group-by').value;
+        renderInventory(data, groupBy || null);
+        loadExpiringSoon();
+        loadLowStock();
     } catch (error) {
         console.error('Error al cargar el inventario:', error.message);
         alert('No se pudo conectar con el inventario: ' + error.message);
     }
 }
 
+/**
+ * @brief Carga los alimentos próximos a vencer y muestra el aviso "Usar pronto".
+ */
+async function loadExpiringSoon() {
+    try {
+        const response = await apiFetch(`/inventario/por-vencer?days=${EXPIRING_SOON_DAYS}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Error al cargar alimentos por vencer.');
+        renderExpiringSoon(data);
+    } catch (error) {
+        // No es crítico: el inventario ya se mostró.
+        console.warn('No se pudieron cargar los alimentos por vencer:', error.message);
+    }
+}
+
+/**
+ * @brief Carga los alimentos por debajo de su cantidad mínima: los resalta en la tabla y muestra el aviso "Poco stock".
+ */
+async function loadLowStock() {
+    try {
+        const response = await apiFetch('/inventario/bajo-stock');
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Error al cargar alimentos con poco stock.');
+        renderLowStock(data);
+    } catch (error) {
+        // No es crítico: el inventario ya se mostró.
+        console.warn('No se pudieron cargar los alimentos con poco stock:', error.message);
+    }
+}
+
 // =========================================================================
 // 2. MANEJO DE EVENTOS (Botones y Formularios)
 // =========================================================================
@@ -91,7 +214,8 @@ function connectEventListeners() {
     document.getElementById('add-item-form').addEventListener('submit', handleAddItem);
     
     // Botón principal de búsqueda de recetas
-    document.getElementById('search-recipes-btn').addEventListener('click', handleSearchRecipes);
+    document.getElementById('search-recipes-btn').addEventListener('click', () => handleSearchRecipes());
+    document.getElementById('load-more-recipes-btn').addEventListener('click', () => handleSearchRecipes(true));
 
     // Botón para guardar preferencias de perfil
     document.getElementById('save-prefs-btn').addEventListener('click', handleSavePreferences);
@@ -99,6 +223,20 @@ function connectEventListeners() {
     // Enlace para cerrar sesión
     document.getElementById('logout-link').addEventListener('click', handleLogout);
 
+    // Aviso "Poco stock": agregar todos los faltantes a la lista de compras
+    document.getElementById('low-stock-to-list-btn').addEventListener('click', handleLowStockToList);
+
+    // Historial del inventario: deshacer el último cambio y cerrar el historial de un alimento
+    document.getElementById('undo-change-btn').addEventListener('click', handleUndoLastChange);
+    document.getElementById('item-history-close').addEventListener('click', () => {
+        document.getElementById('item-history').style.display = 'none';
+    });
+
+    // Enlace a la consola de administración (solo para el grupo 'Admin')
+    if (localStorage.getItem('grupo') === 'Admin') {
+        document.getElementById('admin-link').style.display = 'inline';
+    }
+
     // Botón para mostrar/ocultar el panel de filtros
     const menuBtn = document.getElementById('menu-toggle-btn');
     const sidebar = document.getElementById('filter-sidebar');
@@ -126,10 +264,16 @@ async function handleSavePreferences() {
         maxCarbs: document.getElementById('maxCarbs').value || null,
         maxProtein: document.getElementById('maxProtein').value || null,
         maxSugar: document.getElementById('maxSugar').value || null,
+        intolerances: [...document.querySelectorAll('input[name="intolerance"]:checked')].map(checkbox => checkbox.value),
+        excludedIngredients: document.getElementById('excludedIngredients').value,
+        preferredCuisines: getSelectedValues('preferredCuisines'),
+        avoidedCuisines: getSelectedValues('avoidedCuisines'),
+        mealType: document.getElementById('mealType').value || null,
+        maxReadyTime: document.getElementById('maxReadyTime').value || null,
     };
 
     try {
-        const response = await fetch(`${BACKEND_URL}/profile?userId=${currentUserId}`, {
+        const response = await apiFetch(`/profile`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(profileData)
@@ -137,7 +281,9 @@ async function handleSavePreferences() {
 
         const result = await response.json();
         if (!response.ok) {
-            throw new Error(result.error || 'Error al guardar las preferencias.');
+            // Los errores de validación traen el detalle de cada campo
+            const details = result.details ? Object.values(result.details).map(detail => detail.message).join('\n') : '';
+            throw new Error(`${result.error || 'Error al guardar las preferencias.'}${details ? `\n${details}` : ''}`);
         }
 
         alert('¡Preferencias guardadas con éxito!');
@@ -152,15 +298,20 @@ async function handleSavePreferences() {
 }
 
 /**
- * @brief Maneja la búsqueda de recetas, aplicando los filtros actuales del formulario.
+ * @brief Maneja la búsqueda de recetas, aplicando los filtros y el orden actuales del formulario.
+ * @param {boolean} loadMore Si es true pide la página siguiente y la agrega a las recetas ya mostradas.
  */
-async function handleSearchRecipes() {
+async function handleSearchRecipes(loadMore = false) {
     // 1. Leer los filtros actuales del formulario
     const diet = document.getElementById('diet_preference').value;
     const maxCalories = document.getElementById('maxCalories').value;
     const maxCarbs = document.getElementById('maxCarbs').value;
     const maxProtein = document.getElementById('maxProtein').value;
     const maxSugar = document.getElementById('maxSugar').value; 
+    const preferredCuisines = getSelectedValues('preferredCuisines');
+    const avoidedCuisines = getSelectedValues('avoidedCuisines');
+    const mealType = document.getElementById('mealType').value;
+    const maxReadyTime = document.getElementById('maxReadyTime').value;
 
     // 2. Construir el string de parámetros de consulta para los filtros
     let filterParams = '';
@@ -169,10 +320,22 @@ async function handleSearchRecipes() {
     if (maxCarbs) filterParams += `&maxCarbs=${maxCarbs}`;
     if (maxProtein) filterParams += `&maxProtein=${maxProtein}`;
     if (maxSugar) filterParams += `&maxSugar=${maxSugar}`;
+    // Las intolerancias y los ingredientes excluidos del perfil los aplica siempre el backend
+    if (preferredCuisines.length > 0) filterParams += `&cuisine=${encodeURIComponent(preferredCuisines.join(','))}`;
+    if (avoidedCuisines.length > 0) filterParams += `&excludeCuisine=${encodeURIComponent(avoidedCuisines.join(','))}`;
+    if (mealType) filterParams += `&type=${encodeURIComponent(mealType)}`;
+    if (maxReadyTime) filterParams += `&maxReadyTime=${maxReadyTime}`;
+    if (document.getElementById('prioritize-expiring').checked) filterParams += '&prioritizeExpiring=true';
+    filterParams += `&sort=${document.getElementById('recipe-sort').value}`;
+    filterParams += buildSelectionParams();
+
+    const page = loadMore ? recipesPage + 1 : 1;
+    filterParams += `&page=${page}&pageSize=${RECIPES_PAGE_SIZE}`;
+    if (loadMore && recipesSeed !== null) filterParams += `&seed=${recipesSeed}`;
 
     try {
         // 3. Llamar al backend. El backend se encarga de la traducción y de pasar todo a Spoonacular.
-        const response = await fetch(`${BACKEND_URL}/recetas/inventario?userId=${currentUserId}${filterParams}`);
+        const response = await apiFetch(`/recetas/inventario?${filterParams.slice(1)}`);
         const data = await response.json();
 
         if (!response.ok) {
@@ -180,23 +343,28 @@ async function handleSearchRecipes() {
         }
 
         // 4. Renderizar los resultados y mostrar el panel
+        recipesPage = data.page;
+        recipesSeed = data.seed ?? null;
         document.querySelector('.home-container').classList.add('recipe-view-active');
-        renderRecipes(data);
+        renderRecipes(data.results, { append: loadMore, total: data.total, hasMore: data.hasMore });
 
     } catch (error) {
         console.error('Fallo al buscar recetas:', error.message);
         alert('Fallo al buscar recetas: ' + error.message);
-        document.querySelector('.home-container').classList.remove('recipe-view-active');
-        renderRecipes([]);
+        // Si falla "Cargar más" se conservan las recetas ya mostradas
+        if (!loadMore) {
+            document.querySelector('.home-container').classList.remove('recipe-view-active');
+            renderRecipes([]);
+        }
     }
 }
 
 /**
  * @brief Maneja el cierre de sesión.
  */
-function handleLogout(event) {
+async function handleLogout(event) {
     event.preventDefault();
-    localStorage.removeItem('userId');
+    await logout();
     window.location.href = 'index.html';
 }
 
@@ -209,12 +377,27 @@ async function handleAddItem(event) {
     const article_name = document.getElementById('article_name').value;
     const quantity = document.getElementById('quantity').value;
     const unit = document.getElementById('unit').value;
-    await sendItemToBackend(article_name, quantity, unit);
+    const dates = {
+        purchaseDate: document.getElementById('purchaseDate').value || undefined,
+        expiryDate: document.getElementById('expiryDate').value || undefined
+    };
+    // Peso por unidad opcional: permite combinar "unidades" con gramos/kilogramos
+    const unitWeight = document.getElementById('unitWeight').value || undefined;
+    const location = document.getElementById('item-location').value || undefined;
+    const category = document.getElementById('item-category').value || undefined;
+    await sendItemToBackend(article_name, quantity, unit, { ...dates, unitWeight, location, category });
 }
 
-async function sendItemToBackend(article_name, quantity, unit) {
+/**
+ * @brief Crea, suma o reemplaza un alimento según exista o no en el inventario.
+ * La cantidad admite decimales y el backend convierte entre unidades compatibles
+ * (ej: sumar 500 gramos a un alimento cargado en kilogramos).
+ * @param {object} extra - Datos opcionales: fechas del lote ({ purchaseDate, expiryDate } en formato AAAA-MM-DD), 'unitWeight'
+ *   y, al crear el alimento, 'location' y 'category'.
+ */
+async function sendItemToBackend(article_name, quantity, unit, extra = {}) {
     const cleanArticleName = article_name ? article_name.toLowerCase().trim() : '';
-    const parsedQuantity = parseInt(quantity);
+    const parsedQuantity = parseFloat(quantity);
 
     if (!cleanArticleName || isNaN(parsedQuantity) || parsedQuantity <= 0) {
         return { success: false, message: 'El nombre o la cantidad son inválidos.' };
@@ -222,39 +405,40 @@ async function sendItemToBackend(article_name, quantity, unit) {
 
     try {
         let finalResponse, finalAction;
-        const checkResponse = await fetch(`${BACKEND_URL}/inventario/check?name=${cleanArticleName}&userId=${currentUserId}`);
+        const checkResponse = await apiFetch(`/inventario/check?name=${encodeURIComponent(cleanArticleName)}`);
         const checkData = await checkResponse.json();
 
         if (checkResponse.ok && checkData.exists) {
-            const action = confirm(`El alimento "${cleanArticleName}" ya existe. ¿Deseas SUMAR la nueva cantidad?`);
+            const action = confirm(`El alimento "${cleanArticleName}" ya existe (${checkData.quantity} ${checkData.unit}). ¿Deseas SUMAR la nueva cantidad?`);
             const existingId = checkData.id;
             if (action) {
                 finalAction = 'Sumar';
-                finalResponse = await fetch(`${BACKEND_URL}/inventario/${existingId}/sumar?userId=${currentUserId}`, {
+                finalResponse = await apiFetch(`/inventario/${existingId}/sumar`, {
                     method: 'PATCH',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ quantity: parsedQuantity })
+                    body: JSON.stringify({ quantity: parsedQuantity, unit: unit, ...extra })
                 });
             } else {
                 finalAction = 'Reemplazar';
-                finalResponse = await fetch(`${BACKEND_URL}/inventario/${existingId}?userId=${currentUserId}`, {
+                finalResponse = await apiFetch(`/inventario/${existingId}`, {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ quantity: parsedQuantity, unit: unit, article_name: cleanArticleName })
+                    body: JSON.stringify({ quantity: parsedQuantity, unit: unit, article_name: cleanArticleName, ...extra })
                 });
             }
         } else {
             finalAction = 'Crear';
-            finalResponse = await fetch(`${BACKEND_URL}/inventario?userId=${currentUserId}`, {
+            finalResponse = await apiFetch(`/inventario`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ article_name: cleanArticleName, quantity: parsedQuantity, unit: unit })
+                body: JSON.stringify({ article_name: cleanArticleName, quantity: parsedQuantity, unit: unit, ...extra })
             });
         }
 
         const result = await finalResponse.json();
         if (!finalResponse.ok) throw new Error(result.error || `Error en ${finalAction}.`);
         
+        notifyRestocked(result.restocked);
         loadInventory();
         document.getElementById('add-item-form').reset();
         return { success: true, message: `Operación (${finalAction}) completada.` };
@@ -270,7 +454,7 @@ async function handleDeleteItem(alimentoId) {
     if (!confirm('¿Estás seguro de que quieres eliminar este alimento?')) return;
 
     try {
-        const response = await fetch(`${BACKEND_URL}/inventario/${alimentoId}?userId=${currentUserId}`, {
+        const response = await apiFetch(`/inventario/${alimentoId}`, {
             method: 'DELETE',
         });
         const result = await response.json();
@@ -288,28 +472,31 @@ async function handleUpdateItem(alimentoId) {
     const row = document.getElementById(`inventory-item-${alimentoId}`);
     if (!row) return;
 
-    const nombreActual = row.cells[0].textContent;
-    const cantidadActual = row.cells[1].textContent;
-    const unidadActual = row.cells[2].textContent;
+    const nombreActual = row.dataset.name;
+    const cantidadActual = row.dataset.quantity;
+    const unidadActual = row.dataset.unit;
+    const vencimientoActual = row.dataset.expiryDate || '';
 
     const nuevoNombre = prompt("Nombre del artículo:", nombreActual);
     const nuevaCantidad = prompt("Nueva cantidad:", cantidadActual);
     const nuevaUnidad = prompt("Nueva unidad:", unidadActual);
+    const nuevoVencimiento = prompt("Fecha de vencimiento (AAAA-MM-DD, vacío si no tiene):", vencimientoActual);
 
-    if (nuevoNombre === null || nuevaCantidad === null || nuevaUnidad === null) {
+    if (nuevoNombre === null || nuevaCantidad === null || nuevaUnidad === null || nuevoVencimiento === null) {
         alert("Actualización cancelada.");
         return;
     }
     try {
-        const response = await fetch(`${BACKEND_URL}/inventario/${alimentoId}?userId=${currentUserId}`, {
+        const response = await apiFetch(`/inventario/${alimentoId}`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ article_name: nuevoNombre, quantity: nuevaCantidad, unit: nuevaUnidad })
+            body: JSON.stringify({ article_name: nuevoNombre, quantity: nuevaCantidad, unit: nuevaUnidad, expiryDate: nuevoVencimiento.trim() || null })
         });
         const result = await response.json();
         if (!response.ok) throw new Error(result.error || 'Error al actualizar.');
         
         alert('Alimento actualizado.');
+        notifyRestocked(result.restocked);
         loadInventory();
     } catch (error) {
         console.error('Fallo al actualizar:', error.message);
@@ -321,35 +508,419 @@ async function handleUpdateItem(alimentoId) {
 // 4. RENDERIZADO Y UI
 // =========================================================================
 
-function renderInventory(inventory) {
+/**
+ * @brief Muestra el inventario en la tabla.
+ * @param {Array} data Los alimentos, o los grupos [{ key, items }] si se agrupó.
+ * @param {string|null} groupBy 'location' o 'category' si 'data' viene agrupado: cada grupo
+ *   tiene un encabezado que lo colapsa o expande.
+ */
+function renderInventory(data, groupBy = null) {
     const tableBody = document.getElementById('inventory-body');
     if (!tableBody) return;
     tableBody.innerHTML = '';
 
-    if (inventory.length === 0) {
-        tableBody.innerHTML = '<tr><td colspan="4">No hay ingredientes en tu inventario.</td></tr>';
+    if (data.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="7">No hay ingredientes en tu inventario.</td></tr>';
         return;
     }
 
-    inventory.forEach(item => {
-        const row = tableBody.insertRow();
-        row.id = `inventory-item-${item._id}`;
-        row.insertCell().textContent = item.article_name;
-        row.insertCell().textContent = item.quantity;
-        row.insertCell().textContent = item.unit;
-        row.insertCell().innerHTML = `
-            <button onclick="handleUpdateItem('${item._id}')">Actualizar</button>
-            <button onclick="handleDeleteItem('${item._id}')">Eliminar</button>
-        `;
+    if (!groupBy) {
+        data.forEach(item => renderInventoryRow(tableBody, item));
+        return;
+    }
+
+    data.forEach(group => {
+        const groupId = `${groupBy}:${group.key}`;
+        const header = tableBody.insertRow();
+        header.className = 'inventory-group';
+        const cell = header.insertCell();
+        cell.colSpan = 7;
+        cell.textContent = describeInventoryGroup(groupBy, group.key, group.items.length);
+        header.addEventListener('click', () => {
+            if (collapsedInventoryGroups.has(groupId)) collapsedInventoryGroups.delete(groupId);
+            else collapsedInventoryGroups.add(groupId);
+            cell.textContent = describeInventoryGroup(groupBy, group.key, group.items.length);
+            rows.forEach(row => { row.style.display = collapsedInventoryGroups.has(groupId) ? 'none' : ''; });
+        });
+
+        const rows = group.items.map(item => renderInventoryRow(tableBody, item));
+        rows.forEach(row => { row.style.display = collapsedInventoryGroups.has(groupId) ? 'none' : ''; });
+    });
+}
+
+/**
+ * @brief Agrega a la tabla la fila de un alimento.
+ * @returns {HTMLTableRowElement} La fila creada.
+ */
+function renderInventoryRow(tableBody, item) {
+    const row = tableBody.insertRow();
+    row.id = `inventory-item-${item._id}`;
+    row.dataset.itemId = item._id;
+    row.dataset.name = item.article_name;
+    row.dataset.quantity = item.quantity;
+    row.dataset.unit = item.unit;
+    row.dataset.location = item.location || '';
+    row.dataset.category = item.category || '';
+    if (item.minQuantity !== null && item.minQuantity !== undefined) {
+        row.dataset.minQuantity = item.minQuantity;
+        row.dataset.minUnit = item.minUnit || item.unit;
+    }
+    if (item.staple) {
+        row.dataset.staple = 'true';
+        row.classList.add('item-staple');
+    }
+
+    // Selección para la búsqueda de recetas (los básicos se dan por disponibles)
+    const useCheckbox = document.createElement('input');
+    useCheckbox.type = 'checkbox';
+    useCheckbox.className = 'use-item-checkbox';
+    useCheckbox.checked = !item.staple && !unselectedItemIds.has(item._id);
+    useCheckbox.disabled = Boolean(item.staple);
+    useCheckbox.title = item.staple ? 'Básico: se da por disponible' : 'Usar en la búsqueda de recetas';
+    useCheckbox.addEventListener('change', () => {
+        if (useCheckbox.checked) unselectedItemIds.delete(item._id);
+        else unselectedItemIds.add(item._id);
+    });
+    row.insertCell().appendChild(useCheckbox);
+
+    const mustUseCheckbox = document.createElement('input');
+    mustUseCheckbox.type = 'checkbox';
+    mustUseCheckbox.className = 'must-use-checkbox';
+    mustUseCheckbox.checked = mustUseItemIds.has(item._id);
+    mustUseCheckbox.title = 'La receta debe usar este alimento';
+    mustUseCheckbox.addEventListener('change', () => {
+        if (mustUseCheckbox.checked) mustUseItemIds.add(item._id);
+        else mustUseItemIds.delete(item._id);
+    });
+    row.insertCell().appendChild(mustUseCheckbox);
+
+    const nameCell = row.insertCell();
+    nameCell.textContent = item.staple ? `🧂 ${item.article_name}` : item.article_name;
+    nameCell.title = [item.location && `Ubicación: ${item.location}`, item.category && `Categoría: ${item.category}`].filter(Boolean).join('\n');
+    row.insertCell().textContent = item.quantity;
+    row.insertCell().textContent = item.unit;
+
+    // Vencimiento más próximo entre los lotes del alimento (resaltado si vence pronto)
+    const expiryCell = row.insertCell();
+    if (item.expiryDate) {
+        const daysLeft = getDaysLeft(item.expiryDate);
+        row.dataset.expiryDate = item.expiryDate.slice(0, 10);
+        expiryCell.textContent = formatDate(item.expiryDate);
+        if (item.lots && item.lots.length > 1) {
+            expiryCell.title = item.lots
+                .map(lot => `${lot.quantity} ${item.unit}: ${lot.expiryDate ? formatDate(lot.expiryDate) : 'sin vencimiento'}`)
+                .join('\n');
+        }
+        if (daysLeft < 0) {
+            row.classList.add('item-expired');
+        } else if (daysLeft <= EXPIRING_SOON_DAYS) {
+            row.classList.add('item-expiring');
+        }
+    } else {
+        expiryCell.textContent = '-';
+    }
+
+    row.insertCell().innerHTML = `
+        <button onclick="handleUpdateItem('${item._id}')">Actualizar</button>
+        <button onclick="handleToggleStaple('${item._id}', ${!item.staple})">${item.staple ? 'Quitar básico' : '🧂 Básico'}</button>
+        <button onclick="handleSetMinimum('${item._id}')" title="${describeMinimum(item)}">📉 Mínimo</button>
+        <button onclick="handleDeleteItem('${item._id}')">Eliminar</button>
+        <button onclick="handleMoveItem('${item._id}')" title="Cambiar ubicación o categoría">📍 Mover</button>
+        <button onclick="handleShowItemHistory('${item._id}')" title="Historial de cambios">🕓</button>
+    `;
+    return row;
+}
+
+/**
+ * @brief Arma los parámetros de selección de alimentos para la búsqueda de recetas.
+ * * Solo envía 'include' si se desmarcó algún alimento (así la búsqueda con todo el inventario
+ * no cambia), 'mustUse' con los obligatorios y 'exclude' con el texto de ingredientes excluidos.
+ */
+function buildSelectionParams() {
+    let params = '';
+    const rows = [...document.querySelectorAll('#inventory-body tr[data-item-id]')];
+    const selectable = rows.filter(row => row.dataset.staple !== 'true');
+    const selected = selectable.filter(row => !unselectedItemIds.has(row.dataset.itemId));
+    if (selected.length < selectable.length) {
+        params += `&include=${selected.map(row => row.dataset.itemId).join(',')}`;
+    }
+
+    const mustUse = rows.map(row => row.dataset.itemId).filter(id => mustUseItemIds.has(id));
+    if (mustUse.length > 0) params += `&mustUse=${mustUse.join(',')}`;
+
+    const exclude = document.getElementById('exclude-ingredients').value.trim();
+    if (exclude) params += `&exclude=${encodeURIComponent(exclude)}`;
+    return params;
+}
+
+/**
+ * @brief Marca o desmarca un alimento como básico (sal, aceite, agua...).
+ */
+async function handleToggleStaple(itemId, staple) {
+    try {
+        const response = await apiFetch(`/inventario/${itemId}/basico`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ staple })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'No se pudo actualizar el alimento.');
+        loadInventory();
+    } catch (error) {
+        alert('Fallo al marcar el alimento: ' + error.message);
+    }
+}
+
+// =========================================================================
+// STOCK MÍNIMO
+// =========================================================================
+
+/**
+ * @brief Texto de la cantidad mínima de un alimento (para el título del botón "Mínimo").
+ */
+function describeMinimum(item) {
+    if (item.minQuantity === null || item.minQuantity === undefined) return 'Sin cantidad mínima';
+    return `Mínimo: ${item.minQuantity} ${item.minUnit || item.unit}${item.autoRestock ? ' (se agrega solo a la lista de compras)' : ''}`;
+}
+
+/**
+ * @brief Pide y guarda la cantidad mínima de un alimento (vacío la quita).
+ * * La unidad puede ser otra convertible (ej: mínimo en gramos de un alimento en kilogramos).
+ */
+async function handleSetMinimum(alimentoId) {
+    const row = document.getElementById(`inventory-item-${alimentoId}`);
+    if (!row) return;
+
+    const minQuantity = prompt(`Cantidad mínima de "${row.dataset.name}" (vacío para quitarla):`, row.dataset.minQuantity || '');
+    if (minQuantity === null) return;
+
+    let body = { minQuantity: null };
+    if (minQuantity.trim()) {
+        const minUnit = prompt('Unidad de la cantidad mínima:', row.dataset.minUnit || row.dataset.unit);
+        if (minUnit === null) return;
+        const autoRestock = confirm('¿Agregarlo solo a la lista de compras cuando baje del mínimo?');
+        body = { minQuantity: parseFloat(minQuantity.replace(',', '.')), minUnit: normalizeUnit(minUnit), autoRestock };
+    }
+
+    try {
+        const response = await apiFetch(`/inventario/${alimentoId}/minimo`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'No se pudo guardar la cantidad mínima.');
+        loadInventory();
+    } catch (error) {
+        alert('Fallo al guardar la cantidad mínima: ' + error.message);
+    }
+}
+
+/**
+ * @brief Avisa qué alimentos se agregaron solos a la lista de compras por bajar de su mínimo.
+ */
+function notifyRestocked(restocked) {
+    if (!restocked || restocked.length === 0) return;
+    alert(`Quedaron por debajo de su mínimo y se agregaron a la lista de compras: ${restocked.join(', ')}`);
+    loadShoppingList();
+}
+
+/**
+ * @brief Resalta en la tabla los alimentos con poco stock y muestra el aviso "Poco stock" (o lo oculta si no hay).
+ */
+function renderLowStock(items) {
+    const box = document.getElementById('low-stock-alert');
+    const list = document.getElementById('low-stock-list');
+    list.innerHTML = '';
+    lowStockItems = items;
+
+    items.forEach(item => {
+        const row = document.getElementById(`inventory-item-${item._id}`);
+        if (row) {
+            row.classList.add('item-low-stock');
+            row.title = `Por debajo del mínimo (${item.minQuantity} ${item.minUnit || item.unit})`;
+        }
+
+        const li = document.createElement('li');
+        li.textContent = `${item.article_name}: quedan ${item.quantity} ${item.unit}, faltan ${item.missing.quantity} ${item.missing.unit} para el mínimo`;
+        list.appendChild(li);
     });
+    box.style.display = items.length > 0 ? 'block' : 'none';
 }
 
-function renderRecipes(recipes) {
+/**
+ * @brief Agrega a la lista de compras lo que falta de cada alimento con poco stock.
+ */
+async function handleLowStockToList() {
+    try {
+        for (const item of lowStockItems) {
+            const response = await apiFetch('/lista-compras', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ article_name: item.article_name, quantity: item.missing.quantity, unit: item.missing.unit })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'No se pudo agregar a la lista de compras.');
+        }
+        alert(`Se agregaron ${lowStockItems.length} alimento(s) a la lista de compras.`);
+        loadShoppingList();
+    } catch (error) {
+        alert('Fallo al agregar a la lista de compras: ' + error.message);
+    }
+}
+
+// =========================================================================
+// HISTORIAL DEL INVENTARIO
+// =========================================================================
+
+/**
+ * @brief Deshace el último cambio del usuario en el inventario (se puede repetir).
+ */
+async function handleUndoLastChange() {
+    try {
+        const response = await apiFetch('/inventario/historial/deshacer', { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'No se pudo deshacer el cambio.');
+
+        alert(result.message);
+        loadInventory();
+        document.getElementById('item-history').style.display = 'none';
+    } catch (error) {
+        alert('Fallo al deshacer: ' + error.message);
+    }
+}
+
+/**
+ * @brief Muestra el historial de cambios de un alimento debajo del inventario.
+ */
+async function handleShowItemHistory(alimentoId) {
+    const row = document.getElementById(`inventory-item-${alimentoId}`);
+    const box = document.getElementById('item-history');
+    const list = document.getElementById('item-history-list');
+    document.getElementById('item-history-title').textContent = `Historial de "${row ? row.dataset.name : ''}"`;
+    list.innerHTML = '<li>Cargando historial...</li>';
+    box.style.display = 'block';
+
+    try {
+        const response = await apiFetch(`/inventario/historial?alimentoId=${alimentoId}&limit=50`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Error al cargar el historial.');
+
+        list.innerHTML = '';
+        if (data.entries.length === 0) {
+            list.innerHTML = '<li>Sin cambios registrados.</li>';
+            return;
+        }
+        data.entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.textContent = describeHistoryEntry(entry);
+            if (entry.undoneAt) {
+                li.className = 'history-undone';
+                li.title = `Deshecho${entry.undoneBy ? ` por ${entry.undoneBy.username}` : ''}`;
+            }
+            list.appendChild(li);
+        });
+    } catch (error) {
+        list.innerHTML = `<li style="color: red;">Error: ${error.message}</li>`;
+    }
+}
+
+/**
+ * @brief Texto de un cambio del historial (ej: "24/05/2025 10:30 — juan: Sumó 1 kilogramos → 1.5 kilogramos").
+ */
+function describeHistoryEntry(entry) {
+    const date = new Date(entry.createdAt);
+    const when = `${formatDate(entry.createdAt)} ${date.toTimeString().slice(0, 5)}`;
+    const who = entry.user ? entry.user.username : 'usuario eliminado';
+    const amount = snapshot => snapshot ? `${snapshot.quantity} ${snapshot.unit}` : '—';
+
+    let detail;
+    if (entry.action === 'staple') {
+        detail = entry.after.staple ? 'Marcó como básico' : 'Quitó de básicos';
+    } else if (entry.action === 'create') {
+        detail = `${HISTORY_ACTION_LABELS.create} ${amount(entry.after)}`;
+    } else if (entry.action === 'move') {
+        detail = entry.after.household ? 'Pasó a la despensa del hogar' : 'Volvió a la despensa personal';
+    } else if (entry.action === 'undo') {
+        detail = `${HISTORY_ACTION_LABELS.undo}: ${amount(entry.before)} → ${entry.after ? amount(entry.after) : 'eliminado'}`;
+    } else if (entry.action === 'delete') {
+        detail = `${HISTORY_ACTION_LABELS.delete} (tenía ${amount(entry.before)})`;
+    } else {
+        detail = `${HISTORY_ACTION_LABELS[entry.action] || entry.action}: ${amount(entry.before)} → ${entry.after ? amount(entry.after) : 'se terminó'}`;
+        if (entry.after && entry.before.article_name !== entry.after.article_name) {
+            detail += ` (nombre: "${entry.before.article_name}" → "${entry.after.article_name}")`;
+        }
+    }
+    return `${when} — ${who}: ${detail}${entry.undoneAt ? ' (deshecho)' : ''}`;
+}
+
+/**
+ * @brief Calcula los días que faltan hasta una fecha (negativo si ya pasó).
+ */
+function getDaysLeft(dateValue) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const date = new Date(dateValue.slice(0, 10) + 'T00:00:00');
+    return Math.round((date - today) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * @brief Formatea una fecha ISO como DD/MM/AAAA (sin desfase de zona horaria).
+ */
+function formatDate(dateValue) {
+    const [year, month, day] = dateValue.slice(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * @brief Texto amigable para los días restantes de un alimento.
+ */
+function describeDaysLeft(daysLeft) {
+    if (daysLeft < 0) return `venció hace ${-daysLeft} día(s)`;
+    if (daysLeft === 0) return 'vence hoy';
+    return `vence en ${daysLeft} día(s)`;
+}
+
+/**
+ * @brief Muestra el aviso "Usar pronto" con los alimentos por vencer (o lo oculta si no hay).
+ */
+function renderExpiringSoon(items) {
+    const box = document.getElementById('expiring-alert');
+    const list = document.getElementById('expiring-list');
+    if (!box || !list) return;
+    list.innerHTML = '';
+
+    if (items.length === 0) {
+        box.style.display = 'none';
+        return;
+    }
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = `${item.article_name} (${item.quantity} ${item.unit}) — ${describeDaysLeft(item.daysLeft)}`;
+        if (item.daysLeft < 0) li.className = 'expired';
+        list.appendChild(li);
+    });
+    box.style.display = 'block';
+}
+
+/**
+ * @brief Muestra las tarjetas de recetas.
+ * @param {Array} recipes Recetas de la página.
+ * @param {object} pageInfo { append, total, hasMore }: si se agregan a las ya mostradas, el total
+ *   de recetas encontradas y si hay más páginas (muestra el botón "Cargar más").
+ */
+function renderRecipes(recipes, pageInfo = {}) {
     const cardContainer = document.getElementById('recipes-list-cards');
     if (!cardContainer) return;
-    cardContainer.innerHTML = '';
+    if (!pageInfo.append) cardContainer.innerHTML = '';
+
+    const loadMoreBtn = document.getElementById('load-more-recipes-btn');
+    loadMoreBtn.style.display = pageInfo.hasMore ? 'block' : 'none';
 
-    if (!recipes || recipes.length === 0) {
+    const summary = document.getElementById('recipes-summary');
+    if (!recipes || (recipes.length === 0 && !pageInfo.append)) {
+        summary.textContent = '';
         cardContainer.innerHTML = '<p>No se encontraron recetas.</p>';
         return;
     }
@@ -359,17 +930,130 @@ function renderRecipes(recipes) {
         card.className = 'recipe-card';
         
         const missingList = (recipe.missedIngredients || []).map(item => item.original).join('\n- ');
-        const tooltipText = `Faltan (${recipe.missedIngredientCount || 0}):\n- ${missingList}`;
+        let tooltipText = `Faltan (${recipe.missedIngredientCount || 0}):\n- ${missingList}`;
+        if (recipe.stapleIngredients && recipe.stapleIngredients.length > 0) {
+            tooltipText += `\nBásicos: ${recipe.stapleIngredients.join(', ')}`;
+        }
         card.setAttribute('data-tooltip', tooltipText);
         
         card.addEventListener('click', () => handleViewRecipeDetails(recipe.id));
 
-        card.innerHTML = `
-            <img src="${recipe.image}" alt="${recipe.title}">
-            <h3>${recipe.title}</h3>
-        `;
+        // Las recetas del catálogo local pueden no tener imagen
+        if (recipe.image) {
+            const image = document.createElement('img');
+            image.src = recipe.image;
+            image.alt = recipe.title;
+            card.appendChild(image);
+        }
+        card.appendChild(createTextElement('h3', recipe.title));
+
+        // Las recetas escritas por usuarios muestran su autor
+        if (recipe.source === 'usuario') {
+            const authorLabel = document.createElement('p');
+            authorLabel.className = 'recipe-author';
+            authorLabel.textContent = `👤 Receta de ${recipe.author || 'un usuario'}`;
+            card.appendChild(authorLabel);
+        }
+
+        // Indicador de los ingredientes por vencer que aprovecha la receta
+        if (recipe.expiringIngredients && recipe.expiringIngredients.length > 0) {
+            const badge = document.createElement('p');
+            badge.className = 'expiring-badge';
+            badge.textContent = `⏳ Usa: ${recipe.expiringIngredients.map(ing => `${ing.article_name} (${describeDaysLeft(ing.daysLeft)})`).join(', ')}`;
+            card.appendChild(badge);
+        }
+
+        // Aviso de los ingredientes que no cumplen las restricciones del perfil
+        if (recipe.allergenWarnings && recipe.allergenWarnings.length > 0) {
+            const allergenBadge = document.createElement('p');
+            allergenBadge.className = 'allergen-badge';
+            allergenBadge.textContent = `⚠️ ${describeAllergenWarnings(recipe.allergenWarnings)}`;
+            card.appendChild(allergenBadge);
+        }
+
+        // Agregar los faltantes a la lista de compras sin abrir el modal
+        if (recipe.missedIngredientCount > 0) {
+            const shoppingBtn = document.createElement('button');
+            shoppingBtn.type = 'button';
+            shoppingBtn.className = 'recipe-shopping-btn';
+            shoppingBtn.textContent = `🛒 Agregar faltantes (${recipe.missedIngredientCount})`;
+            shoppingBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                handleAddMissingToShoppingList(recipe.id);
+            });
+            card.appendChild(shoppingBtn);
+        }
         cardContainer.appendChild(card);
     });
+
+    const shown = cardContainer.querySelectorAll('.recipe-card').length;
+    // 'total' es una cota superior (no descuenta los alimentos obligatorios): al terminar se muestran las reales
+    summary.textContent = pageInfo.hasMore
+        ? `Mostrando ${shown} de hasta ${pageInfo.total} recetas encontradas.`
+        : `Mostrando ${shown} recetas encontradas.`;
+}
+
+/**
+ * @brief Texto de los avisos de restricciones de una receta (ej: "Contiene: butter (Lácteos), cilantro (excluido)").
+ */
+function describeAllergenWarnings(warnings) {
+    const items = warnings.map(warning => warning.type === 'intolerance'
+        ? `${warning.ingredient} (${INTOLERANCE_LABELS[warning.reason] || warning.reason})`
+        : `${warning.ingredient} (excluido: ${warning.reason})`);
+    return `Contiene: ${items.join(', ')}`;
+}
+
+/**
+ * @brief Crea un elemento con un texto (sin interpretarlo como HTML).
+ */
+function createTextElement(tag, text, className = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * @brief Completa el modal de detalles con los textos de la receta: título, imagen, autor,
+ * avisos, ingredientes e instrucciones.
+ * * Todo se agrega como texto. Solo las instrucciones del proveedor (que vienen en HTML) se
+ * insertan como HTML; los pasos de las recetas de usuarios llegan como texto en 'steps'.
+ */
+function renderRecipeDetailTexts(recipeDetails) {
+    const header = document.getElementById('recipe-detail-header');
+    header.appendChild(createTextElement('h2', recipeDetails.title));
+    if (recipeDetails.image) {
+        const image = document.createElement('img');
+        image.src = recipeDetails.image;
+        image.alt = recipeDetails.title;
+        header.appendChild(image);
+    }
+    if (recipeDetails.source === 'usuario') {
+        const tags = recipeDetails.tags && recipeDetails.tags.length > 0 ? ` · ${recipeDetails.tags.join(', ')}` : '';
+        header.appendChild(createTextElement('p', `👤 Receta de ${recipeDetails.author || 'un usuario'}${tags}`, 'recipe-author'));
+    }
+    if (recipeDetails.allergenWarnings && recipeDetails.allergenWarnings.length > 0) {
+        header.appendChild(createTextElement('p', `⚠️ Revisa esta receta. ${describeAllergenWarnings(recipeDetails.allergenWarnings)}`, 'allergen-warning'));
+    }
+
+    const ingredients = document.getElementById('recipe-detail-ingredients');
+    (recipeDetails.extendedIngredients || []).forEach(ing => ingredients.appendChild(createTextElement('li', ing.original)));
+
+    const instructions = document.getElementById('recipe-detail-instructions');
+    if (recipeDetails.source === 'usuario') {
+        const steps = recipeDetails.steps || [];
+        if (steps.length > 0) {
+            const list = document.createElement('ol');
+            steps.forEach(step => list.appendChild(createTextElement('li', step)));
+            instructions.appendChild(list);
+        } else {
+            instructions.appendChild(createTextElement('p', 'Instrucciones no disponibles.'));
+        }
+    } else if (recipeDetails.instructions) {
+        instructions.innerHTML = recipeDetails.instructions;
+    } else {
+        instructions.appendChild(createTextElement('p', 'Instrucciones no disponibles.'));
+    }
 }
 
 async function handleViewRecipeDetails(recipeId) {
@@ -381,21 +1065,138 @@ async function handleViewRecipeDetails(recipeId) {
     modal.classList.add('show');
 
     try {
-        const response = await fetch(`${BACKEND_URL}/recetas/detalles/${recipeId}?userId=${currentUserId}`);
+        const response = await apiFetch(`/recetas/detalles/${recipeId}`);
         const recipeDetails = await response.json();
         if (!response.ok) throw new Error(recipeDetails.error || 'No se pudieron obtener los detalles.');
 
+        // Los textos de la receta (que pueden ser de otro usuario) se agregan con textContent
         modalBody.innerHTML = `
-            <h2>${recipeDetails.title}</h2>
-            <img src="${recipeDetails.image}" alt="${recipeDetails.title}">
+            <div id="recipe-detail-header"></div>
             <h3>Ingredientes:</h3>
-            <ul>${(recipeDetails.extendedIngredients || []).map(ing => `<li>${ing.original}</li>`).join('')}</ul>
+            <ul id="recipe-detail-ingredients"></ul>
+            <div class="cook-section">
+                <label for="cook-servings">Porciones:</label>
+                <input type="number" id="cook-servings" min="1" step="1" value="${parseInt(recipeDetails.servings) || 1}">
+                <button type="button" id="cook-recipe-btn">🍳 Cociné esta receta</button>
+                <button type="button" id="missing-to-list-btn">🛒 Agregar faltantes a mi lista</button>
+                <div id="cook-preview"></div>
+            </div>
+            <div class="cook-section plan-section">
+                <label for="plan-date">Planificar para:</label>
+                <input type="date" id="plan-date" value="${toPlanDate(new Date())}">
+                <select id="plan-slot">
+                    ${Object.entries(MEAL_SLOT_LABELS).map(([slot, label]) => `<option value="${slot}" ${slot === 'cena' ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <button type="button" id="plan-add-btn">📅 Agregar al plan semanal</button>
+            </div>
             <h3>Instrucciones:</h3>
-            ${recipeDetails.instructions ? recipeDetails.instructions : '<p>Instrucciones no disponibles.</p>'}
+            <div id="recipe-detail-instructions"></div>
         `;
+        renderRecipeDetailTexts(recipeDetails);
+
+        document.getElementById('cook-recipe-btn').addEventListener('click', () => handlePreviewCooking(recipeDetails));
+        document.getElementById('plan-add-btn').addEventListener('click', () => {
+            handleAddToMealPlan(recipeDetails,
+                document.getElementById('plan-date').value,
+                document.getElementById('plan-slot').value,
+                parseInt(document.getElementById('cook-servings').value));
+        });
+        document.getElementById('missing-to-list-btn').addEventListener('click', () => {
+            handleAddMissingToShoppingList(recipeDetails.id, parseInt(document.getElementById('cook-servings').value));
+        });
     } catch (error) {
         console.error('Error al obtener detalles de la receta:', error);
-        modalBody.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+        modalBody.innerHTML = '';
+        const errorText = createTextElement('p', `Error: ${error.message}`);
+        errorText.style.color = 'red';
+        modalBody.appendChild(errorText);
+    }
+}
+
+// Textos de cada estado del plan de cocina (ver cookingService.STATUS en el backend)
+const COOK_STATUS_LABELS = {
+    ok: '✅ Se descuenta',
+    insuficiente: '⚠️ No alcanza',
+    faltante: '❌ No está en tu inventario',
+    sin_conversion: '❔ No se puede calcular',
+};
+
+/**
+ * @brief Envía la petición de cocinar una receta (vista previa o confirmación).
+ */
+async function requestCookRecipe(recipeId, servings, confirm) {
+    const response = await apiFetch(`/recetas/${recipeId}/cocinar`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ servings, confirm })
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'No se pudo procesar la receta.');
+    return result;
+}
+
+/**
+ * @brief Muestra qué se va a descontar del inventario (y qué falta) antes de confirmar.
+ */
+async function handlePreviewCooking(recipeDetails) {
+    const preview = document.getElementById('cook-preview');
+    const servings = parseInt(document.getElementById('cook-servings').value);
+    if (!servings || servings <= 0) {
+        alert('Las porciones deben ser un número mayor a cero.');
+        return;
+    }
+
+    preview.innerHTML = '<p>Calculando ingredientes a descontar...</p>';
+
+    try {
+        const plan = await requestCookRecipe(recipeDetails.id, servings, false);
+        const ingredients = recipeDetails.extendedIngredients || [];
+
+        preview.innerHTML = `
+            <table class="inventory-table cook-preview-table">
+                <thead><tr><th>Ingrediente</th><th>Estado</th><th>Descuento</th></tr></thead>
+                <tbody></tbody>
+            </table>
+            <button type="button" id="cook-confirm-btn" ${plan.deductions.length === 0 ? 'disabled' : ''}>Confirmar y descontar</button>
+        `;
+
+        // Los nombres (de la receta y de la despensa del hogar) se agregan como texto
+        const tbody = preview.querySelector('tbody');
+        plan.items.forEach(item => {
+            const label = (ingredients[item.index] && ingredients[item.index].original) || item.original;
+            let detail = '';
+            if (item.status === 'ok' || item.status === 'insuficiente') {
+                detail = `-${item.deductQuantity} ${item.unit} de ${item.article_name} (hay ${item.available})`;
+            } else if (item.status === 'sin_conversion') {
+                detail = `${item.article_name}: se mantiene igual`;
+            }
+            const row = tbody.insertRow();
+            row.className = `cook-${item.status}`;
+            [label, COOK_STATUS_LABELS[item.status], detail].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+
+        document.getElementById('cook-confirm-btn').addEventListener('click', () => handleConfirmCooking(recipeDetails.id, servings));
+    } catch (error) {
+        console.error('Error al calcular la receta:', error);
+        preview.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+    }
+}
+
+/**
+ * @brief Aplica los descuentos de la receta en el inventario y recarga la tabla.
+ */
+async function handleConfirmCooking(recipeId, servings) {
+    try {
+        const result = await requestCookRecipe(recipeId, servings, true);
+        const removed = result.removed.length > 0 ? `\nSe agotaron: ${result.removed.join(', ')}` : '';
+        alert(`${result.message}${removed}`);
+        notifyRestocked(result.restocked);
+        closeModal();
+        loadInventory();
+    } catch (error) {
+        alert('Fallo al descontar los ingredientes: ' + error.message);
     }
 }
 
@@ -437,35 +1238,17 @@ function setupAudioInput() {
     recognition.addEventListener('result', async (event) => {
         const transcript = event.results[0][0].transcript;
         recordBtn.textContent = "🎙️ Ingreso por Voz";
-        
-        const parts = transcript.toLowerCase().split(' de ');
-        if (parts.length < 2) {
-            speechResultDisplay.textContent = `Transcripción: "${transcript}" (Error: Intenta 'Cantidad UNIDAD de Artículo')`;
-            speechResultDisplay.style.color = 'orange';
-            return;
-        }
-
-        const articleName = parts.slice(1).join(' de ').trim();
-        const quantityUnit = parts[0].trim().split(' ');
-        let quantity = '1';
-        let unit = 'unidades';
+        speechResultDisplay.textContent = `Transcripción: "${transcript}"`;
+        speechResultDisplay.style.color = 'green';
 
-        if (quantityUnit.length >= 1) {
-            quantity = quantityUnit[0].trim();
-            if (quantityUnit.length > 1) {
-                unit = quantityUnit.slice(1).join(' ').trim();
-            }
+        // El backend interpreta la transcripción (itemParser.js) y se confirma en la vista previa
+        const found = await parseItemText(transcript);
+        if (found === 0) {
+            speechResultDisplay.textContent = `Transcripción: "${transcript}" (no se encontró ningún alimento, intenta 'dos kilos de papas')`;
+            speechResultDisplay.style.color = 'orange';
+        } else {
+            speechResultDisplay.textContent = `✔️ "${transcript}": revisa los ${found} alimento(s) y toca "Guardar seleccionados".`;
         }
-
-        const parsedNum = parseInt(quantity);
-        quantity = (!isNaN(parsedNum) && parsedNum > 0) ? parsedNum.toString() : '1';
-        unit = normalizeUnit(unit);
-
-        speechResultDisplay.textContent = `✔️ Procesando: ${quantity} ${unit} de ${articleName}`;
-        speechResultDisplay.style.color = 'green';
-        
-        const result = await sendItemToBackend(articleName, quantity, unit);
-        speechResultDisplay.textContent = result.success ? `✅ Guardado: ${quantity} ${unit} de ${articleName}` : `❌ Error: ${result.message}`;
     });
 
     recognition.addEventListener('error', (event) => {
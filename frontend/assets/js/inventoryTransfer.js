@@ -0,0 +1,134 @@
+/**
+ * @file inventoryTransfer.js
+ * @brief Módulo de lógica del Frontend para exportar e importar el inventario (CSV o JSON).
+ * * Se carga en home.html junto a inventory.js, que llama a 'initInventoryTransfer' al iniciar.
+ * Antes de importar se muestra una vista previa (importación en modo prueba) con lo que pasará
+ * con cada fila; el archivo se importa recién cuando el usuario lo confirma.
+ */
+
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js y
+// 'reloadPantry' de household.js.
+
+// Textos de lo que pasa con cada fila importada
+const IMPORT_ACTION_LABELS = {
+    create: '➕ Se crea',
+    merge: '🔁 Se suma',
+    reject: '⛔ Rechazada',
+};
+
+// Archivo elegido y ya previsualizado ({ format, data }; null si no hay ninguno)
+let pendingImport = null;
+
+/**
+ * @brief Conecta los listeners de exportación e importación.
+ */
+function initInventoryTransfer() {
+    document.getElementById('export-csv-btn').addEventListener('click', () => downloadInventory('csv'));
+    document.getElementById('export-json-btn').addEventListener('click', () => downloadInventory('json'));
+    document.getElementById('import-form').addEventListener('submit', handlePreviewImport);
+    document.getElementById('import-file').addEventListener('change', resetImportPreview);
+    document.getElementById('import-confirm-btn').addEventListener('click', handleConfirmImport);
+}
+
+/**
+ * @brief Descarga el inventario (la petición lleva el token, así que se arma el link con el archivo recibido).
+ */
+async function downloadInventory(format) {
+    try {
+        const response = await apiFetch(`/inventario/export?format=${format}`);
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Error al exportar.');
+        }
+        const blob = await response.blob();
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `inventario-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        alert('Fallo al exportar el inventario: ' + error.message);
+    }
+}
+
+/**
+ * @brief Envía un archivo a la importación (con 'dryRun' solo devuelve la vista previa).
+ */
+async function sendInventoryImport(fileData, dryRun) {
+    const response = await apiFetch('/inventario/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...fileData, dryRun })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Error al importar.');
+    return data;
+}
+
+/**
+ * @brief Lee el archivo elegido y muestra qué pasaría con cada fila (sin guardar nada).
+ */
+async function handlePreviewImport(event) {
+    event.preventDefault();
+    const file = document.getElementById('import-file').files[0];
+    if (!file) return;
+
+    try {
+        const fileData = {
+            format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+            data: await file.text()
+        };
+        const result = await sendInventoryImport(fileData, true);
+        pendingImport = result.summary.create + result.summary.merge > 0 ? fileData : null;
+        renderImportResult(result);
+    } catch (error) {
+        resetImportPreview();
+        alert('Fallo al leer el archivo: ' + error.message);
+    }
+}
+
+async function handleConfirmImport() {
+    if (!pendingImport) return;
+
+    try {
+        const result = await sendInventoryImport(pendingImport, false);
+        pendingImport = null;
+        renderImportResult(result);
+        document.getElementById('import-form').reset();
+        reloadPantry();
+    } catch (error) {
+        alert('Fallo al importar el inventario: ' + error.message);
+    }
+}
+
+/**
+ * @brief Muestra el resumen y el detalle por fila de una importación (prueba o real).
+ */
+function renderImportResult(result) {
+    const { create, merge, reject } = result.summary;
+    document.getElementById('import-summary').textContent = result.dryRun
+        ? `Vista previa: ${create} nuevo(s), ${merge} se suman a uno existente, ${reject} rechazado(s).`
+        : `✅ Importado: ${create} nuevo(s), ${merge} sumado(s), ${reject} rechazado(s).`;
+
+    const tbody = document.getElementById('import-preview-body');
+    tbody.innerHTML = '';
+    result.rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = `import-${row.action}`;
+        [String(row.row), row.article_name || '-', IMPORT_ACTION_LABELS[row.action], row.errors.join(' ')].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+
+    document.getElementById('import-preview').style.display = 'block';
+    document.getElementById('import-confirm-btn').style.display = pendingImport ? 'inline-block' : 'none';
+}
+
+function resetImportPreview() {
+    pendingImport = null;
+    document.getElementById('import-preview').style.display = 'none';
+    document.getElementById('import-preview-body').innerHTML = '';
+}
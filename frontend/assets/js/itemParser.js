@@ -0,0 +1,152 @@
+/**
+ * @file itemParser.js
+ * @brief Módulo de lógica del Frontend para cargar alimentos desde texto libre (voz o una lista pegada).
+ * * Se carga en home.html junto a inventory.js, que llama a 'initItemParser' al iniciar y envía la
+ * transcripción del ingreso por voz a 'parseItemText'. El backend interpreta el texto y devuelve
+ * los candidatos; se muestran en una vista previa editable y solo se guardan los que el usuario marca.
+ */
+
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js y
+// 'sendItemToBackend' de inventory.js.
+
+// Unidades del inventario (las opciones de cada fila de la vista previa)
+const PARSER_UNITS = ['gramos', 'kilogramos', 'unidades', 'litros', 'mililitros'];
+
+// Por debajo de esta confianza el candidato se muestra destacado y desmarcado
+const PARSER_LOW_CONFIDENCE = 0.6;
+
+/**
+ * @brief Conecta los listeners de la lista pegada y de la vista previa.
+ */
+function initItemParser() {
+    document.getElementById('paste-list-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        parseItemText(document.getElementById('paste-list-text').value);
+    });
+    document.getElementById('parse-preview-save').addEventListener('click', handleSaveParsedItems);
+    document.getElementById('parse-preview-cancel').addEventListener('click', hideParsePreview);
+}
+
+/**
+ * @brief Envía el texto al backend para interpretarlo y muestra la vista previa.
+ * @returns {Promise<number>} Cantidad de alimentos encontrados (0 si hubo un error).
+ */
+async function parseItemText(text) {
+    if (!text || !text.trim()) return 0;
+
+    try {
+        const response = await apiFetch('/inventario/parse', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Error al interpretar el texto.');
+
+        renderParsePreview(data.items, data.unparsed);
+        return data.items.length;
+    } catch (error) {
+        alert('Fallo al interpretar el texto: ' + error.message);
+        return 0;
+    }
+}
+
+/**
+ * @brief Muestra los candidatos en filas editables (marcar, nombre, cantidad, unidad y confianza).
+ * * Los de baja confianza quedan desmarcados para que el usuario los revise antes de guardarlos.
+ */
+function renderParsePreview(items, unparsed = []) {
+    const preview = document.getElementById('parse-preview');
+    const tbody = document.getElementById('parse-preview-body');
+    tbody.innerHTML = '';
+
+    items.forEach(item => {
+        const tr = document.createElement('tr');
+        tr.className = item.confidence < PARSER_LOW_CONFIDENCE ? 'parse-low-confidence' : '';
+
+        const checkCell = document.createElement('td');
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.className = 'parse-check';
+        check.checked = item.confidence >= PARSER_LOW_CONFIDENCE;
+        checkCell.appendChild(check);
+
+        const nameCell = document.createElement('td');
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'parse-name';
+        name.value = item.article_name;
+        name.title = `Entendido de: "${item.original}"`;
+        nameCell.appendChild(name);
+        if (item.alimentoId) {
+            const existing = document.createElement('small');
+            existing.textContent = ' (ya en la despensa)';
+            nameCell.appendChild(existing);
+        }
+
+        const quantityCell = document.createElement('td');
+        const quantity = document.createElement('input');
+        quantity.type = 'number';
+        quantity.className = 'parse-quantity';
+        quantity.min = '0';
+        quantity.step = 'any';
+        quantity.value = item.quantity;
+        quantityCell.appendChild(quantity);
+
+        const unitCell = document.createElement('td');
+        const unit = document.createElement('select');
+        unit.className = 'parse-unit';
+        PARSER_UNITS.forEach(value => unit.add(new Option(value, value)));
+        unit.value = item.unit;
+        unitCell.appendChild(unit);
+
+        const confidenceCell = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `parse-confidence ${item.confidence < PARSER_LOW_CONFIDENCE ? 'low' : 'high'}`;
+        badge.textContent = `${Math.round(item.confidence * 100)}%`;
+        badge.title = item.notes.join(' ') || 'Sin suposiciones.';
+        confidenceCell.appendChild(badge);
+
+        tr.append(checkCell, nameCell, quantityCell, unitCell, confidenceCell);
+        tbody.appendChild(tr);
+    });
+
+    document.getElementById('parse-preview-unparsed').textContent = unparsed.length > 0
+        ? `No se entendió: ${unparsed.map(text => `"${text}"`).join(', ')}`
+        : '';
+    document.getElementById('parse-preview-empty').style.display = items.length === 0 ? 'block' : 'none';
+    preview.style.display = 'block';
+}
+
+function hideParsePreview() {
+    document.getElementById('parse-preview').style.display = 'none';
+    document.getElementById('parse-preview-body').innerHTML = '';
+}
+
+/**
+ * @brief Guarda los candidatos marcados, uno por uno, con 'sendItemToBackend' (que pregunta si
+ * sumar o reemplazar los que ya existen y avisa si alguno falla).
+ * * Los que se guardan salen de la vista previa; los que fallan quedan para corregirlos.
+ */
+async function handleSaveParsedItems() {
+    const rows = [...document.querySelectorAll('#parse-preview-body tr')]
+        .filter(row => row.querySelector('.parse-check').checked);
+    if (rows.length === 0) {
+        alert('Marca al menos un alimento para guardar.');
+        return;
+    }
+
+    let failed = 0;
+    for (const row of rows) {
+        const result = await sendItemToBackend(row.querySelector('.parse-name').value, row.querySelector('.parse-quantity').value, row.querySelector('.parse-unit').value);
+        if (result.success) row.remove();
+        else failed++;
+    }
+
+    if (failed > 0) {
+        alert(`${failed} alimento(s) no se guardaron: revisa los que quedaron en la lista.`);
+        return;
+    }
+    hideParsePreview();
+    document.getElementById('paste-list-form').reset();
+}
@@ -0,0 +1,239 @@
+/**
+ * @file mealPlanner.js
+ * @brief Módulo de lógica del Frontend para el Plan Semanal de comidas.
+ * * Se carga en home.html junto a inventory.js (que llama a 'initMealPlanner' al iniciar
+ * y a 'handleAddToMealPlan' desde el modal de recetas).
+ */
+
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js.
+
+const MEAL_SLOT_LABELS = {
+    desayuno: 'Desayuno',
+    almuerzo: 'Almuerzo',
+    merienda: 'Merienda',
+    cena: 'Cena',
+};
+// Estados de cada ingrediente del reporte semanal (mismos valores que el plan de cocina)
+const PLAN_STATUS_LABELS = {
+    ok: '✅ Alcanza',
+    insuficiente: '⚠️ No alcanza',
+    faltante: '❌ No está en tu inventario',
+    sin_conversion: '❔ No se puede calcular',
+};
+const WEEK_DAY_LABELS = ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Cualquier día ('YYYY-MM-DD') de la semana que se está mostrando
+let currentPlanWeek = toPlanDate(new Date());
+
+/**
+ * @brief Formatea una fecha local como 'YYYY-MM-DD' (el formato que espera el backend).
+ */
+function toPlanDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * @brief Suma días a una fecha 'YYYY-MM-DD' (se trabaja en UTC para no depender del huso horario).
+ */
+function addDaysToPlanDate(planDate, days) {
+    const date = new Date(`${planDate}T00:00:00.000Z`);
+    return new Date(date.getTime() + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * @brief Conecta los listeners del plan semanal y carga la semana actual.
+ */
+function initMealPlanner() {
+    document.getElementById('plan-prev-week').addEventListener('click', () => {
+        currentPlanWeek = addDaysToPlanDate(currentPlanWeek, -7);
+        loadMealPlan();
+    });
+    document.getElementById('plan-next-week').addEventListener('click', () => {
+        currentPlanWeek = addDaysToPlanDate(currentPlanWeek, 7);
+        loadMealPlan();
+    });
+    document.getElementById('plan-report-btn').addEventListener('click', loadWeeklyIngredients);
+    loadMealPlan();
+}
+
+/**
+ * @brief Ejecuta una petición a la API del plan semanal y devuelve el JSON (o lanza el error).
+ */
+async function mealPlanRequest(endpoint, options = {}) {
+    const response = await apiFetch(endpoint, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Error en el plan semanal.');
+    }
+    return data;
+}
+
+async function loadMealPlan() {
+    document.getElementById('plan-report').innerHTML = '';
+    try {
+        const plan = await mealPlanRequest(`/plan-semanal?semana=${currentPlanWeek}`);
+        renderMealPlan(plan);
+    } catch (error) {
+        console.error('Error al cargar el plan semanal:', error.message);
+    }
+}
+
+/**
+ * @brief Dibuja la semana como una tabla: una fila por día y una columna por comida.
+ */
+function renderMealPlan({ weekStart, weekEnd, slots, entries }) {
+    document.getElementById('plan-week-label').textContent = `${formatDate(weekStart)} al ${formatDate(weekEnd)}`;
+
+    const table = document.getElementById('meal-plan-table');
+    table.innerHTML = '';
+
+    const header = table.createTHead().insertRow();
+    header.insertCell().textContent = 'Día';
+    slots.forEach(slot => {
+        header.insertCell().textContent = MEAL_SLOT_LABELS[slot] || slot;
+    });
+
+    const body = table.createTBody();
+    WEEK_DAY_LABELS.forEach((dayLabel, dayIndex) => {
+        const planDate = addDaysToPlanDate(weekStart, dayIndex);
+        const row = body.insertRow();
+        if (planDate === toPlanDate(new Date())) row.classList.add('plan-today');
+        row.insertCell().textContent = `${dayLabel} ${planDate.slice(8, 10)}`;
+
+        slots.forEach(slot => {
+            const cell = row.insertCell();
+            entries
+                .filter(entry => entry.date.slice(0, 10) === planDate && entry.slot === slot)
+                .forEach(entry => cell.appendChild(buildPlanEntryElement(entry)));
+        });
+    });
+}
+
+/**
+ * @brief Crea el elemento de una receta planificada (con sus acciones).
+ */
+function buildPlanEntryElement(entry) {
+    const element = document.createElement('div');
+    element.className = 'plan-entry';
+
+    const title = document.createElement('span');
+    title.className = 'plan-entry-title';
+    title.textContent = `${entry.title || `Receta ${entry.recipeId}`} (${entry.servings} p.)`;
+    title.addEventListener('click', () => handleViewRecipeDetails(entry.recipeId));
+
+    const moveBtn = document.createElement('button');
+    moveBtn.type = 'button';
+    moveBtn.textContent = '↔';
+    moveBtn.title = 'Mover';
+    moveBtn.addEventListener('click', () => handleMovePlanEntry(entry));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = '✕';
+    deleteBtn.title = 'Quitar';
+    deleteBtn.addEventListener('click', () => handleDeletePlanEntry(entry._id));
+
+    element.append(title, moveBtn, deleteBtn);
+    return element;
+}
+
+/**
+ * @brief Agrega una receta al plan (desde el modal de detalles).
+ */
+async function handleAddToMealPlan(recipe, date, slot, servings) {
+    if (!date) {
+        alert('Elige el día en el que vas a cocinar la receta.');
+        return;
+    }
+
+    try {
+        await mealPlanRequest('/plan-semanal', {
+            method: 'POST',
+            body: JSON.stringify({ date, slot, servings, recipeId: recipe.id, title: recipe.title, image: recipe.image })
+        });
+        alert('Receta agregada al plan semanal.');
+        currentPlanWeek = date;
+        loadMealPlan();
+    } catch (error) {
+        alert('Fallo al planificar la receta: ' + error.message);
+    }
+}
+
+async function handleMovePlanEntry(entry) {
+    const date = prompt('Nuevo día (AAAA-MM-DD):', entry.date.slice(0, 10));
+    if (date === null) return;
+    const slot = prompt(`Comida (${Object.keys(MEAL_SLOT_LABELS).join(', ')}):`, entry.slot);
+    if (slot === null) return;
+
+    try {
+        await mealPlanRequest(`/plan-semanal/${entry._id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ date: date.trim(), slot: slot.trim().toLowerCase() })
+        });
+        loadMealPlan();
+    } catch (error) {
+        alert('Fallo al mover la receta: ' + error.message);
+    }
+}
+
+async function handleDeletePlanEntry(entryId) {
+    if (!confirm('¿Quitar esta receta del plan?')) return;
+
+    try {
+        await mealPlanRequest(`/plan-semanal/${entryId}`, { method: 'DELETE' });
+        loadMealPlan();
+    } catch (error) {
+        alert('Fallo al quitar la receta: ' + error.message);
+    }
+}
+
+/**
+ * @brief Muestra los ingredientes que pide la semana comparados con el inventario.
+ */
+async function loadWeeklyIngredients() {
+    const container = document.getElementById('plan-report');
+    container.innerHTML = '<p>Calculando ingredientes de la semana...</p>';
+
+    try {
+        const report = await mealPlanRequest(`/plan-semanal/ingredientes?semana=${currentPlanWeek}`);
+
+        if (report.ingredients.length === 0) {
+            container.innerHTML = '<p>No hay recetas planificadas esta semana.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p>${report.recipes} recetas planificadas.</p>
+            <table class="inventory-table cook-preview-table">
+                <thead><tr><th>Ingrediente</th><th>Necesario</th><th>En despensa</th><th>Estado</th></tr></thead>
+                <tbody></tbody>
+            </table>
+        `;
+
+        // Los nombres los escriben los miembros del hogar: se agregan como texto
+        const tbody = container.querySelector('tbody');
+        report.ingredients.forEach(item => {
+            const needed = item.needed.map(measure => `${measure.quantity} ${measure.unit}`).join(' + ')
+                || (item.details || []).join('; ');
+            const available = item.available !== undefined ? `${item.available} ${item.unit}` : '-';
+            const missing = item.missingQuantity ? ` (faltan ${item.missingQuantity} ${item.unit})` : '';
+
+            const row = tbody.insertRow();
+            row.className = `cook-${item.status}`;
+            const nameCell = row.insertCell();
+            nameCell.textContent = item.article_name;
+            nameCell.title = item.recipes.join(', ');
+            [needed, available, `${PLAN_STATUS_LABELS[item.status]}${missing}`].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+    } catch (error) {
+        container.innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+    }
+}
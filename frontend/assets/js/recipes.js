@@ -0,0 +1,284 @@
+/**
+ * @file recipes.js
+ * @brief Módulo de lógica del Frontend para las recetas escritas por los usuarios.
+ * * Lista las recetas propias (o todas las visibles) y permite crearlas, editarlas,
+ * compartirlas y eliminarlas. El backend valida que solo el autor pueda modificarlas.
+ */
+
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js.
+
+const RECIPE_VISIBILITY_LABELS = {
+    privada: '🔒 Privada',
+    compartida: '👥 Compartida',
+    publica: '🌐 Pública',
+};
+
+// ID de la receta que se está editando (null al crear una nueva)
+let editingRecipeId = null;
+
+// =========================================================================
+// 1. INICIALIZACIÓN
+// =========================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!hasSession()) {
+        window.location.href = 'index.html';
+        return;
+    }
+
+    connectRecipeListeners();
+    loadUserRecipes();
+});
+
+/**
+ * @brief Conecta los listeners del listado y del editor.
+ */
+function connectRecipeListeners() {
+    document.getElementById('recipes-scope').addEventListener('change', loadUserRecipes);
+    document.getElementById('recipe-new-btn').addEventListener('click', () => openRecipeEditor(null));
+    document.getElementById('recipe-add-ingredient').addEventListener('click', () => addIngredientRow());
+    document.getElementById('recipe-cancel-btn').addEventListener('click', closeRecipeEditor);
+    document.getElementById('recipe-editor-form').addEventListener('submit', handleSaveRecipe);
+
+    document.getElementById('logout-link').addEventListener('click', async (event) => {
+        event.preventDefault();
+        await logout();
+        window.location.href = 'index.html';
+    });
+}
+
+/**
+ * @brief Ejecuta una petición a la API de recetas propias y devuelve el JSON (o lanza el error).
+ */
+async function userRecipeRequest(endpoint, options = {}) {
+    const response = await apiFetch(endpoint, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Error en la petición de recetas.');
+    }
+    return data;
+}
+
+// =========================================================================
+// 2. LISTADO
+// =========================================================================
+
+async function loadUserRecipes() {
+    const scope = document.getElementById('recipes-scope').value;
+    try {
+        const recipes = await userRecipeRequest(`/mis-recetas?alcance=${scope}`);
+        renderUserRecipes(recipes);
+    } catch (error) {
+        console.error('Error al cargar las recetas:', error.message);
+        alert('No se pudieron cargar las recetas: ' + error.message);
+    }
+}
+
+/**
+ * @brief Dibuja la tabla de recetas. Solo las propias se pueden editar o eliminar.
+ */
+function renderUserRecipes(recipes) {
+    const tableBody = document.getElementById('user-recipes-body');
+    tableBody.innerHTML = '';
+
+    if (recipes.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="5">Todavía no hay recetas.</td></tr>';
+        return;
+    }
+
+    const currentUserId = localStorage.getItem('userId');
+
+    recipes.forEach(recipe => {
+        const row = tableBody.insertRow();
+        row.insertCell().textContent = recipe.title;
+        row.insertCell().textContent = recipe.author ? recipe.author.username : '-';
+        row.insertCell().textContent = recipe.servings;
+        row.insertCell().textContent = RECIPE_VISIBILITY_LABELS[recipe.visibility] || recipe.visibility;
+
+        const actions = row.insertCell();
+        if (recipe.author && recipe.author._id === currentUserId) {
+            addRecipeActionButton(actions, 'Editar', () => openRecipeEditor(recipe));
+            addRecipeActionButton(actions, 'Eliminar', () => handleDeleteRecipe(recipe));
+        }
+    });
+}
+
+/**
+ * @brief Agrega un botón de acción a una celda.
+ */
+function addRecipeActionButton(cell, label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    cell.appendChild(button);
+}
+
+async function handleDeleteRecipe(recipe) {
+    if (!confirm(`¿Eliminar la receta "${recipe.title}"?`)) return;
+
+    try {
+        await userRecipeRequest(`/mis-recetas/${recipe._id}`, { method: 'DELETE' });
+        loadUserRecipes();
+    } catch (error) {
+        alert('Fallo al eliminar la receta: ' + error.message);
+    }
+}
+
+// =========================================================================
+// 3. EDITOR
+// =========================================================================
+
+/**
+ * @brief Agrega una fila de ingrediente al editor (nombre, cantidad, unidad y nota).
+ */
+function addIngredientRow(ingredient = {}) {
+    const row = document.createElement('div');
+    row.className = 'recipe-editor-row recipe-ingredient-row';
+
+    // Los valores se asignan con .value: la receta puede ser de otro usuario
+    const createInput = (type, className, placeholder, value) => {
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = className;
+        input.placeholder = placeholder;
+        input.value = value;
+        return input;
+    };
+
+    const quantity = createInput('number', 'ingredient-quantity', 'Cantidad', ingredient.quantity ?? '');
+    quantity.min = '0';
+    quantity.step = 'any';
+
+    const unit = document.createElement('select');
+    unit.className = 'ingredient-unit';
+    [['', 'Sin unidad'], ['gramos', 'Gramos'], ['kilogramos', 'Kilogramos'], ['unidades', 'Unidades'], ['litros', 'Litros'], ['mililitros', 'Mililitros']]
+        .forEach(([value, label]) => unit.add(new Option(label, value)));
+    unit.value = ingredient.unit || '';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.title = 'Quitar';
+    removeBtn.textContent = '✕';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(
+        createInput('text', 'ingredient-name', 'Ingrediente', ingredient.name || ''),
+        quantity,
+        unit,
+        createInput('text', 'ingredient-note', 'Nota (ej: picada)', ingredient.note || ''),
+        removeBtn
+    );
+    document.getElementById('recipe-ingredients').appendChild(row);
+}
+
+/**
+ * @brief Abre el editor vacío (receta nueva) o con los datos de una receta existente.
+ */
+function openRecipeEditor(recipe) {
+    editingRecipeId = recipe ? recipe._id : null;
+    const nutrition = (recipe && recipe.nutrition) || {};
+
+    document.getElementById('recipe-editor-title').textContent = recipe ? `Editar "${recipe.title}"` : 'Nueva receta';
+    document.getElementById('recipe-title').value = recipe ? recipe.title : '';
+    document.getElementById('recipe-image').value = (recipe && recipe.image) || '';
+    document.getElementById('recipe-servings').value = recipe ? recipe.servings : 1;
+    document.getElementById('recipe-ready').value = (recipe && recipe.readyInMinutes) ?? '';
+    document.getElementById('recipe-steps').value = recipe ? (recipe.steps || []).join('\n') : '';
+    document.getElementById('recipe-tags').value = recipe ? (recipe.tags || []).join(', ') : '';
+    document.getElementById('recipe-calories').value = nutrition.calories ?? '';
+    document.getElementById('recipe-carbs').value = nutrition.carbs ?? '';
+    document.getElementById('recipe-protein').value = nutrition.protein ?? '';
+    document.getElementById('recipe-sugar').value = nutrition.sugar ?? '';
+    document.getElementById('recipe-visibility').value = recipe ? recipe.visibility : 'privada';
+    document.getElementById('recipe-shared-with').value = recipe
+        ? (recipe.sharedWith || []).map(user => user.username).join(', ')
+        : '';
+    document.querySelectorAll('input[name="recipe-diet"]').forEach(checkbox => {
+        checkbox.checked = Boolean(recipe && (recipe.diets || []).includes(checkbox.value));
+    });
+
+    document.getElementById('recipe-ingredients').innerHTML = '';
+    (recipe ? recipe.ingredients : [{}]).forEach(ingredient => addIngredientRow(ingredient));
+
+    const box = document.getElementById('recipe-editor-box');
+    box.style.display = 'block';
+    box.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeRecipeEditor() {
+    editingRecipeId = null;
+    document.getElementById('recipe-editor-box').style.display = 'none';
+}
+
+/**
+ * @brief Convierte un texto separado por comas en una lista sin vacíos.
+ */
+function splitCommaList(text) {
+    return text.split(',').map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * @brief Lee un número opcional de un input (undefined si está vacío).
+ */
+function readOptionalNumber(inputId) {
+    const value = document.getElementById(inputId).value;
+    return value === '' ? undefined : Number(value);
+}
+
+/**
+ * @brief Arma el body de la receta a partir del formulario del editor.
+ */
+function collectRecipeForm() {
+    const ingredients = [...document.querySelectorAll('.recipe-ingredient-row')]
+        .map(row => ({
+            name: row.querySelector('.ingredient-name').value.trim(),
+            quantity: row.querySelector('.ingredient-quantity').value === '' ? null : Number(row.querySelector('.ingredient-quantity').value),
+            unit: row.querySelector('.ingredient-unit').value || null,
+            note: row.querySelector('.ingredient-note').value.trim() || undefined,
+        }))
+        .filter(ingredient => ingredient.name);
+
+    return {
+        title: document.getElementById('recipe-title').value.trim(),
+        image: document.getElementById('recipe-image').value.trim() || null,
+        servings: Number(document.getElementById('recipe-servings').value) || 1,
+        readyInMinutes: readOptionalNumber('recipe-ready'),
+        ingredients,
+        steps: document.getElementById('recipe-steps').value.split('\n').map(step => step.trim()).filter(Boolean),
+        tags: splitCommaList(document.getElementById('recipe-tags').value),
+        diets: [...document.querySelectorAll('input[name="recipe-diet"]:checked')].map(checkbox => checkbox.value),
+        nutrition: {
+            calories: readOptionalNumber('recipe-calories'),
+            carbs: readOptionalNumber('recipe-carbs'),
+            protein: readOptionalNumber('recipe-protein'),
+            sugar: readOptionalNumber('recipe-sugar'),
+        },
+        visibility: document.getElementById('recipe-visibility').value,
+        sharedWith: splitCommaList(document.getElementById('recipe-shared-with').value),
+    };
+}
+
+async function handleSaveRecipe(event) {
+    event.preventDefault();
+    const recipe = collectRecipeForm();
+
+    if (recipe.ingredients.length === 0) {
+        alert('La receta debe tener al menos un ingrediente.');
+        return;
+    }
+
+    try {
+        await userRecipeRequest(editingRecipeId ? `/mis-recetas/${editingRecipeId}` : '/mis-recetas', {
+            method: editingRecipeId ? 'PUT' : 'POST',
+            body: JSON.stringify(recipe)
+        });
+        closeRecipeEditor();
+        loadUserRecipes();
+    } catch (error) {
+        alert('Fallo al guardar la receta: ' + error.message);
+    }
+}
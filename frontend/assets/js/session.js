@@ -0,0 +1,122 @@
+/**
+ * @file session.js
+ * @brief Manejo de la sesión del usuario en el Frontend (tokens y peticiones autenticadas).
+ * * Se carga ANTES que auth.js / inventory.js. Expone la URL del backend, el guardado de
+ * los tokens en localStorage y 'apiFetch', que agrega la cabecera 'Authorization' a cada
+ * petición y renueva el access token automáticamente cuando vence.
+ */
+
+// Define la URL base de nuestro servidor backend, incluyendo el puerto, dirección de nuestra aplicación Express.js.
+const BACKEND_URL = 'http://localhost:3000/api';
+
+
+// 1. ALMACENAMIENTO DE LA SESIÓN
+// =================================================================
+
+/**
+ * @brief Guarda los datos de sesión devueltos por /login o /token/refresh.
+ * @param {object} data - Respuesta del backend (accessToken, refreshToken y, en el login, datos del usuario).
+ */
+function saveSession(data) {
+    localStorage.setItem('accessToken', data.accessToken);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    if (data.id) localStorage.setItem('userId', data.id);
+    if (data.username) localStorage.setItem('username', data.username);
+    if (data.grupo) localStorage.setItem('grupo', data.grupo);
+}
+
+/**
+ * @brief Borra todos los datos de sesión del navegador.
+ */
+function clearSession() {
+    ['accessToken', 'refreshToken', 'userId', 'username', 'grupo'].forEach(key => localStorage.removeItem(key));
+}
+
+/**
+ * @brief Indica si hay una sesión guardada (no verifica que siga siendo válida).
+ */
+function hasSession() {
+    return Boolean(localStorage.getItem('accessToken'));
+}
+
+
+// 2. PETICIONES AUTENTICADAS
+// =================================================================
+
+// Evita pedir varios refresh en paralelo cuando vencen varias peticiones a la vez.
+let refreshPromise = null;
+
+/**
+ * @brief Pide un nuevo par de tokens usando el refresh token guardado.
+ * @returns {Promise<boolean>} true si la sesión se renovó.
+ */
+async function refreshSession() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+
+    if (!refreshPromise) {
+        refreshPromise = fetch(`${BACKEND_URL}/token/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(async response => {
+                if (!response.ok) return false;
+                saveSession(await response.json());
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => { refreshPromise = null; });
+    }
+    return refreshPromise;
+}
+
+/**
+ * @brief Envoltorio de 'fetch' para la API: agrega el access token y reintenta una vez tras renovarlo.
+ * * Si la sesión no puede renovarse, la cierra y redirige al Login.
+ * @param {string} endpoint - Ruta relativa a BACKEND_URL (ej: '/inventario').
+ * @param {object} options - Opciones de 'fetch' (method, headers, body...).
+ * @returns {Promise<Response>} La respuesta HTTP.
+ */
+async function apiFetch(endpoint, options = {}) {
+    const doFetch = () => fetch(`${BACKEND_URL}${endpoint}`, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${localStorage.getItem('accessToken')}`
+        }
+    });
+
+    let response = await doFetch();
+
+    if (response.status === 401) {
+        const renewed = await refreshSession();
+        if (!renewed) {
+            clearSession();
+            window.location.href = 'index.html';
+            return response;
+        }
+        response = await doFetch();
+    }
+    return response;
+}
+
+/**
+ * @brief Cierra la sesión en el backend (revoca el refresh token) y limpia el navegador.
+ */
+async function logout() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+        try {
+            await fetch(`${BACKEND_URL}/logout`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (error) {
+            // Si el backend no responde igual limpiamos la sesión local.
+            console.warn('No se pudo revocar la sesión en el servidor:', error.message);
+        }
+    }
+    clearSession();
+}
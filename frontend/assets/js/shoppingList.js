@@ -0,0 +1,180 @@
+/**
+ * @file shoppingList.js
+ * @brief Módulo de lógica del Frontend para la Lista de Compras.
+ * * Se carga en home.html junto a inventory.js (que llama a 'initShoppingList' al iniciar
+ * y a 'handleAddMissingToShoppingList' desde las tarjetas y el modal de recetas).
+ */
+
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js.
+
+/**
+ * @brief Conecta los listeners de la lista de compras y la carga por primera vez.
+ */
+function initShoppingList() {
+    document.getElementById('shopping-add-form').addEventListener('submit', handleAddShoppingItem);
+    document.getElementById('shopping-move-btn').addEventListener('click', handleMoveCheckedToInventory);
+    document.getElementById('shopping-export-btn').addEventListener('click', handleExportShoppingList);
+    loadShoppingList();
+}
+
+/**
+ * @brief Ejecuta una petición a la API de la lista de compras y devuelve el JSON (o lanza el error).
+ */
+async function shoppingRequest(endpoint, options = {}) {
+    const response = await apiFetch(endpoint, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Error en la lista de compras.');
+    }
+    return data;
+}
+
+async function loadShoppingList() {
+    try {
+        const items = await shoppingRequest('/lista-compras');
+        renderShoppingList(items);
+    } catch (error) {
+        console.error('Error al cargar la lista de compras:', error.message);
+    }
+}
+
+/**
+ * @brief Dibuja la lista de compras (los comprados aparecen tachados al final).
+ */
+function renderShoppingList(items) {
+    const list = document.getElementById('shopping-list');
+    list.innerHTML = '';
+
+    if (items.length === 0) {
+        list.innerHTML = '<li class="shopping-empty">Tu lista de compras está vacía.</li>';
+    }
+
+    items.forEach(item => {
+        const li = document.createElement('li');
+        if (item.checked) li.classList.add('shopping-checked');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = item.checked;
+        checkbox.addEventListener('change', () => handleToggleShoppingItem(item._id, checkbox.checked));
+
+        const label = document.createElement('span');
+        const measure = item.quantity ? ` — ${item.quantity} ${item.unit}` : '';
+        label.textContent = `${item.article_name}${measure}`;
+        if (item.details && item.details.length > 0) {
+            label.title = item.details.join('\n');
+            label.textContent += ' *';
+        }
+        if (item.recipes && item.recipes.length > 0) {
+            label.title = (label.title ? label.title + '\n' : '') + `Para: ${item.recipes.map(recipe => recipe.title).join(', ')}`;
+        }
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'shopping-delete';
+        deleteBtn.textContent = '✕';
+        deleteBtn.addEventListener('click', () => handleDeleteShoppingItem(item._id));
+
+        li.append(checkbox, label, deleteBtn);
+        list.appendChild(li);
+    });
+}
+
+async function handleAddShoppingItem(event) {
+    event.preventDefault();
+    const article_name = document.getElementById('shopping-name').value.trim();
+    const quantity = document.getElementById('shopping-quantity').value;
+    const unit = document.getElementById('shopping-unit').value;
+
+    if (!article_name) return;
+
+    const body = { article_name };
+    if (quantity && unit) {
+        body.quantity = parseFloat(quantity);
+        body.unit = unit;
+    }
+
+    try {
+        await shoppingRequest('/lista-compras', { method: 'POST', body: JSON.stringify(body) });
+        document.getElementById('shopping-add-form').reset();
+        loadShoppingList();
+    } catch (error) {
+        alert('Fallo al agregar a la lista: ' + error.message);
+    }
+}
+
+async function handleToggleShoppingItem(itemId, checked) {
+    try {
+        await shoppingRequest(`/lista-compras/${itemId}`, { method: 'PUT', body: JSON.stringify({ checked }) });
+        loadShoppingList();
+    } catch (error) {
+        alert('Fallo al marcar el artículo: ' + error.message);
+    }
+}
+
+async function handleDeleteShoppingItem(itemId) {
+    try {
+        await shoppingRequest(`/lista-compras/${itemId}`, { method: 'DELETE' });
+        loadShoppingList();
+    } catch (error) {
+        alert('Fallo al eliminar el artículo: ' + error.message);
+    }
+}
+
+/**
+ * @brief Agrega a la lista los ingredientes que faltan para una receta.
+ * @param {number} [servings] Porciones a cocinar (por defecto, las de la receta).
+ */
+async function handleAddMissingToShoppingList(recipeId, servings) {
+    try {
+        const body = servings ? { servings } : {};
+        const result = await shoppingRequest(`/lista-compras/receta/${recipeId}`, { method: 'POST', body: JSON.stringify(body) });
+        alert(result.message);
+        loadShoppingList();
+    } catch (error) {
+        alert('Fallo al agregar los faltantes: ' + error.message);
+    }
+}
+
+/**
+ * @brief Pasa los artículos comprados al inventario y recarga ambas listas.
+ */
+async function handleMoveCheckedToInventory() {
+    try {
+        const result = await shoppingRequest('/lista-compras/mover-al-inventario', { method: 'POST' });
+        const skipped = result.skipped.length > 0
+            ? `\nQuedaron en la lista:\n- ${result.skipped.map(item => `${item.article_name}: ${item.reason}`).join('\n- ')}`
+            : '';
+        alert(`${result.message}${skipped}`);
+        loadShoppingList();
+        loadInventory();
+    } catch (error) {
+        alert('Fallo al pasar los artículos al inventario: ' + error.message);
+    }
+}
+
+/**
+ * @brief Muestra la lista en texto plano y la copia al portapapeles para compartirla.
+ */
+async function handleExportShoppingList() {
+    try {
+        const response = await apiFetch('/lista-compras/exportar');
+        if (!response.ok) throw new Error('No se pudo exportar la lista.');
+        const text = await response.text();
+
+        const output = document.getElementById('shopping-export');
+        output.value = text;
+        output.style.display = 'block';
+        output.select();
+
+        if (navigator.clipboard) {
+            await navigator.clipboard.writeText(text);
+            alert('Lista copiada al portapapeles.');
+        }
+    } catch (error) {
+        alert('Fallo al exportar la lista: ' + error.message);
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * @file stats.js
+ * @brief Módulo de lógica del Frontend para las Estadísticas de la despensa.
+ * * Se carga en home.html junto a inventory.js, que llama a 'initStats' al iniciar. Los
+ * gráficos son barras hechas con elementos HTML (sin librerías externas).
+ */
+
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js, 'MS_PER_DAY'
+// de mealPlanner.js y 'formatDate' de inventory.js.
+
+// Cantidad de alimentos (o recetas) que se muestran en cada gráfico
+const STATS_TOP_ITEMS = 8;
+
+// Consumo del último período cargado (para cambiar de alimento sin volver a pedirlo)
+let statsConsumption = null;
+
+/**
+ * @brief Conecta los listeners de las estadísticas y las carga por primera vez.
+ */
+function initStats() {
+    document.getElementById('stats-period').addEventListener('change', loadStats);
+    document.getElementById('stats-ingredient').addEventListener('change', renderConsumptionTimeline);
+    loadStats();
+}
+
+/**
+ * @brief Ejecuta una petición a la API de estadísticas y devuelve el JSON (o lanza el error).
+ */
+async function statsRequest(endpoint) {
+    const response = await apiFetch(endpoint);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Error al cargar las estadísticas.');
+    }
+    return data;
+}
+
+/**
+ * @brief Carga todas las estadísticas del período elegido (últimos 30, 90 o 365 días).
+ * * El consumo se agrupa por día, semana o mes según el largo del período.
+ */
+async function loadStats() {
+    const days = parseInt(document.getElementById('stats-period').value);
+    const from = new Date(Date.now() - days * MS_PER_DAY).toISOString().slice(0, 10);
+    const groupBy = days <= 31 ? 'day' : (days <= 120 ? 'week' : 'month');
+
+    try {
+        const [consumption, recipes, expired, duration] = await Promise.all([
+            statsRequest(`/estadisticas/consumo?from=${from}&groupBy=${groupBy}`),
+            statsRequest(`/estadisticas/recetas?from=${from}&limit=${STATS_TOP_ITEMS}`),
+            statsRequest(`/estadisticas/vencidos?from=${from}`),
+            statsRequest(`/estadisticas/permanencia?from=${from}`)
+        ]);
+        statsConsumption = consumption;
+        renderConsumption(consumption);
+        renderCookedRecipes(recipes);
+        renderExpiredStats(expired);
+        renderDurationStats(duration);
+    } catch (error) {
+        console.error('Error al cargar las estadísticas:', error.message);
+    }
+}
+
+/**
+ * @brief Dibuja un gráfico de barras horizontales.
+ * @param {HTMLElement} container Donde se dibuja (se reemplaza su contenido).
+ * @param {Array} rows [{ label, value, text }]: 'text' es lo que se muestra junto a la barra.
+ * @param {string} emptyText Texto si no hay datos.
+ */
+function renderBarChart(container, rows, emptyText) {
+    container.innerHTML = '';
+    if (rows.length === 0) {
+        container.innerHTML = `<p class="search-hint">${emptyText}</p>`;
+        return;
+    }
+
+    const max = Math.max(...rows.map(row => row.value)) || 1;
+    rows.forEach(row => {
+        const line = document.createElement('div');
+        line.className = 'bar-row';
+
+        const label = document.createElement('span');
+        label.className = 'bar-label';
+        label.textContent = row.label;
+        label.title = row.label;
+
+        const track = document.createElement('div');
+        track.className = 'bar-track';
+        const bar = document.createElement('div');
+        bar.className = 'bar-fill';
+        bar.style.width = `${Math.max((row.value / max) * 100, 2)}%`;
+        track.appendChild(bar);
+
+        const value = document.createElement('span');
+        value.className = 'bar-value';
+        value.textContent = row.text;
+
+        line.append(label, track, value);
+        container.appendChild(line);
+    });
+}
+
+/**
+ * @brief Muestra los alimentos más consumidos y llena el selector del detalle por período.
+ */
+function renderConsumption(consumption) {
+    const consumed = consumption.ingredients.filter(item => item.consumed > 0).slice(0, STATS_TOP_ITEMS);
+    renderBarChart(
+        document.getElementById('stats-consumption'),
+        consumed.map(item => ({ label: item.article_name, value: item.consumed, text: `${item.consumed} ${item.unit}` })),
+        'Todavía no hay consumo registrado en este período.'
+    );
+
+    const select = document.getElementById('stats-ingredient');
+    const previous = select.value;
+    select.innerHTML = '';
+    consumption.ingredients.forEach((item, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `${item.article_name} (${item.unit})`;
+        select.appendChild(option);
+    });
+    if ([...select.options].some(option => option.value === previous)) select.value = previous;
+    renderConsumptionTimeline();
+}
+
+/**
+ * @brief Dibuja el consumo y las compras por período del alimento elegido (columnas).
+ */
+function renderConsumptionTimeline() {
+    const container = document.getElementById('stats-timeline');
+    container.innerHTML = '';
+    const ingredient = statsConsumption && statsConsumption.ingredients[document.getElementById('stats-ingredient').value];
+    if (!ingredient) return;
+
+    const max = Math.max(...ingredient.timeline.map(point => Math.max(point.consumed, point.purchased))) || 1;
+    ingredient.timeline.forEach(point => {
+        const column = document.createElement('div');
+        column.className = 'column';
+        column.title = `${point.period}\nConsumido: ${point.consumed} ${ingredient.unit}\nComprado: ${point.purchased} ${ingredient.unit}`;
+
+        ['consumed', 'purchased'].forEach(field => {
+            const bar = document.createElement('div');
+            bar.className = `column-bar column-${field}`;
+            bar.style.height = `${(point[field] / max) * 100}%`;
+            column.appendChild(bar);
+        });
+        container.appendChild(column);
+    });
+}
+
+/**
+ * @brief Muestra las recetas más cocinadas.
+ */
+function renderCookedRecipes(data) {
+    renderBarChart(
+        document.getElementById('stats-recipes'),
+        data.recipes.map(recipe => ({ label: recipe.title || recipe.recipeId, value: recipe.times, text: `${recipe.times} vez/veces` })),
+        'Todavía no cocinaste recetas en este período.'
+    );
+}
+
+/**
+ * @brief Muestra los alimentos que vencieron sin usarse (los que más se repiten y el detalle).
+ */
+function renderExpiredStats(data) {
+    renderBarChart(
+        document.getElementById('stats-expired'),
+        data.byIngredient.slice(0, STATS_TOP_ITEMS).map(item => ({ label: item.article_name, value: item.times, text: `${item.times} vez/veces` })),
+        '¡Nada se venció sin usar! 🎉'
+    );
+
+    const list = document.getElementById('stats-expired-list');
+    list.innerHTML = '';
+    data.inPantry.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = `${item.article_name}: ${item.quantity} ${item.unit} vencido hace ${item.daysExpired} día(s) (sigue en la despensa)`;
+        li.className = 'expired';
+        list.appendChild(li);
+    });
+    data.discarded.slice(0, STATS_TOP_ITEMS).forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = `${item.article_name}: ${item.quantity} ${item.unit} eliminado vencido el ${formatDate(item.removedAt)}${item.removedBy ? ` por ${item.removedBy}` : ''}`;
+        list.appendChild(li);
+    });
+}
+
+/**
+ * @brief Muestra cuánto tiempo permanecen los alimentos en la despensa.
+ */
+function renderDurationStats(data) {
+    const summary = [];
+    if (data.finished.count > 0) {
+        summary.push(`Los alimentos que se terminaron o eliminaron estuvieron en promedio ${data.finished.averageDays} día(s) en la despensa (${data.finished.count} alimento/s).`);
+    }
+    if (data.inPantry.count > 0) {
+        summary.push(`Los ${data.inPantry.count} alimento(s) actuales llevan en promedio ${data.inPantry.averageDays} día(s).`);
+    }
+    document.getElementById('stats-duration-summary').textContent = summary.join(' ') || 'Todavía no hay datos de permanencia.';
+
+    renderBarChart(
+        document.getElementById('stats-duration'),
+        data.byIngredient.slice(0, STATS_TOP_ITEMS).map(item => ({ label: item.article_name, value: item.averageDays, text: `${item.averageDays} día(s)` })),
+        'Todavía no salió ningún alimento de la despensa en este período.'
+    );
+}
@@ -0,0 +1,187 @@
+/**
+ * @file storage.js
+ * @brief Módulo de lógica del Frontend para las Ubicaciones y Categorías de los alimentos.
+ * * Se carga en home.html junto a inventory.js, que llama a 'initStorage' al iniciar y arma el
+ * pedido del inventario con 'buildInventoryQuery' (filtros y agrupación de la tabla).
+ */
+
+// BACKEND_URL y 'apiFetch' (peticiones con el access token) vienen de session.js.
+
+// Textos de los grupos sin ubicación / sin categoría
+const STORAGE_EMPTY_GROUP_LABELS = {
+    location: 'Sin ubicación',
+    category: 'Sin categoría',
+};
+
+// Ubicaciones de la despensa (las por defecto y las creadas) y categorías de alimentos
+let storageLocations = [];
+let foodCategories = [];
+
+// Grupos de la tabla del inventario que el usuario colapsó (se conservan al recargarla)
+const collapsedInventoryGroups = new Set();
+
+/**
+ * @brief Conecta los listeners de ubicaciones y filtros, y carga las ubicaciones y categorías.
+ */
+function initStorage() {
+    document.getElementById('location-create-form').addEventListener('submit', handleCreateLocation);
+    ['inventory-filter-location', 'inventory-filter-category', 'inventory-group-by'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadInventory);
+    });
+    loadStorageLocations();
+}
+
+/**
+ * @brief Ejecuta una petición a la API de ubicaciones y devuelve el JSON (o lanza el error).
+ */
+async function storageRequest(endpoint, options = {}) {
+    const response = await apiFetch(endpoint, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Error en las ubicaciones.');
+    }
+    return data;
+}
+
+/**
+ * @brief Carga las ubicaciones y categorías, y llena los selectores que las usan.
+ */
+async function loadStorageLocations() {
+    try {
+        [storageLocations, foodCategories] = await Promise.all([
+            storageRequest('/ubicaciones'),
+            storageRequest('/categorias')
+        ]);
+        const names = storageLocations.map(location => location.name);
+        fillStorageSelect('item-location', names, 'Ubicación (opcional)');
+        fillStorageSelect('item-category', foodCategories, 'Categoría (opcional)');
+        fillStorageSelect('inventory-filter-location', names, 'Todas las ubicaciones', STORAGE_EMPTY_GROUP_LABELS.location);
+        fillStorageSelect('inventory-filter-category', foodCategories, 'Todas las categorías', STORAGE_EMPTY_GROUP_LABELS.category);
+        renderCustomLocations();
+    } catch (error) {
+        console.error('Error al cargar las ubicaciones:', error.message);
+    }
+}
+
+/**
+ * @brief Reemplaza las opciones de un selector conservando la opción elegida (si sigue existiendo).
+ * @param {string} emptyLabel Texto de la primera opción (valor vacío).
+ * @param {string} [noneLabel] Si se envía, agrega la opción 'none' (los que no tienen).
+ */
+function fillStorageSelect(selectId, values, emptyLabel, noneLabel) {
+    const select = document.getElementById(selectId);
+    const previous = select.value;
+    select.innerHTML = '';
+    select.add(new Option(emptyLabel, ''));
+    values.forEach(value => select.add(new Option(value, value)));
+    if (noneLabel) select.add(new Option(noneLabel, 'none'));
+    if ([...select.options].some(option => option.value === previous)) select.value = previous;
+}
+
+/**
+ * @brief Arma la query del inventario con los filtros y la agrupación elegidos.
+ */
+function buildInventoryQuery() {
+    const params = new URLSearchParams();
+    const location = document.getElementById('inventory-filter-location').value;
+    const category = document.getElementById('inventory-filter-category').value;
+    const groupBy = document.getElementById('inventory-group-by').value;
+    if (location) params.set('location', location);
+    if (category) params.set('category', category);
+    if (groupBy) params.set('groupBy', groupBy);
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * @brief Texto del encabezado de un grupo de la tabla del inventario.
+ */
+function describeInventoryGroup(groupBy, key, count) {
+    const label = key || STORAGE_EMPTY_GROUP_LABELS[groupBy];
+    return `${collapsedInventoryGroups.has(`${groupBy}:${key}`) ? '▸' : '▾'} ${label} (${count})`;
+}
+
+/**
+ * @brief Muestra las ubicaciones creadas por el usuario (con el botón para eliminarlas).
+ */
+function renderCustomLocations() {
+    const list = document.getElementById('custom-locations');
+    list.innerHTML = '';
+    storageLocations.filter(location => location.custom).forEach(location => {
+        const li = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${location.freezes ? '❄️ ' : ''}${location.name}`;
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'shopping-delete';
+        deleteBtn.textContent = '✕';
+        deleteBtn.title = 'Eliminar ubicación';
+        deleteBtn.addEventListener('click', () => handleDeleteLocation(location));
+
+        li.append(label, deleteBtn);
+        list.appendChild(li);
+    });
+}
+
+async function handleCreateLocation(event) {
+    event.preventDefault();
+    const name = document.getElementById('location-name').value.trim();
+    const freezes = document.getElementById('location-freezes').checked;
+    if (!name) return;
+
+    try {
+        await storageRequest('/ubicaciones', { method: 'POST', body: JSON.stringify({ name, freezes }) });
+        document.getElementById('location-create-form').reset();
+        loadStorageLocations();
+    } catch (error) {
+        alert('Fallo al crear la ubicación: ' + error.message);
+    }
+}
+
+async function handleDeleteLocation(location) {
+    if (!confirm(`¿Eliminar la ubicación "${location.name}"? Sus alimentos quedan sin ubicación.`)) return;
+
+    try {
+        await storageRequest(`/ubicaciones/${location._id}`, { method: 'DELETE' });
+        loadStorageLocations();
+        loadInventory();
+    } catch (error) {
+        alert('Fallo al eliminar la ubicación: ' + error.message);
+    }
+}
+
+/**
+ * @brief Mueve un alimento a otra ubicación y/o le cambia la categoría.
+ * * Si la ubicación nueva congela (ej: el freezer), ofrece extender el vencimiento.
+ */
+async function handleMoveItem(alimentoId) {
+    const row = document.getElementById(`inventory-item-${alimentoId}`);
+    if (!row) return;
+
+    const names = storageLocations.map(location => location.name);
+    const location = prompt(`Ubicación (${names.join(', ')}; vacío = sin ubicación):`, row.dataset.location || '');
+    if (location === null) return;
+    const category = prompt(`Categoría (${foodCategories.join(', ')}; vacío = sin categoría):`, row.dataset.category || '');
+    if (category === null) return;
+
+    const body = { location: location.trim().toLowerCase() || null, category: category.trim().toLowerCase() || null };
+    const target = storageLocations.find(item => item.name === body.location);
+    const current = storageLocations.find(item => item.name === row.dataset.location);
+    if (target && target.freezes && !(current && current.freezes) && row.dataset.expiryDate) {
+        body.extendExpiry = confirm('¿Extender la fecha de vencimiento por congelarlo?');
+    }
+
+    try {
+        const result = await storageRequest(`/inventario/${alimentoId}/ubicacion`, { method: 'PATCH', body: JSON.stringify(body) });
+        if (result.extendedDays > 0) {
+            alert(`El vencimiento se extendió ${result.extendedDays} día(s).`);
+        }
+        loadInventory();
+    } catch (error) {
+        alert('Fallo al mover el alimento: ' + error.message);
+    }
+}